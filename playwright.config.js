@@ -1,4 +1,6 @@
+import process from 'node:process';
 import { defineConfig, devices } from '@playwright/test';
+import { MOCK_NODE_URL, MOCK_NODE_PORT } from './tests/mock-node/constants.js';
 
 export default defineConfig({
     testDir: './tests/e2e',
@@ -26,6 +28,21 @@ export default defineConfig({
         screenshot: 'only-on-failure',
     },
 
+    // Start the mock Octra node and a dev server pointed at it
+    webServer: [
+        {
+            command: `node tests/mock-node/server.js --port ${MOCK_NODE_PORT}`,
+            url: `${MOCK_NODE_URL}/health`,
+            reuseExistingServer: !process.env.CI,
+        },
+        {
+            command: 'npm run dev',
+            url: 'http://localhost:5173',
+            env: { VITE_RPC_URL: MOCK_NODE_URL },
+            reuseExistingServer: !process.env.CI,
+        },
+    ],
+
     projects: [
         {
             name: 'chromium',
@@ -6,6 +6,9 @@
  * - All data stored in browser localStorage (client-side only)
  * - Password is hashed (SHA-256), never stored in plain text
  * - Private keys are encrypted with password using AES-GCM
+ * - Decrypted keys, the password and the unlock session live in the
+ *   background service worker (KeyringClient / background/keyringHost.js);
+ *   the popup gets wallet metadata and the data key of its own stores
  * - NO data is sent to any external server
  */
 
@@ -15,16 +18,13 @@ import './App.css';
 import { WelcomeScreen, CreateWalletScreen, ImportWalletScreen } from './components/welcome';
 import { Dashboard } from './components/dashboard';
 import { SettingsScreen } from './components/settings';
+import { DappRequestScreen } from './components/dapp';
 import { LockScreen, SetupPassword } from './components/lockscreen';
 
 import {
   hasPasswordSecure as hasPassword,
   hasWalletsSecure as hasWallets,
-  verifyPasswordSecure as verifyPassword,
   setWalletPasswordSecure as setWalletPassword,
-  loadWalletsSecure as loadWallets,
-  saveWalletsSecure as saveWallets, // Added
-  addWalletSecure as addWallet,
   getActiveWalletIndex,
   setActiveWalletIndex,
   loadSettingsSecure as getSettings,
@@ -32,27 +32,38 @@ import {
   clearAllDataSecure as clearAllData,
   getTxHistorySecure as getTxHistory,
   saveTxHistorySecure as saveTxHistory, // Added
-  updateWalletNameSecure as updateWalletName,
   getPrivacyTransactionSecure as getPrivacyTransaction,
   getAllPrivacyTransactionsSecure as getAllPrivacyTransactions
 } from './utils/storageSecure';
 // Import VerifyPasswordSecure explicitly for session restore context consistency
 import { verifyPasswordSecure } from './utils/storageSecure';
-import { getRpcClient, setRpcUrl } from './utils/rpc';
-import { encryptSession, decryptSession, generateSessionKey } from './utils/crypto';
+import { getRpcClient, applyRpcSettings, RPC_PRIORITY } from './utils/rpc';
+import { parseNodeAmount, toNumber, OCT_DECIMALS } from './utils/amount';
+import { AUTO_LOCK } from './constants';
 
 // Activity logging
 import { logWalletUnlock, logWalletLock } from './utils/activityLogger';
 
-import { keyringService } from './services/KeyringService';
+import { keyringClient } from './services/KeyringClient';
 import { ocs01Manager } from './services/OCS01TokenService';
 import { privacyService } from './services/PrivacyService';
+import { hdKeyringService } from './services/HDKeyringService';
+import { backupService } from './services/BackupService';
+import { dappService } from './services/DappService';
+import { permissionService } from './services/PermissionService';
 import { balanceCache } from './utils/balanceCache';
 
 import { CheckIcon, CloseIcon, InfoIcon } from './components/shared/Icons';
 
 import { Toast } from './components/shared/Toast';
 
+// Older versions kept an encrypted session password in localStorage
+const LEGACY_SESSION_KEYS = ['octra_session_data', 'octra_session_key', 'octra_session_expiry'];
+
+// Activity in the popup extends the session at most this often
+const ACTIVITY_TOUCH_INTERVAL = 5000;
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'mousemove'];
+
 // Global Cache Helper
 const cacheSet = (key, data, ttl) => {
   const expiry = Date.now() + ttl;
@@ -62,18 +73,19 @@ const cacheSet = (key, data, ttl) => {
 function App() {
   // App State
   const [view, setView] = useState('loading');
-  // Views: 'loading' | 'welcome' | 'setup-password' | 'lock' | 'create' | 'import' | 'dashboard' | 'settings'
+  // Views: 'loading' | 'welcome' | 'setup-password' | 'lock' | 'create' | 'import' | 'dashboard' | 'settings' | 'dapp-request'
 
   const [isUnlocked, setIsUnlocked] = useState(false);
-  const [password, setPassword] = useState(null); // Stored in memory only, never persisted
+  const [dataKey, setDataKey] = useState(null); // Session data key from the worker, memory only
   const [wallets, setWallets] = useState([]);
   const [activeWalletIndex, setActiveWalletIdx] = useState(0);
   const [lastRefreshId, setLastRefreshId] = useState(0);
   const [pendingWallet, setPendingWallet] = useState(null); // Wallet pending password setup
+  const [dappRequestId] = useState(() => dappService.getRequestId()); // Set when opened as a dApp approval window
 
-  // Session management
-  const [sessionExpiry, setSessionExpiry] = useState(null);
-  const SESSION_DURATION = 5 * 60 * 1000; // 5 minutes
+  // Session management (the background keyring owns the session)
+  const [sessionExpiry, setSessionExpiry] = useState(null); // null when the auto-lock has no timer
+  const [autoLock, setAutoLock] = useState(AUTO_LOCK.DEFAULT);
 
   const [balance, setBalance] = useState(0);
   const [nonce, setNonce] = useState(0);
@@ -99,122 +111,75 @@ function App() {
     setTimeout(() => setToast(null), 3000);
   }, []);
 
-  // --- Session Persistence Helpers ---
+  // --- Session Helpers ---
 
-  const clearActiveSession = useCallback(() => {
-    localStorage.removeItem('octra_session_data');
-    localStorage.removeItem('octra_session_expiry');
+  const applySession = useCallback((session) => {
+    setSessionExpiry(session.expiresAt);
+    setAutoLock(session.autoLock);
   }, []);
 
-  const saveActiveSession = useCallback(async (pwd) => {
-    console.log('[DEBUG] saveActiveSession called. Pwd len:', pwd ? pwd.length : 0);
-    try {
-      const expiry = Date.now() + SESSION_DURATION;
-
-      let sessionKey = localStorage.getItem('octra_session_key');
-      console.log('[DEBUG] Session Key Check:', sessionKey ? 'EXISTS' : 'MISSING');
-
-      if (!sessionKey) {
-        sessionKey = generateSessionKey();
-        localStorage.setItem('octra_session_key', sessionKey);
-        console.log('[DEBUG] generated new session key');
-      }
-
-      if (!pwd) {
-        console.error('[DEBUG] Password is empty! Cannot save session.');
-        return;
-      }
+  // Take wallets and the data key from a worker session (never the password or keys)
+  const enterSession = useCallback(async (session) => {
+    applySession(session);
+    setWallets(session.wallets);
+    setDataKey(session.dataKey);
+
+    const savedIndex = getActiveWalletIndex();
+    const activeIdx = savedIndex >= 0 && savedIndex < session.wallets.length ? savedIndex : 0;
+    setActiveWalletIdx(activeIdx);
+    if (session.wallets[activeIdx]) {
+      await keyringClient.setActiveWallet(session.wallets[activeIdx].address);
+    }
 
-      console.log('[DEBUG] Encrypting session...');
-      const encryptedPwd = await encryptSession(pwd, sessionKey);
+    // Token & privacy stores are encrypted with the data key
+    privacyService.setDataKey(session.dataKey);
+    await ocs01Manager.initializeSecure(session.dataKey);
+  }, [applySession]);
 
-      if (encryptedPwd) {
-        localStorage.setItem('octra_session_data', encryptedPwd);
-        localStorage.setItem('octra_session_expiry', expiry.toString());
-        setSessionExpiry(expiry);
-        console.log('[App] Session saved SUCCESS (expires in 5m)');
-      } else {
-        console.error('[App] Session encryption returned null');
-      }
-    } catch (e) {
-      console.error('[App] Failed to save session (EXCEPTION):', e);
-    }
-  }, [SESSION_DURATION]);
+  // Open the stored vault in the background keyring and start the session
+  const startSession = useCallback(async (pwd) => {
+    const session = await keyringClient.unlock(pwd);
+    await enterSession(session);
+    return session;
+  }, [enterSession]);
 
+  // The background keyring survives popup closes until its session expires
   const restoreActiveSession = useCallback(async () => {
     try {
-      const expiryStr = localStorage.getItem('octra_session_expiry');
-      if (!expiryStr) return null;
-
-      const expiry = parseInt(expiryStr, 10);
-      if (Date.now() > expiry) {
-        console.log('[App] Session expired');
-        clearActiveSession();
-        return null;
-      }
-
-      const sessionKey = localStorage.getItem('octra_session_key');
-      const encryptedPwd = localStorage.getItem('octra_session_data');
-
-      if (sessionKey && encryptedPwd) {
-        const pwd = await decryptSession(encryptedPwd, sessionKey);
-
-        if (pwd) {
-          // Check integrity
-          const isValid = await verifyPasswordSecure(pwd);
-
-          if (isValid) {
-            const newExpiry = Date.now() + SESSION_DURATION;
-            localStorage.setItem('octra_session_expiry', newExpiry.toString());
-            setSessionExpiry(newExpiry);
-            console.log('[App] Session restored from persistence');
-            return pwd;
-          } else {
-            console.warn('[App] Stored session password invalid');
-            clearActiveSession();
-          }
-        }
+      const session = await keyringClient.getSession();
+      applySession(session);
+      if (session.unlocked) {
+        console.log('[App] Session restored from the background keyring');
+        return session;
       }
     } catch (e) {
       console.error('[App] Session restore failed:', e);
     }
     return null;
-  }, [SESSION_DURATION, clearActiveSession]);
+  }, [applySession]);
 
   // Initialize app - check if locked or needs setup
   useEffect(() => {
     const init = async () => {
       try {
         const savedSettings = getSettings();
-        if (savedSettings.rpcUrl) {
-          setRpcUrl(savedSettings.rpcUrl);
-        }
+        applyRpcSettings(savedSettings);
         setSettingsState(savedSettings);
+        LEGACY_SESSION_KEYS.forEach(key => localStorage.removeItem(key));
 
         const hasWalletsConfigured = await hasWallets();
         const hasPasswordConfigured = await hasPassword();
 
         if (hasWalletsConfigured && hasPasswordConfigured) {
           // Try to restore session first
-          const restoredPwd = await restoreActiveSession();
+          const session = await restoreActiveSession();
 
-          if (restoredPwd) {
+          if (session && session.wallets.length > 0) {
             // Restore successful!
-            const loadedWallets = await loadWallets(restoredPwd);
-            if (loadedWallets.length > 0) {
-              setWallets(loadedWallets);
-              setPassword(restoredPwd);
-              setIsUnlocked(true);
-
-              await keyringService.unlock(restoredPwd, loadedWallets);
-              const savedIndex = getActiveWalletIndex();
-              const activeIdx = savedIndex >= 0 && savedIndex < loadedWallets.length ? savedIndex : 0;
-              setActiveWalletIdx(activeIdx);
-              await keyringService.setActiveWallet(loadedWallets[activeIdx].address);
-
-              setView('dashboard');
-              return;
-            }
+            await enterSession(session);
+            setIsUnlocked(true);
+            setView('dashboard');
+            return;
           }
 
           // If restore failed, show lock screen
@@ -230,23 +195,7 @@ function App() {
     };
 
     init();
-  }, [restoreActiveSession]);
-
-  // Session "Heartbeat" / Keep-Alive
-  // As long as the extension UI is open and unlocked, we EXTEND the session.
-  // The 5-minute timer should only effectively countdown when the popup is CLOSED.
-  useEffect(() => {
-    if (!isUnlocked) return;
-
-    const keepAliveInterval = setInterval(() => {
-      // Extend session by 5 minutes from NOW
-      const newExpiry = Date.now() + SESSION_DURATION;
-      localStorage.setItem('octra_session_expiry', newExpiry.toString());
-      setSessionExpiry(newExpiry);
-    }, 5000); // Pulse every 5 seconds
-
-    return () => clearInterval(keepAliveInterval);
-  }, [isUnlocked, SESSION_DURATION]);
+  }, [restoreActiveSession, enterSession]);
 
   // Shared function to fetch all tokens for the active wallet
   const fetchAllTokens = useCallback(async () => {
@@ -261,10 +210,11 @@ function App() {
         name: t.contractName || 'OCS01 Token',
         balance: t.balance,
         contractAddress: t.contractAddress,
+        decimals: OCT_DECIMALS,
         isNative: false,
         isOCS01: true
       }));
-      const nativeToken = { symbol: 'OCT', name: 'Octra', balance: balance, isNative: true };
+      const nativeToken = { symbol: 'OCT', name: 'Octra', balance: balance, decimals: OCT_DECIMALS, isNative: true };
       const tokens = [nativeToken, ...otherTokens];
 
       // Cache for 30 seconds
@@ -281,7 +231,7 @@ function App() {
     } finally {
       setIsLoadingTokens(false);
     }
-  }, [wallet, balance, rpcClient]);
+  }, [wallet, balance]);
 
   // Optimized balance refresh with 3-layer cache & request deduplication
   const refreshBalance = useCallback(async () => {
@@ -370,16 +320,16 @@ function App() {
       }));
 
       // Only update if something actually changed
-      const hasChanges = updatedWallets.some((w, i) => w.lastKnownBalance !== wallets[i].lastKnownBalance);
-      if (hasChanges) {
+      const changed = updatedWallets.filter((w, i) => w.lastKnownBalance !== wallets[i].lastKnownBalance);
+      if (changed.length > 0) {
         setWallets(updatedWallets);
-        // Persist to storage - SECURE STANDARDS
-        await saveWallets(updatedWallets, password);
+        // Persist to the vault - written by the background keyring
+        await keyringClient.updateWallets(changed.map(w => ({ address: w.address, lastKnownBalance: w.lastKnownBalance })));
       }
     } catch (error) {
       console.error('Background balance refresh failed:', error);
     }
-  }, [wallets, isUnlocked, rpcClient, password]);
+  }, [wallets, isUnlocked, rpcClient]);
 
   // Refresh transactions (OPTIMIZED: Merges new with old)
   const refreshTransactions = useCallback(async (customLimit = null) => {
@@ -395,7 +345,7 @@ function App() {
       // we can theoretically skip fetching older ones. But we always want to fetch at least 10 NEWEST.
 
       // OPTIMIZATION: Decrypt privacy logs ONCE
-      const allPrivacyLogs = await getAllPrivacyTransactions(password);
+      const allPrivacyLogs = await getAllPrivacyTransactions(dataKey);
 
       // 2. Fetch from network
       // 2. Fetch from network - OPTIMIZED SYNC STRATEGY
@@ -450,42 +400,32 @@ function App() {
 
       let newConfirmedTxs = [];
       if (shouldFetchFullBatch && info.recent_transactions && info.recent_transactions.length > 0) {
-        // Throttling: Fetch transaction details in chunks of 3 to avoid RPC 429/503
-        const TX_CONCURRENCY = 3;
-        const processTxBatch = async (batch) => {
-          return Promise.all(batch.map(async (ref) => {
-            // ... Detail fetching logic (kept same, just wrapped) ...
-            // We need to verify if this tx is arguably already in DB even if head didn't match?
-            // But for now, just fetch details for everything returned by RPC to be safe
-            try {
-              const txData = await rpcClient.getTransaction(ref.hash);
-              const parsed = txData.parsed_tx;
-              const isIncoming = parsed.to.toLowerCase() === wallet.address.toLowerCase();
-              const privacyLog = allPrivacyLogs[ref.hash] || null;
-              let txType = isIncoming ? 'in' : 'out';
-              if (privacyLog) txType = privacyLog.type;
-              return {
-                hash: ref.hash,
-                type: txType,
-                amount: parseFloat(parsed.amount_raw || parsed.amount || 0) / 1_000_000,
-                address: isIncoming ? parsed.from : parsed.to,
-                timestamp: parsed.timestamp * 1000,
-                status: 'confirmed',
-                epoch: txData.epoch || ref.epoch,
-                ou: parsed.ou || txData.ou
-              };
-            } catch {
-              return null; // Return null on failure instead of placeholder to cleaner list
-            }
-          }));
-        };
-
-        for (let i = 0; i < info.recent_transactions.length; i += TX_CONCURRENCY) {
-          const batch = info.recent_transactions.slice(i, i + TX_CONCURRENCY);
-          if (i > 0) await new Promise(r => setTimeout(r, 600)); // Strict 600ms throttle
-          const batchResults = await processTxBatch(batch);
-          newConfirmedTxs.push(...batchResults);
-        }
+        // Throttling is handled by RPCClient's scheduler; LOW priority keeps
+        // history backfill behind balance/nonce lookups and sends
+        newConfirmedTxs = await Promise.all(info.recent_transactions.map(async (ref) => {
+          // We need to verify if this tx is arguably already in DB even if head didn't match?
+          // But for now, just fetch details for everything returned by RPC to be safe
+          try {
+            const txData = await rpcClient.getTransaction(ref.hash, { priority: RPC_PRIORITY.LOW });
+            const parsed = txData.parsed_tx;
+            const isIncoming = parsed.to.toLowerCase() === wallet.address.toLowerCase();
+            const privacyLog = allPrivacyLogs[ref.hash] || null;
+            let txType = isIncoming ? 'in' : 'out';
+            if (privacyLog) txType = privacyLog.type;
+            return {
+              hash: ref.hash,
+              type: txType,
+              amount: toNumber(parseNodeAmount(parsed.amount_raw || parsed.amount)),
+              address: isIncoming ? parsed.from : parsed.to,
+              timestamp: parsed.timestamp * 1000,
+              status: 'confirmed',
+              epoch: txData.epoch || ref.epoch,
+              ou: parsed.ou || txData.ou
+            };
+          } catch {
+            return null; // Return null on failure instead of placeholder to cleaner list
+          }
+        }));
         newConfirmedTxs = newConfirmedTxs.filter(Boolean);
       }
 
@@ -512,11 +452,12 @@ function App() {
           pendingTxs = ourPending.map(tx => ({
             hash: tx.hash || `pending_${tx.nonce}`,
             type: (tx.to || tx.to_ || '').toLowerCase() === userAddrLower ? 'in' : 'out',
-            amount: parseFloat(tx.amount || 0) / (tx.amount && tx.amount.includes('.') ? 1 : 1_000_000),
+            amount: toNumber(parseNodeAmount(tx.amount)),
             address: (tx.to || tx.to_ || '').toLowerCase() === userAddrLower ? tx.from : (tx.to || tx.to_),
             timestamp: Date.now(),
             status: 'pending',
-            ou: tx.ou
+            ou: tx.ou,
+            nonce: tx.nonce
           }));
         }
       } catch (err) { /* ignore staging errors */ }
@@ -531,7 +472,7 @@ function App() {
     } catch (error) {
       console.error('Failed to fetch transactions:', error);
     }
-  }, [wallet, rpcClient, password, txLimit, settings.network]);
+  }, [wallet, rpcClient, dataKey, txLimit, settings.network]);
 
   // Load More Transactions (Infinite Scroll)
   const handleLoadMoreTransactions = useCallback(async () => {
@@ -548,6 +489,20 @@ function App() {
     }
   }, [isLoadingMore, hasMoreTxs, txLimit, refreshTransactions]);
 
+  // dApp site grants: decrypted while unlocked and mirrored to the service worker
+  useEffect(() => {
+    if (isUnlocked && dataKey) {
+      permissionService.load(dataKey).catch(err => console.warn('[App] Could not load site permissions:', err));
+    }
+  }, [isUnlocked, dataKey]);
+
+  // Approval window: go to the request once unlocked instead of the dashboard
+  useEffect(() => {
+    if (isUnlocked && dappRequestId && view === 'dashboard') {
+      setView('dapp-request');
+    }
+  }, [isUnlocked, dappRequestId, view]);
+
   // Smart refresh - Simple & Smooth like MetaMask
   useEffect(() => {
     if (wallet && view === 'dashboard' && isUnlocked) {
@@ -650,121 +605,84 @@ function App() {
   // Lock wallet
   //
   const handleLock = useCallback(() => {
-    // SECURITY: Clear all session data
-    clearActiveSession();
-
-    // Clear password from memory
-    setPassword('');
+    // Clear the data key from memory
+    setDataKey(null);
+    privacyService.clear();
     setIsUnlocked(false);
     setSessionExpiry(null);
 
-    // Clear keyring (wipe sensitive data from memory)
-    keyringService.panicLock();
+    // SECURITY: End the session and wipe the background keyring
+    keyringClient.lock().catch(err => console.warn('[App] Keyring lock failed:', err));
 
     setView('lock');
     console.log('[App] 🔒 Wallet locked (Session cleared, memory wiped)');
   }, []);
 
+  // Ask the background keyring again; it may have locked meanwhile (timer, system idle, screen lock)
+  const syncSession = useCallback((request) => {
+    request
+      .then(session => (session.unlocked ? applySession(session) : handleLock()))
+      .catch(err => console.warn('[App] Session sync failed:', err));
+  }, [applySession, handleLock]);
+
+  // Auto-lock: activity in the popup extends the session
+  useEffect(() => {
+    if (!isUnlocked) return;
+
+    let lastTouch = 0;
+    const handleActivity = () => {
+      if (Date.now() - lastTouch < ACTIVITY_TOUCH_INTERVAL) return;
+      lastTouch = Date.now();
+      syncSession(keyringClient.touch());
+    };
+
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    return () => ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+  }, [isUnlocked, syncSession]);
+
+  // ...and the UI locks with it once the time is up
+  useEffect(() => {
+    if (!isUnlocked || !sessionExpiry) return;
+
+    const timer = setTimeout(() => syncSession(keyringClient.getSession()), Math.max(0, sessionExpiry - Date.now()) + 250);
+    return () => clearTimeout(timer);
+  }, [isUnlocked, sessionExpiry, syncSession]);
+
+  const handleChangeAutoLock = useCallback(async (value) => {
+    applySession(await keyringClient.setAutoLock(value));
+  }, [applySession]);
+
   // Unlock wallet with password
   const handleUnlock = useCallback(async (enteredPassword) => {
     try {
-      const isValid = await verifyPassword(enteredPassword);
-      if (!isValid) {
-        throw new Error('Invalid password');
-      }
-
-      const loadedWallets = await loadWallets(enteredPassword);
+      // The background keyring checks the password and opens the vault
+      // (session survives popup close until the auto-lock expires)
+      const session = await keyringClient.unlock(enteredPassword);
 
-      if (loadedWallets.length === 0) {
+      if (session.wallets.length === 0) {
+        await keyringClient.lock();
         throw new Error('No wallets found');
       }
 
-      // Auto-fix: Re-save wallets if they were recovered from HMAC mismatch
-      // This ensures future unlocks won't trigger emergency recovery
-      try {
-        await saveWallets(loadedWallets, enteredPassword);
-        console.log('[App] Wallets re-encrypted with correct HMAC');
-      } catch (resaveError) {
-        // Non-critical error, just log it
-        console.warn('[App] Could not re-save wallets:', resaveError);
-      }
-
-
-      setWallets(loadedWallets);
-      setPassword(enteredPassword);
+      await enterSession(session);
       setIsUnlocked(true);
-
-      // Save session for persistence (5 minutes)
-      await saveActiveSession(enteredPassword);
-      console.log('[App] Session saved with AES-GCM encryption, expires in 5 minutes');
-
-      // Assuming setError is a state setter for an error state
-      // setError(null);
-
-      // Track unlock time for session duration
-      // Assuming setUnlockTime is a state setter for unlock time
-      // setUnlockTime(Date.now());
-
-      // Initialize keyring with loaded wallets
-      await keyringService.unlock(enteredPassword, loadedWallets);
-
-      // Set active wallet (restore from saved index or default to first)
-      const savedIndex = getActiveWalletIndex();
-      if (savedIndex >= 0 && savedIndex < loadedWallets.length) {
-        setActiveWalletIdx(savedIndex); // Changed from setActiveWallet to setActiveWalletIdx
-        // setActiveWalletAddress(loadedWallets[savedIndex].address); // This state variable is not in the original code
-
-        // Switch keyring to active wallet
-        await keyringService.setActiveWallet(loadedWallets[savedIndex].address);
-
-        // Initialize Token & Privacy Services
-        await ocs01Manager.initializeSecure(enteredPassword);
-        const activePk = keyringService.getPrivateKey(loadedWallets[savedIndex].address);
-        const { privacyService } = await import('./services/PrivacyService');
-        privacyService.setPrivateKey(activePk, enteredPassword);
-
-        // Reset to home view
-        setView('dashboard'); // Changed from setCurrentView('home') to setView('dashboard')
-      } else if (loadedWallets.length > 0) {
-        setActiveWalletIdx(0); // Changed from setActiveWallet to setActiveWalletIdx
-        // setActiveWalletAddress(loadedWallets[0].address); // This state variable is not in the original code
-        await keyringService.setActiveWallet(loadedWallets[0].address);
-        setActiveWalletIndex(0);
-
-        // Initialize Token & Privacy Services
-        await ocs01Manager.initializeSecure(enteredPassword);
-        const activePk = keyringService.getPrivateKey(loadedWallets[0].address);
-        const { privacyService } = await import('./services/PrivacyService');
-        privacyService.setPrivateKey(activePk, enteredPassword);
-
-        setView('dashboard'); // Changed from setCurrentView('home') to setView('dashboard')
-      }
+      setView('dashboard');
 
       // Load saved settings
       const savedSettings = getSettings();
-      setSettingsState(savedSettings); // Changed from setSettings to setSettingsState
-
-      // Log wallet unlock
-      // Assuming logWalletUnlock is a defined function
-      // logWalletUnlock(loadedWallets.length).catch(err => {
-      //   console.warn('[App] Failed to log wallet unlock:', err);
-      // });
+      setSettingsState(savedSettings);
 
       // Refresh balances after unlock
-      if (loadedWallets.length > 0) {
-        refreshAllBalances(loadedWallets);
-      }
+      refreshAllBalances();
       console.log('[App] Login successful - Data restored from cache');
     } catch (error) {
       console.error('[App] Failed to unlock:', error);
-      // Assuming setError is a state setter for an error state
-      // setError(error.message || 'Invalid password');
       throw error; // Re-throw to propagate error for UI handling
     }
-  }, [refreshAllBalances, verifyPassword, loadWallets, keyringService, getActiveWalletIndex, setActiveWalletIdx, setActiveWalletIndex, setView, getSettings, setSettingsState, setWallets, setPassword, setIsUnlocked]);
+  }, [refreshAllBalances, enterSession]);
 
   // Handle wallet recovery from seed phrase or private key
-  const handleRecover = useCallback(async ({ type, value, newPassword }) => {
+  const handleRecover = useCallback(async ({ type, value, passphrase = '', newPassword }) => {
     try {
       console.log('[App] Starting wallet recovery...', { type });
 
@@ -780,7 +698,7 @@ function App() {
       if (type === 'mnemonic') {
         // Recover from seed phrase
         const { importFromMnemonic } = await import('./utils/crypto');
-        recoveredWallet = await importFromMnemonic(value);
+        recoveredWallet = await importFromMnemonic(value, passphrase);
         console.log('[App] ✅ Wallet recovered from mnemonic');
       } else {
         // Recover from private key
@@ -807,31 +725,15 @@ function App() {
         }
       }
 
-      // Save recovered wallet
-      await addWallet(recoveredWallet, newPassword);
-
-      // Initialize keyring
-      await keyringService.initialize([recoveredWallet], newPassword);
-      keyringService.addKey(
-        recoveredWallet.address,
-        recoveredWallet.privateKeyB64,
-        recoveredWallet.publicKeyB64
-      );
+      // Unlock the background keyring with the new (empty) vault
+      // The session survives popup close, but expires in 5 mins
+      await startSession(newPassword);
 
-      // Update state
-      setPassword(newPassword);
-      const walletWithMeta = {
-        ...recoveredWallet,
-        id: crypto.randomUUID(),
-        name: 'Recovered Wallet'
-      };
-      setWallets([walletWithMeta]);
+      // Save recovered wallet - the background keyring writes the vault
+      const session = await keyringClient.addWallets([{ ...recoveredWallet, name: 'Recovered Wallet' }]);
+      await enterSession(session);
       setIsUnlocked(true);
 
-      // Session Management (Fixed)
-      // We save the session securely so it survives popup close, but expires in 5 mins
-      await saveActiveSession(newPassword);
-
       // Fetch balance
       try {
         const balanceData = await rpcClient.getBalance(recoveredWallet.address);
@@ -852,56 +754,38 @@ function App() {
       console.error('[App] ❌ Recovery failed:', error);
       throw new Error(error.message || 'Failed to recover wallet. Please check your input.');
     }
-  }, [keyringService, rpcClient, addWallet, setWalletPassword]);
+  }, [startSession, enterSession, rpcClient]);
 
 
 
 
-  // Handle password change - Update all services in memory
-  const handlePasswordChange = useCallback(async (newPassword) => {
+  // Handle password change - the background keyring re-encrypted the vault and reopened the session
+  const handlePasswordChange = useCallback(async (session) => {
     try {
-      setPassword(newPassword);
-
-      // Re-initialize keyring with new password
-      if (wallets.length > 0) {
-        await keyringService.initialize(wallets, newPassword);
-        const activeWallet = wallets[activeWalletIndex];
-        if (activeWallet) {
-          await keyringService.setActiveWallet(activeWallet.address);
-
-          // Update ocs01Manager
-          await ocs01Manager.initializeSecure(newPassword);
-
-          // Update privacyService
-          const activePk = keyringService.getPrivateKey(activeWallet.address);
-          // Privacy service update
-          privacyService.setPrivateKey(activePk, newPassword);
-        }
-      }
+      await enterSession(session);
       showToast('Password updated successfully', 'success');
     } catch (error) {
       console.error('Failed to update services after password change:', error);
       showToast('Password changed, but session refresh failed. Please re-lock.', 'warning');
     }
-  }, [wallets, activeWalletIndex, showToast]);
+  }, [enterSession, showToast]);
 
 
   // Setup password for new wallet
   const handleSetupPassword = useCallback(async (newPassword) => {
     await setWalletPassword(newPassword);
-    setPassword(newPassword);
+    await startSession(newPassword);
 
     if (pendingWallet) {
-      // Save the pending wallet with the new password
-      await addWallet(pendingWallet, newPassword);
-      setWallets([{ ...pendingWallet, id: crypto.randomUUID(), name: 'Wallet 1' }]);
+      // Save the pending wallet - the background keyring writes the vault
+      await enterSession(await keyringClient.addWallets([{ ...pendingWallet, name: 'Wallet 1' }]));
       setPendingWallet(null);
     }
 
     setIsUnlocked(true);
     setView('dashboard');
     // Removed success toast - user can see wallet is created
-  }, [pendingWallet]);
+  }, [pendingWallet, startSession, enterSession]);
 
 
 
@@ -936,14 +820,14 @@ function App() {
         }
       }
 
-      // Save persistent session immediately to prevent premature logout
-      await saveActiveSession(newPassword);
-
-      const passToUse = newPassword || password;
+      // SECURITY: Unlock the background keyring - it writes the vault from here on
+      if (newPassword) {
+        await startSession(newPassword);
+      }
 
       // FIX: Handle race condition (double-fire) where wallet is saved twice
       try {
-        await addWallet(newWallet, passToUse);
+        await enterSession(await keyringClient.addWallets([{ ...newWallet, name: 'Wallet 1' }]));
       } catch (addErr) {
         // If wallet exists, it's likely a race condition. Proceed anyway.
         if (addErr.message && addErr.message.includes('Wallet already exists')) {
@@ -953,18 +837,8 @@ function App() {
         }
       }
 
-      // SECURITY: Initialize keyring and add key
-      await keyringService.initialize(passToUse);
-      keyringService.addKey(newWallet.address, newWallet.privateKeyB64, newWallet.publicKeyB64);
-
-      setPassword(passToUse);
-      const walletWithMeta = { ...newWallet, id: crypto.randomUUID(), name: 'Wallet 1' };
-      setWallets([walletWithMeta]);
       setIsUnlocked(true);
 
-      // Initialize privacy service for new wallet
-      privacyService.setPrivateKey(newWallet.privateKeyB64, passToUse);
-
       // ⚡ OPTIMIZATION: Skip RPC calls for new wallet (balance is always 0)
       console.log('[App] ⚡ New wallet created - skipping balance fetch (will be 0)');
       setBalance(0);
@@ -978,7 +852,7 @@ function App() {
       console.error('Failed to create wallet:', err);
       showToast(err.message || 'Failed to create wallet', 'error');
     }
-  }, [password, showToast, rpcClient]);
+  }, [startSession, enterSession, showToast]);
 
   // Handle wallet import - wallet and password come together now
   const handleImportWallet = useCallback(async (importedWallet, newPassword) => {
@@ -1001,11 +875,22 @@ function App() {
         await setWalletPassword(newPassword);
       }
 
-      const passToUse = newPassword || password;
+      // SECURITY: Unlock the background keyring - it writes the vault from here on
+      if (newPassword) {
+        await startSession(newPassword);
+      }
+      const existingWallets = wallets.length > 0 ? wallets : [];
+
+      // Restore every account of this recovery phrase that was used before
+      const restoredAccounts = hdKeyringService.isRoot(importedWallet)
+        ? (await hdKeyringService.scanAccounts(importedWallet))
+          .filter(account => !existingWallets.some(w => w.address === account.address))
+        : [];
 
       // FIX: Handle race condition where wallet is added twice
       try {
-        await addWallet(importedWallet, passToUse);
+        const newWallet = { ...importedWallet, name: `Wallet ${existingWallets.length + 1}` };
+        await enterSession(await keyringClient.addWallets([newWallet, ...restoredAccounts]));
       } catch (addErr) {
         if (addErr.message && addErr.message.includes('Wallet already exists')) {
           console.warn('[App] Import ignored (duplicate), proceeding...');
@@ -1014,24 +899,8 @@ function App() {
         }
       }
 
-      // Save persistent session immediately
-      await saveActiveSession(passToUse);
-
-      // SECURITY: Initialize keyring and add key
-      if (!keyringService.isUnlocked()) {
-        await keyringService.initialize(passToUse);
-      }
-      keyringService.addKey(importedWallet.address, importedWallet.privateKeyB64, importedWallet.publicKeyB64);
-
-      setPassword(passToUse);
-      const existingWallets = wallets.length > 0 ? wallets : [];
-      const newWallet = { ...importedWallet, id: crypto.randomUUID(), name: `Wallet ${existingWallets.length + 1}` };
-      setWallets([...existingWallets, newWallet]);
       setIsUnlocked(true);
 
-      // Initialize privacy service with key and password
-      privacyService.setPrivateKey(importedWallet.privateKeyB64, passToUse);
-
       // Note: Data fetching (balance, tokens, transactions, privacy) will be 
       // automatically triggered by the main useEffect when view changes to 'dashboard'.
       // This ensures fully synchronized loading state.
@@ -1042,13 +911,45 @@ function App() {
       console.error('Failed to import wallet:', err);
       showToast(err.message || 'Failed to import wallet', 'error');
     }
-  }, [password, wallets, showToast, rpcClient]);
+  }, [wallets, startSession, enterSession, showToast]);
+
+  // Restore a full backup bundle - from Settings (merge or replace) or onboarding (nothing stored yet)
+  const handleRestoreBackup = useCallback(async (payload, { mode = 'replace', password: passToUse }) => {
+    try {
+      if (!(await hasPassword())) {
+        await setWalletPassword(passToUse);
+      }
+      // The background keyring writes the vault part: it needs an open session
+      const currentSession = keyringClient.isUnlocked() ? keyringClient.status : await keyringClient.unlock(passToUse);
+
+      const { payload: restored, session } = await backupService.restoreBackup(payload, currentSession.dataKey, { mode, settings });
+
+      // Keyring follows the vault: wallets dropped by a replace lose their keys
+      await enterSession(session);
+      setBalance(0);
+      setTransactions([]);
+      setSettingsState(restored.settings);
+      applyRpcSettings(restored.settings);
+
+      if (!isUnlocked) {
+        setIsUnlocked(true);
+        setView('dashboard');
+      }
+      showToast(`Backup restored: ${session.wallets.length} wallet${session.wallets.length === 1 ? '' : 's'}`, 'success');
+    } catch (err) {
+      console.error('Failed to restore backup:', err);
+      showToast(err.message || 'Failed to restore backup', 'error');
+      throw err;
+    }
+  }, [settings, isUnlocked, enterSession, showToast]);
 
   // Handle disconnect/reset
   const handleDisconnect = useCallback(() => {
+    keyringClient.lock().catch(() => { });
     clearAllData();
     setWallets([]);
-    setPassword(null);
+    setDataKey(null);
+    privacyService.clear();
     setBalance(0);
     setNonce(0);
     setTransactions([]);
@@ -1066,8 +967,9 @@ function App() {
     saveSettings(updated);
     setSettingsState(updated);
 
-    if (newSettings.rpcUrl) {
-      setRpcUrl(newSettings.rpcUrl);
+    if (newSettings.rpcUrl || newSettings.rpcEndpoints || newNetwork) {
+      applyRpcSettings(updated);
+      dappService.notifyNetworkChanged(updated);
     }
 
     // If network changed, reset balance and transactions
@@ -1095,50 +997,63 @@ function App() {
       const { generateWallet, importFromPrivateKey, importFromMnemonic } = await import('./utils/crypto.js');
 
       let newWallet;
+      let restoredAccounts = [];
 
       if (options.type === 'create') {
         // Generate new wallet
-        newWallet = await generateWallet();
+        newWallet = await generateWallet(options.passphrase, options.wordCount);
       } else if (options.type === 'import') {
         // Import from private key
         newWallet = await importFromPrivateKey(options.privateKey);
       } else if (options.type === 'import_mnemonic') {
         // Import from mnemonic
-        newWallet = await importFromMnemonic(options.mnemonic);
-      } else {
+        newWallet = await importFromMnemonic(options.mnemonic, options.passphrase, options.derivation || {});
+      } else if (options.type === 'keystore') {
+        // Encrypted keystore file (may carry a recovery phrase)
+        const { decryptKeystore } = await import('./utils/keystore.js');
+        newWallet = await decryptKeystore(options.keystore, options.password);
+      } else if (options.type === 'watch') {
+        // Watch-only: address only, no key material
+        newWallet = { address: options.address, watchOnly: true, name: `Watch ${wallets.length + 1}` };
+      } else if (options.type !== 'account') {
         throw new Error('Invalid add wallet type');
       }
 
-      // Add to storage
-      await addWallet(newWallet, password);
+      if (newWallet && options.type !== 'create' && hdKeyringService.isRoot(newWallet)) {
+        // Restore every account of an imported phrase that was used before
+        restoredAccounts = (await hdKeyringService.scanAccounts(newWallet))
+          .filter(account => !wallets.some(w => w.address === account.address));
+      }
 
-      // SECURITY: Add key to KeyringService
-      keyringService.addKey(newWallet.address, newWallet.privateKeyB64, newWallet.publicKeyB64);
+      // SECURITY: The background keyring writes the vault (one write for the wallet and any restored accounts);
+      // the next HD account of an existing recovery phrase is derived there too, next to the seed
+      const session = options.type === 'account'
+        ? await keyringClient.deriveAccount(options.rootAddress)
+        : await keyringClient.addWallets([newWallet, ...restoredAccounts]);
 
       // Update state
-      const walletWithMeta = {
-        ...newWallet,
-        id: crypto.randomUUID(),
-        name: `Wallet ${wallets.length + 1}`
-      };
+      setWallets(session.wallets);
 
-      const newWallets = [...wallets, walletWithMeta];
-      setWallets(newWallets);
-
-      // Switch to new wallet
-      const newIndex = newWallets.length - 1;
+      // Switch to the new wallet
+      const newIndex = wallets.length;
       setActiveWalletIdx(newIndex);
       setActiveWalletIndex(newIndex);
       setBalance(0);
       setTransactions([]);
 
-      showToast('New wallet added successfully', 'success');
+      if (newWallet?.watchOnly) {
+        showToast('Watch-only wallet added', 'success');
+      } else if (restoredAccounts.length > 0) {
+        showToast(`Wallet added with ${restoredAccounts.length} more used account${restoredAccounts.length === 1 ? '' : 's'}`, 'success');
+      } else {
+        showToast(options.type === 'account' ? `${session.added[0].name} added` : 'New wallet added successfully', 'success');
+      }
     } catch (err) {
       console.error('Failed to add wallet:', err);
       showToast(err.message || 'Failed to add wallet', 'error');
       throw err;
     }
-  }, [password, wallets]);
+  }, [wallets]);
 
   // Rename wallet
   const handleRenameWallet = useCallback(async (index, newName) => {
@@ -1146,23 +1061,18 @@ function App() {
       const walletToUpdate = wallets[index];
       if (!walletToUpdate) return;
 
-      // Use ID if available, otherwise use address as fallback
-      const identifier = walletToUpdate.id || walletToUpdate.address;
-
-      // Update in storage
-      await updateWalletName(identifier, newName, password);
+      // Update in storage - the background keyring writes the vault
+      const session = await keyringClient.updateWallets([{ address: walletToUpdate.address, name: newName }]);
 
       // Update state
-      const updatedWallets = [...wallets];
-      updatedWallets[index] = { ...walletToUpdate, name: newName };
-      setWallets(updatedWallets);
+      setWallets(session.wallets);
 
       showToast('Wallet renamed successfully', 'success');
     } catch (err) {
       console.error('Failed to rename wallet:', err);
       showToast(err.message || 'Failed to rename wallet', 'error');
     }
-  }, [wallets, password, showToast]);
+  }, [wallets, showToast]);
 
   // Render loading state
   if (view === 'loading') {
@@ -1241,6 +1151,7 @@ function App() {
         <ImportWalletScreen
           onBack={() => setView('welcome')}
           onComplete={handleImportWallet}
+          onRestoreBackup={handleRestoreBackup}
         />
       )}
 
@@ -1254,6 +1165,7 @@ function App() {
           transactions={transactions}
           settings={settings}
           onLock={handleLock}
+          sessionExpiry={sessionExpiry}
           onUpdateSettings={handleUpdateSettings}
           onSwitchWallet={handleSwitchWallet}
           onAddWallet={handleAddWallet}
@@ -1277,12 +1189,27 @@ function App() {
         <SettingsScreen
           wallet={wallet}
           settings={settings}
-          password={password}
+          dataKey={dataKey}
           onUpdateSettings={handleUpdateSettings}
           onBack={() => setView('dashboard')}
           onDisconnect={handleDisconnect}
           onLock={handleLock}
+          autoLock={autoLock}
+          onChangeAutoLock={handleChangeAutoLock}
           onPasswordChange={handlePasswordChange}
+          onRestoreBackup={handleRestoreBackup}
+        />
+      )}
+
+      {/* dApp Approval Window */}
+      {view === 'dapp-request' && (
+        <DappRequestScreen
+          requestId={dappRequestId}
+          wallets={wallets}
+          activeWallet={wallet}
+          settings={settings}
+          dataKey={dataKey}
+          onClose={() => window.close()}
         />
       )}
     </div>
@@ -1,22 +1,73 @@
 /**
  * UBA Wallet Background Service Worker
- * Simplified version - Focus on background synchronization
+ * Background synchronization, the keyring and the dApp provider bridge
  */
 
+import { ProviderBridge } from './providerBridge';
+import { KeyringHost } from './keyringHost';
+import { isKeyringMessage } from './keyringProtocol';
+
 console.log('[Background] UBA Wallet Service Worker starting...');
 
+const AUTO_LOCK_ALARM = 'keyringAutoLock';
+
+const providerBridge = new ProviderBridge();
+
+// Decrypted keys and the unlock session; site signatures need the bridge's grant
+const keyringHost = new KeyringHost({
+    getGrant: async (origin) => {
+        await providerBridge.ready;
+        return providerBridge.getGrant(origin);
+    },
+    scheduleLock: (at) => (at ? chrome.alarms.create(AUTO_LOCK_ALARM, { when: at }) : chrome.alarms.clear(AUTO_LOCK_ALARM)),
+    setIdleInterval: (seconds) => {
+        if (seconds) chrome.idle.setDetectionInterval(seconds);
+    }
+});
+
+// Auto-lock: system idle, screen lock and sleep
+chrome.idle.onStateChanged.addListener((state) => {
+    keyringHost.handleIdleState(state)
+        .catch(error => console.error('[Background] Auto-lock on system idle failed:', error));
+});
+
 // Background task: Update balances in storage periodically
 chrome.alarms.create('bgBalanceSync', { periodInMinutes: 5 });
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
     if (alarm.name === 'bgBalanceSync') {
         console.log('[Background] Syncing balances in background to keep data fresh...');
+    } else if (alarm.name === AUTO_LOCK_ALARM) {
+        await keyringHost.ready;
+        await keyringHost.lockIfExpired();
     }
 });
 
-// Simple message handler
+// dApp pages: one port per tab from the content script
+chrome.runtime.onConnect.addListener((port) => {
+    providerBridge.addPort(port);
+});
+
+// Closing an approval window rejects its request
+chrome.windows.onRemoved.addListener((windowId) => {
+    providerBridge.handleWindowRemoved(windowId);
+});
+
+// Popup / approval window messages - extension pages only. Content scripts
+// (any web page) talk through the provider port, which is origin-checked.
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    sendResponse({ received: true, timestamp: Date.now() });
+    const fromExtensionPage = sender.id === chrome.runtime.id && !sender.tab && !!sender.url?.startsWith(chrome.runtime.getURL(''));
+    if (!fromExtensionPage) {
+        console.warn('[Background] Ignored message from', sender.origin || sender.url || 'unknown sender');
+        return false;
+    }
+
+    if (isKeyringMessage(request)) {
+        keyringHost.handleMessage(request).then(sendResponse);
+        return true;
+    }
+
+    sendResponse(providerBridge.handleWalletMessage(request) ?? { received: true, timestamp: Date.now() });
     return true;
 });
 
@@ -0,0 +1,437 @@
+/**
+ * Keyring Host - The Keyring and the Unlock Session in the Service Worker
+ *
+ * Owns the KeyringService instance that holds the decrypted keys and
+ * answers the typed messages of keyringProtocol.js. The popup only keeps
+ * what it needs to draw (see KeyringClient).
+ *
+ * SESSION:
+ * Unlocking verifies the password, decrypts the vault here and stores
+ * { password, expiresAt } in chrome.storage.session - memory only, gone
+ * when the browser closes, not readable by content scripts. A restarted
+ * worker reopens the vault from it.
+ *
+ * The popup never gets the password or a key (see status()). It gets the
+ * wallet metadata and the data key for its own stores (utils/storageSecure.js),
+ * and asks here for everything that needs more: vault writes, password
+ * change, password-confirmed exports and the privacy requests (privacyOps.js).
+ *
+ * AUTO-LOCK (utils/autoLock.js):
+ * The policy is kept in chrome.storage.local (it is not secret). With a
+ * timer, activity in the popup extends the session (TOUCH); an alarm, the
+ * next message or system idle locks it once the time is up. Screen lock
+ * and sleep lock every policy but 'never' (handleIdleState).
+ *
+ * dApp GRANTS:
+ * Signatures for a site ({ origin }) are checked against getGrant - the
+ * provider bridge's copy in the worker, PermissionService in the popup.
+ */
+
+import { keyringService, toPublicWallet } from '../services/KeyringService';
+import { permissionService, PermissionDeniedError } from '../services/PermissionService';
+import { hdKeyringService } from '../services/HDKeyringService';
+import {
+    loadWalletsSecure,
+    saveWalletsSecure,
+    verifyPasswordSecure,
+    changePasswordSecure,
+    loadDataKeySecure,
+    appendWallets,
+    updateWalletMetadata
+} from '../utils/storageSecure';
+import { mergeBackupWallets } from '../utils/backupBundle';
+import { getRpcClient } from '../utils/rpc';
+import { logInfo, logWarn } from '../utils/logger';
+import { isGranted, PROVIDER_METHODS, toDappSignedMessage } from '../provider/protocol';
+import { AUTO_LOCK } from '../constants';
+import { normalizeAutoLock, isTimedAutoLock, autoLockDuration } from '../utils/autoLock';
+import { KEYRING_MESSAGES, decodeSignPayload, serializeKeyringError } from './keyringProtocol';
+import { viewEncryptedBalance, getPendingTransfers, submitPrivacyOperation } from './privacyOps';
+
+const SESSION_KEY = 'octra_keyring_session';
+const AUTO_LOCK_KEY = 'octra_auto_lock';
+
+// One key of a chrome.storage area. session: memory only, survives worker
+// restarts, not readable by content scripts. local: the auto-lock policy.
+function chromeStore(area, key) {
+    if (typeof chrome === 'undefined' || !chrome.storage?.[area]) return null;
+    return {
+        get: async () => (await chrome.storage[area].get(key))[key] ?? null,
+        set: (value) => value !== null && value !== undefined
+            ? chrome.storage[area].set({ [key]: value })
+            : chrome.storage[area].remove(key)
+    };
+}
+
+/**
+ * Session / policy store for pages running outside the extension (dev server, tests)
+ */
+export function memorySessionStore() {
+    let value = null;
+    return {
+        get: async () => value,
+        set: async (next) => { value = next || null; }
+    };
+}
+
+class KeyringHost {
+    /**
+     * @param {object} deps - { keyring, sessionStore / policyStore: { get(), set(value) }, loadWallets(password),
+     *   saveWallets(wallets, password), verifyPassword(password), changePassword(current, next),
+     *   loadDataKey(password), rpc, getGrant(origin), now(), scheduleLock(at), setIdleInterval(seconds) }
+     *   (the chrome defaults are replaced in tests)
+     */
+    constructor(deps = {}) {
+        this.keyring = deps.keyring || keyringService;
+        this.sessionStore = 'sessionStore' in deps ? deps.sessionStore : chromeStore('session', SESSION_KEY);
+        this.policyStore = 'policyStore' in deps ? deps.policyStore : chromeStore('local', AUTO_LOCK_KEY);
+        this.loadWallets = deps.loadWallets || ((password) => loadWalletsSecure(password));
+        this.saveWallets = deps.saveWallets || ((wallets, password) => saveWalletsSecure(wallets, password));
+        this.verifyPassword = deps.verifyPassword || ((password) => verifyPasswordSecure(password));
+        this.changeVaultPassword = deps.changePassword || ((current, next) => changePasswordSecure(current, next));
+        this.loadDataKey = deps.loadDataKey || ((password) => loadDataKeySecure(password));
+        this._rpcClient = deps.rpc || null;
+        this.getGrant = deps.getGrant || ((origin) => permissionService.getGrant(origin));
+        this.now = deps.now || Date.now;
+        this.scheduleLock = deps.scheduleLock || (() => { });
+        this.setIdleInterval = deps.setIdleInterval || (() => { });
+
+        this.password = null;
+        this.dataKey = null;
+        this.wallets = [];
+        this.expiresAt = null;
+        this.autoLock = AUTO_LOCK.DEFAULT;
+
+        this.ready = this.restore();
+    }
+
+    // Worker's shared client - providerBridge applies the popup's endpoints to it (WALLET_MESSAGES.NETWORK_CHANGED)
+    get rpc() {
+        return this._rpcClient || getRpcClient();
+    }
+
+    // ===== Session =====
+
+    async restore() {
+        try {
+            this.autoLock = normalizeAutoLock(await this.policyStore?.get());
+            this.applyIdleInterval();
+
+            const saved = await this.sessionStore?.get();
+            if (!saved?.password) return;
+            if (this.isExpired(saved.expiresAt)) {
+                await this.sessionStore.set(null);
+                return;
+            }
+            await this.openVault(saved.password, saved.expiresAt);
+            logInfo('[KeyringHost] Session restored');
+        } catch (error) {
+            logWarn('[KeyringHost] Could not restore the session', error);
+        }
+    }
+
+    async persist() {
+        await this.sessionStore?.set(this.password ? { password: this.password, expiresAt: this.expiresAt } : null);
+        this.scheduleLock(this.password ? this.expiresAt : null);
+    }
+
+    /**
+     * Expiry for a session active now (null when the policy has no timer)
+     */
+    nextExpiry() {
+        const duration = autoLockDuration(this.autoLock);
+        return duration === null ? null : this.now() + duration;
+    }
+
+    isExpired(expiresAt) {
+        return expiresAt !== null && expiresAt !== undefined && expiresAt <= this.now();
+    }
+
+    async openVault(password, expiresAt) {
+        const wallets = await this.loadWallets(password);
+        const dataKey = await this.loadDataKey(password);
+        await this.keyring.unlock(password, wallets);
+        this.wallets = wallets.map(toPublicWallet);
+        this.password = password;
+        this.dataKey = dataKey;
+        this.expiresAt = expiresAt;
+    }
+
+    async unlock(password) {
+        if (!password || !(await this.verifyPassword(password))) {
+            throw new Error('Invalid password');
+        }
+        await this.openVault(password, this.nextExpiry());
+        await this.persist();
+        logInfo('[KeyringHost] Unlocked');
+        return this.status();
+    }
+
+    async lock() {
+        this.keyring.lock();
+        this.password = null;
+        this.dataKey = null;
+        this.wallets = [];
+        this.expiresAt = null;
+        await this.persist();
+    }
+
+    async touch() {
+        if (this.password) {
+            this.expiresAt = this.nextExpiry();
+            await this.persist();
+        }
+        return this.status();
+    }
+
+    // ===== Auto-lock =====
+
+    async setAutoLock(value) {
+        this.autoLock = normalizeAutoLock(value);
+        await this.policyStore?.set(this.autoLock);
+        this.applyIdleInterval();
+        logInfo(`[KeyringHost] Auto-lock: ${this.autoLock}`);
+        return this.touch();
+    }
+
+    // System idle reports follow the timer; screen lock is reported regardless
+    applyIdleInterval() {
+        this.setIdleInterval(isTimedAutoLock(this.autoLock) ? this.autoLock * 60 : null);
+    }
+
+    /**
+     * chrome.idle state change: 'active' | 'idle' | 'locked' (screen lock, sleep)
+     * @returns {Promise<boolean>} whether the keyring was locked
+     */
+    async handleIdleState(state) {
+        await this.ready;
+        const lockNow = this.keyring.isUnlocked() && (
+            (state === 'locked' && this.autoLock !== AUTO_LOCK.NEVER) ||
+            (state === 'idle' && isTimedAutoLock(this.autoLock))
+        );
+        if (!lockNow) return false;
+
+        logInfo(`[KeyringHost] Locking: system ${state}`);
+        await this.lock();
+        return true;
+    }
+
+    async lockIfExpired() {
+        if (this.password && this.isExpired(this.expiresAt)) {
+            logInfo('[KeyringHost] Session expired');
+            await this.lock();
+        }
+    }
+
+    /**
+     * What the popup may cache: wallet metadata and the data key, no key material
+     */
+    status() {
+        const unlocked = this.keyring.isUnlocked();
+        return {
+            unlocked,
+            expiresAt: this.expiresAt,
+            autoLock: this.autoLock,
+            addresses: unlocked ? this.keyring.getAddresses() : [],
+            watchOnly: unlocked ? this.keyring.getWatchOnlyAddresses() : [],
+            wallets: unlocked ? this.wallets : [],
+            dataKey: unlocked ? this.dataKey : null
+        };
+    }
+
+    // ===== Vault =====
+
+    requirePassword() {
+        if (!this.password) throw new Error('Keyring is locked');
+        return this.password;
+    }
+
+    /**
+     * Save the vault and load it into the keyring - the popup never writes it
+     */
+    async writeVault(wallets) {
+        const password = this.requirePassword();
+        await this.saveWallets(wallets, password);
+        await this.keyring.unlock(password, wallets);
+        this.wallets = wallets.map(toPublicWallet);
+    }
+
+    /**
+     * @returns {Promise<object>} status plus the added records (metadata only)
+     */
+    async addWallets(newWallets) {
+        const { wallets, added } = appendWallets(await this.loadWallets(this.requirePassword()), newWallets);
+        await this.writeVault(wallets);
+        logInfo(`[KeyringHost] Added ${added.length} wallet(s)`);
+        return { ...this.status(), added: added.map(toPublicWallet) };
+    }
+
+    /**
+     * Next HD account of a stored recovery phrase (the seed stays here)
+     */
+    async deriveAccount(rootAddress) {
+        const wallets = await this.loadWallets(this.requirePassword());
+        return this.addWallets([await hdKeyringService.deriveNextAccount(wallets, rootAddress)]);
+    }
+
+    /**
+     * @param {Array} updates - [{ address, name?, lastKnownBalance? }]
+     */
+    async updateWallets(updates) {
+        await this.writeVault(updateWalletMetadata(await this.loadWallets(this.requirePassword()), updates));
+        return this.status();
+    }
+
+    /**
+     * Vault part of a backup restore (utils/backupBundle.js)
+     */
+    async restoreWallets(wallets, mode) {
+        const current = await this.loadWallets(this.requirePassword());
+        await this.writeVault(mergeBackupWallets(current, wallets, mode));
+        logInfo(`[KeyringHost] Vault restored (${mode})`);
+        return this.status();
+    }
+
+    /**
+     * Re-encrypt the vault and reopen the session with the new password
+     */
+    async changePassword(currentPassword, newPassword) {
+        this.requirePassword();
+        await this.changeVaultPassword(currentPassword, newPassword);
+        await this.openVault(newPassword, this.expiresAt);
+        await this.persist();
+        logInfo('[KeyringHost] Password changed');
+        return this.status();
+    }
+
+    /**
+     * Full vault records for an export the user confirmed with the password
+     * (private key, recovery phrase, keystore, Shamir shares, backup file)
+     * @returns {Promise<object|Array>} the wallet for an address, else all of them
+     */
+    async exportWallets(password, address = null) {
+        if (!password || !(await this.verifyPassword(password))) {
+            throw new Error('Invalid password');
+        }
+        const wallets = await this.loadWallets(password);
+        if (!address) return wallets;
+
+        const wallet = wallets.find(w => w.address === address);
+        if (!wallet) throw new Error('Wallet not found');
+        return wallet;
+    }
+
+    // ===== Privacy =====
+
+    /**
+     * Seed of a signing account for the key-bound privacy requests - used here only
+     */
+    privateKeyFor(address, reason) {
+        this.keyring.assertCanSign(address);
+        const privateKey = this.keyring.getPrivateKey(address, reason);
+        if (!privateKey) {
+            throw new Error(this.keyring.isUnlocked() ? 'No key found for this address' : 'Keyring is locked');
+        }
+        return privateKey;
+    }
+
+    // ===== Signing =====
+
+    /**
+     * @throws {WatchOnlyError|PermissionDeniedError} before any key is touched
+     */
+    async assertCanSign(address, origin, method) {
+        this.keyring.assertCanSign(address);
+        if (origin && !isGranted(await this.getGrant(origin), method, address)) {
+            throw new PermissionDeniedError(origin, method);
+        }
+    }
+
+    async dispatch(message) {
+        const { address, origin = null } = message;
+
+        switch (message.type) {
+            case KEYRING_MESSAGES.GET_SESSION:
+                return this.status();
+
+            case KEYRING_MESSAGES.UNLOCK:
+                return this.unlock(message.password);
+
+            case KEYRING_MESSAGES.LOCK:
+                await this.lock();
+                return this.status();
+
+            case KEYRING_MESSAGES.TOUCH:
+                return this.touch();
+
+            case KEYRING_MESSAGES.SET_AUTO_LOCK:
+                return this.setAutoLock(message.autoLock);
+
+            case KEYRING_MESSAGES.SET_ACTIVE_WALLET:
+                return this.keyring.setActiveWallet(address);
+
+            case KEYRING_MESSAGES.ADD_WALLETS:
+                return this.addWallets(message.wallets);
+
+            case KEYRING_MESSAGES.DERIVE_ACCOUNT:
+                return this.deriveAccount(message.rootAddress);
+
+            case KEYRING_MESSAGES.UPDATE_WALLETS:
+                return this.updateWallets(message.updates);
+
+            case KEYRING_MESSAGES.RESTORE_WALLETS:
+                return this.restoreWallets(message.wallets, message.mode);
+
+            case KEYRING_MESSAGES.CHANGE_PASSWORD:
+                return this.changePassword(message.currentPassword, message.newPassword);
+
+            case KEYRING_MESSAGES.EXPORT_WALLETS:
+                return this.exportWallets(message.password, address);
+
+            case KEYRING_MESSAGES.SIGN_TRANSACTION:
+                await this.assertCanSign(address, origin, PROVIDER_METHODS.SEND_TRANSACTION);
+                return this.keyring.signTransaction(address, message.txParams);
+
+            case KEYRING_MESSAGES.SIGN_MESSAGE: {
+                await this.assertCanSign(address, origin, PROVIDER_METHODS.SIGN_MESSAGE);
+                const payload = decodeSignPayload(message.payload);
+                // Sites get domain-separated signatures, the wallet's own screens raw ones
+                return this.keyring.signMessage(address, origin ? toDappSignedMessage(payload) : payload);
+            }
+
+            case KEYRING_MESSAGES.SIGN_CONTRACT_CALL:
+                await this.assertCanSign(address, origin, PROVIDER_METHODS.CALL_CONTRACT);
+                return this.keyring.signContractCall(address, message.callParams);
+
+            case KEYRING_MESSAGES.GET_PUBLIC_KEY:
+                return this.keyring.getPublicKey(address);
+
+            case KEYRING_MESSAGES.PRIVACY_BALANCE:
+                return viewEncryptedBalance(this.rpc, address, this.privateKeyFor(address, 'privacyBalance'));
+
+            case KEYRING_MESSAGES.PRIVACY_PENDING:
+                return getPendingTransfers(this.rpc, address, this.privateKeyFor(address, 'privacyPending'));
+
+            case KEYRING_MESSAGES.PRIVACY_SUBMIT:
+                return submitPrivacyOperation(this.rpc, address, this.privateKeyFor(address, message.request.operation), message.request);
+
+            default:
+                throw new Error(`Unknown keyring message: ${message.type}`);
+        }
+    }
+
+    /**
+     * @returns {Promise<{ ok: true, result } | { ok: false, error }>}
+     */
+    async handleMessage(message) {
+        await this.ready;
+        try {
+            await this.lockIfExpired();
+            return { ok: true, result: await this.dispatch(message) };
+        } catch (error) {
+            return { ok: false, error: serializeKeyringError(error) };
+        }
+    }
+}
+
+export { KeyringHost };
@@ -0,0 +1,99 @@
+/**
+ * Keyring Protocol - Typed Messages Between the Popup and the Worker Keyring
+ *
+ * The decrypted keys and the session password live in the service worker
+ * (KeyringHost). Extension pages reach them with chrome.runtime.sendMessage
+ * through KeyringClient; web pages never can (background.js drops every
+ * message that is not from an extension page).
+ *
+ * Neither ever comes back: replies carry wallet metadata, signatures and
+ * the results of the key-bound privacy requests. Vault writes are messages
+ * too. Only an export the user confirms with the password (EXPORT_WALLETS)
+ * returns key material.
+ *
+ * MESSAGES:
+ *   request  { type: KEYRING_MESSAGES.*, ...fields }
+ *   reply    { ok: true, result } or { ok: false, error: { name, message, address?, origin?, method?, status?, path? } }
+ *
+ * Messages are JSON-serialized on the way, so byte payloads (signMessage)
+ * travel as base64 and errors are rebuilt on the popup side.
+ */
+
+import { Buffer } from 'buffer';
+import { WatchOnlyError } from '../services/KeyringService';
+import { PermissionDeniedError } from '../services/PermissionService';
+import { RpcTimeoutError, RpcUnknownOutcomeError } from '../utils/rpcErrors';
+
+export const KEYRING_MESSAGES = {
+    GET_SESSION: 'keyring:getSession',
+    UNLOCK: 'keyring:unlock',
+    LOCK: 'keyring:lock',
+    TOUCH: 'keyring:touch',
+    SET_AUTO_LOCK: 'keyring:setAutoLock',
+    SET_ACTIVE_WALLET: 'keyring:setActiveWallet',
+    ADD_WALLETS: 'keyring:addWallets',
+    DERIVE_ACCOUNT: 'keyring:deriveAccount',
+    UPDATE_WALLETS: 'keyring:updateWallets',
+    RESTORE_WALLETS: 'keyring:restoreWallets',
+    CHANGE_PASSWORD: 'keyring:changePassword',
+    EXPORT_WALLETS: 'keyring:exportWallets',
+    SIGN_TRANSACTION: 'keyring:signTransaction',
+    SIGN_MESSAGE: 'keyring:signMessage',
+    SIGN_CONTRACT_CALL: 'keyring:signContractCall',
+    GET_PUBLIC_KEY: 'keyring:getPublicKey',
+    PRIVACY_BALANCE: 'keyring:privacyBalance',
+    PRIVACY_PENDING: 'keyring:privacyPending',
+    PRIVACY_SUBMIT: 'keyring:privacySubmit'
+};
+
+const KEYRING_MESSAGE_TYPES = new Set(Object.values(KEYRING_MESSAGES));
+
+export function isKeyringMessage(message) {
+    return KEYRING_MESSAGE_TYPES.has(message?.type);
+}
+
+/**
+ * signMessage input (string or bytes) in a JSON-safe form
+ */
+export function encodeSignPayload(message) {
+    return typeof message === 'string'
+        ? { text: message }
+        : { base64: Buffer.from(message).toString('base64') };
+}
+
+export function decodeSignPayload(payload) {
+    if (typeof payload?.text === 'string') return payload.text;
+    if (typeof payload?.base64 === 'string') return new Uint8Array(Buffer.from(payload.base64, 'base64'));
+    throw new Error('Invalid message payload');
+}
+
+export function serializeKeyringError(error) {
+    return {
+        name: error?.name || 'Error',
+        message: error?.message || 'Keyring error',
+        address: error?.address,
+        origin: error?.origin,
+        method: error?.method,
+        status: error?.status,
+        path: error?.path
+    };
+}
+
+/**
+ * Rebuild the worker's error so callers can keep using instanceof
+ */
+export function deserializeKeyringError(error) {
+    switch (error?.name) {
+        case 'WatchOnlyError':
+            return new WatchOnlyError(error.address);
+        case 'PermissionDeniedError':
+            return new PermissionDeniedError(error.origin, error.method);
+        // Privacy writes: NonceManager keeps the nonce of an unanswered send
+        case 'RpcTimeoutError':
+            return new RpcTimeoutError(error.message, { status: error.status, path: error.path });
+        case 'RpcUnknownOutcomeError':
+            return new RpcUnknownOutcomeError(error.message, { status: error.status, path: error.path });
+        default:
+            return new Error(error?.message || 'Keyring error');
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Privacy Operations - Key-Bound Privacy Requests, Sent From the Worker
+ *
+ * Octra's privacy endpoints take the account key itself: the seed in the
+ * X-Private-Key header to read the encrypted balance and pending transfers,
+ * the 64-byte secret key in the body of shield, unshield, private transfer
+ * and claim. KeyringHost builds and sends these requests next to the keys;
+ * PrivacyService in the popup keeps the nonces, caches and logs.
+ *
+ * ENCRYPTED BALANCE (v2, matching octra_pre_client):
+ * key = SHA256("octra_encrypted_balance_v2" + seed), value "v2|" + base64(nonce + AES-GCM ciphertext)
+ */
+
+import nacl from 'tweetnacl';
+import { RPC_PRIORITY } from '../utils/rpc';
+import { base64ToBuffer, bufferToBase64 } from '../utils/crypto';
+import { toRpcWriteError } from '../utils/rpcErrors';
+import { logSensitive } from '../utils/logger';
+
+export const PRIVACY_OPERATIONS = {
+    SHIELD: 'shield',
+    UNSHIELD: 'unshield',
+    TRANSFER: 'private',
+    CLAIM: 'claim'
+};
+
+const OPERATION_FAILURES = {
+    [PRIVACY_OPERATIONS.SHIELD]: 'Shield operation failed',
+    [PRIVACY_OPERATIONS.UNSHIELD]: 'Unshield operation failed',
+    [PRIVACY_OPERATIONS.TRANSFER]: 'Privacy transfer failed',
+    [PRIVACY_OPERATIONS.CLAIM]: 'Claim failed'
+};
+
+/**
+ * Derive encryption key from private key (matching Octra protocol)
+ * Uses: SHA256("octra_encrypted_balance_v2" + privateKeyBytes)[:32]
+ */
+async function deriveEncryptionKey(privateKeyB64) {
+    const privateKeyBytes = base64ToBuffer(privateKeyB64);
+    const salt = new TextEncoder().encode('octra_encrypted_balance_v2');
+
+    // Concatenate salt + privateKey
+    const combined = new Uint8Array(salt.length + privateKeyBytes.length);
+    combined.set(salt);
+    combined.set(privateKeyBytes, salt.length);
+
+    // SHA256 hash
+    const hashBuffer = await crypto.subtle.digest('SHA-256', combined);
+    return new Uint8Array(hashBuffer).slice(0, 32);
+}
+
+/**
+ * Encrypt balance value for storage (v2 format)
+ * Format: "v2|" + base64(nonce + ciphertext)
+ */
+export async function encryptBalance(balance, privateKeyB64) {
+    const key = await deriveEncryptionKey(privateKeyB64);
+    const nonce = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(String(balance));
+
+    // Import key for AES-GCM
+    const cryptoKey = await crypto.subtle.importKey(
+        'raw',
+        key,
+        { name: 'AES-GCM' },
+        false,
+        ['encrypt']
+    );
+
+    // Encrypt
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: nonce },
+        cryptoKey,
+        plaintext
+    );
+
+    // Combine nonce + ciphertext
+    const combined = new Uint8Array(nonce.length + ciphertext.byteLength);
+    combined.set(nonce);
+    combined.set(new Uint8Array(ciphertext), nonce.length);
+
+    return 'v2|' + bufferToBase64(combined);
+}
+
+/**
+ * Mainnet parsers expect the full 64-byte secret key (seed + public component)
+ */
+function expandKey(privateKeyB64) {
+    const keyPair = nacl.sign.keyPair.fromSeed(base64ToBuffer(privateKeyB64));
+    return {
+        secretKey: bufferToBase64(keyPair.secretKey),
+        publicKey: bufferToBase64(keyPair.publicKey)
+    };
+}
+
+/**
+ * GET /view_encrypted_balance - the node's answer, null when the address has none (404)
+ */
+export async function viewEncryptedBalance(rpcClient, address, privateKeyB64) {
+    const result = await rpcClient.get(
+        `/view_encrypted_balance/${address}`,
+        { 'X-Private-Key': privateKeyB64 }
+    );
+
+    if (result.ok) return result.json;
+    if (result.status === 404) return null;
+    throw new Error(result.error || `HTTP ${result.status}`);
+}
+
+/**
+ * GET /pending_private_transfers - [] when there are none or the node does not answer
+ */
+export async function getPendingTransfers(rpcClient, address, privateKeyB64) {
+    const result = await rpcClient.get(
+        `/pending_private_transfers?address=${address}`,
+        { 'X-Private-Key': privateKeyB64 }
+    );
+    return (result.ok && result.json?.pending_transfers) || [];
+}
+
+/**
+ * Build and POST one privacy operation
+ * @param {object} request - { operation: PRIVACY_OPERATIONS.*, nonce, amountRaw,
+ *   encryptedBalanceRaw (shield / unshield: the encrypted balance after it),
+ *   to, toPublicKey (transfer), transferId (claim) } - raw amounts as strings
+ * @returns {Promise<object>} the node's answer ({ tx_hash })
+ * @throws {RpcUnknownOutcomeError} when it may have been accepted anyway - do not re-send
+ */
+export async function submitPrivacyOperation(rpcClient, address, privateKeyB64, request) {
+    const { operation, nonce } = request;
+    const { secretKey, publicKey } = expandKey(privateKeyB64);
+    const timestamp = Date.now() / 1000;
+
+    let path;
+    let data;
+    switch (operation) {
+        case PRIVACY_OPERATIONS.SHIELD:
+        case PRIVACY_OPERATIONS.UNSHIELD:
+            path = operation === PRIVACY_OPERATIONS.SHIELD ? '/encrypt_balance' : '/decrypt_balance';
+            data = {
+                address,
+                amount: String(request.amountRaw),
+                private_key: secretKey,
+                public_key: publicKey,
+                nonce,
+                timestamp,
+                encrypted_data: await encryptBalance(BigInt(request.encryptedBalanceRaw), privateKeyB64)
+            };
+            break;
+
+        case PRIVACY_OPERATIONS.TRANSFER:
+            path = '/private_transfer';
+            data = {
+                from: address,
+                to: request.to,
+                amount: String(request.amountRaw),
+                from_private_key: secretKey,
+                from_public_key: publicKey,
+                to_public_key: request.toPublicKey,
+                nonce,
+                timestamp
+            };
+            break;
+
+        case PRIVACY_OPERATIONS.CLAIM:
+            path = '/claim_private_transfer';
+            data = {
+                recipient_address: address,
+                private_key: secretKey,
+                public_key: publicKey,
+                transfer_id: request.transferId,
+                nonce,
+                timestamp
+            };
+            break;
+
+        default:
+            throw new Error(`Unknown privacy operation: ${operation}`);
+    }
+
+    logSensitive(`Privacy ${operation} request:`, data);
+
+    // Not idempotent: never retried, failed over only if nothing was sent
+    const result = await rpcClient.post(path, data, {}, null, { priority: RPC_PRIORITY.CRITICAL, retry: false, idempotent: false });
+    if (result.ok && result.json?.tx_hash) return result.json;
+
+    throw toRpcWriteError(result, path, OPERATION_FAILURES[operation]);
+}
@@ -0,0 +1,372 @@
+/**
+ * Provider Bridge - Routes dApp Requests in the Service Worker
+ *
+ * Every tab running the content script holds a PROVIDER_PORT port. The
+ * bridge validates each request, answers read-only ones itself and parks
+ * the rest until the user decides in an approval window (see
+ * provider/protocol.js for the message shapes).
+ *
+ * GRANTS:
+ * A site is connected while it holds a grant (protocol.js createGrant):
+ * the accounts picked in the connect window and the methods it may ask
+ * for. The popup owns the encrypted grant store and pushes it here with
+ * SET_PERMISSIONS; the worker keeps a copy in chrome.storage.session so a
+ * restarted worker still knows its sites. A site that disconnects itself
+ * is dropped here at once and reported back on the next sync so the popup
+ * can revoke it for good.
+ *
+ * APPROVALS:
+ * One window per request, opened at index.html?request=<id>. The popup
+ * reads the request, acts on it and resolves or rejects it. Closing the
+ * window rejects with USER_REJECTED.
+ */
+
+import { getRpcClient, applyRpcSettings } from '../utils/rpc';
+import { logInfo, logWarn } from '../utils/logger';
+import {
+    PROVIDER_PORT,
+    PROVIDER_METHODS,
+    GRANTABLE_METHODS,
+    PROVIDER_EVENTS,
+    PROVIDER_ERRORS,
+    APPROVAL_METHODS,
+    WALLET_MESSAGES,
+    ProviderRpcError,
+    serializeProviderError,
+    userRejectedError,
+    validateProviderParams,
+    createGrant,
+    normalizeGrants,
+    isGranted
+} from '../provider/protocol';
+
+const APPROVAL_WINDOW = { type: 'popup', width: 360, height: 600 };
+const SESSION_KEY = 'octra_dapp_grants';
+
+// chrome.storage.session: memory only, survives worker restarts, not readable by content scripts
+function chromeSessionStore() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.session) return null;
+    return {
+        get: async () => (await chrome.storage.session.get(SESSION_KEY))[SESSION_KEY] || null,
+        set: (value) => chrome.storage.session.set({ [SESSION_KEY]: value })
+    };
+}
+
+/**
+ * Origin of a port or message sender (null for senders without a page)
+ */
+export function getSenderOrigin(sender) {
+    if (sender?.origin) return sender.origin;
+    try {
+        return new URL(sender?.url).origin;
+    } catch {
+        return null;
+    }
+}
+
+class ProviderBridge {
+    /**
+     * @param {object} deps - { openWindow(url) -> windowId, closeWindow(windowId), getBalance(address),
+     *   sessionStore: { get(), set(value) } } (the chrome / RPC defaults are replaced in tests)
+     */
+    constructor(deps = {}) {
+        this.openWindow = deps.openWindow || (async (url) => (await chrome.windows.create({ url, ...APPROVAL_WINDOW })).id);
+        this.closeWindow = deps.closeWindow || ((windowId) => chrome.windows.remove(windowId).catch(() => { }));
+        this.getBalance = deps.getBalance || ((address) => getRpcClient().getBalance(address));
+        this.approvalUrl = deps.approvalUrl || ((id) => chrome.runtime.getURL(`index.html?request=${id}`));
+        this.sessionStore = 'sessionStore' in deps ? deps.sessionStore : chromeSessionStore();
+
+        this.grants = new Map(); // origin -> grant
+        this.siteRevocations = new Map(); // origin -> disconnectedAt, until the popup revoked it
+        this.ports = new Map(); // origin -> Set of ports
+        this.pending = new Map(); // request id -> { id, origin, method, params, accounts, windowId, resolve, reject }
+        this.network = 'testnet';
+
+        this.ready = this.restore();
+    }
+
+    // ===== Grants =====
+
+    async restore() {
+        try {
+            const saved = await this.sessionStore?.get();
+            if (!saved) return;
+            this.grants = new Map(Object.entries(normalizeGrants(saved.grants)));
+            this.siteRevocations = new Map(Object.entries(saved.revocations || {}));
+        } catch (error) {
+            logWarn('[ProviderBridge] Could not restore site grants', error);
+        }
+    }
+
+    persist() {
+        Promise.resolve(this.sessionStore?.set({
+            grants: Object.fromEntries(this.grants),
+            revocations: Object.fromEntries(this.siteRevocations)
+        })).catch(error => logWarn('[ProviderBridge] Could not store site grants', error));
+    }
+
+    getGrant(origin) {
+        return this.grants.get(origin) || null;
+    }
+
+    /**
+     * Replace every grant with the popup's copy and tell open tabs what changed
+     * @returns {string[]} origins that disconnected themselves since they were granted
+     */
+    setGrants(grants) {
+        const next = normalizeGrants(grants);
+        const revoked = [];
+        for (const [origin, disconnectedAt] of this.siteRevocations) {
+            if (next[origin] && next[origin].grantedAt <= disconnectedAt) {
+                delete next[origin];
+                revoked.push(origin);
+            }
+        }
+        this.siteRevocations.clear();
+
+        const previous = this.grants;
+        this.grants = new Map(Object.entries(next));
+        this.persist();
+
+        for (const origin of new Set([...previous.keys(), ...this.grants.keys()])) {
+            const before = previous.get(origin)?.accounts || [];
+            const after = this.getAccounts(origin);
+            if (before.join() === after.join()) continue;
+
+            if (after.length === 0) {
+                this.emitDisconnect(origin);
+            } else {
+                if (before.length === 0) this.emit(origin, PROVIDER_EVENTS.CONNECT, { network: this.network });
+                this.emit(origin, PROVIDER_EVENTS.ACCOUNTS_CHANGED, after);
+            }
+        }
+        return revoked;
+    }
+
+    // ===== Ports (content scripts) =====
+
+    /**
+     * Attach a content script port; requests on it are answered on the same port
+     */
+    addPort(port) {
+        const origin = getSenderOrigin(port.sender);
+        if (port.name !== PROVIDER_PORT || !origin) {
+            port.disconnect();
+            return;
+        }
+
+        if (!this.ports.has(origin)) this.ports.set(origin, new Set());
+        this.ports.get(origin).add(port);
+
+        port.onMessage.addListener(async (message) => {
+            if (!message || typeof message.id === 'undefined') return;
+            try {
+                const result = await this.handleRequest(origin, message.method, message.params);
+                port.postMessage({ id: message.id, result });
+            } catch (error) {
+                port.postMessage({ id: message.id, error: serializeProviderError(error) });
+            }
+        });
+
+        port.onDisconnect.addListener(() => {
+            this.ports.get(origin)?.delete(port);
+            if (this.ports.get(origin)?.size === 0) this.ports.delete(origin);
+        });
+    }
+
+    /**
+     * Push an event to every open tab of an origin
+     */
+    emit(origin, event, data) {
+        for (const port of this.ports.get(origin) || []) {
+            try {
+                port.postMessage({ event, data });
+            } catch {
+                // Port closed between lookup and post
+            }
+        }
+    }
+
+    // ===== Requests =====
+
+    getAccounts(origin) {
+        return this.getGrant(origin)?.accounts || [];
+    }
+
+    /**
+     * Answer one dApp request
+     * @throws {ProviderRpcError}
+     */
+    async handleRequest(origin, method, rawParams) {
+        const params = validateProviderParams(method, rawParams ?? {});
+        await this.ready;
+        const accounts = this.getAccounts(origin);
+
+        if (method === PROVIDER_METHODS.ACCOUNTS) {
+            return accounts;
+        }
+        if (method === PROVIDER_METHODS.CONNECT) {
+            return accounts.length > 0 ? accounts : this.requestApproval(origin, method, params);
+        }
+        if (accounts.length === 0) {
+            throw new ProviderRpcError(PROVIDER_ERRORS.UNAUTHORIZED, 'Connect to the wallet first (octra_connect)');
+        }
+
+        if (method === PROVIDER_METHODS.DISCONNECT) {
+            this.disconnect(origin);
+            return true;
+        }
+        if (method === PROVIDER_METHODS.GET_BALANCE) {
+            const address = params.address || accounts[0];
+            if (!isGranted(this.getGrant(origin), null, address)) {
+                throw new ProviderRpcError(PROVIDER_ERRORS.UNAUTHORIZED, `This site was not allowed to read ${address}`);
+            }
+            const { balanceRaw, nonce } = await this.getBalance(address);
+            return { balanceRaw, nonce };
+        }
+        if (APPROVAL_METHODS.includes(method)) {
+            if (!isGranted(this.getGrant(origin), method)) {
+                throw new ProviderRpcError(PROVIDER_ERRORS.UNAUTHORIZED, `This site was not allowed to use ${method}`);
+            }
+            return this.requestApproval(origin, method, params);
+        }
+        throw new ProviderRpcError(PROVIDER_ERRORS.UNSUPPORTED_METHOD, `Unsupported method: ${method}`);
+    }
+
+    /**
+     * The site asked to disconnect: drop its grant now, revoke it in the popup on the next sync
+     */
+    disconnect(origin) {
+        if (!this.grants.delete(origin)) return;
+        this.siteRevocations.set(origin, Date.now());
+        this.persist();
+        logInfo(`[ProviderBridge] Disconnected ${origin}`);
+        this.emitDisconnect(origin);
+    }
+
+    emitDisconnect(origin) {
+        this.emit(origin, PROVIDER_EVENTS.ACCOUNTS_CHANGED, []);
+        this.emit(origin, PROVIDER_EVENTS.DISCONNECT, { code: PROVIDER_ERRORS.DISCONNECTED, message: 'Disconnected from the wallet' });
+    }
+
+    // ===== Approvals =====
+
+    /**
+     * Park a request and open its approval window
+     * @returns {Promise} settles when the popup resolves or rejects it
+     */
+    requestApproval(origin, method, params) {
+        const id = crypto.randomUUID();
+
+        return new Promise((resolve, reject) => {
+            const request = { id, origin, method, params, accounts: this.getAccounts(origin), windowId: null, resolve, reject };
+            this.pending.set(id, request);
+
+            Promise.resolve(this.openWindow(this.approvalUrl(id)))
+                .then((windowId) => {
+                    request.windowId = windowId;
+                    // Closed before the id arrived
+                    if (!this.pending.has(id)) this.closeWindow(windowId);
+                })
+                .catch((error) => {
+                    logWarn('[ProviderBridge] Could not open the approval window', error);
+                    this.settle(id, null, new ProviderRpcError(PROVIDER_ERRORS.INTERNAL, 'Could not open the wallet'));
+                });
+        });
+    }
+
+    /**
+     * What the approval window shows (no callbacks)
+     */
+    getRequest(id) {
+        const request = this.pending.get(id);
+        if (!request) return null;
+        const { origin, method, params, accounts } = request;
+        return { id, origin, method, params, accounts, network: this.network };
+    }
+
+    settle(id, result, error = null) {
+        const request = this.pending.get(id);
+        if (!request) return false;
+        this.pending.delete(id);
+
+        if (!error && request.method === PROVIDER_METHODS.CONNECT && !(result?.accounts?.length > 0)) {
+            error = new ProviderRpcError(PROVIDER_ERRORS.INTERNAL, 'No account was selected');
+        }
+
+        if (error) {
+            request.reject(error);
+        } else {
+            if (request.method === PROVIDER_METHODS.CONNECT) {
+                // The popup usually synced this grant already; only announce what changed
+                const before = this.getAccounts(request.origin);
+                this.grants.set(request.origin, createGrant(request.origin, result.accounts, result.methods || GRANTABLE_METHODS));
+                this.siteRevocations.delete(request.origin);
+                this.persist();
+                logInfo(`[ProviderBridge] Connected ${request.origin}`);
+
+                result = this.getAccounts(request.origin);
+                if (before.length === 0) this.emit(request.origin, PROVIDER_EVENTS.CONNECT, { network: this.network });
+                if (before.join() !== result.join()) this.emit(request.origin, PROVIDER_EVENTS.ACCOUNTS_CHANGED, result);
+            }
+            request.resolve(result);
+        }
+
+        if (request.windowId !== null) this.closeWindow(request.windowId);
+        return true;
+    }
+
+    /**
+     * A closed approval window counts as a rejection
+     */
+    handleWindowRemoved(windowId) {
+        for (const request of this.pending.values()) {
+            if (request.windowId === windowId) {
+                request.windowId = null;
+                this.settle(request.id, null, userRejectedError());
+            }
+        }
+    }
+
+    // ===== Popup messages =====
+
+    /**
+     * Runtime messages from extension pages (the popup / approval window)
+     * @returns {*} the reply, or undefined for messages this bridge does not handle
+     */
+    handleWalletMessage(message) {
+        switch (message?.type) {
+            case WALLET_MESSAGES.GET_REQUEST:
+                return { request: this.getRequest(message.id) };
+
+            case WALLET_MESSAGES.RESOLVE:
+                return { ok: this.settle(message.id, message.result) };
+
+            case WALLET_MESSAGES.REJECT:
+                return {
+                    ok: this.settle(message.id, null, message.error
+                        ? new ProviderRpcError(message.error.code ?? PROVIDER_ERRORS.INTERNAL, message.error.message)
+                        : userRejectedError())
+                };
+
+            case WALLET_MESSAGES.SET_PERMISSIONS:
+                return { ok: true, revoked: this.setGrants(message.grants) };
+
+            case WALLET_MESSAGES.NETWORK_CHANGED:
+                // Balance lookups follow the popup's endpoints
+                if (message.settings) applyRpcSettings(message.settings);
+                if (message.network && message.network !== this.network) {
+                    this.network = message.network;
+                    for (const origin of this.grants.keys()) {
+                        this.emit(origin, PROVIDER_EVENTS.NETWORK_CHANGED, message.network);
+                    }
+                }
+                return { ok: true };
+
+            default:
+                return undefined;
+        }
+    }
+}
+
+export { ProviderBridge };
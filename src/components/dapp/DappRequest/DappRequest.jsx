@@ -0,0 +1,268 @@
+/**
+ * dApp Request Approval Screen
+ * Shown when the popup is opened as an approval window
+ * (index.html?request=<id>). Connect requests pick the account the site
+ * may see and what it may ask for. Transfers, contract calls and message
+ * signatures show the decoded request, fee levels (transfers), the
+ * expected balance change and warnings from utils/dappReview; requests
+ * with a danger warning need an extra acknowledgement.
+ */
+
+import { useEffect, useMemo, useState } from 'react';
+import { GlobeIcon, CheckIcon, AlertIcon, SignatureIcon, SendIcon, ContractIcon, WalletIcon } from '../../shared/Icons';
+import { truncateAddress } from '../../../utils/crypto';
+import { reviewDappRequest } from '../../../utils/dappReview';
+import { dappService } from '../../../services/DappService';
+import { permissionService } from '../../../services/PermissionService';
+import { PROVIDER_METHODS, GRANTABLE_METHODS, GRANT_LABELS } from '../../../provider/protocol';
+import { RequestDetails, FeeSelector, BalanceSimulation, ReviewWarnings } from './RequestReview';
+import './DappRequest.css';
+
+const REQUEST_TITLES = {
+    [PROVIDER_METHODS.CONNECT]: 'Connection Request',
+    [PROVIDER_METHODS.SIGN_MESSAGE]: 'Signature Request',
+    [PROVIDER_METHODS.SEND_TRANSACTION]: 'Transaction Request',
+    [PROVIDER_METHODS.CALL_CONTRACT]: 'Contract Call Request'
+};
+
+const REQUEST_ICONS = {
+    [PROVIDER_METHODS.CONNECT]: WalletIcon,
+    [PROVIDER_METHODS.SIGN_MESSAGE]: SignatureIcon,
+    [PROVIDER_METHODS.SEND_TRANSACTION]: SendIcon,
+    [PROVIDER_METHODS.CALL_CONTRACT]: ContractIcon
+};
+
+/**
+ * @param {string} requestId - from the approval window URL
+ * @param {object} activeWallet - preselected for connect requests
+ */
+export function DappRequestScreen({ requestId, wallets, activeWallet, settings, dataKey, onClose }) {
+    const [request, setRequest] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+    const [selected, setSelected] = useState(activeWallet?.watchOnly ? null : activeWallet?.address || null);
+    const [methods, setMethods] = useState(GRANTABLE_METHODS);
+    const [context, setContext] = useState(null);
+    const [feeLevel, setFeeLevel] = useState('medium');
+    const [riskAccepted, setRiskAccepted] = useState(false);
+    const [isWorking, setIsWorking] = useState(false);
+    const [isDone, setIsDone] = useState(false);
+    const [error, setError] = useState('');
+
+    // Grants are re-read so the keyring checks against the stored copy
+    useEffect(() => {
+        Promise.all([dappService.getRequest(requestId), permissionService.load(dataKey)])
+            .then(([pending]) => setRequest(pending))
+            .catch(() => setRequest(null))
+            .finally(() => setIsLoading(false));
+    }, [requestId, dataKey]);
+
+    const network = settings?.network || 'testnet';
+    const isConnect = request?.method === PROVIDER_METHODS.CONNECT;
+    const isTransfer = request?.method === PROVIDER_METHODS.SEND_TRANSACTION;
+
+    useEffect(() => {
+        if (!request || request.method === PROVIDER_METHODS.CONNECT) return;
+        dappService.loadReviewContext(request, network)
+            .then(setContext)
+            .catch(() => setContext({}));
+    }, [request, network]);
+
+    const feeOu = context?.feeEstimates?.ou?.[feeLevel] ?? null;
+    const review = useMemo(() => {
+        if (!request || isConnect) return null;
+        return reviewDappRequest(request, {
+            ...context,
+            feeRaw: feeOu ?? 0n,
+            ownAddresses: wallets.map(w => w.address)
+        });
+    }, [request, isConnect, context, feeOu, wallets]);
+
+    const signable = wallets.filter(w => !w.watchOnly);
+    const Icon = REQUEST_ICONS[request?.method] || GlobeIcon;
+    // Wait for the review; danger warnings need the acknowledgement
+    const canApprove = isConnect ? !!selected : !!context && (!review.hasDanger || riskAccepted);
+
+    const handleApprove = async () => {
+        setIsWorking(true);
+        setError('');
+        try {
+            await dappService.approve(request, {
+                accounts: selected ? [selected] : [],
+                methods,
+                dataKey,
+                network,
+                ou: isTransfer ? feeOu : null
+            });
+            setIsDone(true);
+            setTimeout(onClose, 1200);
+        } catch (err) {
+            setError(err.message || 'Request failed');
+        } finally {
+            setIsWorking(false);
+        }
+    };
+
+    const toggleMethod = (method) => {
+        setMethods(current => current.includes(method)
+            ? current.filter(m => m !== method)
+            : [...current, method]);
+    };
+
+    const handleReject = async () => {
+        await dappService.reject(requestId).catch(() => null);
+        onClose();
+    };
+
+    return (
+        <>
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <Icon size={20} />
+                    <span className="text-lg font-semibold">{REQUEST_TITLES[request?.method] || 'dApp Request'}</span>
+                </div>
+            </header>
+
+            <div className="wallet-content animate-fade-in">
+                {isLoading && (
+                    <div className="flex justify-center py-xl">
+                        <span className="loading-spinner" />
+                    </div>
+                )}
+
+                {!isLoading && !request && (
+                    <>
+                        <div className="security-notice">
+                            <p>This request was already answered or has expired.</p>
+                        </div>
+                        <button className="btn btn-secondary btn-lg btn-full" onClick={onClose}>
+                            Close
+                        </button>
+                    </>
+                )}
+
+                {request && isDone && (
+                    <>
+                        <div className="security-icon-container">
+                            <div className="security-icon-pulse">
+                                <CheckIcon size={32} />
+                            </div>
+                        </div>
+                        <p className="text-center text-secondary">Approved - returning to {request.origin}</p>
+                    </>
+                )}
+
+                {request && !isDone && (
+                    <>
+                        <div className="dapp-origin">
+                            <GlobeIcon size={18} />
+                            <span>{request.origin}</span>
+                        </div>
+
+                        {isConnect ? (
+                            <>
+                                <p className="text-sm text-secondary mb-md">
+                                    The site will see this account's address and balance and can ask you to sign with it.
+                                </p>
+                                <div className="dapp-accounts" role="radiogroup" aria-label="Account">
+                                    {signable.map((w) => (
+                                        <button
+                                            key={w.address}
+                                            type="button"
+                                            role="radio"
+                                            aria-checked={selected === w.address}
+                                            className={`dapp-account ${selected === w.address ? 'active' : ''}`}
+                                            onClick={() => setSelected(w.address)}
+                                            disabled={isWorking}
+                                        >
+                                            <span>
+                                                <span className="font-semibold">{w.name || 'Wallet'}</span>
+                                                <span className="text-mono text-xs text-tertiary"> {truncateAddress(w.address)}</span>
+                                            </span>
+                                            {selected === w.address && <CheckIcon size={16} />}
+                                        </button>
+                                    ))}
+                                </div>
+
+                                <p className="text-xs text-tertiary mb-xs">Allow this site to</p>
+                                <div className="dapp-grants">
+                                    {GRANTABLE_METHODS.map(method => (
+                                        <label key={method} className="dapp-grant">
+                                            <input
+                                                type="checkbox"
+                                                checked={methods.includes(method)}
+                                                onChange={() => toggleMethod(method)}
+                                                disabled={isWorking}
+                                            />
+                                            <span>{GRANT_LABELS[method]}</span>
+                                        </label>
+                                    ))}
+                                </div>
+                            </>
+                        ) : (
+                            <>
+                                <RequestDetails request={request} wallets={wallets} decoded={review?.decoded} />
+
+                                {isTransfer && (
+                                    <>
+                                        <p className="text-xs text-tertiary mb-xs">Network fee</p>
+                                        <FeeSelector
+                                            estimates={context?.feeEstimates}
+                                            selected={feeLevel}
+                                            onSelect={setFeeLevel}
+                                            disabled={isWorking}
+                                        />
+                                    </>
+                                )}
+
+                                {!context ? (
+                                    <div className="flex justify-center py-md">
+                                        <span className="loading-spinner" />
+                                    </div>
+                                ) : (
+                                    <>
+                                        <BalanceSimulation simulation={review.simulation} />
+                                        <ReviewWarnings warnings={review.warnings} />
+                                    </>
+                                )}
+
+                                {review?.hasDanger && (
+                                    <label className="dapp-risk-ack">
+                                        <input
+                                            type="checkbox"
+                                            checked={riskAccepted}
+                                            onChange={(e) => setRiskAccepted(e.target.checked)}
+                                            disabled={isWorking}
+                                        />
+                                        <span>I understand the risk and want to continue</span>
+                                    </label>
+                                )}
+                            </>
+                        )}
+
+                        {error && (
+                            <div className="flex items-center gap-sm text-error text-sm mb-md">
+                                <AlertIcon size={14} />
+                                <span>{error}</span>
+                            </div>
+                        )}
+
+                        <div className="dapp-actions">
+                            <button className="btn btn-secondary btn-lg flex-1" onClick={handleReject} disabled={isWorking}>
+                                Reject
+                            </button>
+                            <button
+                                className="btn btn-primary btn-lg flex-1"
+                                onClick={handleApprove}
+                                disabled={isWorking || !canApprove}
+                            >
+                                {isWorking ? <span className="loading-spinner" /> : (isConnect ? 'Connect' : 'Approve')}
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </>
+    );
+}
+
+export default DappRequestScreen;
@@ -0,0 +1,154 @@
+/**
+ * Review Panels for the dApp Approval Window
+ * Request details (decoded contract calls), fee levels for transfers,
+ * the balance simulation and the warning list from utils/dappReview.
+ */
+
+import { AlertIcon, InfoIcon, CheckIcon } from '../../shared/Icons';
+import { truncateAddress } from '../../../utils/crypto';
+import { formatUnits } from '../../../utils/amount';
+import { PROVIDER_METHODS } from '../../../provider/protocol';
+
+const FEE_LEVELS = [
+    { level: 'low', label: 'Slow' },
+    { level: 'medium', label: 'Normal' },
+    { level: 'high', label: 'Fast' }
+];
+
+function DetailRow({ label, value, mono = false, invalid = false }) {
+    return (
+        <div className="dapp-detail-row">
+            <span className="dapp-detail-label">{label}</span>
+            <span className={`dapp-detail-value ${mono ? 'text-mono' : ''} ${invalid ? 'text-error' : ''}`}>{value}</span>
+        </div>
+    );
+}
+
+export function RequestDetails({ request, wallets, decoded }) {
+    const { params } = request;
+    const account = wallets.find(w => w.address === request.accounts[0]);
+    const accountLabel = account?.name || truncateAddress(request.accounts[0] || '');
+
+    switch (request.method) {
+        case PROVIDER_METHODS.SIGN_MESSAGE:
+            return (
+                <div className="dapp-details">
+                    <DetailRow label="Account" value={accountLabel} />
+                    <p className="text-xs text-tertiary mt-sm mb-xs">Message</p>
+                    <pre className="dapp-message">{params.message}</pre>
+                </div>
+            );
+
+        case PROVIDER_METHODS.SEND_TRANSACTION:
+            return (
+                <div className="dapp-details">
+                    <DetailRow label="From" value={accountLabel} />
+                    <DetailRow label="To" value={truncateAddress(params.to, 10, 8)} mono />
+                    <DetailRow label="Amount" value={`${params.amount} OCT`} />
+                    {params.message && <DetailRow label="Memo" value={params.message} />}
+                </div>
+            );
+
+        case PROVIDER_METHODS.CALL_CONTRACT:
+            return (
+                <div className="dapp-details">
+                    <DetailRow label="Account" value={accountLabel} />
+                    <DetailRow
+                        label="Contract"
+                        value={decoded?.contractName
+                            ? `${decoded.contractName} (${truncateAddress(params.contract)})`
+                            : truncateAddress(params.contract, 10, 8)}
+                        mono={!decoded?.contractName}
+                    />
+                    <DetailRow label="Method" value={`${params.method}(${decoded?.known ? decoded.args.map(a => a.name).join(', ') : '…'})`} mono />
+                    {(decoded?.args || []).map((arg, i) => (
+                        <DetailRow
+                            key={i}
+                            label={arg.name}
+                            value={arg.type === 'address' && arg.valid ? truncateAddress(arg.display, 10, 8) : arg.display}
+                            mono={arg.type !== 'amount'}
+                            invalid={!arg.valid}
+                        />
+                    ))}
+                </div>
+            );
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Slow / Normal / Fast from RPCClient.getFeeEstimate()
+ */
+export function FeeSelector({ estimates, selected, onSelect, disabled }) {
+    if (!estimates?.ou) {
+        return (
+            <div className="dapp-details">
+                <DetailRow label="Network fee" value="Loading…" />
+            </div>
+        );
+    }
+
+    return (
+        <div className="dapp-fee-levels" role="radiogroup" aria-label="Network fee">
+            {FEE_LEVELS.map(({ level, label }) => {
+                const epochs = estimates.epochs?.[level];
+                return (
+                    <button
+                        key={level}
+                        type="button"
+                        role="radio"
+                        aria-checked={selected === level}
+                        className={`dapp-fee-level ${selected === level ? 'active' : ''}`}
+                        onClick={() => onSelect(level)}
+                        disabled={disabled}
+                    >
+                        <span className="font-semibold">{label}</span>
+                        <span className="text-xs">{formatUnits(estimates.ou[level])} OCT</span>
+                        {epochs && <span className="text-xs text-tertiary">≈ {epochs} {epochs === 1 ? 'epoch' : 'epochs'}</span>}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
+
+/**
+ * Balance before / after the request
+ */
+export function BalanceSimulation({ simulation }) {
+    if (!simulation) return null;
+    const symbol = simulation.symbol === 'OCT' ? 'OCT' : '';
+
+    return (
+        <div className="dapp-details">
+            <p className="text-xs text-tertiary mb-xs">Expected balance change ({simulation.symbol})</p>
+            <DetailRow label="Current" value={`${formatUnits(simulation.before)} ${symbol}`} />
+            <DetailRow label="Change" value={`-${formatUnits(simulation.change)} ${symbol}`} />
+            <DetailRow label="After" value={`${formatUnits(simulation.after)} ${symbol}`} invalid={simulation.after < 0n} />
+        </div>
+    );
+}
+
+export function ReviewWarnings({ warnings }) {
+    if (warnings.length === 0) {
+        return (
+            <div className="dapp-warning dapp-warning-ok">
+                <CheckIcon size={14} />
+                <span>No issues found.</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="dapp-warnings">
+            {warnings.map((warning, i) => (
+                <div key={i} className={`dapp-warning dapp-warning-${warning.level}`}>
+                    {warning.level === 'info' ? <InfoIcon size={14} /> : <AlertIcon size={14} />}
+                    <span>{warning.message}</span>
+                </div>
+            ))}
+        </div>
+    );
+}
@@ -0,0 +1 @@
+export { DappRequestScreen } from './DappRequest/DappRequest';
@@ -1,17 +1,58 @@
 import { useState } from 'react';
-import { CloseIcon, PlusIcon, ImportIcon, KeyIcon } from '../../shared/Icons';
+import { CloseIcon, PlusIcon, ImportIcon, KeyIcon, EyeIcon, WalletIcon, LockIcon } from '../../shared/Icons';
+import { getPassphraseError, isValidAddress } from '../../../utils/validation';
+import { hdKeyringService } from '../../../services/HDKeyringService';
+import { PassphraseInput } from '../../shared/PassphraseInput';
+import { DerivationPathPicker } from '../../shared/DerivationPathPicker';
+import { MnemonicInput, WordCountSelect } from '../../shared/MnemonicInput';
+import { KeystoreFileInput } from '../../shared/KeystoreFile';
+import { DEFAULT_WORD_COUNT, checkMnemonic } from '../../../utils/mnemonic';
 
-export function AddWalletModal({ onClose, onAddWallet }) {
-    const [mode, setMode] = useState(null); // null | 'create' | 'import' | 'import_mnemonic'
+export function AddWalletModal({ wallets = [], activeWallet = null, onClose, onAddWallet }) {
+    const [mode, setMode] = useState(null); // null | 'account' | 'create' | 'import' | 'import_mnemonic' | 'keystore' | 'watch'
     const [inputValue, setInputValue] = useState('');
+    const [mnemonicWords, setMnemonicWords] = useState([]);
+    const [wordCount, setWordCount] = useState(DEFAULT_WORD_COUNT);
     const [isProcessing, setIsProcessing] = useState(false);
     const [error, setError] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [derivation, setDerivation] = useState(null); // { derivationPath, index } from the advanced picker
+    const [keystore, setKeystore] = useState(null);
+    const [keystorePassword, setKeystorePassword] = useState('');
+
+    // Recovery phrases stored in this wallet - "Add Account" derives the next index of one
+    const hdRoots = hdKeyringService.getRoots(wallets);
+    const [rootAddress, setRootAddress] = useState(
+        hdKeyringService.getRootAddress(activeWallet) || hdRoots[0]?.address || ''
+    );
+    const nextIndex = Math.max(0, ...hdKeyringService.getUsedIndices(wallets, rootAddress)) + 1;
+    const phraseStatus = checkMnemonic(mnemonicWords, wordCount);
+
+    const handleAddAccount = async () => {
+        setIsProcessing(true);
+        setError('');
+        try {
+            await onAddWallet({ type: 'account', rootAddress });
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to add account');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
 
     const handleCreate = async () => {
+        const passphraseError = getPassphraseError(passphrase, confirmPassphrase);
+        if (passphraseError) {
+            setError(passphraseError);
+            return;
+        }
+
         setIsProcessing(true);
         setError('');
         try {
-            await onAddWallet({ type: 'create' });
+            await onAddWallet({ type: 'create', passphrase, wordCount });
             onClose();
         } catch (err) {
             setError(err.message || 'Failed to create wallet');
@@ -21,18 +62,21 @@ export function AddWalletModal({ onClose, onAddWallet }) {
     };
 
     const handleImport = async (type) => { // type: 'import' or 'import_mnemonic'
-        if (!inputValue.trim()) {
-            setError(type === 'import' ? 'Please enter private key' : 'Please enter recovery phrase');
+        if (type === 'import' && !inputValue.trim()) {
+            setError('Please enter private key');
+            return;
+        }
+        if (type === 'import_mnemonic' && !phraseStatus.checksumValid) {
+            setError(phraseStatus.error || 'Please enter recovery phrase');
             return;
         }
 
         setIsProcessing(true);
         setError('');
         try {
-            await onAddWallet({
-                type,
-                [type === 'import' ? 'privateKey' : 'mnemonic']: inputValue.trim()
-            });
+            await onAddWallet(type === 'import'
+                ? { type, privateKey: inputValue.trim() }
+                : { type, mnemonic: mnemonicWords.join(' '), passphrase, derivation });
             onClose();
         } catch (err) {
             setError(err.message || 'Failed to import wallet');
@@ -41,9 +85,47 @@ export function AddWalletModal({ onClose, onAddWallet }) {
         }
     };
 
+    const handleKeystore = async () => {
+        setIsProcessing(true);
+        setError('');
+        try {
+            await onAddWallet({ type: 'keystore', keystore, password: keystorePassword });
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to import keystore');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
+    const handleWatch = async () => {
+        const address = inputValue.trim();
+        if (!isValidAddress(address)) {
+            setError('Invalid Octra address');
+            return;
+        }
+
+        setIsProcessing(true);
+        setError('');
+        try {
+            await onAddWallet({ type: 'watch', address });
+            onClose();
+        } catch (err) {
+            setError(err.message || 'Failed to add address');
+        } finally {
+            setIsProcessing(false);
+        }
+    };
+
     const reset = () => {
         setMode(null);
         setInputValue('');
+        setMnemonicWords([]);
+        setPassphrase('');
+        setConfirmPassphrase('');
+        setDerivation(null);
+        setKeystore(null);
+        setKeystorePassword('');
         setError('');
     };
 
@@ -53,9 +135,12 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                 <div className="modal-header">
                     <h3 className="text-lg font-semibold">
                         {mode === null && 'Add Wallet'}
+                        {mode === 'account' && 'Add Account'}
                         {mode === 'create' && 'Create New Wallet'}
                         {mode === 'import' && 'Import Wallet'}
                         {mode === 'import_mnemonic' && 'Import Wallet'}
+                        {mode === 'keystore' && 'Import Keystore'}
+                        {mode === 'watch' && 'Watch Address'}
                     </h3>
                     <button className="modal-close" onClick={onClose}>
                         <CloseIcon size={20} />
@@ -65,6 +150,17 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                 {/* Step 1: Choose mode */}
                 {mode === null && (
                     <div className="add-wallet-options">
+                        {hdRoots.length > 0 && (
+                            <button className="add-wallet-option" onClick={() => setMode('account')}>
+                                <div className="add-wallet-option-icon">
+                                    <WalletIcon size={24} />
+                                </div>
+                                <div className="add-wallet-option-info">
+                                    <span className="add-wallet-option-title">Add Account</span>
+                                    <span className="add-wallet-option-desc">Derive another account from your recovery phrase</span>
+                                </div>
+                            </button>
+                        )}
                         <button className="add-wallet-option" onClick={() => setMode('create')}>
                             <div className="add-wallet-option-icon">
                                 <PlusIcon size={24} />
@@ -80,7 +176,7 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                             </div>
                             <div className="add-wallet-option-info">
                                 <span className="add-wallet-option-title">Import Recovery Phrase</span>
-                                <span className="add-wallet-option-desc">Use 12-word recovery phrase</span>
+                                <span className="add-wallet-option-desc">Use a 12 to 24 word recovery phrase</span>
                             </div>
                         </button>
                         <button className="add-wallet-option" onClick={() => setMode('import')}>
@@ -92,6 +188,67 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                                 <span className="add-wallet-option-desc">Use existing private key</span>
                             </div>
                         </button>
+                        <button className="add-wallet-option" onClick={() => setMode('keystore')}>
+                            <div className="add-wallet-option-icon">
+                                <LockIcon size={24} />
+                            </div>
+                            <div className="add-wallet-option-info">
+                                <span className="add-wallet-option-title">Import Keystore File</span>
+                                <span className="add-wallet-option-desc">Use a password-encrypted keystore</span>
+                            </div>
+                        </button>
+                        <button className="add-wallet-option" onClick={() => setMode('watch')}>
+                            <div className="add-wallet-option-icon">
+                                <EyeIcon size={24} />
+                            </div>
+                            <div className="add-wallet-option-info">
+                                <span className="add-wallet-option-title">Watch Address</span>
+                                <span className="add-wallet-option-desc">Track balance and history without a key</span>
+                            </div>
+                        </button>
+                    </div>
+                )}
+
+                {/* Account Mode */}
+                {mode === 'account' && (
+                    <div className="add-wallet-form">
+                        {hdRoots.length > 1 && (
+                            <div className="form-group">
+                                <label className="form-label">Recovery Phrase</label>
+                                <select
+                                    className="input"
+                                    value={rootAddress}
+                                    onChange={(e) => setRootAddress(e.target.value)}
+                                >
+                                    {hdRoots.map((root) => (
+                                        <option key={root.address} value={root.address}>
+                                            {root.name}
+                                        </option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                        <p className="text-secondary text-sm mb-lg">
+                            Account {nextIndex + 1} will be derived from the same recovery phrase.
+                            No new backup is needed - the phrase restores every account.
+                        </p>
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+                        <div className="flex gap-md">
+                            <button
+                                className="btn btn-secondary flex-1"
+                                onClick={reset}
+                                disabled={isProcessing}
+                            >
+                                Back
+                            </button>
+                            <button
+                                className="btn btn-primary flex-1"
+                                onClick={handleAddAccount}
+                                disabled={isProcessing || !rootAddress}
+                            >
+                                {isProcessing ? 'Adding...' : 'Add Account'}
+                            </button>
+                        </div>
                     </div>
                 )}
 
@@ -101,6 +258,17 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                         <p className="text-secondary text-sm mb-lg">
                             A new wallet will be created automatically. Make sure to backup the seed phrase from Settings later.
                         </p>
+                        <div className="form-group">
+                            <label className="form-label">Recovery Phrase Length</label>
+                            <WordCountSelect value={wordCount} onChange={setWordCount} disabled={isProcessing} />
+                        </div>
+                        <PassphraseInput
+                            value={passphrase}
+                            onChange={(value) => { setPassphrase(value); setError(''); }}
+                            confirmValue={confirmPassphrase}
+                            onConfirmChange={(value) => { setConfirmPassphrase(value); setError(''); }}
+                            disabled={isProcessing}
+                        />
                         {error && <p className="text-error text-sm mb-lg">{error}</p>}
                         <div className="flex gap-md">
                             <button
@@ -121,21 +289,49 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                     </div>
                 )}
 
-                {/* Import Modes */}
-                {(mode === 'import' || mode === 'import_mnemonic') && (
+                {/* Keystore Mode */}
+                {mode === 'keystore' && (
+                    <div className="add-wallet-form">
+                        <KeystoreFileInput
+                            file={keystore}
+                            onLoad={(file) => { setKeystore(file); setError(''); }}
+                            password={keystorePassword}
+                            onPasswordChange={(value) => { setKeystorePassword(value); setError(''); }}
+                            disabled={isProcessing}
+                        />
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+                        <div className="flex gap-md">
+                            <button
+                                className="btn btn-secondary flex-1"
+                                onClick={reset}
+                                disabled={isProcessing}
+                            >
+                                Back
+                            </button>
+                            <button
+                                className="btn btn-primary flex-1"
+                                onClick={handleKeystore}
+                                disabled={isProcessing || !keystore || !keystorePassword}
+                            >
+                                {isProcessing ? 'Decrypting...' : 'Import Wallet'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Watch-only Mode */}
+                {mode === 'watch' && (
                     <div className="add-wallet-form">
                         <div className="form-group">
-                            <label className="form-label">
-                                {mode === 'import' ? 'Private Key (Base64)' : 'Recovery Phrase (12 words)'}
-                            </label>
-                            <textarea
-                                className="input input-mono"
+                            <label className="form-label">Octra Address</label>
+                            <input
+                                type="text"
+                                className={`input input-mono ${inputValue.trim() && !isValidAddress(inputValue.trim()) ? 'input-error' : ''}`}
                                 value={inputValue}
                                 onChange={(e) => setInputValue(e.target.value)}
-                                placeholder={mode === 'import' ? "Paste your private key..." : "word1 word2 word3 ..."}
-                                rows={3}
+                                placeholder="oct..."
                             />
-                            {mode === 'import_mnemonic' && <p className="form-hint">Separate words with spaces</p>}
+                            <p className="form-hint">Watch-only wallets show balance, tokens and history but cannot sign</p>
                         </div>
                         {error && <p className="text-error text-sm mb-lg">{error}</p>}
                         <div className="flex gap-md">
@@ -148,8 +344,72 @@ export function AddWalletModal({ onClose, onAddWallet }) {
                             </button>
                             <button
                                 className="btn btn-primary flex-1"
-                                onClick={() => handleImport(mode)}
+                                onClick={handleWatch}
                                 disabled={isProcessing || !inputValue.trim()}
+                            >
+                                {isProcessing ? 'Adding...' : 'Add Address'}
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Import Modes */}
+                {(mode === 'import' || mode === 'import_mnemonic') && (
+                    <div className="add-wallet-form">
+                        {mode === 'import' ? (
+                            <div className="form-group">
+                                <label className="form-label">Private Key (Base64)</label>
+                                <textarea
+                                    className="input input-mono"
+                                    value={inputValue}
+                                    onChange={(e) => setInputValue(e.target.value)}
+                                    placeholder="Paste your private key..."
+                                    rows={3}
+                                />
+                            </div>
+                        ) : (
+                            <div className="form-group">
+                                <label className="form-label">Recovery Phrase ({wordCount} words)</label>
+                                <MnemonicInput
+                                    words={mnemonicWords}
+                                    onChange={(words) => { setMnemonicWords(words); setError(''); }}
+                                    wordCount={wordCount}
+                                    onWordCountChange={setWordCount}
+                                    disabled={isProcessing}
+                                />
+                            </div>
+                        )}
+                        {mode === 'import_mnemonic' && (
+                            <>
+                                <PassphraseInput
+                                    value={passphrase}
+                                    onChange={(value) => { setPassphrase(value); setError(''); }}
+                                    disabled={isProcessing}
+                                />
+                                <DerivationPathPicker
+                                    mnemonic={phraseStatus.checksumValid ? mnemonicWords.join(' ') : ''}
+                                    passphrase={passphrase}
+                                    value={derivation}
+                                    onChange={setDerivation}
+                                    disabled={isProcessing}
+                                />
+                            </>
+                        )}
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+                        <div className="flex gap-md">
+                            <button
+                                className="btn btn-secondary flex-1"
+                                onClick={reset}
+                                disabled={isProcessing}
+                            >
+                                Back
+                            </button>
+                            <button
+                                className="btn btn-primary flex-1"
+                                onClick={() => handleImport(mode)}
+                                disabled={isProcessing || (mode === 'import'
+                                    ? !inputValue.trim()
+                                    : !phraseStatus.checksumValid)}
                             >
                                 {isProcessing ? 'Importing...' : 'Import Wallet'}
                             </button>
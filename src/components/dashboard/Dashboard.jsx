@@ -19,6 +19,7 @@ import {
 } from '../shared/Icons';
 import { WalletSelector, WalletHeader } from '../shared/WalletSelector';
 import { Toast } from '../shared/Toast';
+import { LockCountdown } from '../shared/LockCountdown';
 import { AddWalletModal } from './AddWalletModal';
 import { getRpcClient } from '../../utils/rpc';
 
@@ -33,7 +34,7 @@ import { TokenDetailView } from './TokenDetail';
 // Feature components
 import { NFTGallery } from './NFT';
 
-export function Dashboard({ wallet, wallets, activeWalletIndex, onSwitchWallet, onAddWallet, onRenameWallet, balance, nonce, transactions, allTokens, isLoadingTokens, onRefresh, isRefreshing, settings, onUpdateSettings, onOpenSettings, onLock, onLoadMoreTransactions, hasMoreTransactions, isLoadingMore, onFetchHistory }) {
+export function Dashboard({ wallet, wallets, activeWalletIndex, onSwitchWallet, onAddWallet, onRenameWallet, balance, nonce, transactions, allTokens, isLoadingTokens, onRefresh, isRefreshing, settings, onUpdateSettings, onOpenSettings, onLock, sessionExpiry, onLoadMoreTransactions, hasMoreTransactions, isLoadingMore, onFetchHistory }) {
     const [view, setView] = useState('home'); // 'home' | 'send' | 'receive' | 'history' | 'nft' | 'tokens' | 'addressbook'
     const [copied, setCopied] = useState(false);
     const [headerCopied, setHeaderCopied] = useState(false);
@@ -177,6 +178,7 @@ export function Dashboard({ wallet, wallets, activeWalletIndex, onSwitchWallet,
                 </div>
 
                 <div className="header-actions">
+                    <LockCountdown expiresAt={sessionExpiry} onLock={onLock} />
                     <button className="header-icon-btn" onClick={handleHeaderCopy} title="Copy Address">
                         {headerCopied ? <CheckIcon size={18} className="animate-fade-in-scale" /> : <CopyIcon size={18} />}
                     </button>
@@ -248,6 +250,8 @@ export function Dashboard({ wallet, wallets, activeWalletIndex, onSwitchWallet,
             {/* Add Wallet Modal */}
             {showAddWallet && (
                 <AddWalletModal
+                    wallets={wallets}
+                    activeWallet={wallet}
                     onClose={() => setShowAddWallet(false)}
                     onAddWallet={onAddWallet}
                 />
@@ -309,6 +313,7 @@ export function Dashboard({ wallet, wallets, activeWalletIndex, onSwitchWallet,
                         onLoadMore={onLoadMoreTransactions}
                         hasMore={hasMoreTransactions}
                         isLoadingMore={isLoadingMore}
+                        onTransactionReplaced={onFetchHistory}
                     />
                 )}
 
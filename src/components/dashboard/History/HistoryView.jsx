@@ -2,6 +2,7 @@ import { useState, useMemo, useRef, useEffect, useCallback } from 'react';
 
 import { ChevronLeftIcon, HistoryIcon } from '../../shared/Icons';
 import { TransactionItem, TransactionDetailModal } from '../Transactions';
+import { replacementService } from '../../../services/ReplacementService';
 import './HistoryView.css';
 
 // Skeleton loader for transactions
@@ -23,7 +24,7 @@ function TransactionSkeleton() {
     );
 }
 
-export function HistoryView({ transactions, address, settings, onBack, isLoading, onLoadMore, hasMore, isLoadingMore }) {
+export function HistoryView({ transactions, address, settings, onBack, isLoading, onLoadMore, hasMore, isLoadingMore, onTransactionReplaced }) {
     const [filter, setFilter] = useState('all'); // 'all' | 'sent' | 'received' | 'pending'
     const [selectedTx, setSelectedTx] = useState(null);
     const scrollContainerRef = useRef(null);
@@ -70,6 +71,14 @@ export function HistoryView({ transactions, address, settings, onBack, isLoading
         });
     }, [transactions, filter]);
 
+    // Speed up / cancel a pending send - errors surface in the modal
+    const handleReplace = useCallback(async (action, tx, ou) => {
+        const network = settings?.network || 'testnet';
+        await replacementService[action](address, tx, { ou, network });
+        setSelectedTx(null);
+        if (onTransactionReplaced) onTransactionReplaced();
+    }, [address, settings?.network, onTransactionReplaced]);
+
     // Count pending transactions
     const pendingCount = useMemo(() => {
         return transactions.filter(tx => tx.status === 'pending').length;
@@ -82,6 +91,8 @@ export function HistoryView({ transactions, address, settings, onBack, isLoading
                     tx={selectedTx}
                     network={settings?.network || 'testnet'}
                     onClose={() => setSelectedTx(null)}
+                    onSpeedUp={(tx, ou) => handleReplace('speedUp', tx, ou)}
+                    onCancel={(tx, ou) => handleReplace('cancel', tx, ou)}
                 />
             )}
             <div className="flex items-center gap-md mb-xl">
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { formatAmount, isValidAddress } from '../../../utils/crypto';
+import { parseAmountOrZero, formatUnits } from '../../../utils/amount';
 import {
     ShieldIcon,
     UnshieldIcon,
@@ -37,13 +38,13 @@ export function ShieldModal({ isOpen, onClose, mode, balance, encryptedBalance,
 
     const handleSubmit = async (e) => {
         e.preventDefault();
-        const amountNum = parseFloat(amount);
-        if (isNaN(amountNum) || amountNum <= 0) return;
-        if (amountNum > maxAmount) return;
+        const amountUnits = parseAmountOrZero(amount);
+        if (amountUnits <= 0n) return;
+        if (amountUnits > parseAmountOrZero(maxAmount)) return;
 
         setIsLoading(true);
         try {
-            await onSubmit(amountNum);
+            await onSubmit(formatUnits(amountUnits));
             setAmount('');
             onClose();
         } catch (err) {
@@ -117,11 +118,11 @@ export function ShieldModal({ isOpen, onClose, mode, balance, encryptedBalance,
                                     </span>
                                     <span className="preview-label">Public</span>
                                     <span className="preview-value">
-                                        {formatAmount(
+                                        {formatAmount(formatUnits(
                                             isShield
-                                                ? balance - (parseFloat(amount) || 0)
-                                                : balance + (parseFloat(amount) || 0)
-                                        )} OCT
+                                                ? parseAmountOrZero(balance) - parseAmountOrZero(amount)
+                                                : parseAmountOrZero(balance) + parseAmountOrZero(amount)
+                                        ))} OCT
                                     </span>
                                 </div>
                                 <div className="shield-preview-item shielded">
@@ -130,11 +131,11 @@ export function ShieldModal({ isOpen, onClose, mode, balance, encryptedBalance,
                                     </span>
                                     <span className="preview-label">Shielded</span>
                                     <span className="preview-value">
-                                        {formatAmount(
+                                        {formatAmount(formatUnits(
                                             isShield
-                                                ? encryptedBalance + (parseFloat(amount) || 0)
-                                                : encryptedBalance - (parseFloat(amount) || 0)
-                                        )} OCT
+                                                ? parseAmountOrZero(encryptedBalance) + parseAmountOrZero(amount)
+                                                : parseAmountOrZero(encryptedBalance) - parseAmountOrZero(amount)
+                                        ))} OCT
                                     </span>
                                 </div>
                             </div>
@@ -188,9 +189,9 @@ export function PrivateTransferModal({ isOpen, onClose, encryptedBalance, onSubm
     const handleNext = () => {
         if (!isValidAddress(recipient)) return;
 
-        const amountNum = parseFloat(amount);
-        if (isNaN(amountNum) || amountNum <= 0) return;
-        if (amountNum > encryptedBalance) return;
+        const amountUnits = parseAmountOrZero(amount);
+        if (amountUnits <= 0n) return;
+        if (amountUnits > parseAmountOrZero(encryptedBalance)) return;
 
         setStep(2);
     };
@@ -199,7 +200,7 @@ export function PrivateTransferModal({ isOpen, onClose, encryptedBalance, onSubm
         setIsLoading(true);
 
         try {
-            await onSubmit(recipient, parseFloat(amount));
+            await onSubmit(recipient, formatUnits(parseAmountOrZero(amount)));
             setRecipient('');
             setAmount('');
             setStep(1);
@@ -312,7 +313,7 @@ export function PrivateTransferModal({ isOpen, onClose, encryptedBalance, onSubm
                                     <div className="confirm-row">
                                         <span className="confirm-label">Amount</span>
                                         <span className="confirm-value amount">
-                                            {formatAmount(parseFloat(amount))} OCT
+                                            {formatAmount(formatUnits(parseAmountOrZero(amount)))} OCT
                                         </span>
                                     </div>
                                     <div className="confirm-row">
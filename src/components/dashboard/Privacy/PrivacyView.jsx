@@ -7,6 +7,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { formatAmount } from '../../../utils/crypto';
 import { privacyService } from '../../../services/PrivacyService';
 import { ShieldModal, PrivateTransferModal, ClaimTransfersModal } from './PrivacyModals';
+import { WatchOnlyNotice } from '../../shared/WatchOnlyNotice';
 import {
     ChevronLeftIcon,
     ShieldIcon,
@@ -36,7 +37,7 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
         setIsRefreshing(true);
 
         try {
-            // privacyService already has PK and handles internal secure cache
+            // The worker holds the key; privacyService handles the secure cache
             const result = await privacyService.getEncryptedBalance(wallet.address);
 
             if (result.success) {
@@ -51,7 +52,7 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
             setIsLoading(false);
             setIsRefreshing(false);
         }
-    }, [wallet?.address, wallet?.privateKeyB64, encryptedBalance]);
+    }, [wallet?.address, encryptedBalance]);
 
     useEffect(() => {
         fetchPrivacyData(true);
@@ -93,6 +94,9 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
         }
     };
 
+    // Shielded balances are only visible with the private key
+    const isWatchOnly = !!wallet?.watchOnly;
+
     const currentPublicBalance = publicBalance !== undefined ? publicBalance : (encryptedBalance?.publicBalance || 0);
     const totalBalance = currentPublicBalance + (encryptedBalance?.encryptedBalance || 0);
     const shieldedPercent = totalBalance > 0
@@ -156,12 +160,16 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
                 </div>
             </div>
 
+            {isWatchOnly && (
+                <WatchOnlyNotice message="This is a watch-only wallet. Viewing shielded balances and shielding, transferring or claiming funds all need its private key, which is not on this device." />
+            )}
+
             {/* Action Buttons - Always show, never blocked by loading */}
             <div className="privacy-action-grid">
                 <button
                     className="privacy-grid-btn"
                     onClick={() => { setShieldMode('shield'); setShieldModalOpen(true); }}
-                    disabled={isLoading || currentPublicBalance <= 0}
+                    disabled={isWatchOnly || isLoading || currentPublicBalance <= 0}
                 >
                     <div className="grid-btn-icon shield">
                         <ShieldIcon size={22} />
@@ -172,7 +180,7 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
                 <button
                     className="privacy-grid-btn"
                     onClick={() => { setShieldMode('unshield'); setShieldModalOpen(true); }}
-                    disabled={isLoading || !encryptedBalance?.hasEncryptedFunds}
+                    disabled={isWatchOnly || isLoading || !encryptedBalance?.hasEncryptedFunds}
                 >
                     <div className="grid-btn-icon unshield">
                         <UnshieldIcon size={22} />
@@ -183,7 +191,7 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
                 <button
                     className="privacy-grid-btn"
                     onClick={() => setPrivateTransferOpen(true)}
-                    disabled={isLoading || !encryptedBalance?.hasEncryptedFunds}
+                    disabled={isWatchOnly || isLoading || !encryptedBalance?.hasEncryptedFunds}
                 >
                     <div className="grid-btn-icon transfer">
                         <PrivateTransferIcon size={22} />
@@ -194,6 +202,7 @@ export function PrivacyView({ wallet, onBack, showToast, publicBalance }) {
                 <button
                     className="privacy-grid-btn"
                     onClick={() => setClaimModalOpen(true)}
+                    disabled={isWatchOnly}
                 >
                     <div className="grid-btn-icon claim">
                         <ClaimIcon size={22} />
@@ -4,11 +4,15 @@ import successAnimation from '../../welcome/animations/step-complete.json';
 import sendingAnimation from './animations/sending.json';
 import { isValidAddress, isValidAmount } from '../../../utils/validation';
 import { formatAmount, truncateAddress } from '../../../utils/crypto';
+import { parseAmount, parseAmountOrZero, formatUnits, toNumber, OCT_DECIMALS } from '../../../utils/amount';
 import { getRpcClient } from '../../../utils/rpc';
 import { saveTxHistorySecure as addToTxHistory } from '../../../utils/storageSecure';
-import { keyringService } from '../../../services/KeyringService';
+import { keyringClient } from '../../../services/KeyringClient';
 import { ocs01Manager } from '../../../services/OCS01TokenService';
+import { nonceManager } from '../../../services/NonceManager';
 import { getFriendlyErrorMessage } from '../../../utils/errorMessages';
+import { RpcUnknownOutcomeError } from '../../../utils/rpcErrors';
+import { createUnsignedTxFile } from '../../../utils/offlineTx';
 import {
     ChevronLeftIcon,
     OctraLogo,
@@ -19,10 +23,12 @@ import {
 import { TokenIcon } from '../../shared/TokenIcon';
 import { TokenSelectView } from '../TokenSelect/TokenSelectView';
 import { ConfirmTransactionModal } from '../../shared/ConfirmTransactionModal';
+import { TxFileSummary, TxFileOutput } from '../../shared/TxFile';
+import { WatchOnlyNotice } from '../../shared/WatchOnlyNotice';
 import './SendView.css';
 
 export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings, onLock, initialToken, allTokens: tokensFromParent }) {
-    const [step, setStep] = useState('select'); // 'select' | 'form' | 'confirm' | 'sending' | 'success' | 'error'
+    const [step, setStep] = useState('select'); // 'select' | 'form' | 'offline' | 'confirm' | 'sending' | 'success' | 'error'
     const [selectedToken, setSelectedToken] = useState(null);
     const [tokenBalance, setTokenBalance] = useState(balance);
     const [allTokens, setAllTokens] = useState([]);
@@ -32,7 +38,8 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
     const [txHash, setTxHash] = useState('');
     const [isLoadingBalance, setIsLoadingBalance] = useState(false);
 
-    // Fee state - OU based: Slow=1000, Normal=2000, Fast=3000 (fee = OU/1000000 OCT)
+    // Fee state - OU based (fee = OU/1000000 OCT), derived from the staging queue
+    // Defaults until the first estimate: Slow=1000, Normal=2000, Fast=3000
     const [feeEstimates, setFeeEstimates] = useState({ low: 0.001, medium: 0.002, high: 0.003 });
     const [feeSpeed, setFeeSpeed] = useState('normal'); // 'slow' | 'normal' | 'fast'
     const [isLoadingFee, setIsLoadingFee] = useState(false);
@@ -40,6 +47,11 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
     // Confirmation modal state
     const [showConfirmModal, setShowConfirmModal] = useState(false);
 
+    // Offline signing - unsigned file for any sender address
+    const [offlineFrom, setOfflineFrom] = useState('');
+    const [offlineFile, setOfflineFile] = useState(null);
+    const [isCreatingFile, setIsCreatingFile] = useState(false);
+
     // Transaction polling state
     const [txStatus, setTxStatus] = useState(null); // 'pending' | 'confirmed' | 'failed'
 
@@ -59,12 +71,22 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
     // Calculate fee based on selected speed
     const fee = feeSpeed === 'slow' ? feeEstimates.low : feeSpeed === 'fast' ? feeEstimates.high : feeEstimates.medium;
-    const total = parseFloat(amount || 0) + fee;
-    const isValid = recipient && isValidAddress(recipient) && amount && parseFloat(amount) > 0 && total <= tokenBalance;
+
+    // Exact raw-unit math (see utils/amount.js) - unparseable input counts as 0
+    const tokenDecimals = selectedToken?.decimals ?? OCT_DECIMALS;
+    const toUnits = (value) => parseAmountOrZero(value, tokenDecimals);
+    const amountUnits = toUnits(amount);
+    const feeUnits = toUnits(fee);
+    const balanceUnits = toUnits(tokenBalance);
+    const totalUnits = amountUnits + feeUnits;
+    const total = formatUnits(totalUnits, tokenDecimals);
+    // Watch-only wallets can still prepare an unsigned file, but never sign here
+    const isWatchOnly = !!wallet?.watchOnly;
+    const isValid = !isWatchOnly && recipient && isValidAddress(recipient) && amountUnits > 0n && totalUnits <= balanceUnits;
 
     // Low balance warning (less than 0.001 OCT remaining after transaction)
-    const remainingBalance = tokenBalance - total;
-    const hasLowBalance = selectedToken?.isNative && remainingBalance < 0.001 && remainingBalance >= 0;
+    const remainingUnits = balanceUnits - totalUnits;
+    const hasLowBalance = selectedToken?.isNative && remainingUnits >= 0n && remainingUnits < parseAmount('0.001', tokenDecimals);
 
     const handleSelectToken = async (token) => {
         setSelectedToken(token);
@@ -73,7 +95,7 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
         const tokenKey = token.isNative ? token.symbol : token.contractAddress;
         const cachedBalance = localStorage.getItem(`balance_${tokenKey}_${wallet?.address}`);
         if (cachedBalance) {
-            setTokenBalance(parseFloat(cachedBalance));
+            setTokenBalance(cachedBalance);
         }
 
         setIsLoadingBalance(true);
@@ -86,26 +108,24 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
             if (token.isNative) {
                 // Fetch fresh native balance in background
                 const data = await rpcClient.getBalance(wallet.address);
-                setTokenBalance(data.balance);
-                localStorage.setItem(`balance_${token.symbol}_${wallet?.address}`, data.balance.toString());
+                const exact = formatUnits(data.balanceRaw, token.decimals ?? OCT_DECIMALS);
+                setTokenBalance(exact);
+                localStorage.setItem(`balance_${token.symbol}_${wallet?.address}`, exact);
             } else if (token.isOCS01) {
                 // Fetch OCS01 balance
                 const contract = ocs01Manager.getContract(token.contractAddress);
                 const result = await contract.getCredits(wallet.address, wallet.address);
                 if (result.success) {
-                    const b = parseFloat(result.result) || 0;
-                    setTokenBalance(b);
-                    localStorage.setItem(`balance_${token.contractAddress}_${wallet?.address}`, b.toString());
+                    const decimals = token.decimals ?? OCT_DECIMALS;
+                    const exact = formatUnits(parseAmountOrZero(result.result, decimals), decimals);
+                    setTokenBalance(exact);
+                    localStorage.setItem(`balance_${token.contractAddress}_${wallet?.address}`, exact);
                 }
             }
 
-            // Fetch fee estimate - store all levels
-            const fees = await rpcClient.getFeeEstimate(1);
-            setFeeEstimates({
-                low: fees.low,
-                medium: fees.medium,
-                high: fees.high
-            });
+            // Fetch fee estimate - store all levels + expected epochs
+            const fees = await rpcClient.getFeeEstimate();
+            setFeeEstimates(fees);
         } catch (err) {
             console.error('Failed to fetch data:', err);
         } finally {
@@ -121,19 +141,15 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
         }
     }, [initialToken]);
 
-    // Update fee estimate when amount changes
+    // Refresh fee estimate while the amount is edited (estimator caches briefly)
     useEffect(() => {
         const updateFee = async () => {
-            if (amount && parseFloat(amount) > 0) {
+            if (isValidAmount(amount)) {
                 setIsLoadingFee(true);
                 try {
                     const rpcClient = getRpcClient();
-                    const fees = await rpcClient.getFeeEstimate(parseFloat(amount));
-                    setFeeEstimates({
-                        low: fees.low,
-                        medium: fees.medium,
-                        high: fees.high
-                    });
+                    const fees = await rpcClient.getFeeEstimate();
+                    setFeeEstimates(fees);
                 } catch (err) {
                     console.error('Failed to update fee:', err);
                 }
@@ -147,15 +163,16 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
     const handleSendClick = () => {
         // Validate before showing modal
+        if (isWatchOnly) return;
         if (!isValidAddress(recipient)) {
             setError('Invalid recipient address');
             return;
         }
-        if (parseFloat(amount) <= 0) {
+        if (amountUnits <= 0n) {
             setError('Invalid amount');
             return;
         }
-        if (total > tokenBalance) {
+        if (totalUnits > balanceUnits) {
             setError('Insufficient balance');
             return;
         }
@@ -164,6 +181,47 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
         setShowConfirmModal(true);
     };
 
+    const handleOpenOffline = () => {
+        setOfflineFrom(wallet.address);
+        setOfflineFile(null);
+        setError('');
+        setStep('offline');
+    };
+
+    const handleCreateOfflineFile = async () => {
+        if (!isValidAddress(offlineFrom)) {
+            setError('Invalid sender address');
+            return;
+        }
+
+        setIsCreatingFile(true);
+        setError('');
+        try {
+            const rpcClient = getRpcClient();
+            const { balanceRaw } = await rpcClient.getBalance(offlineFrom);
+            if (totalUnits > BigInt(balanceRaw)) {
+                setError('Insufficient balance on the sender address');
+                return;
+            }
+
+            // Not reserved: this wallet never sends it, the broadcast marks it used
+            const txNonce = await nonceManager.peek(offlineFrom);
+
+            setOfflineFile(createUnsignedTxFile({
+                from: offlineFrom,
+                to: recipient,
+                amount: formatUnits(amountUnits, tokenDecimals),
+                nonce: txNonce,
+                fee,
+                network: settings?.network || 'testnet'
+            }));
+        } catch (err) {
+            setError(`${getFriendlyErrorMessage(err)} (${err.message})`);
+        } finally {
+            setIsCreatingFile(false);
+        }
+    };
+
     const pollTransactionStatus = async (txHash) => {
         const rpcClient = getRpcClient();
         let attempts = 0;
@@ -212,22 +270,19 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
         setStep('sending');
         setError('');
 
+        // Native sends reserve their nonce here; contract calls reserve inside callMethod
+        let txNonce = null;
+
         try {
             // Give user time to appreciate the premium animation
             await new Promise(r => setTimeout(r, 3500));
 
             const rpcClient = getRpcClient();
 
-            // Get fresh nonce
-            const data = await rpcClient.getBalance(wallet.address);
-            let currentNonce = data.nonce;
-
-            // Check for pending transactions
-            const staged = await rpcClient.getStagedTransactions();
-            const ourStaged = staged.filter(tx => tx.from === wallet.address);
-            const maxNonce = ourStaged.length > 0
-                ? Math.max(currentNonce, ...ourStaged.map(tx => parseInt(tx.nonce)))
-                : currentNonce;
+            // Next free nonce: on-chain nonce + our staged and in-flight transactions
+            if (selectedToken.isNative) {
+                txNonce = await nonceManager.reserve(wallet.address);
+            }
 
             let result;
 
@@ -237,19 +292,24 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
             const sendPromise = (async () => {
                 if (selectedToken.isNative) {
-                    const tx = await keyringService.signTransaction(wallet.address, {
+                    const tx = await keyringClient.signTransaction(wallet.address, {
                         to: recipient,
-                        amount: parseFloat(amount),
-                        nonce: maxNonce + 1,
+                        amount: formatUnits(amountUnits, tokenDecimals),
+                        nonce: txNonce,
                         message: null,
                         fee: fee
                     });
                     // Note: rpcClient.sendTransaction has 0 timeout (infinite), but we race it here.
-                    return await rpcClient.sendTransaction(tx);
+                    // Sent but unanswered (dropped connection, 5xx) is handled like our timeout: never re-send
+                    return await rpcClient.sendTransaction(tx).catch(err => {
+                        if (err instanceof RpcUnknownOutcomeError) return 'TIMEOUT';
+                        throw err;
+                    });
                 } else if (selectedToken.isOCS01) {
                     const contract = ocs01Manager.getContract(selectedToken.contractAddress);
-                    const amountRaw = Math.floor(parseFloat(amount) * 1_000_000);
+                    const amountRaw = amountUnits.toString();
                     const callResult = await contract.transfer(recipient, amountRaw, wallet.address);
+                    if (callResult.unknownOutcome) return 'TIMEOUT';
                     if (!callResult.success) throw new Error(callResult.error || 'Contract transfer failed');
                     return { txHash: callResult.txHash };
                 }
@@ -257,13 +317,18 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
             const raceResult = await Promise.race([sendPromise, timeoutPromise]);
 
+            // Accepted or unknown (timeout) - either way the nonce may be used on-chain
+            if (txNonce !== null) {
+                nonceManager.markSent(wallet.address, txNonce);
+            }
+
             if (raceResult === 'TIMEOUT') {
-                // Timeout logic: Transaction sent but no ACK yet. Check Mempool!
+                // Timeout logic: Transaction sent but no ACK (or an unknown outcome). Check Mempool!
                 console.log('Send Timeout - Checking Mempool...');
                 try {
-                    const stagingCheck = await rpcClient.getStagedTransactions().catch(() => []);
-                    const foundInMempool = stagingCheck.find(tx =>
-                        tx.from === wallet.address && parseInt(tx.nonce) === (maxNonce + 1)
+                    const stagingCheck = await rpcClient.getStagedTransactions({ cache: false }).catch(() => []);
+                    const foundInMempool = txNonce !== null && stagingCheck.find(tx =>
+                        tx.from === wallet.address && parseInt(tx.nonce) === txNonce
                     );
 
                     if (foundInMempool) {
@@ -287,7 +352,7 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
             addToTxHistory([{
                 hash: result.txHash,
                 type: 'out',
-                amount: parseFloat(amount),
+                amount: toNumber(amountUnits, tokenDecimals),
                 symbol: selectedToken.symbol,
                 address: recipient,
                 status: 'pending'
@@ -302,6 +367,10 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
             onRefresh();
         } catch (err) {
             console.error('Transaction error:', err);
+            // Rejected before reaching the chain - free the nonce for the next send
+            if (txNonce !== null) {
+                nonceManager.release(wallet.address, txNonce);
+            }
             // ... existing error handler ...
             if (err.message && err.message.includes('Keyring is locked') && onLock) {
                 onLock();
@@ -375,7 +444,7 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
                             />
                             <button
                                 className="send-max-btn"
-                                onClick={() => setAmount(Math.max(0, tokenBalance - fee).toFixed(6))}
+                                onClick={() => setAmount(formatUnits(balanceUnits > feeUnits ? balanceUnits - feeUnits : 0n, tokenDecimals))}
                             >
                                 MAX
                             </button>
@@ -396,11 +465,11 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
                         )}
                     </div>
 
-                    {parseFloat(amount) > 0 && (
+                    {amountUnits > 0n && (
                         <div className="card mb-lg">
                             <div className="confirm-row">
                                 <span className="confirm-label">Amount</span>
-                                <span className="confirm-value">{formatAmount(parseFloat(amount), 6)} {selectedToken?.symbol}</span>
+                                <span className="confirm-value">{formatAmount(formatUnits(amountUnits, tokenDecimals), 6)} {selectedToken?.symbol}</span>
                             </div>
                             <div className="confirm-row">
                                 <span className="confirm-label">Network Fee</span>
@@ -427,6 +496,14 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
 
                     {error && <p className="text-error text-sm mb-lg">{error}</p>}
 
+                    {isWatchOnly && (
+                        <WatchOnlyNotice
+                            message={selectedToken?.isNative
+                                ? undefined
+                                : 'This is a watch-only wallet. Its private key is not on this device, so it cannot sign token transfers.'}
+                        />
+                    )}
+
                     <button
                         className="btn btn-primary btn-lg btn-full"
                         onClick={handleSendClick}
@@ -434,6 +511,78 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
                     >
                         Review Transaction
                     </button>
+
+                    {selectedToken?.isNative && (
+                        <button
+                            className="btn btn-ghost btn-full mt-md"
+                            onClick={handleOpenOffline}
+                            disabled={!isValidAddress(recipient) || amountUnits <= 0n}
+                        >
+                            Create Unsigned Transaction File
+                        </button>
+                    )}
+                </>
+            )}
+
+            {/* Offline: unsigned transaction file for signing elsewhere */}
+            {step === 'offline' && (
+                <>
+                    <div className="flex items-center gap-md mb-xl">
+                        <button className="header-icon-btn" onClick={() => { setError(''); setStep('form'); }}>
+                            <ChevronLeftIcon size={20} />
+                        </button>
+                        <h2 className="text-lg font-semibold">Unsigned Transaction</h2>
+                    </div>
+
+                    {!offlineFile ? (
+                        <>
+                            <p className="text-secondary text-sm mb-lg">
+                                Prepare this transfer for a key on another device. Sign the file there in
+                                Settings → Sign Transaction File, then broadcast the signed file.
+                            </p>
+
+                            <div className="form-group">
+                                <label className="form-label">From Address</label>
+                                <input
+                                    type="text"
+                                    className={`input input-mono ${offlineFrom && !isValidAddress(offlineFrom) ? 'input-error' : ''}`}
+                                    value={offlineFrom}
+                                    onChange={(e) => setOfflineFrom(e.target.value.trim())}
+                                    placeholder="oct..."
+                                />
+                            </div>
+
+                            <div className="card mb-lg">
+                                <div className="confirm-row">
+                                    <span className="confirm-label">To</span>
+                                    <span className="confirm-value text-mono">{truncateAddress(recipient, 8, 6)}</span>
+                                </div>
+                                <div className="confirm-row">
+                                    <span className="confirm-label">Amount</span>
+                                    <span className="confirm-value">{formatUnits(amountUnits, tokenDecimals)} {selectedToken?.symbol}</span>
+                                </div>
+                                <div className="confirm-row">
+                                    <span className="confirm-label">Network Fee</span>
+                                    <span className="confirm-value">{formatAmount(fee, 6)} {selectedToken?.symbol}</span>
+                                </div>
+                            </div>
+
+                            {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                            <button
+                                className="btn btn-primary btn-lg btn-full"
+                                onClick={handleCreateOfflineFile}
+                                disabled={!isValidAddress(offlineFrom) || isCreatingFile}
+                            >
+                                {isCreatingFile ? 'Preparing...' : 'Create File'}
+                            </button>
+                        </>
+                    ) : (
+                        <>
+                            <TxFileSummary file={offlineFile} />
+                            <TxFileOutput file={offlineFile} />
+                        </>
+                    )}
                 </>
             )}
 
@@ -679,6 +828,7 @@ export function SendView({ wallet, balance, nonce, onBack, onRefresh, settings,
                 feeSpeed={feeSpeed}
                 onFeeChange={setFeeSpeed}
                 tokenSymbol={selectedToken?.symbol || 'OCT'}
+                decimals={tokenDecimals}
                 isLoading={false}
             />
         </div >
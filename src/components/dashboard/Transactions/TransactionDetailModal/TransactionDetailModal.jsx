@@ -19,13 +19,25 @@ import {
     ClaimIcon
 } from '../../../../components/shared/Icons';
 import { formatAmount, truncateAddress } from '../../../../utils/crypto';
+import { getFriendlyErrorMessage } from '../../../../utils/errorMessages';
+import { formatUnits, parseNodeAmount } from '../../../../utils/amount';
+import { replacementService, REPLACEMENT_TYPES } from '../../../../services/ReplacementService';
 import './TransactionDetailModal.css';
 
-export function TransactionDetailModal({ tx, network, onClose }) {
+export function TransactionDetailModal({ tx, network, onClose, onSpeedUp, onCancel }) {
     const [copiedAddress, setCopiedAddress] = useState(false);
     const [copiedHash, setCopiedHash] = useState(false);
+    const [replaceAction, setReplaceAction] = useState(null); // null | 'speedup' | 'cancel'
+    const [isReplacing, setIsReplacing] = useState(false);
+    const [replaceError, setReplaceError] = useState(null);
     if (!tx) return null;
 
+    const canReplace = replacementService.canReplace(tx) && !!(onSpeedUp || onCancel);
+    const currentFee = parseInt(tx.ou) || 0;
+    const replacementFee = replacementService.suggestFee(currentFee);
+    const isReplaced = tx.status === 'replaced';
+    const isCancellation = tx.replacementType === REPLACEMENT_TYPES.CANCEL;
+
     const isIncoming = tx.type === 'in' || tx.type === 'claim' || tx.type === 'unshield';
 
     let Icon = isIncoming ? ArrowDownLeftIcon : ArrowUpRightIcon;
@@ -55,6 +67,16 @@ export function TransactionDetailModal({ tx, network, onClose }) {
             break;
     }
 
+    if (isReplaced) {
+        title = isCancellation ? 'Cancelled' : 'Replaced by faster transaction';
+    } else if (tx.replaces) {
+        title = isCancellation ? 'Cancellation' : 'Sped Up';
+    }
+
+    let statusLabel = 'Confirmed';
+    if (tx.status === 'pending') statusLabel = 'Pending Confirmation';
+    if (isReplaced) statusLabel = isCancellation ? 'Cancelled' : 'Replaced';
+
     const explorerUrl = `https://octrascan.io/transactions/${tx.hash}`;
 
     const handleCopyAddress = (text) => {
@@ -69,6 +91,18 @@ export function TransactionDetailModal({ tx, network, onClose }) {
         setTimeout(() => setCopiedHash(false), 2000);
     };
 
+    const handleReplace = async () => {
+        const handler = replaceAction === REPLACEMENT_TYPES.CANCEL ? onCancel : onSpeedUp;
+        setIsReplacing(true);
+        setReplaceError(null);
+        try {
+            await handler(tx, replacementFee);
+        } catch (err) {
+            setReplaceError(`${getFriendlyErrorMessage(err)} (${err.message})`);
+            setIsReplacing(false);
+        }
+    };
+
     return (
         <div className="modal-overlay" onClick={onClose}>
             <div className="modal-content" onClick={e => e.stopPropagation()} style={{ overflow: 'visible' }}>
@@ -89,8 +123,8 @@ export function TransactionDetailModal({ tx, network, onClose }) {
                         <h1 className={`tx-large-amount ${iconClass}`}>
                             {isIncoming ? '+' : '-'}{formatAmount(tx.amount)} OCT
                         </h1>
-                        <div className={`tx-status-badge ${tx.status === 'pending' ? 'pending' : 'confirmed'}`}>
-                            {tx.status === 'pending' ? 'Pending Confirmation' : 'Confirmed'}
+                        <div className={`tx-status-badge ${tx.status === 'pending' || isReplaced ? tx.status : 'confirmed'}`}>
+                            {statusLabel}
                         </div>
                     </div>
 
@@ -124,10 +158,24 @@ export function TransactionDetailModal({ tx, network, onClose }) {
                         <div className="tx-detail-row">
                             <span className="tx-detail-label">Network Fee</span>
                             <span className="tx-detail-value">
-                                {tx.ou ? formatAmount(parseInt(tx.ou) / 1000000) : formatAmount(tx.fee || 0)} OCT
+                                {tx.ou ? formatAmount(formatUnits(parseNodeAmount(tx.ou))) : formatAmount(tx.fee || 0)} OCT
                             </span>
                         </div>
 
+                        {tx.replaces && (
+                            <div className="tx-detail-row">
+                                <span className="tx-detail-label">Replaces</span>
+                                <span className="tx-detail-value mono">{truncateAddress(tx.replaces, 6, 6)}</span>
+                            </div>
+                        )}
+
+                        {tx.replacedBy && (
+                            <div className="tx-detail-row">
+                                <span className="tx-detail-label">Replaced By</span>
+                                <span className="tx-detail-value mono">{truncateAddress(tx.replacedBy, 6, 6)}</span>
+                            </div>
+                        )}
+
                         {tx.epoch && (
                             <div className="tx-detail-row">
                                 <span className="tx-detail-label">Epoch</span>
@@ -141,6 +189,52 @@ export function TransactionDetailModal({ tx, network, onClose }) {
                         </div>
                     </div>
 
+                    {/* Speed Up / Cancel (same nonce, higher fee) */}
+                    {canReplace && (
+                        <div className="tx-replace-section">
+                            {replaceAction ? (
+                                <>
+                                    <p className="tx-replace-summary">
+                                        {replaceAction === REPLACEMENT_TYPES.CANCEL
+                                            ? 'Replace this transaction with a 0 OCT transfer to yourself'
+                                            : 'Resend this transaction with a higher fee'}
+                                        {' '}({formatAmount(formatUnits(BigInt(currentFee)))} → {formatAmount(formatUnits(BigInt(replacementFee)))} OCT).
+                                    </p>
+                                    {replaceError && <p className="tx-replace-error">{replaceError}</p>}
+                                    <div className="tx-replace-actions">
+                                        <button
+                                            className="btn btn-secondary"
+                                            onClick={() => { setReplaceAction(null); setReplaceError(null); }}
+                                            disabled={isReplacing}
+                                        >
+                                            Back
+                                        </button>
+                                        <button
+                                            className={`btn ${replaceAction === REPLACEMENT_TYPES.CANCEL ? 'btn-danger' : 'btn-primary'}`}
+                                            onClick={handleReplace}
+                                            disabled={isReplacing}
+                                        >
+                                            {isReplacing ? 'Submitting...' : 'Confirm'}
+                                        </button>
+                                    </div>
+                                </>
+                            ) : (
+                                <div className="tx-replace-actions">
+                                    {onSpeedUp && (
+                                        <button className="btn btn-primary" onClick={() => setReplaceAction(REPLACEMENT_TYPES.SPEED_UP)}>
+                                            Speed Up
+                                        </button>
+                                    )}
+                                    {onCancel && (
+                                        <button className="btn btn-secondary" onClick={() => setReplaceAction(REPLACEMENT_TYPES.CANCEL)}>
+                                            Cancel Transaction
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    )}
+
                     {/* Hash & Explorer */}
                     <div className="tx-hash-section">
                         <div className="tx-hash-header">
@@ -43,10 +43,17 @@ export function TransactionItem({ tx, onClick }) {
             break;
     }
 
+    // Speed-up / cancel replacements (see ReplacementService)
+    const isCancellation = tx.replacementType === 'cancel';
+    if (tx.replaces) {
+        title = isCancellation ? 'Cancellation' : 'Sent (sped up)';
+    }
+
     const isPending = tx.status === 'pending';
+    const isReplaced = tx.status === 'replaced';
 
     return (
-        <div className={`tx-item ${isPending ? 'pending' : ''}`} onClick={onClick}>
+        <div className={`tx-item ${isPending ? 'pending' : ''} ${isReplaced ? 'replaced' : ''}`} onClick={onClick}>
             <div className="tx-item-main">
                 <div className={`tx-item-icon ${iconClass}`}>
                     <Icon size={16} />
@@ -57,6 +64,9 @@ export function TransactionItem({ tx, onClick }) {
                         {isPending && (
                             <span className="tx-pending-badge">Pending</span>
                         )}
+                        {isReplaced && (
+                            <span className="tx-replaced-badge">{isCancellation ? 'Cancelled' : 'Replaced'}</span>
+                        )}
                     </div>
                     {/* Address subtitle: To/From address */}
                     <span className="tx-item-subtitle">{addressSubtitle}</span>
@@ -4,10 +4,15 @@
  */
 
 import { useState, useEffect } from 'react';
-import { UbaLogo, EyeIcon, EyeOffIcon, LockIcon, KeyIcon, ImportIcon, ChevronLeftIcon } from '../shared/Icons';
+import { UbaLogo, EyeIcon, EyeOffIcon, LockIcon, KeyIcon, ImportIcon, ChevronLeftIcon, ShieldIcon } from '../shared/Icons';
 import { securityService } from '../../services/SecurityService';
 import { calculatePasswordStrength } from '../../utils/validation';
 import { ConfirmModal } from '../shared/ConfirmModal';
+import { PassphraseInput } from '../shared/PassphraseInput';
+import { MnemonicInput } from '../shared/MnemonicInput';
+import { ShareInput } from '../shared/ShamirShares';
+import { DEFAULT_WORD_COUNT, checkMnemonic } from '../../utils/mnemonic';
+import { checkShares, recoverMnemonicFromShares } from '../../utils/shamir';
 import './LockScreen.css';
 
 export function LockScreen({ onUnlock, onRecover }) {
@@ -20,8 +25,12 @@ export function LockScreen({ onUnlock, onRecover }) {
 
     // Forgot password state
     const [showForgotPassword, setShowForgotPassword] = useState(false);
-    const [recoveryMethod, setRecoveryMethod] = useState(null); // 'phrase' | 'key'
+    const [recoveryMethod, setRecoveryMethod] = useState(null); // 'phrase' | 'shares' | 'key'
     const [recoveryInput, setRecoveryInput] = useState('');
+    const [recoveryWords, setRecoveryWords] = useState([]);
+    const [recoveryWordCount, setRecoveryWordCount] = useState(DEFAULT_WORD_COUNT);
+    const [recoveryShares, setRecoveryShares] = useState([]);
+    const [recoveryPassphrase, setRecoveryPassphrase] = useState('');
     const [newPassword, setNewPassword] = useState('');
     const [confirmNewPassword, setConfirmNewPassword] = useState('');
     const [recoveryError, setRecoveryError] = useState('');
@@ -92,8 +101,20 @@ export function LockScreen({ onUnlock, onRecover }) {
     const handleRecovery = async (e) => {
         e.preventDefault();
 
-        if (!recoveryInput.trim()) {
-            setRecoveryError(`Please enter your ${recoveryMethod === 'phrase' ? 'recovery phrase' : 'private key'}`);
+        if (recoveryMethod === 'phrase') {
+            const phrase = checkMnemonic(recoveryWords, recoveryWordCount);
+            if (!phrase.checksumValid) {
+                setRecoveryError(phrase.error || 'Please enter your recovery phrase');
+                return;
+            }
+        } else if (recoveryMethod === 'shares') {
+            const status = checkShares(recoveryShares);
+            if (!status.isComplete) {
+                setRecoveryError(status.error || 'Please enter enough shares');
+                return;
+            }
+        } else if (!recoveryInput.trim()) {
+            setRecoveryError('Please enter your private key');
             return;
         }
 
@@ -112,9 +133,16 @@ export function LockScreen({ onUnlock, onRecover }) {
 
         try {
             if (onRecover) {
+                const usesPhrase = recoveryMethod !== 'key';
+                let value = recoveryInput.trim();
+                if (recoveryMethod === 'phrase') value = recoveryWords.join(' ');
+                // Shares rebuild the words, recovery then works like a typed phrase
+                if (recoveryMethod === 'shares') value = recoverMnemonicFromShares(recoveryShares);
+
                 await onRecover({
-                    type: recoveryMethod === 'phrase' ? 'mnemonic' : 'privateKey',
-                    value: recoveryInput.trim(),
+                    type: usesPhrase ? 'mnemonic' : 'privateKey',
+                    value,
+                    passphrase: usesPhrase ? recoveryPassphrase : '',
                     newPassword: newPassword
                 });
             }
@@ -129,6 +157,9 @@ export function LockScreen({ onUnlock, onRecover }) {
         setShowForgotPassword(false);
         setRecoveryMethod(null);
         setRecoveryInput('');
+        setRecoveryWords([]);
+        setRecoveryShares([]);
+        setRecoveryPassphrase('');
         setNewPassword('');
         setConfirmNewPassword('');
         setRecoveryError('');
@@ -187,7 +218,17 @@ export function LockScreen({ onUnlock, onRecover }) {
                             <ImportIcon size={20} />
                             <div className="recovery-option-text">
                                 <span className="recovery-option-title">Recovery Phrase</span>
-                                <span className="recovery-option-desc">Use your 12-word phrase</span>
+                                <span className="recovery-option-desc">Use your 12 to 24 word phrase</span>
+                            </div>
+                        </button>
+                        <button
+                            className="recovery-option"
+                            onClick={() => setRecoveryMethod('shares')}
+                        >
+                            <ShieldIcon size={20} />
+                            <div className="recovery-option-text">
+                                <span className="recovery-option-title">Shamir Shares</span>
+                                <span className="recovery-option-desc">Combine enough backup shares</span>
                             </div>
                         </button>
                         <button
@@ -238,6 +279,17 @@ export function LockScreen({ onUnlock, onRecover }) {
 
     // Forgot Password - Enter Recovery Data
     if (showForgotPassword && recoveryMethod) {
+        const hasRecoveryInput = {
+            phrase: recoveryWords.some(word => word.trim()),
+            shares: recoveryShares.some(share => share.trim()),
+            key: !!recoveryInput.trim()
+        }[recoveryMethod];
+        const recoveryTitle = {
+            phrase: 'Enter Recovery Phrase',
+            shares: 'Enter Backup Shares',
+            key: 'Enter Private Key'
+        }[recoveryMethod];
+
         return (
             <div className="lock-screen animate-fade-in">
                 <div className="lock-screen-content">
@@ -247,39 +299,75 @@ export function LockScreen({ onUnlock, onRecover }) {
                     </button>
 
                     <h2 className="lock-title" style={{ marginBottom: 8 }}>
-                        {recoveryMethod === 'phrase' ? 'Enter Recovery Phrase' : 'Enter Private Key'}
+                        {recoveryTitle}
                     </h2>
                     <p className="lock-subtitle">Enter your credentials and create a new password</p>
 
                     <form onSubmit={handleRecovery} className="lock-form">
-                        <div className="form-group">
-                            <label className="form-label">
-                                {recoveryMethod === 'phrase' ? 'Recovery Phrase' : 'Private Key'}
-                            </label>
-                            <div className="input-with-icon">
-                                <textarea
-                                    className="input recovery-textarea"
-                                    value={recoveryInput}
-                                    onChange={(e) => {
-                                        setRecoveryInput(e.target.value);
+                        {recoveryMethod === 'phrase' ? (
+                            <div className="form-group">
+                                <label className="form-label">Recovery Phrase</label>
+                                <MnemonicInput
+                                    words={recoveryWords}
+                                    onChange={(words) => {
+                                        setRecoveryWords(words);
                                         setRecoveryError('');
                                     }}
-                                    placeholder={recoveryMethod === 'phrase' ? 'word1 word2 word3 ...' : 'Paste your private key (Base64)'}
-                                    rows={3}
+                                    wordCount={recoveryWordCount}
+                                    onWordCountChange={setRecoveryWordCount}
                                     disabled={isRecovering}
-                                    style={{ fontFamily: showRecoveryInput ? 'monospace' : 'inherit', filter: showRecoveryInput ? 'none' : 'blur(4px)' }}
                                 />
-                                <button
-                                    type="button"
-                                    className="input-icon-btn"
-                                    onClick={() => setShowRecoveryInput(!showRecoveryInput)}
-                                    tabIndex={-1}
-                                    style={{ top: '12px' }}
-                                >
-                                    {showRecoveryInput ? <EyeOffIcon size={18} /> : <EyeIcon size={18} />}
-                                </button>
                             </div>
-                        </div>
+                        ) : recoveryMethod === 'shares' ? (
+                            <div className="form-group">
+                                <ShareInput
+                                    shares={recoveryShares}
+                                    onChange={(shares) => {
+                                        setRecoveryShares(shares);
+                                        setRecoveryError('');
+                                    }}
+                                    disabled={isRecovering}
+                                />
+                            </div>
+                        ) : (
+                            <div className="form-group">
+                                <label className="form-label">Private Key</label>
+                                <div className="input-with-icon">
+                                    <textarea
+                                        className="input recovery-textarea"
+                                        value={recoveryInput}
+                                        onChange={(e) => {
+                                            setRecoveryInput(e.target.value);
+                                            setRecoveryError('');
+                                        }}
+                                        placeholder="Paste your private key (Base64)"
+                                        rows={3}
+                                        disabled={isRecovering}
+                                        style={{ fontFamily: showRecoveryInput ? 'monospace' : 'inherit', filter: showRecoveryInput ? 'none' : 'blur(4px)' }}
+                                    />
+                                    <button
+                                        type="button"
+                                        className="input-icon-btn"
+                                        onClick={() => setShowRecoveryInput(!showRecoveryInput)}
+                                        tabIndex={-1}
+                                        style={{ top: '12px' }}
+                                    >
+                                        {showRecoveryInput ? <EyeOffIcon size={18} /> : <EyeIcon size={18} />}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {recoveryMethod !== 'key' && (
+                            <PassphraseInput
+                                value={recoveryPassphrase}
+                                onChange={(value) => {
+                                    setRecoveryPassphrase(value);
+                                    setRecoveryError('');
+                                }}
+                                disabled={isRecovering}
+                            />
+                        )}
 
                         <div className="form-group">
                             <label className="form-label">New Password</label>
@@ -349,7 +437,7 @@ export function LockScreen({ onUnlock, onRecover }) {
                         <button
                             type="submit"
                             className="btn btn-primary btn-lg btn-full"
-                            disabled={isRecovering || !recoveryInput.trim() || newPassword.length < 8 || newPassword !== confirmNewPassword}
+                            disabled={isRecovering || !hasRecoveryInput || newPassword.length < 8 || newPassword !== confirmNewPassword}
                         >
                             {isRecovering ? <span className="loading-spinner" /> : 'Recover Wallet'}
                         </button>
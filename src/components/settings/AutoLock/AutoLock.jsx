@@ -0,0 +1,108 @@
+/**
+ * Auto-Lock Screen
+ * Picks when the background keyring locks itself: after minutes without
+ * activity, when the browser closes, or never (confirmed with a warning).
+ */
+
+import { useState } from 'react';
+import { ChevronLeftIcon, AlertIcon } from '../../shared/Icons';
+import { ConfirmModal } from '../../shared/ConfirmModal';
+import { AUTO_LOCK, AUTO_LOCK_OPTIONS } from '../../../constants';
+import { autoLockLabel } from '../../../utils/autoLock';
+import './AutoLock.css';
+
+const NEVER_WARNING = 'Your wallet stays unlocked until you lock it or quit the browser. Anyone using this computer meanwhile can send your funds and approve site requests.';
+
+export function AutoLockSettings({ autoLock, onChangeAutoLock, onBack }) {
+    const [confirmNever, setConfirmNever] = useState(false);
+    const [isSaving, setIsSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const save = async (value) => {
+        setIsSaving(true);
+        setError('');
+        try {
+            await onChangeAutoLock(value);
+        } catch (err) {
+            setError(err.message || 'Could not change the auto-lock');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSelect = (value) => {
+        if (value === autoLock || isSaving) return;
+        if (value === AUTO_LOCK.NEVER) {
+            setConfirmNever(true);
+            return;
+        }
+        save(value);
+    };
+
+    const handleConfirmNever = () => {
+        setConfirmNever(false);
+        save(AUTO_LOCK.NEVER);
+    };
+
+    return (
+        <>
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <button className="header-icon-btn" onClick={onBack}>
+                        <ChevronLeftIcon size={20} />
+                    </button>
+                    <span className="text-lg font-semibold">Auto-Lock</span>
+                </div>
+            </header>
+
+            <div className="wallet-content animate-fade-in">
+                <p className="text-sm text-secondary mb-md">
+                    Lock the wallet after a time without activity. Locking the screen or putting the
+                    computer to sleep locks it too, unless auto-lock is off.
+                </p>
+
+                <div className="auto-lock-options" role="radiogroup" aria-label="Auto-lock">
+                    {AUTO_LOCK_OPTIONS.map(value => (
+                        <button
+                            key={value}
+                            role="radio"
+                            aria-checked={autoLock === value}
+                            className={`auto-lock-option ${autoLock === value ? 'active' : ''}`}
+                            onClick={() => handleSelect(value)}
+                            disabled={isSaving}
+                        >
+                            <span className="auto-lock-option-dot" />
+                            <span>{autoLockLabel(value)}</span>
+                        </button>
+                    ))}
+                </div>
+
+                {autoLock === AUTO_LOCK.NEVER && (
+                    <div className="auto-lock-warning" role="alert">
+                        <AlertIcon size={14} />
+                        <span>{NEVER_WARNING}</span>
+                    </div>
+                )}
+
+                {error && (
+                    <div className="flex items-center gap-sm text-error text-sm mt-md">
+                        <AlertIcon size={14} />
+                        <span>{error}</span>
+                    </div>
+                )}
+            </div>
+
+            <ConfirmModal
+                isOpen={confirmNever}
+                title="Never lock automatically?"
+                message={NEVER_WARNING}
+                confirmText="Turn Off Auto-Lock"
+                isDanger
+                onConfirm={handleConfirmNever}
+                onCancel={() => setConfirmNever(false)}
+            />
+        </>
+    );
+}
+
+export default AutoLockSettings;
@@ -0,0 +1,290 @@
+/**
+ * Full Backup Screens
+ * Export downloads every wallet, setting, custom token, privacy log and
+ * history entry as one bundle encrypted with a password chosen here;
+ * restore reads a bundle back, merging with or replacing what is stored
+ * (see utils/backupBundle for the format).
+ */
+
+import { useState } from 'react';
+import { ChevronLeftIcon, EyeIcon, EyeOffIcon, ExportIcon, ImportIcon, CheckIcon } from '../../shared/Icons';
+import { BackupFileInput, RestoreModeSelect, BackupSummary } from '../../shared/BackupFile';
+import { verifyPasswordSecure as verifyPassword } from '../../../utils/storageSecure';
+import { calculatePasswordStrength } from '../../../utils/validation';
+import { createBackupFile, openBackupFile, downloadBackupFile, summarizeBackup } from '../../../utils/backupBundle';
+import { backupService } from '../../../services/BackupService';
+import { keyringClient } from '../../../services/KeyringClient';
+
+function ScreenHeader({ title, onBack }) {
+    return (
+        <header className="wallet-header">
+            <div className="flex items-center gap-md">
+                <button className="header-icon-btn" onClick={onBack}>
+                    <ChevronLeftIcon size={20} />
+                </button>
+                <span className="text-lg font-semibold">{title}</span>
+            </div>
+        </header>
+    );
+}
+
+export function BackupExportSettings({ settings, dataKey, onBack }) {
+    const [walletPassword, setWalletPassword] = useState('');
+    const [backupPassword, setBackupPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [showPasswords, setShowPasswords] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [summary, setSummary] = useState(null);
+    const [error, setError] = useState('');
+
+    const strength = calculatePasswordStrength(backupPassword);
+
+    const handleExport = async () => {
+        if (backupPassword.length < 8) {
+            setError('Backup password must be at least 8 characters');
+            return;
+        }
+        if (backupPassword !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsExporting(true);
+        setError('');
+        try {
+            let wallets;
+            try {
+                wallets = await keyringClient.exportWallets(walletPassword);
+            } catch (err) {
+                if (err.message !== 'Invalid password') throw err;
+                setError('Incorrect wallet password');
+                return;
+            }
+            const payload = await backupService.collectBackup(wallets, dataKey, settings);
+            downloadBackupFile(await createBackupFile(payload, backupPassword));
+            setBackupPassword('');
+            setConfirmPassword('');
+            setSummary(summarizeBackup(payload));
+        } catch (err) {
+            setError(err.message || 'Backup failed');
+        } finally {
+            setWalletPassword('');
+            setIsExporting(false);
+        }
+    };
+
+    const passwordInput = (label, value, onChange, placeholder) => (
+        <div className="form-group">
+            <label className="form-label">{label}</label>
+            <input
+                type={showPasswords ? 'text' : 'password'}
+                className="input"
+                value={value}
+                onChange={(e) => { onChange(e.target.value); setError(''); }}
+                placeholder={placeholder}
+                autoComplete="new-password"
+                disabled={isExporting}
+            />
+        </div>
+    );
+
+    return (
+        <>
+            <ScreenHeader title="Export Backup" onBack={onBack} />
+
+            <div className="wallet-content animate-fade-in">
+                {summary ? (
+                    <>
+                        <div className="security-icon-container">
+                            <div className="security-icon-pulse">
+                                <CheckIcon size={32} />
+                            </div>
+                        </div>
+                        <div className="security-notice">
+                            <p>
+                                Backup downloaded. Keep the backup password safe - without it
+                                the file cannot be restored, and it is not your wallet password.
+                            </p>
+                        </div>
+                        <BackupSummary summary={summary} />
+                        <button className="btn btn-primary btn-lg btn-full" onClick={onBack}>
+                            Done
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <div className="security-notice">
+                            <p>
+                                The file contains the private keys and recovery phrases of every wallet,
+                                with your settings, custom tokens, privacy logs and transaction history,
+                                encrypted with the password below.
+                            </p>
+                        </div>
+
+                        {passwordInput('Backup Password', backupPassword, setBackupPassword, 'At least 8 characters')}
+                        {backupPassword && (
+                            <div className="password-strength mb-md">
+                                <div className="password-strength-bar">
+                                    <div
+                                        className={`password-strength-fill strength-${strength.level}`}
+                                        style={{ width: `${strength.percent}%` }}
+                                    />
+                                </div>
+                                <span className={`password-strength-text strength-${strength.level}`}>{strength.label}</span>
+                            </div>
+                        )}
+                        {passwordInput('Confirm Backup Password', confirmPassword, setConfirmPassword, 'Repeat the password')}
+                        {passwordInput('Wallet Password', walletPassword, setWalletPassword, 'Your current wallet password')}
+
+                        <button
+                            type="button"
+                            className="btn btn-ghost btn-sm mb-md gap-sm"
+                            onClick={() => setShowPasswords(!showPasswords)}
+                        >
+                            {showPasswords ? <EyeOffIcon size={16} /> : <EyeIcon size={16} />}
+                            {showPasswords ? 'Hide passwords' : 'Show passwords'}
+                        </button>
+
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                        <button
+                            className="btn btn-primary btn-lg btn-full gap-sm"
+                            onClick={handleExport}
+                            disabled={isExporting || !backupPassword || !confirmPassword || !walletPassword}
+                        >
+                            {isExporting ? <span className="loading-spinner" /> : <><ExportIcon size={18} /> Download Backup</>}
+                        </button>
+                    </>
+                )}
+            </div>
+        </>
+    );
+}
+
+/**
+ * @param {Function} onRestoreBackup - (payload, { mode, password }) => Promise, applies the restore
+ */
+export function BackupRestoreSettings({ onRestoreBackup, onBack }) {
+    const [file, setFile] = useState(null);
+    const [backupPassword, setBackupPassword] = useState('');
+    const [payload, setPayload] = useState(null);
+    const [mode, setMode] = useState('merge');
+    const [walletPassword, setWalletPassword] = useState('');
+    const [isWorking, setIsWorking] = useState(false);
+    const [isDone, setIsDone] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleOpen = async () => {
+        setIsWorking(true);
+        setError('');
+        try {
+            setPayload(await openBackupFile(file, backupPassword));
+        } catch (err) {
+            setError(err.message || 'Could not open the backup');
+        } finally {
+            setBackupPassword('');
+            setIsWorking(false);
+        }
+    };
+
+    const handleRestore = async () => {
+        if (mode === 'replace' && !window.confirm('Replace all wallets and data on this device with the backup? Wallets missing from the backup will be removed.')) {
+            return;
+        }
+
+        setIsWorking(true);
+        setError('');
+        try {
+            if (!await verifyPassword(walletPassword)) {
+                setError('Incorrect wallet password');
+                return;
+            }
+            await onRestoreBackup(payload, { mode, password: walletPassword });
+            setPayload(null);
+            setIsDone(true);
+        } catch (err) {
+            setError(err.message || 'Restore failed');
+        } finally {
+            setWalletPassword('');
+            setIsWorking(false);
+        }
+    };
+
+    return (
+        <>
+            <ScreenHeader title="Restore Backup" onBack={onBack} />
+
+            <div className="wallet-content animate-fade-in">
+                {isDone && (
+                    <>
+                        <div className="security-icon-container">
+                            <div className="security-icon-pulse">
+                                <CheckIcon size={32} />
+                            </div>
+                        </div>
+                        <div className="security-notice">
+                            <p>Backup restored. Your wallets now use your current wallet password.</p>
+                        </div>
+                        <button className="btn btn-primary btn-lg btn-full" onClick={onBack}>
+                            Done
+                        </button>
+                    </>
+                )}
+
+                {!isDone && !payload && (
+                    <>
+                        <BackupFileInput
+                            file={file}
+                            onLoad={(loaded) => { setFile(loaded); setError(''); }}
+                            password={backupPassword}
+                            onPasswordChange={(value) => { setBackupPassword(value); setError(''); }}
+                            disabled={isWorking}
+                        />
+
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                        <button
+                            className="btn btn-primary btn-lg btn-full gap-sm"
+                            onClick={handleOpen}
+                            disabled={isWorking || !file || !backupPassword}
+                        >
+                            {isWorking ? <span className="loading-spinner" /> : <><ImportIcon size={18} /> Open Backup</>}
+                        </button>
+                    </>
+                )}
+
+                {!isDone && payload && (
+                    <>
+                        <BackupSummary summary={summarizeBackup(payload)} />
+                        <RestoreModeSelect value={mode} onChange={setMode} disabled={isWorking} />
+
+                        <div className="form-group">
+                            <label className="form-label">Wallet Password</label>
+                            <input
+                                type="password"
+                                className="input"
+                                value={walletPassword}
+                                onChange={(e) => { setWalletPassword(e.target.value); setError(''); }}
+                                placeholder="Your current wallet password"
+                                autoComplete="current-password"
+                                disabled={isWorking}
+                            />
+                        </div>
+
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                        <button
+                            className="btn btn-primary btn-lg btn-full gap-sm"
+                            onClick={handleRestore}
+                            disabled={isWorking || !walletPassword}
+                        >
+                            {isWorking ? <span className="loading-spinner" /> : <><ImportIcon size={18} /> {mode === 'replace' ? 'Replace With Backup' : 'Merge Backup'}</>}
+                        </button>
+                    </>
+                )}
+            </div>
+        </>
+    );
+}
+
+export default BackupExportSettings;
@@ -0,0 +1,134 @@
+/**
+ * Connected Sites Screen
+ * Lists every site holding a grant (accounts it sees, what it may request,
+ * when it was approved) and revokes them one by one or all at once.
+ */
+
+import { useState } from 'react';
+import { ChevronLeftIcon, GlobeIcon, CloseIcon, AlertIcon } from '../../shared/Icons';
+import { ConfirmModal } from '../../shared/ConfirmModal';
+import { truncateAddress } from '../../../utils/crypto';
+import { permissionService } from '../../../services/PermissionService';
+import { GRANT_LABELS } from '../../../provider/protocol';
+import './ConnectedSites.css';
+
+export function ConnectedSitesSettings({ dataKey, onBack }) {
+    const [grants, setGrants] = useState(() => permissionService.list());
+    const [confirmAll, setConfirmAll] = useState(false);
+    const [busyOrigin, setBusyOrigin] = useState(null);
+    const [error, setError] = useState('');
+
+    const run = async (origin, action) => {
+        setBusyOrigin(origin);
+        setError('');
+        try {
+            await action();
+            setGrants(permissionService.list());
+        } catch (err) {
+            setError(err.message || 'Could not update site permissions');
+        } finally {
+            setBusyOrigin(null);
+        }
+    };
+
+    const handleRevoke = (origin) => run(origin, () => permissionService.revoke(origin, dataKey));
+
+    const handleRevokeAll = () => {
+        setConfirmAll(false);
+        run('*', () => permissionService.revokeAll(dataKey));
+    };
+
+    return (
+        <>
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <button className="header-icon-btn" onClick={onBack}>
+                        <ChevronLeftIcon size={20} />
+                    </button>
+                    <span className="text-lg font-semibold">Connected Sites</span>
+                </div>
+            </header>
+
+            <div className="wallet-content animate-fade-in">
+                {grants.length === 0 ? (
+                    <div className="security-notice">
+                        <p>No site is connected. Sites ask through window.octra and appear here once you approve them.</p>
+                    </div>
+                ) : (
+                    <>
+                        <p className="text-sm text-secondary mb-md">
+                            These sites can see the listed accounts and ask you to approve requests. Revoking
+                            disconnects open tabs immediately.
+                        </p>
+
+                        <div className="connected-sites">
+                            {grants.map((grant) => (
+                                <div key={grant.origin} className="connected-site">
+                                    <div className="connected-site-header">
+                                        <div className="flex items-center gap-sm truncate">
+                                            <GlobeIcon size={16} />
+                                            <span className="connected-site-origin truncate">{grant.origin}</span>
+                                        </div>
+                                        <button
+                                            className="btn btn-ghost btn-sm"
+                                            onClick={() => handleRevoke(grant.origin)}
+                                            disabled={busyOrigin !== null}
+                                            aria-label={`Revoke ${grant.origin}`}
+                                        >
+                                            {busyOrigin === grant.origin ? <span className="loading-spinner" /> : <CloseIcon size={14} />}
+                                            Revoke
+                                        </button>
+                                    </div>
+
+                                    <div className="text-xs text-tertiary">
+                                        Connected {grant.grantedAt ? new Date(grant.grantedAt).toLocaleString() : 'earlier'}
+                                    </div>
+
+                                    <div className="connected-site-accounts">
+                                        {grant.accounts.map(address => (
+                                            <span key={address} className="text-mono text-xs">{truncateAddress(address)}</span>
+                                        ))}
+                                    </div>
+
+                                    <div className="connected-site-methods">
+                                        {grant.methods.length === 0 && <span className="connected-site-method">View only</span>}
+                                        {grant.methods.map(method => (
+                                            <span key={method} className="connected-site-method">{GRANT_LABELS[method] || method}</span>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+
+                        <button
+                            className="btn btn-danger btn-lg btn-full mt-md"
+                            onClick={() => setConfirmAll(true)}
+                            disabled={busyOrigin !== null}
+                        >
+                            Revoke All Sites
+                        </button>
+                    </>
+                )}
+
+                {error && (
+                    <div className="flex items-center gap-sm text-error text-sm mt-md">
+                        <AlertIcon size={14} />
+                        <span>{error}</span>
+                    </div>
+                )}
+            </div>
+
+            <ConfirmModal
+                isOpen={confirmAll}
+                title="Revoke all sites?"
+                message={`${grants.length} site(s) will be disconnected and must ask to connect again.`}
+                confirmText="Revoke All"
+                isDanger
+                onConfirm={handleRevokeAll}
+                onCancel={() => setConfirmAll(false)}
+            />
+        </>
+    );
+}
+
+export default ConnectedSitesSettings;
@@ -0,0 +1,152 @@
+/**
+ * Keystore Export Screen
+ * Downloads the active wallet as a keystore file encrypted with a password
+ * chosen here (see utils/keystore for the format).
+ */
+
+import { useState } from 'react';
+import { ChevronLeftIcon, EyeIcon, EyeOffIcon, ExportIcon, CheckIcon } from '../../shared/Icons';
+import { calculatePasswordStrength } from '../../../utils/validation';
+import { encryptKeystore, downloadKeystore } from '../../../utils/keystore';
+import { keyringClient } from '../../../services/KeyringClient';
+
+export function KeystoreExportSettings({ wallet, onBack }) {
+    const [walletPassword, setWalletPassword] = useState('');
+    const [keystorePassword, setKeystorePassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [showPasswords, setShowPasswords] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [isDone, setIsDone] = useState(false);
+    const [error, setError] = useState('');
+
+    const strength = calculatePasswordStrength(keystorePassword);
+    const includesPhrase = !!wallet.hasSeed && !wallet.hdRoot && wallet.wordCount > 0;
+
+    const handleExport = async () => {
+        if (keystorePassword.length < 8) {
+            setError('Keystore password must be at least 8 characters');
+            return;
+        }
+        if (keystorePassword !== confirmPassword) {
+            setError('Passwords do not match');
+            return;
+        }
+
+        setIsExporting(true);
+        setError('');
+        try {
+            let fullWallet;
+            try {
+                fullWallet = await keyringClient.exportWallet(wallet.address, walletPassword);
+            } catch (err) {
+                if (err.message !== 'Invalid password') throw err;
+                setError('Incorrect wallet password');
+                return;
+            }
+            downloadKeystore(await encryptKeystore(fullWallet, keystorePassword));
+            setKeystorePassword('');
+            setConfirmPassword('');
+            setIsDone(true);
+        } catch (err) {
+            setError(err.message || 'Export failed');
+        } finally {
+            setWalletPassword('');
+            setIsExporting(false);
+        }
+    };
+
+    const passwordInput = (label, value, onChange, placeholder) => (
+        <div className="form-group">
+            <label className="form-label">{label}</label>
+            <input
+                type={showPasswords ? 'text' : 'password'}
+                className="input"
+                value={value}
+                onChange={(e) => { onChange(e.target.value); setError(''); }}
+                placeholder={placeholder}
+                autoComplete="new-password"
+                disabled={isExporting}
+            />
+        </div>
+    );
+
+    return (
+        <>
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <button className="header-icon-btn" onClick={onBack}>
+                        <ChevronLeftIcon size={20} />
+                    </button>
+                    <span className="text-lg font-semibold">Export Keystore</span>
+                </div>
+            </header>
+
+            <div className="wallet-content animate-fade-in">
+                {isDone ? (
+                    <>
+                        <div className="security-icon-container">
+                            <div className="security-icon-pulse">
+                                <CheckIcon size={32} />
+                            </div>
+                        </div>
+                        <div className="security-notice">
+                            <p>
+                                Keystore downloaded. Keep the keystore password safe - without it
+                                the file cannot be opened, and it is not your wallet password.
+                            </p>
+                        </div>
+                        <button className="btn btn-primary btn-lg btn-full" onClick={onBack}>
+                            Done
+                        </button>
+                    </>
+                ) : (
+                    <>
+                        <div className="security-notice">
+                            <p>
+                                {includesPhrase
+                                    ? 'The file contains this wallet\'s private key and recovery phrase, encrypted with the password below.'
+                                    : 'The file contains this wallet\'s private key, encrypted with the password below.'}
+                            </p>
+                        </div>
+
+                        {passwordInput('Keystore Password', keystorePassword, setKeystorePassword, 'At least 8 characters')}
+                        {keystorePassword && (
+                            <div className="password-strength mb-md">
+                                <div className="password-strength-bar">
+                                    <div
+                                        className={`password-strength-fill strength-${strength.level}`}
+                                        style={{ width: `${strength.percent}%` }}
+                                    />
+                                </div>
+                                <span className={`password-strength-text strength-${strength.level}`}>{strength.label}</span>
+                            </div>
+                        )}
+                        {passwordInput('Confirm Keystore Password', confirmPassword, setConfirmPassword, 'Repeat the password')}
+                        {passwordInput('Wallet Password', walletPassword, setWalletPassword, 'Your current wallet password')}
+
+                        <button
+                            type="button"
+                            className="btn btn-ghost btn-sm mb-md gap-sm"
+                            onClick={() => setShowPasswords(!showPasswords)}
+                        >
+                            {showPasswords ? <EyeOffIcon size={16} /> : <EyeIcon size={16} />}
+                            {showPasswords ? 'Hide passwords' : 'Show passwords'}
+                        </button>
+
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                        <button
+                            className="btn btn-primary btn-lg btn-full gap-sm"
+                            onClick={handleExport}
+                            disabled={isExporting || !keystorePassword || !confirmPassword || !walletPassword}
+                        >
+                            {isExporting ? <span className="loading-spinner" /> : <><ExportIcon size={18} /> Download Keystore</>}
+                        </button>
+                    </>
+                )}
+            </div>
+        </>
+    );
+}
+
+export default KeystoreExportSettings;
@@ -0,0 +1,241 @@
+/**
+ * Offline Signing Screens
+ * Sign an unsigned transaction file (air-gapped machine) and
+ * broadcast a signed one (online machine)
+ */
+
+import { useState } from 'react';
+import { ChevronLeftIcon, CheckIcon, AlertIcon } from '../../shared/Icons';
+import { TxFileSummary, TxFileOutput, TxFileInput } from '../../shared/TxFile';
+import { WatchOnlyNotice } from '../../shared/WatchOnlyNotice';
+import { keyringClient } from '../../../services/KeyringClient';
+import { nonceManager } from '../../../services/NonceManager';
+import { getRpcClient } from '../../../utils/rpc';
+import { formatUnits, toNumber } from '../../../utils/amount';
+import { saveTxHistorySecure } from '../../../utils/storageSecure';
+import { getFriendlyErrorMessage } from '../../../utils/errorMessages';
+import {
+    validateUnsignedTxFile,
+    validateSignedTxFile,
+    createSignedTxFile
+} from '../../../utils/offlineTx';
+
+function ScreenHeader({ title, onBack }) {
+    return (
+        <header className="wallet-header">
+            <div className="flex items-center gap-md">
+                <button className="header-icon-btn" onClick={onBack}>
+                    <ChevronLeftIcon size={20} />
+                </button>
+                <span className="text-lg font-semibold">{title}</span>
+            </div>
+        </header>
+    );
+}
+
+function ErrorNote({ error }) {
+    if (!error) return null;
+    return (
+        <div className="flex items-center gap-sm text-error text-sm mb-lg">
+            <AlertIcon size={16} />
+            <span>{error}</span>
+        </div>
+    );
+}
+
+export function SignTxFileSettings({ wallet, onBack, onLock }) {
+    const [file, setFile] = useState(null);
+    const [signedFile, setSignedFile] = useState(null);
+    const [error, setError] = useState('');
+    const [isSigning, setIsSigning] = useState(false);
+
+    const handleLoad = (loaded) => {
+        setSignedFile(null);
+        try {
+            // Nonce, amount, fee and sender are checked before anything is signed
+            setFile(validateUnsignedTxFile(loaded, { address: wallet.address }));
+            setError('');
+        } catch (err) {
+            setFile(null);
+            setError(err.message);
+        }
+    };
+
+    const handleSign = async () => {
+        setIsSigning(true);
+        setError('');
+        try {
+            const { tx } = file;
+            const signedTx = await keyringClient.signTransaction(wallet.address, {
+                to: tx.to_,
+                amount: formatUnits(tx.amount),
+                nonce: tx.nonce,
+                ou: tx.ou,
+                timestamp: tx.timestamp,
+                message: tx.message || null
+            });
+            setSignedFile(createSignedTxFile(file, signedTx));
+        } catch (err) {
+            if (err.message?.includes('Keyring is locked') && onLock) {
+                onLock();
+                return;
+            }
+            setError(err.message);
+        } finally {
+            setIsSigning(false);
+        }
+    };
+
+    return (
+        <>
+            <ScreenHeader title="Sign Transaction File" onBack={onBack} />
+
+            <div className="wallet-content animate-fade-in">
+                <p className="text-secondary text-sm mb-lg">
+                    Sign a transaction prepared on an online device. This device does not need
+                    a network connection - move the signed file back to broadcast it.
+                </p>
+
+                {wallet.watchOnly && (
+                    <WatchOnlyNotice message="This is a watch-only wallet, so it cannot sign. Open this screen on the device that holds its private key." />
+                )}
+
+                {!signedFile && !wallet.watchOnly && (
+                    <TxFileInput
+                        label="Unsigned Transaction"
+                        onLoad={handleLoad}
+                        onError={(err) => { setFile(null); setError(err.message); }}
+                    />
+                )}
+
+                <ErrorNote error={error} />
+
+                {file && !signedFile && (
+                    <div className="animate-fade-in">
+                        <TxFileSummary file={file} />
+                        <button
+                            className="btn btn-primary btn-lg btn-full"
+                            onClick={handleSign}
+                            disabled={isSigning}
+                        >
+                            {isSigning ? 'Signing...' : 'Sign Transaction'}
+                        </button>
+                    </div>
+                )}
+
+                {signedFile && (
+                    <>
+                        <div className="flex items-center gap-sm text-success text-sm mb-lg">
+                            <CheckIcon size={16} />
+                            <span>Signed - broadcast it from an online device</span>
+                        </div>
+                        <TxFileSummary file={signedFile} />
+                        <TxFileOutput file={signedFile} />
+                    </>
+                )}
+            </div>
+        </>
+    );
+}
+
+export function BroadcastTxSettings({ wallet, settings, onBack }) {
+    const network = settings?.network || 'testnet';
+    const [file, setFile] = useState(null);
+    const [txHash, setTxHash] = useState('');
+    const [error, setError] = useState('');
+    const [isSending, setIsSending] = useState(false);
+
+    const handleLoad = async (loaded) => {
+        setTxHash('');
+        try {
+            setFile(await validateSignedTxFile(loaded, { network }));
+            setError('');
+        } catch (err) {
+            setFile(null);
+            setError(err.message);
+        }
+    };
+
+    const handleBroadcast = async () => {
+        setIsSending(true);
+        setError('');
+        try {
+            const { tx } = file;
+            const result = await getRpcClient().sendTransaction(tx);
+            nonceManager.markSent(tx.from, tx.nonce);
+
+            if (tx.from === wallet?.address) {
+                saveTxHistorySecure([{
+                    hash: result.txHash,
+                    type: 'out',
+                    amount: toNumber(tx.amount),
+                    address: tx.to_,
+                    timestamp: tx.timestamp * 1000, // signed in seconds
+                    status: 'pending',
+                    ou: tx.ou,
+                    nonce: tx.nonce
+                }], network, tx.from);
+            }
+
+            setTxHash(result.txHash);
+        } catch (err) {
+            setError(`${getFriendlyErrorMessage(err)} (${err.message})`);
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    return (
+        <>
+            <ScreenHeader title="Broadcast Transaction" onBack={onBack} />
+
+            <div className="wallet-content animate-fade-in">
+                <p className="text-secondary text-sm mb-lg">
+                    Submit a transaction that was signed on an offline device.
+                    The signature is verified before anything is sent.
+                </p>
+
+                {!txHash && (
+                    <TxFileInput
+                        label="Signed Transaction"
+                        onLoad={handleLoad}
+                        onError={(err) => { setFile(null); setError(err.message); }}
+                    />
+                )}
+
+                <ErrorNote error={error} />
+
+                {file && (
+                    <div className="animate-fade-in">
+                        <TxFileSummary file={file} />
+
+                        {txHash ? (
+                            <div className="card">
+                                <div className="flex items-center gap-sm text-success mb-sm">
+                                    <CheckIcon size={16} />
+                                    <span className="text-sm font-semibold">Transaction Sent</span>
+                                </div>
+                                <a
+                                    href={`https://octrascan.io/transactions/${txHash}`}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="text-mono text-xs text-accent break-all"
+                                >
+                                    {txHash}
+                                </a>
+                            </div>
+                        ) : (
+                            <button
+                                className="btn btn-primary btn-lg btn-full"
+                                onClick={handleBroadcast}
+                                disabled={isSending}
+                            >
+                                {isSending ? 'Broadcasting...' : 'Broadcast Transaction'}
+                            </button>
+                        )}
+                    </div>
+                )}
+            </div>
+        </>
+    );
+}
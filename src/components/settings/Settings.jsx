@@ -12,26 +12,38 @@ import {
     KeyIcon,
     LogoutIcon,
     ExportIcon,
+    ImportIcon,
     EyeIcon,
     EyeOffIcon,
     CopyIcon,
     CheckIcon,
     LockIcon,
     SignatureIcon,
-    AlertIcon
+    SendIcon,
+    AlertIcon,
+    PlusIcon,
+    CloseIcon,
+    ChevronDownIcon,
+    ShieldIcon
 } from '../shared/Icons';
 import { truncateAddress } from '../../utils/crypto';
-import {
-    verifyPasswordSecure as verifyPassword,
-    changePasswordSecure as changePassword,
-    exportWalletSecure as exportWallet
-} from '../../utils/storageSecure';
 import { NetworkSwitcher } from './NetworkSwitcher/NetworkSwitcher';
-import { keyringService } from '../../services/KeyringService';
+import { SignTxFileSettings, BroadcastTxSettings } from './OfflineSigning/OfflineSigning';
+import { ShamirBackupSettings } from './ShamirBackup/ShamirBackup';
+import { KeystoreExportSettings } from './KeystoreExport/KeystoreExport';
+import { BackupExportSettings, BackupRestoreSettings } from './BackupRestore/BackupRestore';
+import { ConnectedSitesSettings } from './ConnectedSites/ConnectedSites';
+import { AutoLockSettings } from './AutoLock/AutoLock';
+import { WatchOnlyNotice } from '../shared/WatchOnlyNotice';
+import { keyringClient } from '../../services/KeyringClient';
+import { permissionService } from '../../services/PermissionService';
 import { calculatePasswordStrength } from '../../utils/validation';
+import { autoLockLabel } from '../../utils/autoLock';
+import RPCClient, { getRpcClient, getEndpointsFromSettings, RPC_ENDPOINTS } from '../../utils/rpc';
+import { normalizeEndpoints } from '../../utils/rpcEndpointPool';
 
-export function SettingsScreen({ wallet, settings, password, onUpdateSettings, onDisconnect, onLock, onBack, onPasswordChange }) {
-    const [view, setView] = useState('main'); // 'main' | 'network' | 'export' | 'recovery-phrase' | 'change-password' | 'sign-message'
+export function SettingsScreen({ wallet, settings, dataKey, onUpdateSettings, onDisconnect, onLock, onBack, onPasswordChange, onRestoreBackup, autoLock, onChangeAutoLock }) {
+    const [view, setView] = useState('main'); // 'main' | 'network' | 'export' | 'export-keystore' | 'export-backup' | 'restore-backup' | 'recovery-phrase' | 'shamir-backup' | 'connected-sites' | 'auto-lock' | 'change-password' | 'sign-message' | 'sign-tx-file' | 'broadcast-tx'
     const [showPrivateKey, setShowPrivateKey] = useState(false);
     const [copied, setCopied] = useState('');
 
@@ -45,21 +57,22 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
         }
     };
 
-    const handleExportKeystore = () => {
-        const timestamp = Math.floor(Date.now() / 1000);
-        const filename = `octra_wallet_${wallet.address.slice(-8)}_${timestamp}.json`;
-        exportWallet(wallet, filename);
-    };
-
     const handleDisconnect = () => {
         if (window.confirm('Are you sure you want to disconnect this wallet? Make sure you have backed up your recovery phrase or private key.')) {
             onDisconnect();
         }
     };
 
+    const configuredEndpoints = getEndpointsFromSettings(settings);
+    const activeEndpoint = getRpcClient().getActualRpcUrl();
+    const rpcSummary = configuredEndpoints.length > 1
+        ? `${configuredEndpoints.length} endpoints · using ${formatEndpointHost(activeEndpoint)}`
+        : (settings.rpcUrl || 'Default');
+    const connectedSiteCount = permissionService.list().length;
+
     const handlePanicLock = () => {
         // Immediate action, no confirmation for panic
-        keyringService.panicLock();
+        keyringClient.lock().catch(() => { });
         if (onLock) onLock();
     };
 
@@ -91,7 +104,53 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
         return (
             <ExportSettings
                 wallet={wallet}
-                password={password}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'export-keystore') {
+        return (
+            <KeystoreExportSettings
+                wallet={wallet}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'export-backup') {
+        return (
+            <BackupExportSettings
+                settings={settings}
+                dataKey={dataKey}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'restore-backup') {
+        return (
+            <BackupRestoreSettings
+                onRestoreBackup={onRestoreBackup}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'connected-sites') {
+        return (
+            <ConnectedSitesSettings
+                dataKey={dataKey}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'auto-lock') {
+        return (
+            <AutoLockSettings
+                autoLock={autoLock}
+                onChangeAutoLock={onChangeAutoLock}
                 onBack={() => setView('main')}
             />
         );
@@ -110,7 +169,15 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
         return (
             <RecoveryPhraseSettings
                 wallet={wallet}
-                password={password}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
+    if (view === 'shamir-backup') {
+        return (
+            <ShamirBackupSettings
+                wallet={wallet}
                 onBack={() => setView('main')}
             />
         );
@@ -125,6 +192,26 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
         );
     }
 
+    if (view === 'sign-tx-file') {
+        return (
+            <SignTxFileSettings
+                wallet={wallet}
+                onBack={() => setView('main')}
+                onLock={onLock}
+            />
+        );
+    }
+
+    if (view === 'broadcast-tx') {
+        return (
+            <BroadcastTxSettings
+                wallet={wallet}
+                settings={settings}
+                onBack={() => setView('main')}
+            />
+        );
+    }
+
     return (
         <>
             <header className="wallet-header">
@@ -191,9 +278,9 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
                         <div className="flex items-center gap-md">
                             <GlobeIcon size={20} />
                             <div className="settings-item-content">
-                                <div className="settings-item-label">RPC Endpoint</div>
+                                <div className="settings-item-label">RPC Endpoints</div>
                                 <div className="settings-item-value truncate" style={{ maxWidth: '200px' }}>
-                                    {settings.rpcUrl || 'Default'}
+                                    {rpcSummary}
                                 </div>
                             </div>
                         </div>
@@ -217,17 +304,30 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
                         <ChevronRightIcon size={18} className="text-tertiary" />
                     </div>
 
-                    <div className="settings-item" onClick={() => setView('export')}>
+                    <div className="settings-item" onClick={() => setView('auto-lock')}>
                         <div className="flex items-center gap-md">
-                            <KeyIcon size={20} />
+                            <LockIcon size={20} />
                             <div className="settings-item-content">
-                                <div className="settings-item-label">Export Private Key</div>
-                                <div className="settings-item-value">Requires password</div>
+                                <div className="settings-item-label">Auto-Lock</div>
+                                <div className="settings-item-value">{autoLockLabel(autoLock)}</div>
                             </div>
                         </div>
                         <ChevronRightIcon size={18} className="text-tertiary" />
                     </div>
 
+                    {!wallet.watchOnly && (
+                        <div className="settings-item" onClick={() => setView('export')}>
+                            <div className="flex items-center gap-md">
+                                <KeyIcon size={20} />
+                                <div className="settings-item-content">
+                                    <div className="settings-item-label">Export Private Key</div>
+                                    <div className="settings-item-value">Requires password</div>
+                                </div>
+                            </div>
+                            <ChevronRightIcon size={18} className="text-tertiary" />
+                        </div>
+                    )}
+
                     <div className="settings-item" onClick={() => setView('sign-message')}>
                         <div className="flex items-center gap-md">
                             <SignatureIcon size={20} />
@@ -239,12 +339,81 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
                         <ChevronRightIcon size={18} className="text-tertiary" />
                     </div>
 
-                    <div className="settings-item" onClick={handleExportKeystore}>
+                    <div className="settings-item" onClick={() => setView('connected-sites')}>
+                        <div className="flex items-center gap-md">
+                            <GlobeIcon size={20} />
+                            <div className="settings-item-content">
+                                <div className="settings-item-label">Connected Sites</div>
+                                <div className="settings-item-value">
+                                    {connectedSiteCount === 1 ? '1 site' : `${connectedSiteCount} sites`} can see your accounts
+                                </div>
+                            </div>
+                        </div>
+                        <ChevronRightIcon size={18} className="text-tertiary" />
+                    </div>
+
+                    {!wallet.watchOnly && (
+                        <div className="settings-item" onClick={() => setView('export-keystore')}>
+                            <div className="flex items-center gap-md">
+                                <ExportIcon size={20} />
+                                <div className="settings-item-content">
+                                    <div className="settings-item-label">Export Keystore</div>
+                                    <div className="settings-item-value">Password-encrypted wallet file</div>
+                                </div>
+                            </div>
+                            <ChevronRightIcon size={18} className="text-tertiary" />
+                        </div>
+                    )}
+                </div>
+
+                {/* Backup */}
+                <div className="settings-section">
+                    <div className="settings-section-title">Backup</div>
+
+                    <div className="settings-item" onClick={() => setView('export-backup')}>
                         <div className="flex items-center gap-md">
                             <ExportIcon size={20} />
                             <div className="settings-item-content">
-                                <div className="settings-item-label">Export Keystore</div>
-                                <div className="settings-item-value">Download wallet JSON file</div>
+                                <div className="settings-item-label">Export Full Backup</div>
+                                <div className="settings-item-value">All wallets, settings, tokens and history</div>
+                            </div>
+                        </div>
+                        <ChevronRightIcon size={18} className="text-tertiary" />
+                    </div>
+
+                    <div className="settings-item" onClick={() => setView('restore-backup')}>
+                        <div className="flex items-center gap-md">
+                            <ImportIcon size={20} />
+                            <div className="settings-item-content">
+                                <div className="settings-item-label">Restore Backup</div>
+                                <div className="settings-item-value">Merge or replace from a backup file</div>
+                            </div>
+                        </div>
+                        <ChevronRightIcon size={18} className="text-tertiary" />
+                    </div>
+                </div>
+
+                {/* Offline Signing */}
+                <div className="settings-section">
+                    <div className="settings-section-title">Offline Signing</div>
+
+                    <div className="settings-item" onClick={() => setView('sign-tx-file')}>
+                        <div className="flex items-center gap-md">
+                            <SignatureIcon size={20} />
+                            <div className="settings-item-content">
+                                <div className="settings-item-label">Sign Transaction File</div>
+                                <div className="settings-item-value">Sign a transaction prepared online</div>
+                            </div>
+                        </div>
+                        <ChevronRightIcon size={18} className="text-tertiary" />
+                    </div>
+
+                    <div className="settings-item" onClick={() => setView('broadcast-tx')}>
+                        <div className="flex items-center gap-md">
+                            <SendIcon size={20} />
+                            <div className="settings-item-content">
+                                <div className="settings-item-label">Broadcast Signed Transaction</div>
+                                <div className="settings-item-value">Submit a transaction signed offline</div>
                             </div>
                         </div>
                         <ChevronRightIcon size={18} className="text-tertiary" />
@@ -252,7 +421,7 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
                 </div>
 
                 {/* Recovery Phrase */}
-                {wallet.mnemonic && (
+                {wallet.wordCount > 0 && (
                     <div className="settings-section">
                         <div className="settings-section-title">Recovery Phrase</div>
 
@@ -260,8 +429,21 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
                             <div className="flex items-center gap-md">
                                 <KeyIcon size={20} />
                                 <div className="settings-item-content">
-                                    <div className="settings-item-label">12-word phrase</div>
-                                    <div className="settings-item-value">Requires password</div>
+                                    <div className="settings-item-label">{wallet.wordCount}-word phrase</div>
+                                    <div className="settings-item-value">
+                                        {wallet.derivationPath ? `Custom path ${wallet.derivationPath}` : 'Requires password'}
+                                    </div>
+                                </div>
+                            </div>
+                            <ChevronRightIcon size={18} className="text-tertiary" />
+                        </div>
+
+                        <div className="settings-item" onClick={() => setView('shamir-backup')}>
+                            <div className="flex items-center gap-md">
+                                <ShieldIcon size={20} />
+                                <div className="settings-item-content">
+                                    <div className="settings-item-label">Shamir backup</div>
+                                    <div className="settings-item-value">Split into shares, any M of N restore it</div>
                                 </div>
                             </div>
                             <ChevronRightIcon size={18} className="text-tertiary" />
@@ -308,59 +490,91 @@ export function SettingsScreen({ wallet, settings, password, onUpdateSettings, o
     );
 }
 
+function formatEndpointHost(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return url;
+    }
+}
+
+const ENDPOINT_STATUS_BADGE = {
+    healthy: { className: 'badge-success', label: 'Healthy' },
+    degraded: { className: 'badge-warning', label: 'Degraded' },
+    down: { className: 'badge-error', label: 'Down' },
+    unknown: { className: '', label: 'Untested' }
+};
+
 function NetworkSettings({ settings, onUpdateSettings, onBack }) {
-    const [rpcUrl, setRpcUrl] = useState(settings.rpcUrl || '');
+    const network = settings.network || 'testnet';
+    const [endpoints, setEndpoints] = useState(() => getEndpointsFromSettings(settings));
+    const [newUrl, setNewUrl] = useState('');
+    const [inputError, setInputError] = useState('');
     const [isTesting, setIsTesting] = useState(false);
-    const [testResult, setTestResult] = useState(null);
-
-    const presets = settings.network === 'testnet' ? [
-        { name: 'Octra Testnet', url: import.meta.env.VITE_RPC_URL || 'https://octra.network' },
+    // Seed with live stats from the shared client so the team sees which node is in use
+    const [health, setHealth] = useState(() => {
+        const map = {};
+        getRpcClient().getEndpointHealth().forEach(h => { map[h.url] = h; });
+        return map;
+    });
+
+    const presets = network === 'testnet' ? [
+        ...RPC_ENDPOINTS.testnet.map((url, index) => ({ name: index === 0 ? 'Octra Testnet' : `Octra Testnet ${index + 1}`, url })),
         { name: 'Local Node', url: 'http://localhost:8080' },
     ] : [
         { name: 'Local Node', url: 'http://localhost:8080' },
     ];
 
-    const handleTest = async () => {
-        if (!rpcUrl) return;
+    const handleAdd = (url) => {
+        const [clean] = normalizeEndpoints([url]);
+        if (!clean || !/^https?:\/\//.test(clean)) {
+            setInputError('Enter a valid http(s) URL');
+            return;
+        }
+        if (endpoints.includes(clean)) {
+            setInputError('Endpoint already in the list');
+            return;
+        }
+        setEndpoints([...endpoints, clean]);
+        setNewUrl('');
+        setInputError('');
+    };
 
-        setIsTesting(true);
-        setTestResult(null);
+    const handleRemove = (url) => {
+        setEndpoints(endpoints.filter(e => e !== url));
+    };
 
-        try {
-            // ALWAYS use proxy to avoid CORS
-            const isDev = import.meta.env.DEV;
-            let testUrl;
-
-            if (rpcUrl === 'https://octra.network' || rpcUrl.startsWith('https://octra.network')) {
-                // Use proxy for octra.network
-                testUrl = isDev ? '/api' : '/api/rpc';
-            } else if (rpcUrl.startsWith('http://localhost') || rpcUrl.startsWith('http://127.0.0.1')) {
-                // Local RPC can be accessed directly
-                testUrl = rpcUrl;
-            } else {
-                // Other custom RPC, use direct URL
-                testUrl = rpcUrl;
-            }
+    const handleMoveUp = (index) => {
+        if (index === 0) return;
+        const next = [...endpoints];
+        [next[index - 1], next[index]] = [next[index], next[index - 1]];
+        setEndpoints(next);
+    };
 
-            const response = await fetch(`${testUrl}/staging`, {
-                method: 'GET',
-                signal: AbortSignal.timeout(5000)
-            });
+    const handleTest = async () => {
+        if (endpoints.length === 0) return;
 
-            if (response.ok) {
-                setTestResult({ success: true, message: 'Connection successful!' });
-            } else {
-                setTestResult({ success: false, message: `HTTP ${response.status}` });
-            }
-        } catch (error) {
-            setTestResult({ success: false, message: `Connection failed: ${error.message}` });
+        setIsTesting(true);
+        try {
+            // Probe the edited list without touching the live client
+            const probe = new RPCClient(endpoints);
+            const result = await probe.checkConnection();
+            const map = {};
+            result.endpoints.forEach(h => { map[h.url] = h; });
+            setHealth(map);
         } finally {
             setIsTesting(false);
         }
     };
 
     const handleSave = () => {
-        onUpdateSettings({ rpcUrl });
+        onUpdateSettings({
+            rpcUrl: endpoints[0],
+            rpcEndpoints: {
+                ...(settings.rpcEndpoints || {}),
+                [network]: endpoints
+            }
+        });
         onBack();
     };
 
@@ -372,52 +586,114 @@ function NetworkSettings({ settings, onUpdateSettings, onBack }) {
                         <ChevronLeftIcon size={20} />
                     </button>
                     <span className="text-lg font-semibold">
-                        RPC Endpoint ({settings.network === 'mainnet' ? 'Mainnet' : 'Testnet'})
+                        RPC Endpoints ({network === 'mainnet' ? 'Mainnet' : 'Testnet'})
                     </span>
                 </div>
             </header>
 
             <div className="wallet-content animate-fade-in">
+                <p className="text-secondary text-sm mb-lg">
+                    Requests go to the healthiest endpoint and fail over automatically. Order sets the preference.
+                </p>
+
+                <div className="settings-section">
+                    <div className="settings-section-title">Endpoints</div>
+                    {endpoints.length === 0 && (
+                        <p className="text-tertiary text-sm">No endpoints - the default node will be used.</p>
+                    )}
+                    {endpoints.map((url, index) => {
+                        const entry = health[url];
+                        const badge = ENDPOINT_STATUS_BADGE[entry?.status || 'unknown'];
+                        return (
+                            <div key={url} className="settings-item rpc-endpoint-item">
+                                <div className="settings-item-content">
+                                    <div className="flex items-center gap-sm">
+                                        <span className="settings-item-label truncate">{formatEndpointHost(url)}</span>
+                                        <span className={`badge ${badge.className}`}>{badge.label}</span>
+                                        {entry?.isPreferred && <span className="badge">Active</span>}
+                                    </div>
+                                    <div className="settings-item-value text-mono text-xs truncate">{url}</div>
+                                    {entry && entry.status !== 'unknown' && (
+                                        <div className="settings-item-value text-xs">
+                                            {entry.latency !== null ? `${entry.latency} ms` : '-- ms'}
+                                            {' · '}
+                                            {Math.round(entry.errorRate * 100)}% errors
+                                            {entry.lastError ? ` · ${entry.lastError}` : ''}
+                                        </div>
+                                    )}
+                                </div>
+                                <div className="flex items-center gap-xs">
+                                    <button
+                                        className="header-icon-btn rpc-endpoint-move-up"
+                                        onClick={() => handleMoveUp(index)}
+                                        disabled={index === 0}
+                                        title="Move up"
+                                    >
+                                        <ChevronDownIcon size={16} />
+                                    </button>
+                                    <button
+                                        className="header-icon-btn"
+                                        onClick={() => handleRemove(url)}
+                                        title="Remove"
+                                    >
+                                        <CloseIcon size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+
                 <div className="form-group">
-                    <label className="form-label">RPC Endpoint URL</label>
-                    <input
-                        type="text"
-                        className="input input-mono"
-                        value={rpcUrl}
-                        onChange={(e) => setRpcUrl(e.target.value)}
-                        placeholder="https://..."
-                    />
+                    <label className="form-label">Add Endpoint</label>
+                    <div className="flex gap-sm">
+                        <input
+                            type="text"
+                            className={`input input-mono flex-1 ${inputError ? 'input-error' : ''}`}
+                            value={newUrl}
+                            onChange={(e) => {
+                                setNewUrl(e.target.value);
+                                setInputError('');
+                            }}
+                            onKeyDown={(e) => e.key === 'Enter' && handleAdd(newUrl)}
+                            placeholder="https://..."
+                        />
+                        <button
+                            className="btn btn-secondary"
+                            onClick={() => handleAdd(newUrl)}
+                            disabled={!newUrl.trim()}
+                        >
+                            <PlusIcon size={16} />
+                        </button>
+                    </div>
+                    {inputError && <p className="form-error">{inputError}</p>}
                 </div>
 
                 <div className="flex gap-md mb-xl">
                     <button
                         className="btn btn-secondary flex-1"
                         onClick={handleTest}
-                        disabled={!rpcUrl || isTesting}
+                        disabled={endpoints.length === 0 || isTesting}
                     >
-                        {isTesting ? 'Testing...' : 'Test Connection'}
+                        {isTesting ? 'Testing...' : 'Test Endpoints'}
                     </button>
                 </div>
 
-                {testResult && (
-                    <div className={`card mb-xl ${testResult.success ? 'text-success' : 'text-error'}`}>
-                        {testResult.message}
-                    </div>
-                )}
-
                 <div className="settings-section">
                     <div className="settings-section-title">Presets</div>
                     {presets.map((preset, index) => (
                         <div
                             key={index}
                             className="settings-item"
-                            onClick={() => setRpcUrl(preset.url)}
+                            onClick={() => !endpoints.includes(preset.url) && handleAdd(preset.url)}
                         >
                             <div className="settings-item-content">
                                 <div className="settings-item-label">{preset.name}</div>
                                 <div className="settings-item-value text-mono text-xs">{preset.url}</div>
                             </div>
-                            {rpcUrl === preset.url && <CheckIcon size={18} className="text-success" />}
+                            {endpoints.includes(preset.url)
+                                ? <CheckIcon size={18} className="text-success" />
+                                : <PlusIcon size={18} className="text-tertiary" />}
                         </div>
                     ))}
                 </div>
@@ -433,12 +709,13 @@ function NetworkSettings({ settings, onUpdateSettings, onBack }) {
     );
 }
 
-function ExportSettings({ wallet, password, onBack }) {
+function ExportSettings({ wallet, onBack }) {
     const [showKey, setShowKey] = useState(false);
     const [showInputPassword, setShowInputPassword] = useState(false);
     const [copied, setCopied] = useState(false);
     const [inputPassword, setInputPassword] = useState('');
     const [isVerified, setIsVerified] = useState(false);
+    const [privateKey, setPrivateKey] = useState(null); // From the worker once the password checks out
     const [error, setError] = useState('');
     const [isVerifying, setIsVerifying] = useState(false);
 
@@ -452,14 +729,11 @@ function ExportSettings({ wallet, password, onBack }) {
         setError('');
 
         try {
-            const isValid = await verifyPassword(inputPassword);
-            if (isValid) {
-                setIsVerified(true);
-            } else {
-                setError('Incorrect password');
-            }
+            const exported = await keyringClient.exportWallet(wallet.address, inputPassword);
+            setPrivateKey(exported.privateKeyB64);
+            setIsVerified(true);
         } catch (err) {
-            setError('Verification failed');
+            setError(err.message === 'Invalid password' ? 'Incorrect password' : 'Verification failed');
         } finally {
             setIsVerifying(false);
         }
@@ -467,7 +741,7 @@ function ExportSettings({ wallet, password, onBack }) {
 
     const handleCopy = async () => {
         try {
-            await navigator.clipboard.writeText(wallet.privateKeyB64);
+            await navigator.clipboard.writeText(privateKey);
             setCopied(true);
             setTimeout(() => setCopied(false), 2000);
         } catch {
@@ -555,7 +829,7 @@ function ExportSettings({ wallet, password, onBack }) {
                                 userSelect: showKey ? 'all' : 'none'
                             }}
                         >
-                            <p className="text-mono text-sm">{wallet.privateKeyB64}</p>
+                            <p className="text-mono text-sm">{privateKey}</p>
                         </div>
 
                         {/* Action row - Show (20%) + Copy (80%) */}
@@ -610,9 +884,9 @@ function ChangePasswordSettings({ onBack, onPasswordChange }) {
         setError('');
 
         try {
-            await changePassword(currentPassword, newPassword);
+            const session = await keyringClient.changePassword(currentPassword, newPassword);
             if (onPasswordChange) {
-                await onPasswordChange(newPassword);
+                await onPasswordChange(session);
             }
             setSuccess(true);
         } catch (err) {
@@ -752,6 +1026,7 @@ function RecoveryPhraseSettings({ wallet, onBack }) {
     const [copied, setCopied] = useState(false);
     const [inputPassword, setInputPassword] = useState('');
     const [isVerified, setIsVerified] = useState(false);
+    const [mnemonic, setMnemonic] = useState([]); // From the worker once the password checks out
     const [error, setError] = useState('');
     const [isVerifying, setIsVerifying] = useState(false);
 
@@ -765,14 +1040,11 @@ function RecoveryPhraseSettings({ wallet, onBack }) {
         setError('');
 
         try {
-            const isValid = await verifyPassword(inputPassword);
-            if (isValid) {
-                setIsVerified(true);
-            } else {
-                setError('Incorrect password');
-            }
+            const exported = await keyringClient.exportWallet(wallet.address, inputPassword);
+            setMnemonic(exported.mnemonic || []);
+            setIsVerified(true);
         } catch (err) {
-            setError('Verification failed');
+            setError(err.message === 'Invalid password' ? 'Incorrect password' : 'Verification failed');
         } finally {
             setIsVerifying(false);
         }
@@ -780,7 +1052,7 @@ function RecoveryPhraseSettings({ wallet, onBack }) {
 
     const handleCopy = async () => {
         try {
-            await navigator.clipboard.writeText(wallet.mnemonic.join(' '));
+            await navigator.clipboard.writeText(mnemonic.join(' '));
             setCopied(true);
             setTimeout(() => setCopied(false), 2000);
         } catch {
@@ -860,6 +1132,21 @@ function RecoveryPhraseSettings({ wallet, onBack }) {
                             <p>Never share your recovery phrase. Anyone with this phrase can access your wallet.</p>
                         </div>
 
+                        {wallet.hasPassphrase && (
+                            <div className="security-notice">
+                                <p>This wallet also uses a BIP39 passphrase. It is not stored - you need it together with these words to restore the wallet.</p>
+                            </div>
+                        )}
+
+                        {wallet.derivationPath && (
+                            <div className="security-notice">
+                                <p>
+                                    This wallet uses the custom derivation path {wallet.derivationPath} (account {wallet.hdIndex}).
+                                    Choose the same path when restoring it.
+                                </p>
+                            </div>
+                        )}
+
                         {/* Mnemonic grid */}
                         <div
                             className="mnemonic-grid"
@@ -868,7 +1155,7 @@ function RecoveryPhraseSettings({ wallet, onBack }) {
                                 userSelect: showPhrase ? 'text' : 'none'
                             }}
                         >
-                            {wallet.mnemonic.map((word, index) => (
+                            {mnemonic.map((word, index) => (
                                 <div key={index} className="mnemonic-word">
                                     <span className="mnemonic-word-num">{index + 1}</span>
                                     <span className="mnemonic-word-text">{word}</span>
@@ -906,13 +1193,10 @@ function SignMessageSettings({ wallet, onBack }) {
     const [copied, setCopied] = useState(false);
 
     const handleSign = async () => {
-        if (!message) return;
+        if (!message || wallet.watchOnly) return;
         setIsSigning(true);
         try {
-            // keyringService is globally available if imported, but we'll use the one from Dashboard or App logic
-            // Since this component is inside Settings, and we need the service:
-            const { keyringService } = await import('../../services/KeyringService');
-            const sig = await keyringService.signMessage(wallet.address, message);
+            const sig = await keyringClient.signMessage(wallet.address, message);
             setSignature(sig);
         } catch (error) {
             alert(error.message);
@@ -946,6 +1230,8 @@ function SignMessageSettings({ wallet, onBack }) {
                     This is often used for logging into dApps.
                 </p>
 
+                {wallet.watchOnly && <WatchOnlyNotice />}
+
                 <div className="form-group">
                     <label className="form-label">Message to Sign</label>
                     <textarea
@@ -963,7 +1249,7 @@ function SignMessageSettings({ wallet, onBack }) {
                 <button
                     className="btn btn-primary btn-lg btn-full mb-xl"
                     onClick={handleSign}
-                    disabled={!message || isSigning}
+                    disabled={!message || isSigning || wallet.watchOnly}
                 >
                     {isSigning ? 'Signing...' : 'Sign Message'}
                 </button>
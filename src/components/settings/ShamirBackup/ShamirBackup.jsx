@@ -0,0 +1,212 @@
+/**
+ * Shamir Backup Screen
+ * Split the recovery phrase into N share cards, any M of which restore it.
+ * Shares are generated fresh each time and never stored.
+ */
+
+import { useState } from 'react';
+import { ChevronLeftIcon, LockIcon, EyeIcon, EyeOffIcon, ExportIcon } from '../../shared/Icons';
+import { ShareCard } from '../../shared/ShamirShares';
+import { keyringClient } from '../../../services/KeyringClient';
+import {
+    createRecoveryShares,
+    printRecoveryShares,
+    SHAMIR_MIN_THRESHOLD,
+    SHAMIR_MAX_SHARES
+} from '../../../utils/shamir';
+
+function range(from, to) {
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+}
+
+export function ShamirBackupSettings({ wallet, onBack }) {
+    const [inputPassword, setInputPassword] = useState('');
+    const [showInputPassword, setShowInputPassword] = useState(false);
+    const [isVerified, setIsVerified] = useState(false);
+    const [isVerifying, setIsVerifying] = useState(false);
+    const [shareCount, setShareCount] = useState(3);
+    const [threshold, setThreshold] = useState(2);
+    const [shares, setShares] = useState([]);
+    const [mnemonic, setMnemonic] = useState(null); // From the worker once the password checks out
+    const [error, setError] = useState('');
+
+    const handleVerifyPassword = async () => {
+        setIsVerifying(true);
+        setError('');
+        try {
+            const exported = await keyringClient.exportWallet(wallet.address, inputPassword);
+            setMnemonic(exported.mnemonic);
+            setIsVerified(true);
+            setInputPassword('');
+        } catch (err) {
+            setError(err.message === 'Invalid password' ? 'Incorrect password' : 'Verification failed');
+        } finally {
+            setIsVerifying(false);
+        }
+    };
+
+    const handleShareCountChange = (count) => {
+        setShareCount(count);
+        setThreshold(Math.min(threshold, count));
+    };
+
+    const handleCreate = () => {
+        try {
+            setShares(createRecoveryShares(mnemonic, threshold, shareCount));
+            setError('');
+        } catch (err) {
+            setError(err.message || 'Failed to create shares');
+        }
+    };
+
+    const handlePrint = () => {
+        try {
+            printRecoveryShares(shares);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <>
+            <header className="wallet-header">
+                <div className="flex items-center gap-md">
+                    <button className="header-icon-btn" onClick={onBack}>
+                        <ChevronLeftIcon size={20} />
+                    </button>
+                    <span className="text-lg font-semibold">Shamir Backup</span>
+                </div>
+            </header>
+
+            <div className="wallet-content animate-fade-in">
+                {!isVerified && (
+                    <>
+                        <div className="text-center mb-xl">
+                            <div className="lock-icon-container" style={{ margin: '0 auto var(--space-lg)' }}>
+                                <LockIcon size={28} />
+                            </div>
+                            <h3 className="text-lg font-semibold mb-sm">Verify Password</h3>
+                            <p className="text-secondary text-sm">
+                                Enter your wallet password to split your recovery phrase into shares
+                            </p>
+                        </div>
+
+                        <div className="form-group">
+                            <label className="form-label">Password</label>
+                            <div className="input-with-icon">
+                                <input
+                                    type={showInputPassword ? 'text' : 'password'}
+                                    className={`input input-lg ${error ? 'input-error' : ''}`}
+                                    value={inputPassword}
+                                    onChange={(e) => {
+                                        setInputPassword(e.target.value);
+                                        setError('');
+                                    }}
+                                    placeholder="Enter your password"
+                                    onKeyDown={(e) => e.key === 'Enter' && inputPassword.trim() && handleVerifyPassword()}
+                                />
+                                <button
+                                    type="button"
+                                    className="input-icon-btn"
+                                    onClick={() => setShowInputPassword(!showInputPassword)}
+                                    tabIndex={-1}
+                                >
+                                    {showInputPassword ? <EyeOffIcon size={18} /> : <EyeIcon size={18} />}
+                                </button>
+                            </div>
+                            {error && <p className="text-error text-sm">{error}</p>}
+                        </div>
+
+                        <button
+                            className="btn btn-primary btn-lg btn-full"
+                            onClick={handleVerifyPassword}
+                            disabled={isVerifying || !inputPassword.trim()}
+                        >
+                            {isVerifying ? <span className="loading-spinner" /> : 'Verify'}
+                        </button>
+                    </>
+                )}
+
+                {isVerified && shares.length === 0 && (
+                    <>
+                        <p className="text-secondary text-sm mb-lg">
+                            Your recovery phrase is split into shares. Any {threshold} of
+                            the {shareCount} shares restore the wallet; fewer reveal nothing.
+                            Keep them in different places.
+                        </p>
+
+                        <div className="flex gap-md">
+                            <div className="form-group flex-1">
+                                <label className="form-label">Shares</label>
+                                <select
+                                    className="input"
+                                    value={shareCount}
+                                    onChange={(e) => handleShareCountChange(Number(e.target.value))}
+                                >
+                                    {range(SHAMIR_MIN_THRESHOLD, SHAMIR_MAX_SHARES).map(n => (
+                                        <option key={n} value={n}>{n}</option>
+                                    ))}
+                                </select>
+                            </div>
+                            <div className="form-group flex-1">
+                                <label className="form-label">Needed to recover</label>
+                                <select
+                                    className="input"
+                                    value={threshold}
+                                    onChange={(e) => setThreshold(Number(e.target.value))}
+                                >
+                                    {range(SHAMIR_MIN_THRESHOLD, shareCount).map(n => (
+                                        <option key={n} value={n}>{n}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        </div>
+
+                        {(wallet.hasPassphrase || wallet.derivationPath) && (
+                            <div className="security-notice">
+                                <p>
+                                    Shares only contain the recovery words.
+                                    {wallet.hasPassphrase && ' Keep your BIP39 passphrase as well.'}
+                                    {wallet.derivationPath && ` Note the derivation path ${wallet.derivationPath}.`}
+                                </p>
+                            </div>
+                        )}
+
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                        <button className="btn btn-primary btn-lg btn-full" onClick={handleCreate}>
+                            Create Shares
+                        </button>
+                    </>
+                )}
+
+                {shares.length > 0 && (
+                    <>
+                        <div className="security-notice">
+                            <p>
+                                Write down or print each share and store them apart.
+                                These shares are not saved - creating new ones gives a different, incompatible set.
+                            </p>
+                        </div>
+
+                        {shares.map(share => <ShareCard key={share} share={share} />)}
+
+                        {error && <p className="text-error text-sm mb-lg">{error}</p>}
+
+                        <div className="flex gap-md">
+                            <button className="btn btn-secondary flex-1 gap-sm" onClick={handlePrint}>
+                                <ExportIcon size={18} />
+                                Print
+                            </button>
+                            <button className="btn btn-primary flex-1" onClick={onBack}>
+                                Done
+                            </button>
+                        </div>
+                    </>
+                )}
+            </div>
+        </>
+    );
+}
+
+export default ShamirBackupSettings;
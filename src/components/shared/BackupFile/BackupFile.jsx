@@ -0,0 +1,139 @@
+/**
+ * Backup File Input
+ * Pick an encrypted backup bundle and enter its password, choose how it is
+ * restored and preview what it holds. The file envelope is checked on load;
+ * decryption happens when the form is submitted.
+ */
+
+import { Fragment, useRef, useState } from 'react';
+import { ImportIcon, CheckIcon, EyeIcon, EyeOffIcon } from '../Icons';
+import { parseBackupFile } from '../../../utils/backupBundle';
+import './BackupFile.css';
+
+/**
+ * @param {object|null} file - the loaded backup
+ * @param {Function} onLoad - receives the checked backup, or null on an invalid file
+ */
+export function BackupFileInput({ file, onLoad, password, onPasswordChange, disabled = false }) {
+    const [error, setError] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = async (e) => {
+        const picked = e.target.files?.[0];
+        e.target.value = '';
+        if (!picked) return;
+
+        try {
+            onLoad(parseBackupFile(await picked.text()));
+            setError('');
+        } catch (err) {
+            onLoad(null);
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="backup-input">
+            <div className="form-group">
+                <label className="form-label">Backup File</label>
+                <button
+                    type="button"
+                    className={`backup-input-file ${file ? 'loaded' : ''}`}
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={disabled}
+                >
+                    {file ? <CheckIcon size={18} /> : <ImportIcon size={18} />}
+                    <span>
+                        {file ? `Backup from ${new Date(file.createdAt).toLocaleString()}` : 'Choose a backup .json file'}
+                    </span>
+                </button>
+                {error && <p className="text-error text-sm">{error}</p>}
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleFileChange}
+                    style={{ display: 'none' }}
+                    aria-label="Backup file"
+                />
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">Backup Password</label>
+                <div className="input-with-icon">
+                    <input
+                        type={showPassword ? 'text' : 'password'}
+                        className="input"
+                        value={password}
+                        onChange={(e) => onPasswordChange(e.target.value)}
+                        placeholder="Password the backup was made with"
+                        autoComplete="off"
+                        disabled={disabled}
+                    />
+                    <button
+                        type="button"
+                        className="input-icon-btn"
+                        onClick={() => setShowPassword(!showPassword)}
+                        tabIndex={-1}
+                    >
+                        {showPassword ? <EyeOffIcon size={18} /> : <EyeIcon size={18} />}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+const RESTORE_MODE_OPTIONS = [
+    { mode: 'merge', label: 'Merge', hint: 'Keep what is here and add what is missing from the backup' },
+    { mode: 'replace', label: 'Replace', hint: 'Remove the data on this device and use the backup instead' }
+];
+
+export function RestoreModeSelect({ value, onChange, disabled = false }) {
+    return (
+        <div className="restore-mode-select" role="radiogroup" aria-label="Restore mode">
+            {RESTORE_MODE_OPTIONS.map(({ mode, label, hint }) => (
+                <button
+                    key={mode}
+                    type="button"
+                    role="radio"
+                    aria-checked={value === mode}
+                    className={`restore-mode-option ${value === mode ? 'active' : ''}`}
+                    onClick={() => onChange(mode)}
+                    disabled={disabled}
+                >
+                    <div className="restore-mode-option-label">{label}</div>
+                    <div className="restore-mode-option-hint">{hint}</div>
+                </button>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * @param {object} summary - from summarizeBackup
+ */
+export function BackupSummary({ summary }) {
+    const rows = [
+        ['Wallets', summary.wallets],
+        ['Watch-only', summary.watchOnly],
+        ['Recovery phrases', summary.recoveryPhrases],
+        ['Custom tokens', summary.tokens],
+        ['Transactions', summary.transactions],
+        ['Privacy logs', summary.privacyLogs]
+    ];
+
+    return (
+        <div className="backup-summary">
+            {rows.map(([label, value]) => (
+                <Fragment key={label}>
+                    <span className="backup-summary-label">{label}</span>
+                    <span className="backup-summary-value">{value}</span>
+                </Fragment>
+            ))}
+        </div>
+    );
+}
+
+export default BackupFileInput;
@@ -0,0 +1 @@
+export { BackupFileInput, RestoreModeSelect, BackupSummary } from './BackupFile';
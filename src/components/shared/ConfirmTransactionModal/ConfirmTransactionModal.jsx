@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { formatAmount, truncateAddress } from '../../../utils/crypto';
+import { parseAmountOrZero, addAmounts, formatUnits, OCT_DECIMALS } from '../../../utils/amount';
 import { CloseIcon, SendIcon, ChevronRightIcon, CheckIcon } from '../Icons';
 import './ConfirmTransactionModal.css';
 
@@ -14,13 +15,16 @@ export function ConfirmTransactionModal({
     feeSpeed,
     onFeeChange,
     tokenSymbol = 'OCT',
+    decimals = OCT_DECIMALS,
     isLoading = false
 }) {
     const [showFeePopup, setShowFeePopup] = useState(false);
 
     if (!isOpen) return null;
 
-    const total = parseFloat(amount) + parseFloat(fee);
+    // Exact units: no float rounding in what the user confirms
+    const amountUnits = parseAmountOrZero(amount, decimals);
+    const total = formatUnits(addAmounts(amountUnits, parseAmountOrZero(fee, decimals)), decimals);
 
     const handleFeeSelect = (speed) => {
         onFeeChange(speed);
@@ -33,6 +37,15 @@ export function ConfirmTransactionModal({
         return 'Normal';
     };
 
+    // Expected confirmation time per level ('low' | 'medium' | 'high'), a mempool-only estimate
+    const getEpochsLabel = (level) => {
+        const epochs = feeEstimates?.epochs?.[level];
+        if (!epochs) return null;
+        return `≈ ${epochs} ${epochs === 1 ? 'epoch' : 'epochs'}`;
+    };
+
+    const selectedLevel = feeSpeed === 'slow' ? 'low' : feeSpeed === 'fast' ? 'high' : 'medium';
+
     return (
         <>
             <div className="modal-overlay" onClick={onClose}>
@@ -47,7 +60,7 @@ export function ConfirmTransactionModal({
                         </div>
                         <h3 className="ctm-title">Send</h3>
                         <p className="ctm-amount">
-                            <span className="ctm-amount-value">-{formatAmount(parseFloat(amount), 6)}</span>
+                            <span className="ctm-amount-value">-{formatAmount(formatUnits(amountUnits, decimals), 6)}</span>
                             <span className="ctm-amount-symbol">{tokenSymbol}</span>
                         </p>
                     </div>
@@ -58,6 +71,9 @@ export function ConfirmTransactionModal({
                             <span className="ctm-label">Est. network fee</span>
                             <div className="ctm-fee-info">
                                 <span className="ctm-fee-badge">{getSpeedLabel()}</span>
+                                {getEpochsLabel(selectedLevel) && (
+                                    <span className="ctm-fee-eta">{getEpochsLabel(selectedLevel)}</span>
+                                )}
                                 <span className="ctm-fee-value">{formatAmount(fee, 6)} {tokenSymbol}</span>
                                 <ChevronRightIcon size={14} />
                             </div>
@@ -125,7 +141,7 @@ export function ConfirmTransactionModal({
                             >
                                 <div className="fee-popup-option-info">
                                     <span className="fee-popup-option-label">Slow</span>
-                                    <span className="fee-popup-option-desc">Lower priority</span>
+                                    <span className="fee-popup-option-desc">{getEpochsLabel('low') || 'Lower priority'}</span>
                                 </div>
                                 <div className="fee-popup-option-value">
                                     <span>{formatAmount(feeEstimates.low)} {tokenSymbol}</span>
@@ -138,7 +154,7 @@ export function ConfirmTransactionModal({
                             >
                                 <div className="fee-popup-option-info">
                                     <span className="fee-popup-option-label">Normal</span>
-                                    <span className="fee-popup-option-desc">Recommended</span>
+                                    <span className="fee-popup-option-desc">{getEpochsLabel('medium') ? `Recommended · ${getEpochsLabel('medium')}` : 'Recommended'}</span>
                                 </div>
                                 <div className="fee-popup-option-value">
                                     <span>{formatAmount(feeEstimates.medium)} {tokenSymbol}</span>
@@ -151,7 +167,7 @@ export function ConfirmTransactionModal({
                             >
                                 <div className="fee-popup-option-info">
                                     <span className="fee-popup-option-label">Fast</span>
-                                    <span className="fee-popup-option-desc">Higher priority</span>
+                                    <span className="fee-popup-option-desc">{getEpochsLabel('high') || 'Higher priority'}</span>
                                 </div>
                                 <div className="fee-popup-option-value">
                                     <span>{formatAmount(feeEstimates.high)} {tokenSymbol}</span>
@@ -159,6 +175,9 @@ export function ConfirmTransactionModal({
                                 </div>
                             </button>
                         </div>
+                        <div className="fee-popup-note">
+                            Estimated from the node's pending queue only, not from confirmed transactions. Times are approximate.
+                        </div>
                     </div>
                 </div>
             )}
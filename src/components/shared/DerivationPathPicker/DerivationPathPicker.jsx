@@ -0,0 +1,150 @@
+/**
+ * Custom Derivation Path Picker
+ * Advanced import option for seeds created by other Octra tools: enter a base
+ * path, preview the addresses (and balances) it gives, pick the account to import.
+ * Closed, the wallet's default path and account 1 are used.
+ */
+
+import { useState } from 'react';
+import { ChevronDownIcon, CheckIcon } from '../Icons';
+import { DEFAULT_DERIVATION_PATH, importFromMnemonic, parseDerivationPath, truncateAddress } from '../../../utils/crypto';
+import { formatUnits } from '../../../utils/amount';
+import { hdKeyringService } from '../../../services/HDKeyringService';
+import './DerivationPathPicker.css';
+
+const PREVIEW_PAGE_SIZE = 5;
+
+function getPathError(path) {
+    try {
+        parseDerivationPath(path);
+        return '';
+    } catch (error) {
+        return error.message;
+    }
+}
+
+/**
+ * @param {string} mnemonic - complete, valid phrase (preview is disabled otherwise)
+ * @param {object|null} value - { derivationPath, index } once an account is picked
+ * @param {Function} onChange - receives { derivationPath, index } or null (default path)
+ */
+export function DerivationPathPicker({ mnemonic, passphrase = '', value, onChange, disabled = false }) {
+    const [isOpen, setIsOpen] = useState(!!value);
+    const [path, setPath] = useState(value?.derivationPath || DEFAULT_DERIVATION_PATH);
+    const [preview, setPreview] = useState(null); // { key, accounts }
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const pathError = getPathError(path);
+    // Rows belong to the phrase, passphrase and path they were derived from
+    const previewKey = `${mnemonic}\n${passphrase}\n${path}`;
+    const accounts = preview?.key === previewKey ? preview.accounts : [];
+
+    const handleToggle = () => {
+        if (isOpen) {
+            setPath(DEFAULT_DERIVATION_PATH);
+            setPreview(null);
+            setError('');
+            onChange(null);
+        }
+        setIsOpen(!isOpen);
+    };
+
+    const handlePathChange = (next) => {
+        setPath(next);
+        setError('');
+        onChange(null);
+    };
+
+    const loadAccounts = async (start) => {
+        setIsLoading(true);
+        setError('');
+        try {
+            const { seedHex } = await importFromMnemonic(mnemonic, passphrase);
+            const page = await hdKeyringService.previewAccounts(seedHex, path, { start, count: PREVIEW_PAGE_SIZE });
+            setPreview({ key: previewKey, accounts: start === 0 ? page : [...accounts, ...page] });
+        } catch (err) {
+            setError(err.message || 'Failed to derive addresses');
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const isSelected = (account) =>
+        value?.derivationPath === path && value?.index === account.hdIndex;
+
+    return (
+        <div className="derivation-picker">
+            <button type="button" className="derivation-toggle" onClick={handleToggle} disabled={disabled}>
+                <ChevronDownIcon size={14} className={`derivation-toggle-icon ${isOpen ? 'open' : ''}`} />
+                {isOpen ? 'Use the default derivation path' : 'Advanced: custom derivation path'}
+            </button>
+
+            {isOpen && (
+                <div className="derivation-fields animate-fade-in">
+                    <div className="form-group">
+                        <label className="form-label">Derivation Path</label>
+                        <div className="flex gap-sm">
+                            <input
+                                type="text"
+                                className={`input input-mono ${pathError ? 'input-error' : ''}`}
+                                value={path}
+                                onChange={(e) => handlePathChange(e.target.value)}
+                                placeholder={DEFAULT_DERIVATION_PATH}
+                                autoComplete="off"
+                                spellCheck={false}
+                                disabled={disabled}
+                            />
+                            <button
+                                type="button"
+                                className="btn btn-secondary"
+                                onClick={() => loadAccounts(0)}
+                                disabled={disabled || isLoading || !!pathError || !mnemonic}
+                            >
+                                {isLoading && accounts.length === 0 ? 'Loading...' : 'Preview'}
+                            </button>
+                        </div>
+                        <p className={`form-hint ${pathError ? 'text-error' : ''}`}>
+                            {pathError || 'The account index is added as the last level. Octra wallets use the default path.'}
+                        </p>
+                    </div>
+
+                    {error && <p className="text-error text-sm mb-md">{error}</p>}
+
+                    {accounts.length > 0 && (
+                        <div className="derivation-accounts" role="listbox" aria-label="Derived addresses">
+                            {accounts.map((account) => (
+                                <button
+                                    key={account.hdIndex}
+                                    type="button"
+                                    role="option"
+                                    aria-selected={isSelected(account)}
+                                    className={`derivation-account ${isSelected(account) ? 'selected' : ''}`}
+                                    onClick={() => onChange({ derivationPath: path, index: account.hdIndex })}
+                                    disabled={disabled}
+                                >
+                                    <span className="derivation-account-index">#{account.hdIndex}</span>
+                                    <span className="derivation-account-address">{truncateAddress(account.address)}</span>
+                                    <span className="derivation-account-balance">
+                                        {account.balanceRaw === null ? '-' : `${formatUnits(account.balanceRaw)} OCT`}
+                                    </span>
+                                    {isSelected(account) && <CheckIcon size={14} />}
+                                </button>
+                            ))}
+                            <button
+                                type="button"
+                                className="derivation-more"
+                                onClick={() => loadAccounts(accounts.length)}
+                                disabled={disabled || isLoading}
+                            >
+                                {isLoading ? 'Loading...' : 'Show more'}
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default DerivationPathPicker;
@@ -0,0 +1 @@
+export { DerivationPathPicker } from './DerivationPathPicker';
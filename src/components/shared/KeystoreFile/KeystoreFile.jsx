@@ -0,0 +1,89 @@
+/**
+ * Keystore File Input
+ * Pick an encrypted keystore file and enter its password. The file is
+ * validated on load; decryption happens when the form is submitted.
+ */
+
+import { useRef, useState } from 'react';
+import { ImportIcon, CheckIcon, EyeIcon, EyeOffIcon } from '../Icons';
+import { parseKeystoreFile } from '../../../utils/keystore';
+import { truncateAddress } from '../../../utils/crypto';
+import './KeystoreFile.css';
+
+/**
+ * @param {object|null} file - the loaded keystore
+ * @param {Function} onLoad - receives the validated keystore, or null on an invalid file
+ */
+export function KeystoreFileInput({ file, onLoad, password, onPasswordChange, disabled = false }) {
+    const [error, setError] = useState('');
+    const [showPassword, setShowPassword] = useState(false);
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = async (e) => {
+        const picked = e.target.files?.[0];
+        e.target.value = '';
+        if (!picked) return;
+
+        try {
+            onLoad(parseKeystoreFile(await picked.text()));
+            setError('');
+        } catch (err) {
+            onLoad(null);
+            setError(err.message);
+        }
+    };
+
+    return (
+        <div className="keystore-input">
+            <div className="form-group">
+                <label className="form-label">Keystore File</label>
+                <button
+                    type="button"
+                    className={`keystore-input-file ${file ? 'loaded' : ''}`}
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={disabled}
+                >
+                    {file ? <CheckIcon size={18} /> : <ImportIcon size={18} />}
+                    <span className={file ? 'text-mono' : ''}>
+                        {file ? truncateAddress(file.address) : 'Choose a keystore .json file'}
+                    </span>
+                </button>
+                {file?.meta?.name && <p className="form-hint">{file.meta.name}</p>}
+                {error && <p className="text-error text-sm">{error}</p>}
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept=".json,application/json"
+                    onChange={handleFileChange}
+                    style={{ display: 'none' }}
+                    aria-label="Keystore file"
+                />
+            </div>
+
+            <div className="form-group">
+                <label className="form-label">Keystore Password</label>
+                <div className="input-with-icon">
+                    <input
+                        type={showPassword ? 'text' : 'password'}
+                        className="input"
+                        value={password}
+                        onChange={(e) => onPasswordChange(e.target.value)}
+                        placeholder="Password the file was exported with"
+                        autoComplete="off"
+                        disabled={disabled}
+                    />
+                    <button
+                        type="button"
+                        className="input-icon-btn"
+                        onClick={() => setShowPassword(!showPassword)}
+                        tabIndex={-1}
+                    >
+                        {showPassword ? <EyeOffIcon size={18} /> : <EyeIcon size={18} />}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default KeystoreFileInput;
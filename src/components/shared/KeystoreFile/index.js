@@ -0,0 +1 @@
+export { KeystoreFileInput } from './KeystoreFile';
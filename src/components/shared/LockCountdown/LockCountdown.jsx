@@ -0,0 +1,41 @@
+/**
+ * Lock Countdown
+ * Time left until the auto-lock in the dashboard header; click to lock now.
+ * Hidden when the auto-lock has no timer (on browser close, never).
+ */
+
+import { useState, useEffect } from 'react';
+import { LockIcon } from '../Icons';
+import { formatCountdown } from '../../../utils/autoLock';
+import './LockCountdown.css';
+
+const SOON_MS = 60 * 1000;
+
+export function LockCountdown({ expiresAt, onLock }) {
+    const [now, setNow] = useState(() => Date.now());
+
+    useEffect(() => {
+        if (!expiresAt) return;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [expiresAt]);
+
+    if (!expiresAt) return null;
+
+    const remaining = expiresAt - now;
+    const countdown = formatCountdown(remaining);
+
+    return (
+        <button
+            className={`lock-countdown ${remaining <= SOON_MS ? 'lock-countdown-soon' : ''}`}
+            onClick={onLock}
+            title={`Locks in ${countdown} without activity. Click to lock now.`}
+            aria-label={`Auto-lock in ${countdown}. Lock now`}
+        >
+            <LockIcon size={12} />
+            <span>{countdown}</span>
+        </button>
+    );
+}
+
+export default LockCountdown;
@@ -0,0 +1 @@
+export { LockCountdown } from './LockCountdown';
@@ -0,0 +1,173 @@
+/**
+ * Recovery Phrase Input
+ * One box per word with BIP39 wordlist autocomplete and checksum feedback.
+ * Pasting a whole phrase into any box fills the grid (and picks its length).
+ */
+
+import { useRef, useState } from 'react';
+import { CheckIcon, AlertIcon } from '../Icons';
+import { MNEMONIC_LENGTHS } from '../../../utils/validation';
+import { checkMnemonic, splitMnemonic, suggestMnemonicWords, isMnemonicWord } from '../../../utils/mnemonic';
+import './MnemonicInput.css';
+
+function resizeWords(words, count) {
+    return Array.from({ length: count }, (_, i) => words[i] || '');
+}
+
+/**
+ * 12 / 15 / 18 / 21 / 24 word picker
+ */
+export function WordCountSelect({ value, onChange, disabled = false }) {
+    return (
+        <div className="word-count-select" role="radiogroup" aria-label="Number of words">
+            {MNEMONIC_LENGTHS.map((count) => (
+                <button
+                    key={count}
+                    type="button"
+                    role="radio"
+                    aria-checked={value === count}
+                    className={`word-count-option ${value === count ? 'active' : ''}`}
+                    onClick={() => onChange(count)}
+                    disabled={disabled}
+                >
+                    {count}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+/**
+ * @param {string[]} words - one entry per word, length = wordCount
+ * @param {Function} onChange - receives the new words array
+ */
+export function MnemonicInput({ words, onChange, wordCount, onWordCountChange, disabled = false }) {
+    const inputRefs = useRef([]);
+    const [focusedIndex, setFocusedIndex] = useState(null);
+
+    const entries = resizeWords(words, wordCount);
+    const status = checkMnemonic(entries, wordCount);
+
+    const focusedWord = focusedIndex !== null ? entries[focusedIndex].trim().toLowerCase() : '';
+    const suggestions = focusedWord && !isMnemonicWord(focusedWord) ? suggestMnemonicWords(focusedWord) : [];
+
+    const focusWord = (index) => {
+        inputRefs.current[Math.min(index, wordCount - 1)]?.focus();
+    };
+
+    const setWord = (index, value) => {
+        const next = [...entries];
+        next[index] = value;
+        onChange(next);
+    };
+
+    const handleChangeCount = (count) => {
+        onWordCountChange(count);
+        onChange(resizeWords(entries, count));
+    };
+
+    const acceptSuggestion = (word) => {
+        setWord(focusedIndex, word);
+        focusWord(focusedIndex + 1);
+    };
+
+    const handlePaste = (index, e) => {
+        const pasted = splitMnemonic(e.clipboardData.getData('text'));
+        if (pasted.length < 2) return;
+        e.preventDefault();
+
+        // A complete phrase replaces everything and sets the length
+        if (onWordCountChange && MNEMONIC_LENGTHS.includes(pasted.length)) {
+            onWordCountChange(pasted.length);
+            onChange(pasted);
+            return;
+        }
+
+        const next = [...entries];
+        pasted.slice(0, wordCount - index).forEach((word, offset) => {
+            next[index + offset] = word;
+        });
+        onChange(next);
+        focusWord(index + pasted.length);
+    };
+
+    const handleKeyDown = (index, e) => {
+        if (e.key === ' ' || (e.key === 'Enter' && suggestions.length > 0)) {
+            e.preventDefault();
+            if (suggestions.length === 1) {
+                acceptSuggestion(suggestions[0]);
+            } else if (e.key === ' ') {
+                focusWord(index + 1);
+            }
+        } else if (e.key === 'Backspace' && !entries[index] && index > 0) {
+            e.preventDefault();
+            focusWord(index - 1);
+        }
+    };
+
+    return (
+        <div className="mnemonic-input">
+            {onWordCountChange && (
+                <WordCountSelect value={wordCount} onChange={handleChangeCount} disabled={disabled} />
+            )}
+
+            <div className="mnemonic-input-grid">
+                {entries.map((word, index) => {
+                    // Flag unknown words once the user has moved on from them
+                    const isInvalid = index !== focusedIndex && status.invalidIndices.includes(index);
+                    return (
+                        <div key={index} className="mnemonic-input-cell">
+                            <span className="mnemonic-input-num">{index + 1}</span>
+                            <input
+                                ref={(el) => { inputRefs.current[index] = el; }}
+                                type="text"
+                                className={`input mnemonic-input-word ${isInvalid ? 'input-error' : ''}`}
+                                value={word}
+                                onChange={(e) => setWord(index, e.target.value.replace(/\s/g, ''))}
+                                onFocus={() => setFocusedIndex(index)}
+                                onBlur={() => setFocusedIndex(null)}
+                                onKeyDown={(e) => handleKeyDown(index, e)}
+                                onPaste={(e) => handlePaste(index, e)}
+                                autoComplete="off"
+                                autoCapitalize="off"
+                                spellCheck={false}
+                                aria-label={`Word ${index + 1}`}
+                                disabled={disabled}
+                            />
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="mnemonic-suggestions">
+                {suggestions.map((suggestion) => (
+                    <button
+                        key={suggestion}
+                        type="button"
+                        className="mnemonic-suggestion"
+                        // Keep focus in the word box while picking
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => acceptSuggestion(suggestion)}
+                    >
+                        {suggestion}
+                    </button>
+                ))}
+            </div>
+
+            {status.checksumValid && (
+                <div className="mnemonic-status flex items-center gap-sm text-success">
+                    <CheckIcon size={14} />
+                    <span>Valid {wordCount}-word recovery phrase</span>
+                </div>
+            )}
+            {!status.checksumValid && status.error && (status.isComplete || focusedIndex === null) && (
+                <div className="mnemonic-status flex items-center gap-sm text-error">
+                    <AlertIcon size={14} />
+                    <span>{status.error}</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default MnemonicInput;
@@ -0,0 +1 @@
+export { MnemonicInput, WordCountSelect } from './MnemonicInput';
@@ -0,0 +1,85 @@
+/**
+ * BIP39 Passphrase Input
+ * Optional "25th word" for create, import and recovery. The passphrase is
+ * only passed to mnemonicToSeed - it is never stored, the derived seed is.
+ */
+
+import { useState } from 'react';
+import { ChevronDownIcon, EyeIcon, EyeOffIcon } from '../Icons';
+import './PassphraseInput.css';
+
+/**
+ * @param {Function} onConfirmChange - pass to ask for the passphrase twice (new wallets)
+ */
+export function PassphraseInput({ value, onChange, confirmValue = '', onConfirmChange, disabled = false }) {
+    const [isOpen, setIsOpen] = useState(!!value);
+    const [showValue, setShowValue] = useState(false);
+
+    const handleToggle = () => {
+        // Closing discards the passphrase so a hidden field never changes the wallet
+        if (isOpen) {
+            onChange('');
+            onConfirmChange?.('');
+        }
+        setIsOpen(!isOpen);
+    };
+
+    return (
+        <div className="passphrase-input">
+            <button type="button" className="passphrase-toggle" onClick={handleToggle} disabled={disabled}>
+                <ChevronDownIcon size={14} className={`passphrase-toggle-icon ${isOpen ? 'open' : ''}`} />
+                {isOpen ? 'Remove passphrase' : 'Use a passphrase (advanced)'}
+            </button>
+
+            {isOpen && (
+                <div className="passphrase-fields animate-fade-in">
+                    <div className="form-group">
+                        <label className="form-label">BIP39 Passphrase</label>
+                        <div className="input-with-icon">
+                            <input
+                                type={showValue ? 'text' : 'password'}
+                                className="input"
+                                value={value}
+                                onChange={(e) => onChange(e.target.value)}
+                                placeholder="Optional 25th word"
+                                autoComplete="off"
+                                disabled={disabled}
+                            />
+                            <button
+                                type="button"
+                                className="input-icon-btn"
+                                onClick={() => setShowValue(!showValue)}
+                                tabIndex={-1}
+                            >
+                                {showValue ? <EyeOffIcon size={18} /> : <EyeIcon size={18} />}
+                            </button>
+                        </div>
+                    </div>
+
+                    {onConfirmChange && (
+                        <div className="form-group">
+                            <label className="form-label">Confirm Passphrase</label>
+                            <input
+                                type={showValue ? 'text' : 'password'}
+                                className={`input ${confirmValue && confirmValue !== value ? 'input-error' : ''}`}
+                                value={confirmValue}
+                                onChange={(e) => onConfirmChange(e.target.value)}
+                                placeholder="Repeat the passphrase"
+                                autoComplete="off"
+                                disabled={disabled}
+                            />
+                        </div>
+                    )}
+
+                    <p className="form-hint">
+                        The passphrase is part of the key: the same words with a different
+                        passphrase open a different wallet. It is not saved - write it down
+                        with your recovery phrase.
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default PassphraseInput;
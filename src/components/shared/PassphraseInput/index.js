@@ -0,0 +1 @@
+export { PassphraseInput } from './PassphraseInput';
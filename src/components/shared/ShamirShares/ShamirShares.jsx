@@ -0,0 +1,147 @@
+/**
+ * Shamir Backup Share Components
+ * Share cards for writing down / printing a split recovery phrase, and the
+ * share entry used by the recovery flows (any threshold of the shares).
+ */
+
+import { useState } from 'react';
+import { CopyIcon, CheckIcon, AlertIcon, PlusIcon, CloseIcon } from '../Icons';
+import { checkShares, decodeShare, formatBackupId } from '../../../utils/shamir';
+import { splitMnemonic } from '../../../utils/mnemonic';
+import './ShamirShares.css';
+
+const MIN_ENTRIES = 2;
+
+/**
+ * One share with its words numbered, as it should be written down
+ */
+export function ShareCard({ share }) {
+    const [copied, setCopied] = useState(false);
+    const info = decodeShare(share);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(share);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            console.error('Failed to copy');
+        }
+    };
+
+    return (
+        <div className="share-card">
+            <div className="share-card-header">
+                <div>
+                    <div className="share-card-title">Share {info.index} of {info.shareCount}</div>
+                    <div className="share-card-meta">
+                        Backup {formatBackupId(info.id)} · any {info.threshold} restore the wallet
+                    </div>
+                </div>
+                <button type="button" className="share-card-copy" onClick={handleCopy} aria-label={`Copy share ${info.index}`}>
+                    {copied ? <CheckIcon size={16} /> : <CopyIcon size={16} />}
+                </button>
+            </div>
+            <div className="share-card-words">
+                {splitMnemonic(share).map((word, i) => (
+                    <div key={i} className="share-card-word">
+                        <span className="share-card-word-num">{i + 1}</span>
+                        <span>{word}</span>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+/**
+ * @param {string[]} shares - one text entry per share (empty = not filled yet)
+ * @param {Function} onChange - receives the new entries
+ */
+export function ShareInput({ shares, onChange, disabled = false }) {
+    const status = checkShares(shares);
+    // Once a share reveals the threshold, offer that many boxes
+    const entryCount = Math.max(shares.length, status.threshold, MIN_ENTRIES);
+    const entries = Array.from({ length: entryCount }, (_, i) => shares[i] || '');
+
+    const setEntry = (index, value) => {
+        const next = [...entries];
+        next[index] = value;
+        onChange(next);
+    };
+
+    const removeEntry = (index) => {
+        onChange(entries.filter((_, i) => i !== index));
+    };
+
+    const validCount = status.shares.length;
+
+    return (
+        <div className="share-input">
+            {entries.map((entry, index) => {
+                const entryError = status.errors[index];
+                return (
+                    <div key={index} className="share-input-entry">
+                        <div className="flex items-center justify-between">
+                            <label className="form-label" htmlFor={`share-input-${index}`}>Share {index + 1}</label>
+                            {entries.length > MIN_ENTRIES && (
+                                <button
+                                    type="button"
+                                    className="share-input-remove"
+                                    onClick={() => removeEntry(index)}
+                                    aria-label={`Remove share ${index + 1}`}
+                                    disabled={disabled}
+                                >
+                                    <CloseIcon size={14} />
+                                </button>
+                            )}
+                        </div>
+                        <textarea
+                            id={`share-input-${index}`}
+                            className={`input input-mono share-input-text ${entryError ? 'input-error' : ''}`}
+                            value={entry}
+                            onChange={(e) => setEntry(index, e.target.value)}
+                            placeholder="Paste or type the words of one share"
+                            rows={3}
+                            autoComplete="off"
+                            autoCapitalize="off"
+                            spellCheck={false}
+                            disabled={disabled}
+                        />
+                        {entryError && <p className="text-error text-sm">{entryError}</p>}
+                    </div>
+                );
+            })}
+
+            <button
+                type="button"
+                className="share-input-add"
+                onClick={() => onChange([...entries, ''])}
+                disabled={disabled}
+            >
+                <PlusIcon size={14} />
+                Add another share
+            </button>
+
+            {status.isComplete && (
+                <div className="share-input-status flex items-center gap-sm text-success">
+                    <CheckIcon size={14} />
+                    <span>{validCount} of {status.threshold} shares - ready to recover</span>
+                </div>
+            )}
+            {!status.isComplete && status.error && !status.errors.some(Boolean) && (
+                <div className="share-input-status flex items-center gap-sm text-error">
+                    <AlertIcon size={14} />
+                    <span>{status.error}</span>
+                </div>
+            )}
+            {!status.isComplete && !status.error && validCount > 0 && (
+                <div className="share-input-status text-secondary">
+                    {validCount} of {status.threshold} shares entered
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default ShareInput;
@@ -0,0 +1 @@
+export { ShareCard, ShareInput } from './ShamirShares';
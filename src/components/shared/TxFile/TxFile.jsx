@@ -0,0 +1,156 @@
+/**
+ * Transaction File Components
+ * Load, review and hand over offline transaction files (see utils/offlineTx.js)
+ */
+
+import { useRef, useState } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { CopyIcon, CheckIcon, ExportIcon, ImportIcon } from '../Icons';
+import { truncateAddress } from '../../../utils/crypto';
+import { describeTxFile, serializeTxFile, downloadTxFile, parseTxFile } from '../../../utils/offlineTx';
+import './TxFile.css';
+
+/**
+ * Review rows - every value is derived from the signed fields
+ */
+export function TxFileSummary({ file }) {
+    const details = describeTxFile(file);
+
+    return (
+        <div className="confirm-card tx-file-summary mb-lg">
+            <div className="confirm-row">
+                <span className="confirm-label">Network</span>
+                <span className="confirm-value">{details.network === 'mainnet' ? 'Mainnet' : 'Testnet'}</span>
+            </div>
+            <div className="confirm-row">
+                <span className="confirm-label">From</span>
+                <span className="confirm-value text-mono" title={details.from}>{truncateAddress(details.from, 8, 6)}</span>
+            </div>
+            <div className="confirm-row">
+                <span className="confirm-label">To</span>
+                <span className="confirm-value text-mono tx-file-address">{details.to}</span>
+            </div>
+            <div className="confirm-row">
+                <span className="confirm-label">Amount</span>
+                <span className="confirm-value">{details.amount} OCT</span>
+            </div>
+            <div className="confirm-row">
+                <span className="confirm-label">Network Fee</span>
+                <span className="confirm-value">{details.fee} OCT</span>
+            </div>
+            <div className="confirm-row">
+                <span className="confirm-label">Nonce</span>
+                <span className="confirm-value">{details.nonce}</span>
+            </div>
+            {details.message && (
+                <div className="confirm-row">
+                    <span className="confirm-label">Message</span>
+                    <span className="confirm-value">{details.message}</span>
+                </div>
+            )}
+            <div className="confirm-row confirm-row-total">
+                <span className="confirm-label">Total</span>
+                <span className="confirm-value font-bold">{details.total} OCT</span>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * QR code + download / copy for a finished file
+ */
+export function TxFileOutput({ file }) {
+    const [copied, setCopied] = useState(false);
+    const compact = serializeTxFile(file, { compact: true });
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(compact);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            console.error('Failed to copy');
+        }
+    };
+
+    return (
+        <div className="tx-file-output animate-fade-in">
+            <div className="tx-file-qr">
+                <QRCodeSVG
+                    value={compact}
+                    size={220}
+                    level="L"
+                    bgColor="#FFFFFF"
+                    fgColor="#000000"
+                    includeMargin={false}
+                />
+            </div>
+
+            <div className="flex gap-md w-full">
+                <button className="btn btn-secondary flex-1 gap-sm" onClick={handleCopy}>
+                    {copied ? <CheckIcon size={18} /> : <CopyIcon size={18} />}
+                    {copied ? 'Copied' : 'Copy'}
+                </button>
+                <button className="btn btn-primary flex-1 gap-sm" onClick={() => downloadTxFile(file)}>
+                    <ExportIcon size={18} />
+                    Download
+                </button>
+            </div>
+        </div>
+    );
+}
+
+/**
+ * Paste the JSON (or a scanned QR) or pick a .json file
+ * @param {Function} onLoad - receives the parsed file object
+ */
+export function TxFileInput({ label = 'Transaction File', onLoad, onError }) {
+    const [text, setText] = useState('');
+    const fileInputRef = useRef(null);
+
+    const load = (value) => {
+        try {
+            onLoad(parseTxFile(value));
+        } catch (err) {
+            onError(err);
+        }
+    };
+
+    const handleFileChange = async (e) => {
+        const picked = e.target.files?.[0];
+        e.target.value = '';
+        if (!picked) return;
+        const content = await picked.text();
+        setText(content);
+        load(content);
+    };
+
+    return (
+        <div className="form-group">
+            <label className="form-label">{label}</label>
+            <textarea
+                className="input input-mono tx-file-textarea"
+                rows={5}
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                placeholder="Paste the transaction JSON or scanned QR text..."
+            />
+            <div className="flex gap-md mt-sm">
+                <button className="btn btn-secondary flex-1 gap-sm" onClick={() => fileInputRef.current?.click()}>
+                    <ImportIcon size={18} />
+                    Open File
+                </button>
+                <button className="btn btn-primary flex-1" onClick={() => load(text)} disabled={!text.trim()}>
+                    Load
+                </button>
+            </div>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                style={{ display: 'none' }}
+            />
+        </div>
+    );
+}
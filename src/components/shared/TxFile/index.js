@@ -0,0 +1 @@
+export { TxFileSummary, TxFileOutput, TxFileInput } from './TxFile';
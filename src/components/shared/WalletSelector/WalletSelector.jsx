@@ -14,6 +14,7 @@ import {
     WalletIcon,
     EditIcon,
     CloseIcon,
+    EyeIcon,
     UbaLogo
 } from '../Icons';
 import { truncateAddress, formatAmount } from '../../../utils/crypto';
@@ -60,7 +61,7 @@ export function WalletSelector({
                             >
                                 <div className="wallet-avatar">
                                     <span className="wallet-avatar-number">
-                                        <WalletIcon size={16} />
+                                        {wallet.watchOnly ? <EyeIcon size={16} /> : <WalletIcon size={16} />}
                                     </span>
                                     <div
                                         className="wallet-avatar-edit-overlay"
@@ -79,6 +80,7 @@ export function WalletSelector({
                                     <span className="wallet-name">
                                         {wallet.name || `Wallet ${index + 1}`}
                                     </span>
+                                    {wallet.watchOnly && <span className="wallet-watch-badge">Watch-only</span>}
                                     {isActive && <div className="wallet-check-indicator"><CheckIcon size={14} /></div>}
                                 </div>
                                 <div className="wallet-balance">
@@ -131,6 +133,11 @@ export function WalletHeader({
             <span className="header-wallet-name">
                 {displayAddress}
             </span>
+            {wallet.watchOnly && (
+                <span className="wallet-watch-badge" title="Watch-only: this wallet cannot sign">
+                    <EyeIcon size={10} />
+                </span>
+            )}
         </button>
     );
 }
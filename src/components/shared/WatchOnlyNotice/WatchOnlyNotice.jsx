@@ -0,0 +1,19 @@
+/**
+ * Watch-only Notice
+ * Explains why a signing action is unavailable for a watch-only wallet
+ */
+
+import { EyeIcon } from '../Icons';
+import { WATCH_ONLY_MESSAGE } from '../../../services/KeyringService';
+import './WatchOnlyNotice.css';
+
+export function WatchOnlyNotice({ message = WATCH_ONLY_MESSAGE, className = '' }) {
+    return (
+        <div className={`watch-only-notice ${className}`} role="note">
+            <EyeIcon size={18} className="watch-only-notice-icon" />
+            <p className="text-sm">{message}</p>
+        </div>
+    );
+}
+
+export default WatchOnlyNotice;
@@ -0,0 +1 @@
+export { WatchOnlyNotice } from './WatchOnlyNotice';
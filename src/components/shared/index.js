@@ -3,8 +3,17 @@
  * Re-exports all shared components for easy importing
  */
 
+export { BackupFileInput, RestoreModeSelect, BackupSummary } from './BackupFile';
 export { ConfirmTransactionModal } from './ConfirmTransactionModal';
+export { DerivationPathPicker } from './DerivationPathPicker';
 export { ErrorBoundary } from './ErrorBoundary';
 export * from './Icons';
+export { KeystoreFileInput } from './KeystoreFile';
+export { LockCountdown } from './LockCountdown';
+export { MnemonicInput, WordCountSelect } from './MnemonicInput';
+export { PassphraseInput } from './PassphraseInput';
+export { ShareCard, ShareInput } from './ShamirShares';
 export { TokenIcon } from './TokenIcon';
+export { TxFileSummary, TxFileOutput, TxFileInput } from './TxFile';
 export { WalletSelector, WalletHeader } from './WalletSelector';
+export { WatchOnlyNotice } from './WatchOnlyNotice';
@@ -19,10 +19,20 @@ import {
     CopyIcon,
     LockIcon,
     AnimatedLockIcon,
-    AlertIcon
+    AlertIcon,
+    ShieldIcon
 } from '../shared/Icons';
 import { StepHeader } from './StepHeader/StepHeader';
-import { calculatePasswordStrength } from '../../utils/validation';
+import { PassphraseInput } from '../shared/PassphraseInput';
+import { DerivationPathPicker } from '../shared/DerivationPathPicker';
+import { MnemonicInput, WordCountSelect } from '../shared/MnemonicInput';
+import { ShareInput } from '../shared/ShamirShares';
+import { KeystoreFileInput } from '../shared/KeystoreFile';
+import { BackupFileInput, BackupSummary } from '../shared/BackupFile';
+import { DEFAULT_WORD_COUNT, checkMnemonic } from '../../utils/mnemonic';
+import { checkShares, recoverMnemonicFromShares } from '../../utils/shamir';
+import { openBackupFile, summarizeBackup } from '../../utils/backupBundle';
+import { calculatePasswordStrength, getPassphraseError } from '../../utils/validation';
 import './WelcomeScreen.css';
 import './SuccessSplash.css';
 
@@ -120,6 +130,9 @@ export function CreateWalletScreen({ onBack, onComplete }) {
     const [confirmPassword, setConfirmPassword] = useState('');
     const [showPassword, setShowPassword] = useState(false);
     const [passwordError, setPasswordError] = useState('');
+    const [passphrase, setPassphrase] = useState('');
+    const [confirmPassphrase, setConfirmPassphrase] = useState('');
+    const [wordCount, setWordCount] = useState(DEFAULT_WORD_COUNT);
 
     const [wallet, setWallet] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
@@ -149,15 +162,23 @@ export function CreateWalletScreen({ onBack, onComplete }) {
             setPasswordError('Passwords do not match');
             return;
         }
+        const passphraseError = getPassphraseError(passphrase, confirmPassphrase);
+        if (passphraseError) {
+            setPasswordError(passphraseError);
+            return;
+        }
 
         setIsLoading(true);
 
         try {
             const { generateWallet } = await import('../../utils/crypto');
-            const newWallet = await generateWallet();
+            const newWallet = await generateWallet(passphrase, wordCount);
             setWallet(newWallet);
+            // Only the derived seed is kept - drop the passphrase from state
+            setPassphrase('');
+            setConfirmPassphrase('');
 
-            const positions = getRandomPositions(3, 12);
+            const positions = getRandomPositions(3, newWallet.mnemonic.length);
             setVerifyPositions(positions);
 
             // Select only 8 words total for options (3 correct + 5 random distractors)
@@ -335,6 +356,20 @@ export function CreateWalletScreen({ onBack, onComplete }) {
                                 />
                             </div>
 
+                            <div className="form-group">
+                                <label className="form-label">Recovery Phrase Length</label>
+                                <WordCountSelect value={wordCount} onChange={setWordCount} disabled={isLoading} />
+                                <p className="form-hint">12 words is standard; 24 words uses 256-bit entropy</p>
+                            </div>
+
+                            <PassphraseInput
+                                value={passphrase}
+                                onChange={(value) => { setPassphrase(value); setPasswordError(''); }}
+                                confirmValue={confirmPassphrase}
+                                onConfirmChange={(value) => { setConfirmPassphrase(value); setPasswordError(''); }}
+                                disabled={isLoading}
+                            />
+
                             {passwordError && <p className="form-error">{passwordError}</p>}
 
                             <button
@@ -362,9 +397,15 @@ export function CreateWalletScreen({ onBack, onComplete }) {
 
 
                     <p className="step-description">
-                        Write down these 12 words in order. Never share them.
+                        Write down these {wallet.mnemonic.length} words in order. Never share them.
                     </p>
 
+                    {wallet.hasPassphrase && (
+                        <p className="form-hint mb-lg">
+                            This wallet also uses your passphrase. You will need both to restore it.
+                        </p>
+                    )}
+
                     {/* Mnemonic grid */}
                     <div
                         className="mnemonic-grid"
@@ -487,17 +528,26 @@ export function CreateWalletScreen({ onBack, onComplete }) {
     );
 }
 
-export function ImportWalletScreen({ onBack, onComplete }) {
+export function ImportWalletScreen({ onBack, onComplete, onRestoreBackup }) {
     const [step, setStep] = useState(1);
     const [password, setPassword] = useState('');
     const [confirmPassword, setConfirmPassword] = useState('');
     const [showPassword, setShowPassword] = useState(false);
     const [passwordError, setPasswordError] = useState('');
 
-    const [importType, setImportType] = useState(null);
-    const [mnemonic, setMnemonic] = useState('');
+    const [importType, setImportType] = useState(null); // 'mnemonic' | 'shares' | 'keystore' | 'backup' | 'privateKey'
+    const [mnemonicWords, setMnemonicWords] = useState([]);
+    const [shareTexts, setShareTexts] = useState([]);
+    const [wordCount, setWordCount] = useState(DEFAULT_WORD_COUNT);
+    const [passphrase, setPassphrase] = useState('');
+    const [derivation, setDerivation] = useState(null); // { derivationPath, index } from the advanced picker
     const [privateKey, setPrivateKey] = useState('');
     const [showKey, setShowKey] = useState(false);
+    const [keystore, setKeystore] = useState(null);
+    const [keystorePassword, setKeystorePassword] = useState('');
+    const [backupFile, setBackupFile] = useState(null);
+    const [backupPassword, setBackupPassword] = useState('');
+    const [backupPayload, setBackupPayload] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
     const [isSuccess, setIsSuccess] = useState(false);
@@ -518,9 +568,27 @@ export function ImportWalletScreen({ onBack, onComplete }) {
     };
 
     const handleFinalSuccess = () => {
+        if (backupPayload) {
+            // Nothing is stored during onboarding, so the backup is restored as is
+            onRestoreBackup(backupPayload, { mode: 'replace', password }).catch(() => setIsSuccess(false));
+            return;
+        }
         onComplete(wallet, password);
     };
 
+    // Both phrase methods end in the same words: typed, or rebuilt from enough shares
+    let phrase = '';
+    if (importType === 'mnemonic' && checkMnemonic(mnemonicWords, wordCount).checksumValid) {
+        phrase = mnemonicWords.join(' ');
+    } else if (importType === 'shares' && checkShares(shareTexts).isComplete) {
+        phrase = recoverMnemonicFromShares(shareTexts);
+    }
+
+    let canImport = !!phrase;
+    if (importType === 'privateKey') canImport = !!privateKey.trim();
+    if (importType === 'keystore') canImport = !!keystore && !!keystorePassword;
+    if (importType === 'backup') canImport = !!backupPayload || (!!backupFile && !!backupPassword);
+
     const handleImport = async () => {
         setIsLoading(true);
         setError('');
@@ -529,10 +597,24 @@ export function ImportWalletScreen({ onBack, onComplete }) {
             let newWallet;
             const { importFromMnemonic, importFromPrivateKey } = await import('../../utils/crypto');
 
-            if (importType === 'mnemonic') {
-                newWallet = await importFromMnemonic(mnemonic.trim());
-            } else {
+            if (importType === 'backup') {
+                // First press opens the file and shows what it holds, the second restores it
+                if (!backupPayload) {
+                    setBackupPayload(await openBackupFile(backupFile, backupPassword));
+                    setBackupPassword('');
+                } else {
+                    setIsSuccess(true);
+                }
+                return;
+            } else if (importType === 'privateKey') {
                 newWallet = await importFromPrivateKey(privateKey.trim());
+            } else if (importType === 'keystore') {
+                const { decryptKeystore } = await import('../../utils/keystore');
+                newWallet = await decryptKeystore(keystore, keystorePassword);
+                setKeystorePassword('');
+            } else {
+                newWallet = await importFromMnemonic(phrase, passphrase, derivation || {});
+                setPassphrase('');
             }
 
             setWallet(newWallet);
@@ -676,7 +758,40 @@ export function ImportWalletScreen({ onBack, onComplete }) {
                                 </div>
                                 <div className="onboarding-option-content">
                                     <div className="onboarding-option-title">Recovery Phrase</div>
-                                    <div className="onboarding-option-desc">Import using 12-word mnemonic phrase</div>
+                                    <div className="onboarding-option-desc">Import using a 12 to 24 word recovery phrase</div>
+                                </div>
+                                <ChevronRightIcon size={20} className="onboarding-option-arrow" />
+                            </button>
+
+                            <button className="onboarding-option" onClick={() => setImportType('shares')}>
+                                <div className="onboarding-option-icon">
+                                    <ShieldIcon size={24} />
+                                </div>
+                                <div className="onboarding-option-content">
+                                    <div className="onboarding-option-title">Shamir Shares</div>
+                                    <div className="onboarding-option-desc">Combine enough shares of a split backup</div>
+                                </div>
+                                <ChevronRightIcon size={20} className="onboarding-option-arrow" />
+                            </button>
+
+                            <button className="onboarding-option" onClick={() => setImportType('keystore')}>
+                                <div className="onboarding-option-icon">
+                                    <LockIcon size={24} />
+                                </div>
+                                <div className="onboarding-option-content">
+                                    <div className="onboarding-option-title">Keystore File</div>
+                                    <div className="onboarding-option-desc">Import a password-encrypted keystore</div>
+                                </div>
+                                <ChevronRightIcon size={20} className="onboarding-option-arrow" />
+                            </button>
+
+                            <button className="onboarding-option" onClick={() => setImportType('backup')}>
+                                <div className="onboarding-option-icon">
+                                    <ShieldIcon size={24} />
+                                </div>
+                                <div className="onboarding-option-content">
+                                    <div className="onboarding-option-title">Full Backup</div>
+                                    <div className="onboarding-option-desc">Restore all wallets and settings from a backup file</div>
                                 </div>
                                 <ChevronRightIcon size={20} className="onboarding-option-arrow" />
                             </button>
@@ -700,45 +815,92 @@ export function ImportWalletScreen({ onBack, onComplete }) {
             {step === 2 && importType && (
                 <div className="create-password-step">
                     <StepHeader
-                        title={importType === 'mnemonic' ? 'Recovery Phrase' : 'Private Key'}
+                        title={{ mnemonic: 'Recovery Phrase', shares: 'Backup Shares', keystore: 'Keystore File', backup: 'Full Backup', privateKey: 'Private Key' }[importType]}
                         currentStep={3}
                         totalSteps={3}
-                        onBack={() => setImportType(null)}
+                        onBack={() => { setImportType(null); setBackupPayload(null); }}
                     />
 
                     <div className="step-content">
                         {/* Icon */}
                         <div className="step-icon">
-                            {importType === 'mnemonic' ? (
-                                <ImportIcon size={48} />
-                            ) : (
-                                <KeyIcon size={48} />
-                            )}
+                            {importType === 'mnemonic' && <ImportIcon size={48} />}
+                            {importType === 'shares' && <ShieldIcon size={48} />}
+                            {importType === 'keystore' && <LockIcon size={48} />}
+                            {importType === 'backup' && <ShieldIcon size={48} />}
+                            {importType === 'privateKey' && <KeyIcon size={48} />}
                         </div>
 
                         <p className="step-description">
-                            {importType === 'mnemonic'
-                                ? 'Enter your 12-word recovery phrase'
-                                : 'Enter your private key (Base64 encoded)'
-                            }
+                            {{
+                                mnemonic: 'Choose the length and enter your recovery phrase',
+                                shares: 'Enter as many shares as the backup needs, in any order',
+                                keystore: 'Choose the keystore file and enter its password',
+                                backup: backupPayload ? 'This backup will be restored' : 'Choose the backup file and enter its password',
+                                privateKey: 'Enter your private key (Base64 encoded)'
+                            }[importType]}
                         </p>
 
                         <div className="step-form">
-                            {importType === 'mnemonic' ? (
+                            {importType === 'keystore' && (
+                                <KeystoreFileInput
+                                    file={keystore}
+                                    onLoad={(file) => { setKeystore(file); setError(''); }}
+                                    password={keystorePassword}
+                                    onPasswordChange={(value) => { setKeystorePassword(value); setError(''); }}
+                                    disabled={isLoading}
+                                />
+                            )}
+
+                            {importType === 'backup' && (backupPayload ? (
+                                <BackupSummary summary={summarizeBackup(backupPayload)} />
+                            ) : (
+                                <BackupFileInput
+                                    file={backupFile}
+                                    onLoad={(file) => { setBackupFile(file); setError(''); }}
+                                    password={backupPassword}
+                                    onPasswordChange={(value) => { setBackupPassword(value); setError(''); }}
+                                    disabled={isLoading}
+                                />
+                            ))}
+
+                            {(importType === 'mnemonic' || importType === 'shares') && (
                                 <div className="form-group">
-                                    <label className="form-label">Recovery Phrase</label>
-                                    <textarea
-                                        className="input input-mono"
-                                        value={mnemonic}
-                                        onChange={(e) => { setMnemonic(e.target.value); setError(''); }}
-                                        placeholder="Enter your 12 words separated by spaces..."
-                                        rows={4}
-                                        style={{ resize: 'none', lineHeight: '1.6' }}
-                                        autoFocus
+                                    {importType === 'mnemonic' ? (
+                                        <>
+                                            <label className="form-label">Recovery Phrase</label>
+                                            <MnemonicInput
+                                                words={mnemonicWords}
+                                                onChange={(words) => { setMnemonicWords(words); setError(''); }}
+                                                wordCount={wordCount}
+                                                onWordCountChange={setWordCount}
+                                                disabled={isLoading}
+                                            />
+                                            <p className="form-hint">Paste the whole phrase into any box or type word by word</p>
+                                        </>
+                                    ) : (
+                                        <ShareInput
+                                            shares={shareTexts}
+                                            onChange={(shares) => { setShareTexts(shares); setError(''); }}
+                                            disabled={isLoading}
+                                        />
+                                    )}
+                                    <PassphraseInput
+                                        value={passphrase}
+                                        onChange={(value) => { setPassphrase(value); setError(''); }}
+                                        disabled={isLoading}
+                                    />
+                                    <DerivationPathPicker
+                                        mnemonic={phrase}
+                                        passphrase={passphrase}
+                                        value={derivation}
+                                        onChange={setDerivation}
+                                        disabled={isLoading}
                                     />
-                                    <p className="form-hint">Separate each word with a space</p>
                                 </div>
-                            ) : (
+                            )}
+
+                            {importType === 'privateKey' && (
                                 <div className="form-group">
                                     <label className="form-label">Private Key</label>
                                     <div className="input-with-icon">
@@ -772,9 +934,11 @@ export function ImportWalletScreen({ onBack, onComplete }) {
                             <button
                                 className="btn btn-primary btn-full"
                                 onClick={handleImport}
-                                disabled={isLoading || (importType === 'mnemonic' ? !mnemonic.trim() : !privateKey.trim())}
+                                disabled={isLoading || !canImport}
                             >
-                                {isLoading ? <span className="loading-spinner" /> : 'Import Wallet'}
+                                {isLoading && <span className="loading-spinner" />}
+                                {!isLoading && importType !== 'backup' && 'Import Wallet'}
+                                {!isLoading && importType === 'backup' && (backupPayload ? 'Restore Backup' : 'Open Backup')}
                             </button>
                         </div>
                     </div>
@@ -15,7 +15,9 @@ export const STORAGE_KEYS = {
     BALANCE_CACHE: '_x7b_bal_cache',
     TOKEN_CACHE: '_x8t_tok_cache',
     CUSTOM_TOKENS: '_x0c_custom_tokens',
+    DAPP_PERMISSIONS: '_x1d_dapp_perms',
     PASSWORD_HASH: '_x2b_auth', // SHA-256 hash of password
+    DATA_KEY: '_x3k_data_key', // App-data key, encrypted with the password
     ACTIVITY_LOGS: '__activity_logs',
 };
 
@@ -42,6 +44,15 @@ export const SECURITY = {
     LOCKOUT_DURATION: 15 * 60 * 1000, // 15 minutes
 };
 
+// Auto-lock: minutes without activity, or one of the named policies
+export const AUTO_LOCK = {
+    BROWSER_CLOSE: 'browser-close', // no timer; the session ends with the browser
+    NEVER: 'never', // no timer, no idle or screen lock
+    DEFAULT: 5
+};
+
+export const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60, AUTO_LOCK.BROWSER_CLOSE, AUTO_LOCK.NEVER];
+
 // App Versions
 export const APP_VERSION = '4.0.0';
 export const STORAGE_VERSION = 4;
@@ -0,0 +1,53 @@
+/**
+ * Content Script - Relay Between the Page and the Service Worker
+ *
+ * Injects inpage.js (window.octra) into the page, then forwards its
+ * requests over a runtime port and posts replies and events back.
+ * Bundled standalone: the names below must match provider/protocol.js
+ * and inpage.js.
+ */
+
+const PROVIDER_PORT = 'octra-provider';
+const TO_CONTENT = 'octra-contentscript';
+const TO_PAGE = 'octra-inpage';
+const DISCONNECTED = 4900;
+
+function injectProvider() {
+    const script = document.createElement('script');
+    script.src = chrome.runtime.getURL('inpage.js');
+    script.onload = () => script.remove();
+    (document.head || document.documentElement).appendChild(script);
+}
+
+function toPage(data) {
+    window.postMessage({ target: TO_PAGE, ...data }, window.location.origin);
+}
+
+let port = null;
+
+// The worker may be restarted; reconnect on the next request
+function getPort() {
+    if (port) return port;
+
+    port = chrome.runtime.connect({ name: PROVIDER_PORT });
+    port.onMessage.addListener((message) => toPage(message));
+    port.onDisconnect.addListener(() => {
+        port = null;
+        toPage({ event: 'disconnect', data: { code: DISCONNECTED, message: 'Wallet connection lost' } });
+    });
+    return port;
+}
+
+window.addEventListener('message', (e) => {
+    if (e.source !== window || e.data?.target !== TO_CONTENT) return;
+    const { id, method, params } = e.data;
+
+    try {
+        getPort().postMessage({ id, method, params });
+    } catch (error) {
+        // Extension reloaded: this content script can no longer reach it
+        toPage({ id, error: { code: DISCONNECTED, message: error.message || 'Wallet unavailable' } });
+    }
+});
+
+injectProvider();
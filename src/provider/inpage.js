@@ -0,0 +1,131 @@
+/**
+ * Injected Provider - window.octra
+ *
+ * Runs in the page. Every call becomes a { method, params } request that
+ * the content script relays to the wallet; the promise settles with the
+ * wallet's reply. Errors carry an EIP-1193 style `code` (4001 rejected by
+ * the user, 4100 not connected, ...).
+ *
+ *   const [address] = await window.octra.connect();
+ *   window.octra.on('accountsChanged', (accounts) => { ... });
+ *
+ * Bundled standalone: the names below must match provider/protocol.js
+ * and contentScript.js.
+ */
+
+(function () {
+    const TO_CONTENT = 'octra-contentscript';
+    const TO_PAGE = 'octra-inpage';
+    const EVENTS = ['connect', 'disconnect', 'accountsChanged', 'networkChanged'];
+
+    if (window.octra) return;
+
+    const pending = new Map();
+    const listeners = new Map(EVENTS.map(event => [event, new Set()]));
+    let nextId = 1;
+    let accounts = [];
+
+    class ProviderRpcError extends Error {
+        constructor({ code, message }) {
+            super(message);
+            this.name = 'ProviderRpcError';
+            this.code = code;
+        }
+    }
+
+    function emit(event, data) {
+        if (event === 'accountsChanged') accounts = data || [];
+        for (const listener of listeners.get(event) || []) {
+            try {
+                listener(data);
+            } catch (error) {
+                console.error(`[octra] ${event} listener failed:`, error);
+            }
+        }
+    }
+
+    window.addEventListener('message', (e) => {
+        if (e.source !== window || e.data?.target !== TO_PAGE) return;
+        const { id, result, error, event, data } = e.data;
+
+        if (event) {
+            emit(event, data);
+            return;
+        }
+
+        const request = pending.get(id);
+        if (!request) return;
+        pending.delete(id);
+        if (error) {
+            request.reject(new ProviderRpcError(error));
+        } else {
+            request.resolve(result);
+        }
+    });
+
+    function request({ method, params = {} }) {
+        const id = `octra-${Date.now()}-${nextId++}`;
+        return new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+            window.postMessage({ target: TO_CONTENT, id, method, params }, window.location.origin);
+        });
+    }
+
+    const provider = {
+        isOctra: true,
+        request,
+
+        /** Ask the user to connect; resolves with the accounts the site may use */
+        async connect() {
+            accounts = await request({ method: 'octra_connect' });
+            return accounts;
+        },
+
+        disconnect() {
+            return request({ method: 'octra_disconnect' });
+        },
+
+        /** Connected accounts, [] when not connected (never prompts) */
+        async getAccounts() {
+            accounts = await request({ method: 'octra_accounts' });
+            return accounts;
+        },
+
+        /** { balanceRaw, nonce } - balanceRaw in micro-OCT as a string */
+        getBalance(address) {
+            return request({ method: 'octra_getBalance', params: address ? { address } : {} });
+        },
+
+        /** { address, publicKey, signature } - Ed25519 over "\x19Octra Signed Message:\n" + the UTF-8 message */
+        signMessage(message) {
+            return request({ method: 'octra_signMessage', params: { message } });
+        },
+
+        /** { txHash } - amount in OCT, e.g. "1.5" */
+        sendTransaction({ to, amount, message }) {
+            return request({ method: 'octra_sendTransaction', params: { to, amount, message } });
+        },
+
+        /** { txHash } - state-changing OCS01 contract call */
+        callContract({ contract, method, params = [] }) {
+            return request({ method: 'octra_callContract', params: { contract, method, params } });
+        },
+
+        on(event, listener) {
+            listeners.get(event)?.add(listener);
+            return provider;
+        },
+
+        removeListener(event, listener) {
+            listeners.get(event)?.delete(listener);
+            return provider;
+        },
+
+        get selectedAddress() {
+            return accounts[0] || null;
+        }
+    };
+
+    Object.defineProperty(window, 'octra', { value: Object.freeze(provider), writable: false, configurable: false });
+    window.dispatchEvent(new Event('octra#initialized'));
+})();
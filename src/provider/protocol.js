@@ -0,0 +1,240 @@
+/**
+ * dApp Provider Protocol - Shared by the Background Bridge and the Popup
+ *
+ * PATH OF A REQUEST:
+ *   page      window.octra (inpage.js)
+ *      | window.postMessage
+ *   content   contentScript.js
+ *      | runtime port PROVIDER_PORT, one per tab
+ *   worker    ProviderBridge (background)
+ *      | approval window (index.html?request=<id>) for APPROVAL_METHODS
+ *   popup     DappService executes, answers with WALLET_MESSAGES.RESOLVE / REJECT
+ *
+ * MESSAGES on the port:
+ *   request  { id, method, params }
+ *   reply    { id, result } or { id, error: { code, message } }
+ *   event    { event, data }  (PROVIDER_EVENTS, pushed to every tab of an origin)
+ *
+ * inpage.js and contentScript.js are bundled as standalone scripts and
+ * cannot import this module - they repeat PROVIDER_PORT and the window
+ * message targets.
+ */
+
+import { isValidAddress } from '../utils/validation';
+import { parseAmount, OCT_DECIMALS } from '../utils/amount';
+
+export const PROVIDER_PORT = 'octra-provider';
+
+export const PROVIDER_METHODS = {
+    CONNECT: 'octra_connect',
+    DISCONNECT: 'octra_disconnect',
+    ACCOUNTS: 'octra_accounts',
+    GET_BALANCE: 'octra_getBalance',
+    SIGN_MESSAGE: 'octra_signMessage',
+    SEND_TRANSACTION: 'octra_sendTransaction',
+    CALL_CONTRACT: 'octra_callContract'
+};
+
+// Methods the user confirms in the approval window
+export const APPROVAL_METHODS = [
+    PROVIDER_METHODS.CONNECT,
+    PROVIDER_METHODS.SIGN_MESSAGE,
+    PROVIDER_METHODS.SEND_TRANSACTION,
+    PROVIDER_METHODS.CALL_CONTRACT
+];
+
+// What a site may be allowed to ask for once connected (all by default)
+export const GRANTABLE_METHODS = [
+    PROVIDER_METHODS.SIGN_MESSAGE,
+    PROVIDER_METHODS.SEND_TRANSACTION,
+    PROVIDER_METHODS.CALL_CONTRACT
+];
+
+export const GRANT_LABELS = {
+    [PROVIDER_METHODS.SIGN_MESSAGE]: 'Sign messages',
+    [PROVIDER_METHODS.SEND_TRANSACTION]: 'Request transfers',
+    [PROVIDER_METHODS.CALL_CONTRACT]: 'Request contract calls'
+};
+
+export const PROVIDER_EVENTS = {
+    CONNECT: 'connect',
+    DISCONNECT: 'disconnect',
+    ACCOUNTS_CHANGED: 'accountsChanged',
+    NETWORK_CHANGED: 'networkChanged'
+};
+
+// Popup <-> worker (chrome.runtime.sendMessage, extension pages only)
+export const WALLET_MESSAGES = {
+    GET_REQUEST: 'dapp:getRequest',
+    RESOLVE: 'dapp:resolve',
+    REJECT: 'dapp:reject',
+    SET_PERMISSIONS: 'dapp:setPermissions',
+    NETWORK_CHANGED: 'wallet:networkChanged'
+};
+
+// EIP-1193 style codes, so dApp libraries can reuse their handling
+export const PROVIDER_ERRORS = {
+    USER_REJECTED: 4001,
+    UNAUTHORIZED: 4100,
+    UNSUPPORTED_METHOD: 4200,
+    DISCONNECTED: 4900,
+    INVALID_PARAMS: -32602,
+    INTERNAL: -32603
+};
+
+const MAX_MESSAGE_LENGTH = 4096;
+const CONTRACT_METHOD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+// Prepended to every message a site asks us to sign. Transactions are signed
+// over their JSON, so a prefixed message can never double as one
+export const SIGN_MESSAGE_PREFIX = '\x19Octra Signed Message:\n';
+
+/**
+ * Bytes actually signed for a dApp signMessage request (prefix + UTF-8 message)
+ * @param {string|Uint8Array} message
+ * @returns {Uint8Array}
+ */
+export function toDappSignedMessage(message) {
+    const encoder = new TextEncoder();
+    const prefix = encoder.encode(SIGN_MESSAGE_PREFIX);
+    const body = typeof message === 'string' ? encoder.encode(message) : message;
+    // Copied into a Uint8Array of this realm (tweetnacl rejects foreign ones)
+    const bytes = new Uint8Array(prefix.length + body.length);
+    bytes.set(prefix);
+    bytes.set(body, prefix.length);
+    return bytes;
+}
+
+export class ProviderRpcError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ProviderRpcError';
+        this.code = code;
+    }
+
+    toJSON() {
+        return { code: this.code, message: this.message };
+    }
+}
+
+/**
+ * Any thrown value -> { code, message } for the reply
+ */
+export function serializeProviderError(error) {
+    if (error instanceof ProviderRpcError) return error.toJSON();
+    return { code: PROVIDER_ERRORS.INTERNAL, message: error?.message || 'Internal error' };
+}
+
+export function userRejectedError() {
+    return new ProviderRpcError(PROVIDER_ERRORS.USER_REJECTED, 'User rejected the request');
+}
+
+/**
+ * Per-origin grant as stored encrypted and mirrored in the worker
+ * @returns {{ origin, accounts: string[], methods: string[], grantedAt: number }}
+ */
+export function createGrant(origin, accounts, methods = GRANTABLE_METHODS, grantedAt = Date.now()) {
+    return {
+        origin,
+        accounts: [...new Set(accounts)],
+        methods: GRANTABLE_METHODS.filter(method => methods.includes(method)),
+        grantedAt
+    };
+}
+
+/**
+ * Drop malformed entries from an untrusted { [origin]: grant } map
+ */
+export function normalizeGrants(grants) {
+    const normalized = {};
+    for (const [origin, grant] of Object.entries(grants || {})) {
+        if (!grant || grant.origin !== origin || !Array.isArray(grant.accounts) || grant.accounts.length === 0) continue;
+        normalized[origin] = createGrant(
+            origin,
+            grant.accounts.filter(address => typeof address === 'string'),
+            Array.isArray(grant.methods) ? grant.methods : [],
+            Number(grant.grantedAt) || 0
+        );
+    }
+    return normalized;
+}
+
+/**
+ * True when the grant covers `method` (and `address`, when given)
+ */
+export function isGranted(grant, method, address = null) {
+    if (!grant) return false;
+    if (address && !grant.accounts.includes(address)) return false;
+    return !method || grant.methods.includes(method);
+}
+
+function invalidParams(message) {
+    return new ProviderRpcError(PROVIDER_ERRORS.INVALID_PARAMS, message);
+}
+
+/**
+ * Check untrusted request params before anything is shown to the user
+ * @returns {object} normalized params
+ * @throws {ProviderRpcError} INVALID_PARAMS or UNSUPPORTED_METHOD
+ */
+export function validateProviderParams(method, params = {}) {
+    if (params === null || typeof params !== 'object' || Array.isArray(params)) {
+        throw invalidParams('Params must be an object');
+    }
+
+    switch (method) {
+        case PROVIDER_METHODS.CONNECT:
+        case PROVIDER_METHODS.DISCONNECT:
+        case PROVIDER_METHODS.ACCOUNTS:
+            return {};
+
+        case PROVIDER_METHODS.GET_BALANCE:
+            if (params.address !== undefined && !isValidAddress(params.address)) {
+                throw invalidParams('Invalid address');
+            }
+            return params.address ? { address: params.address } : {};
+
+        case PROVIDER_METHODS.SIGN_MESSAGE:
+            if (typeof params.message !== 'string' || !params.message) {
+                throw invalidParams('Message must be a non-empty string');
+            }
+            if (params.message.length > MAX_MESSAGE_LENGTH) {
+                throw invalidParams(`Message is longer than ${MAX_MESSAGE_LENGTH} characters`);
+            }
+            return { message: params.message };
+
+        case PROVIDER_METHODS.SEND_TRANSACTION: {
+            if (!isValidAddress(params.to)) {
+                throw invalidParams('Invalid recipient address');
+            }
+            let amount;
+            try {
+                amount = parseAmount(String(params.amount), OCT_DECIMALS, { strict: true });
+            } catch {
+                throw invalidParams('Invalid amount (OCT, up to 6 decimals)');
+            }
+            if (amount <= 0n) {
+                throw invalidParams('Amount must be greater than zero');
+            }
+            if (params.message !== undefined && (typeof params.message !== 'string' || params.message.length > MAX_MESSAGE_LENGTH)) {
+                throw invalidParams('Invalid transaction message');
+            }
+            return { to: params.to, amount: String(params.amount), ...(params.message && { message: params.message }) };
+        }
+
+        case PROVIDER_METHODS.CALL_CONTRACT:
+            if (!isValidAddress(params.contract)) {
+                throw invalidParams('Invalid contract address');
+            }
+            if (typeof params.method !== 'string' || !CONTRACT_METHOD_PATTERN.test(params.method)) {
+                throw invalidParams('Invalid contract method');
+            }
+            if (params.params !== undefined && !Array.isArray(params.params)) {
+                throw invalidParams('Contract params must be an array');
+            }
+            return { contract: params.contract, method: params.method, params: (params.params || []).map(String) };
+
+        default:
+            throw new ProviderRpcError(PROVIDER_ERRORS.UNSUPPORTED_METHOD, `Unsupported method: ${method}`);
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Backup Service - Full Wallet Backup and Restore
+ *
+ * Gathers everything a wallet setup consists of from its storage keys into
+ * a backup payload, and writes a payload back (see utils/backupBundle for
+ * the file format and the merge rules).
+ *
+ * RESTORE ORDER:
+ * The vault is written first - it is the only part that cannot be rebuilt
+ * from the chain. The worker writes it (KeyringClient.restoreWallets), the
+ * popup never opens the vault. Tokens, privacy logs, history and settings
+ * follow under the session data key, then the token manager reloads its
+ * in-memory lists.
+ */
+
+import {
+    getActiveWalletIndex,
+    setActiveWalletIndex,
+    loadCustomTokensSecure,
+    saveCustomTokensSecure,
+    loadPrivacyLogsSecure,
+    savePrivacyLogsSecure,
+    loadSettingsSecure,
+    saveSettingsSecure,
+    loadAllTxHistorySecure,
+    saveAllTxHistorySecure
+} from '../utils/storageSecure';
+import { BACKUP_SCHEMA, mergeBackupPayload, summarizeBackup } from '../utils/backupBundle';
+import { ocs01Manager } from './OCS01TokenService';
+import { keyringClient } from './KeyringClient';
+import { logInfo } from '../utils/logger';
+
+class BackupService {
+    /**
+     * Build a payload from what is stored now
+     * @param {Array} wallets - vault records (KeyringClient.exportWallets for a backup file)
+     * @param {string} dataKey - session data key of the app-data stores
+     * @param {object} settings - in-memory settings, they take precedence over stored ones
+     */
+    async collectBackup(wallets, dataKey, settings = {}) {
+        const activeWalletIndex = getActiveWalletIndex();
+
+        return {
+            schema: BACKUP_SCHEMA,
+            wallets,
+            activeWalletIndex: activeWalletIndex < wallets.length ? activeWalletIndex : 0,
+            settings: { ...await loadSettingsSecure(dataKey), ...settings },
+            customTokens: await loadCustomTokensSecure(dataKey),
+            privacyLogs: await loadPrivacyLogsSecure(dataKey),
+            txHistory: loadAllTxHistorySecure()
+        };
+    }
+
+    /**
+     * Write a checked payload (from openBackupFile) to storage
+     * Needs an unlocked session: the worker merges the vault part.
+     * @param {object} options - { mode: 'merge' | 'replace', settings: in-memory settings }
+     * @returns {Promise<object>} { payload: what was written (wallets as metadata), summary, session }
+     */
+    async restoreBackup(payload, dataKey, { mode = 'merge', settings = {} } = {}) {
+        const current = mode === 'merge' ? await this.collectBackup(keyringClient.status.wallets, dataKey, settings) : null;
+        const session = await keyringClient.restoreWallets(payload.wallets, mode);
+        const restored = { ...mergeBackupPayload(current, payload, mode), wallets: session.wallets };
+
+        setActiveWalletIndex(Math.min(restored.activeWalletIndex, restored.wallets.length - 1));
+        await saveCustomTokensSecure(restored.customTokens, dataKey);
+        await savePrivacyLogsSecure(restored.privacyLogs, dataKey);
+        saveAllTxHistorySecure(restored.txHistory);
+        await saveSettingsSecure(restored.settings, dataKey);
+
+        ocs01Manager.userContracts.clear();
+        await ocs01Manager.initializeSecure(dataKey);
+
+        const summary = summarizeBackup(restored);
+        logInfo(`[Backup] Restored (${mode}): ${summary.wallets + summary.watchOnly} wallets`);
+        return { payload: restored, summary, session };
+    }
+}
+
+// Singleton instance
+export const backupService = new BackupService();
+
+export { BackupService };
+export default backupService;
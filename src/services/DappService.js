@@ -0,0 +1,166 @@
+/**
+ * dApp Service - Popup Side of the Provider Bridge
+ *
+ * An approval window is the popup opened at index.html?request=<id>.
+ * This service fetches that request from the worker, carries it out with
+ * the unlocked keyring once the user approves, and reports the result
+ * (or the rejection) back. Outside the extension (vite dev) there is no
+ * worker and every call is a no-op.
+ */
+
+import { keyringClient } from './KeyringClient';
+import { nonceManager } from './NonceManager';
+import { permissionService } from './PermissionService';
+import { ocs01Manager } from './OCS01TokenService';
+import { getRpcClient } from '../utils/rpc';
+import { parseAmount, parseBalanceString, toNumber } from '../utils/amount';
+import { saveTxHistorySecure } from '../utils/storageSecure';
+import { logInfo } from '../utils/logger';
+import { PROVIDER_METHODS, GRANTABLE_METHODS, WALLET_MESSAGES } from '../provider/protocol';
+
+function hasRuntime() {
+    return typeof chrome !== 'undefined' && !!chrome.runtime?.id;
+}
+
+async function sendToWorker(message) {
+    if (!hasRuntime()) return null;
+    return chrome.runtime.sendMessage(message);
+}
+
+class DappService {
+    /**
+     * Request id when this popup is an approval window, else null
+     */
+    getRequestId() {
+        return new URLSearchParams(window.location.search).get('request');
+    }
+
+    /**
+     * @returns {Promise<object|null>} { id, origin, method, params, accounts, network }, null once settled
+     */
+    async getRequest(id) {
+        const reply = await sendToWorker({ type: WALLET_MESSAGES.GET_REQUEST, id });
+        return reply?.request || null;
+    }
+
+    /**
+     * Carry out an approved request and hand the result to the worker
+     * @param {object} options - { accounts, methods, dataKey } picked for octra_connect,
+     *   { ou } fee level picked for octra_sendTransaction
+     */
+    async approve(request, { accounts = [], methods = GRANTABLE_METHODS, dataKey = null, network = 'testnet', ou = null } = {}) {
+        let result;
+        if (request.method === PROVIDER_METHODS.CONNECT) {
+            // Stored before resolving: the worker closes this window once it has the answer
+            const grant = await permissionService.grant(request.origin, accounts, methods, dataKey);
+            result = { accounts: grant.accounts, methods: grant.methods };
+        } else {
+            result = await this.execute(request, network, { ou });
+        }
+
+        await sendToWorker({ type: WALLET_MESSAGES.RESOLVE, id: request.id, result });
+        logInfo(`[Dapp] Approved ${request.method} for ${request.origin}`);
+        return result;
+    }
+
+    reject(id) {
+        return sendToWorker({ type: WALLET_MESSAGES.REJECT, id });
+    }
+
+    /**
+     * Sign / send for the site's first connected account
+     * The keyring re-checks the site's grant for every signature.
+     */
+    async execute(request, network = 'testnet', { ou = null } = {}) {
+        const address = request.accounts[0];
+        const { origin, params } = request;
+
+        switch (request.method) {
+            case PROVIDER_METHODS.SIGN_MESSAGE: {
+                const signature = await keyringClient.signMessage(address, params.message, { origin });
+                return { address, publicKey: await keyringClient.getPublicKey(address), signature };
+            }
+
+            case PROVIDER_METHODS.SEND_TRANSACTION: {
+                const result = await nonceManager.withNonce(address, async (nonce) => {
+                    const tx = await keyringClient.signTransaction(address, {
+                        to: params.to,
+                        amount: params.amount,
+                        nonce,
+                        ou,
+                        message: params.message || null
+                    }, { origin });
+                    return getRpcClient().sendTransaction(tx);
+                });
+
+                saveTxHistorySecure([{
+                    hash: result.txHash,
+                    type: 'out',
+                    amount: toNumber(parseAmount(params.amount)),
+                    symbol: 'OCT',
+                    address: params.to,
+                    status: 'pending'
+                }], network, address);
+                return { txHash: result.txHash };
+            }
+
+            case PROVIDER_METHODS.CALL_CONTRACT: {
+                const contract = ocs01Manager.getContract(params.contract, network);
+                const result = await contract.callMethod(params.method, params.params, address, { origin });
+                if (!result.success) throw new Error(result.error || 'Contract call failed');
+                return { txHash: result.txHash };
+            }
+
+            default:
+                throw new Error(`Nothing to execute for ${request.method}`);
+        }
+    }
+
+    /**
+     * What the approval screen needs to review a request (utils/dappReview.js):
+     * balance and fee levels for transfers, the token balance and known
+     * contracts for contract calls. Lookups that fail are left out.
+     */
+    async loadReviewContext(request, network = 'testnet') {
+        const address = request.accounts[0];
+        const custom = Array.from(ocs01Manager.userContracts.get(address) || [])
+            .map(contract => ({ address: contract, name: 'Custom token', verified: false }));
+        const context = { knownContracts: [...ocs01Manager.getKnownContracts(network), ...custom] };
+
+        if (request.method === PROVIDER_METHODS.SEND_TRANSACTION) {
+            const rpc = getRpcClient();
+            const [balance, fees] = await Promise.allSettled([rpc.getBalance(address), rpc.getFeeEstimate()]);
+            if (balance.status === 'fulfilled') context.balanceRaw = balance.value.balanceRaw;
+            if (fees.status === 'fulfilled') context.feeEstimates = fees.value;
+        }
+
+        if (request.method === PROVIDER_METHODS.CALL_CONTRACT) {
+            const credits = await ocs01Manager.getContract(request.params.contract, network)
+                .getCredits(address, address)
+                .catch(() => null);
+            if (credits?.success) {
+                try {
+                    context.tokenBalanceRaw = parseBalanceString(credits.result);
+                } catch {
+                    // Not a token contract
+                }
+            }
+        }
+
+        return context;
+    }
+
+    /**
+     * Tell connected sites about a network switch
+     */
+    notifyNetworkChanged(settings) {
+        return sendToWorker({ type: WALLET_MESSAGES.NETWORK_CHANGED, network: settings?.network || 'testnet', settings })
+            .catch(() => null);
+    }
+}
+
+// Singleton instance
+export const dappService = new DappService();
+
+export { DappService };
+export default dappService;
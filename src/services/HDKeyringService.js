@@ -0,0 +1,182 @@
+/**
+ * HD Keyring Service - Multiple Accounts From One Recovery Phrase
+ *
+ * The recovery phrase is stored once, on the wallet derived at index 0
+ * (the "root": { mnemonic, seedHex, hdIndex: 0 }). Further accounts only
+ * record where they come from:
+ *   { address, privateKeyB64, publicKeyB64, hdRoot: rootAddress, hdIndex: N }
+ *
+ * The indices in use are the hdIndex values of the stored wallets.
+ * Wallets created before HD accounts existed (seedHex but no hdIndex)
+ * are roots at index 0 - the path they were always derived from.
+ *
+ * CUSTOM PATHS:
+ * Seeds from other Octra tools may use another base path. It is kept as
+ * derivationPath on the root (and on every account derived from it), and the
+ * root may then sit at any index - the one the user picked in the preview.
+ *
+ * IMPORT SCAN:
+ * Indices after the root's are checked with getAddressInfo; every account with
+ * on-chain activity is restored. The scan stops after HD_SCAN_GAP_LIMIT
+ * unused indices in a row.
+ *
+ * Deriving from a stored root needs its seed, so "Add account" runs in the
+ * worker keyring (KEYRING_MESSAGES.DERIVE_ACCOUNT).
+ */
+
+import { getRpcClient } from '../utils/rpc';
+import { deriveAccountFromSeed } from '../utils/crypto';
+import { parseBalanceString } from '../utils/amount';
+import { logInfo, logWarn } from '../utils/logger';
+
+export const HD_SCAN_GAP_LIMIT = 5;
+export const HD_SCAN_MAX_INDEX = 100;
+
+class HDKeyringService {
+    constructor(rpcClient = null) {
+        this._rpcClient = rpcClient;
+    }
+
+    get rpcClient() {
+        return this._rpcClient || getRpcClient();
+    }
+
+    /**
+     * A wallet that holds a recovery phrase seed (hasSeed on the popup's key-free copy)
+     */
+    isRoot(wallet) {
+        return (!!wallet?.seedHex || !!wallet?.hasSeed) && !wallet.hdRoot && !wallet.watchOnly;
+    }
+
+    /**
+     * Address of the root a wallet was derived from (null for key-only wallets)
+     */
+    getRootAddress(wallet) {
+        if (wallet?.hdRoot) return wallet.hdRoot;
+        return this.isRoot(wallet) ? wallet.address : null;
+    }
+
+    getRoots(wallets) {
+        return wallets.filter(w => this.isRoot(w));
+    }
+
+    getRoot(wallets, rootAddress) {
+        return wallets.find(w => this.isRoot(w) && w.address === rootAddress) || null;
+    }
+
+    /**
+     * Sorted account indices already derived from a root
+     */
+    getUsedIndices(wallets, rootAddress) {
+        return wallets
+            .filter(w => this.getRootAddress(w) === rootAddress)
+            .map(w => w.hdIndex ?? 0)
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Derive account N of a root as a storable wallet (no copy of the seed)
+     */
+    async deriveAccount(root, index) {
+        if (!this.isRoot(root)) {
+            throw new Error('Wallet has no recovery phrase');
+        }
+
+        const account = await deriveAccountFromSeed(root.seedHex, index, root.derivationPath);
+        return { ...account, hdRoot: root.address, name: `Account ${index + 1}` };
+    }
+
+    /**
+     * Derive the account after the highest index in use ("Add account")
+     * Skips accounts that are already in the list as a plain private key
+     */
+    async deriveNextAccount(wallets, rootAddress) {
+        const root = this.getRoot(wallets, rootAddress);
+        if (!root) {
+            throw new Error('Recovery phrase not found');
+        }
+
+        const used = this.getUsedIndices(wallets, rootAddress);
+        let index = used.length > 0 ? used[used.length - 1] + 1 : 1;
+        let account = await this.deriveAccount(root, index);
+
+        while (wallets.some(w => w.address === account.address)) {
+            account = await this.deriveAccount(root, ++index);
+        }
+        return account;
+    }
+
+    /**
+     * Addresses and balances of a range of indices on a path (import preview)
+     * @returns {Promise<Array>} [{ hdIndex, address, balanceRaw }] - balanceRaw is null when the node is unreachable
+     */
+    async previewAccounts(seedHex, derivationPath, { start = 0, count = 5 } = {}) {
+        const accounts = [];
+        for (let index = start; index < start + count; index++) {
+            const { address } = await deriveAccountFromSeed(seedHex, index, derivationPath);
+            accounts.push({ hdIndex: index, address, balanceRaw: null });
+        }
+
+        try {
+            const balances = await Promise.all(accounts.map(a => this.rpcClient.getBalance(a.address)));
+            balances.forEach((result, i) => { accounts[i].balanceRaw = result.balanceRaw; });
+        } catch (error) {
+            logWarn('[HDKeyring] Preview balances unavailable', { error: error.message });
+        }
+        return accounts;
+    }
+
+    /**
+     * True once an address has sent, received or holds anything
+     */
+    hasActivity(info) {
+        if (!info) return false;
+        if (Number(info.nonce) > 0) return true;
+        if (Number(info.transaction_count) > 0) return true;
+        if (info.recent_transactions?.length > 0) return true;
+
+        try {
+            return parseBalanceString(info.balance) > 0n;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Find previously used accounts of a freshly imported root
+     * @returns {Promise<Array>} derived wallets with activity after the root's own index
+     */
+    async scanAccounts(root, { gapLimit = HD_SCAN_GAP_LIMIT, maxIndex = HD_SCAN_MAX_INDEX } = {}) {
+        const found = [];
+        let gap = 0;
+
+        for (let index = (root.hdIndex ?? 0) + 1; index <= maxIndex && gap < gapLimit; index++) {
+            const account = await this.deriveAccount(root, index);
+
+            let info;
+            try {
+                info = await this.rpcClient.getAddressInfo(account.address, 1);
+            } catch (error) {
+                // Unreachable node - restore what was found so far, more can be added by hand
+                logWarn('[HDKeyring] Account scan stopped', { index, error: error.message });
+                break;
+            }
+
+            if (this.hasActivity(info)) {
+                found.push(account);
+                gap = 0;
+            } else {
+                gap++;
+            }
+        }
+
+        logInfo('[HDKeyring] Account scan finished', { found: found.map(a => a.hdIndex) });
+        return found;
+    }
+}
+
+// Singleton instance
+export const hdKeyringService = new HDKeyringService();
+
+export { HDKeyringService };
+export default hdKeyringService;
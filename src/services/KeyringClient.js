@@ -0,0 +1,240 @@
+/**
+ * Keyring Client - The Popup's Handle on the Worker Keyring
+ *
+ * Keys, the password and the unlock session live in the service worker
+ * (background/keyringHost.js). Every secret operation - unlock, signing,
+ * vault writes, exports, privacy requests - is a typed message
+ * (background/keyringProtocol.js) and therefore async.
+ *
+ * CACHED STATUS:
+ * Replies to session messages carry { unlocked, addresses, watchOnly,
+ * wallets, dataKey, expiresAt, autoLock } and are kept here, so the cheap
+ * checks UI code makes before signing (isWatchOnly, assertCanSign) stay
+ * synchronous. wallets is metadata only; dataKey opens the popup's own
+ * stores, not the vault.
+ *
+ * OUTSIDE THE EXTENSION (dev server, unit tests) the same KeyringHost runs
+ * in-process on the shared KeyringService with a memory-only session.
+ */
+
+import { keyringService, WatchOnlyError } from './KeyringService';
+import { permissionService } from './PermissionService';
+import { KeyringHost, memorySessionStore } from '../background/keyringHost';
+import { KEYRING_MESSAGES, encodeSignPayload, deserializeKeyringError } from '../background/keyringProtocol';
+import { AUTO_LOCK } from '../constants';
+
+const LOCKED_STATUS = {
+    unlocked: false,
+    expiresAt: null,
+    autoLock: AUTO_LOCK.DEFAULT,
+    addresses: [],
+    watchOnly: [],
+    wallets: [],
+    dataKey: null
+};
+
+function isExtensionPage() {
+    return typeof chrome !== 'undefined' && !!chrome.runtime?.id;
+}
+
+class KeyringClient {
+    /**
+     * @param {object} [transport] - { send(message) -> reply, keyring } where keyring is
+     *   the in-process KeyringService when there is no worker
+     */
+    constructor(transport = null) {
+        if (transport) {
+            this.send = transport.send;
+            this.localKeyring = transport.keyring || null;
+        } else if (isExtensionPage()) {
+            this.send = (message) => chrome.runtime.sendMessage(message);
+            this.localKeyring = null;
+        } else {
+            const host = new KeyringHost({ keyring: keyringService, sessionStore: memorySessionStore() });
+            this.send = (message) => host.handleMessage(message);
+            this.localKeyring = keyringService;
+        }
+        this.status = LOCKED_STATUS;
+    }
+
+    async request(type, fields = {}) {
+        const reply = await this.send({ type, ...fields });
+        if (!reply) throw new Error('Wallet background is not responding');
+        if (!reply.ok) throw deserializeKeyringError(reply.error);
+        return reply.result;
+    }
+
+    async _updateStatus(type, fields) {
+        const result = await this.request(type, fields);
+        const status = { ...LOCKED_STATUS };
+        for (const key of Object.keys(LOCKED_STATUS)) {
+            if (key in result) status[key] = result[key];
+        }
+        this.status = status;
+        return result;
+    }
+
+    // ===== Session =====
+
+    /**
+     * @returns {Promise<{ unlocked, expiresAt, autoLock, addresses, watchOnly, wallets, dataKey }>}
+     */
+    getSession() {
+        return this._updateStatus(KEYRING_MESSAGES.GET_SESSION);
+    }
+
+    /**
+     * Verify the password, open the stored vault in the worker and start the session
+     */
+    unlock(password) {
+        return this._updateStatus(KEYRING_MESSAGES.UNLOCK, { password });
+    }
+
+    lock() {
+        this.status = LOCKED_STATUS;
+        return this._updateStatus(KEYRING_MESSAGES.LOCK);
+    }
+
+    /**
+     * Extend the session after activity in the popup
+     */
+    touch() {
+        return this._updateStatus(KEYRING_MESSAGES.TOUCH);
+    }
+
+    /**
+     * Minutes, AUTO_LOCK.BROWSER_CLOSE or AUTO_LOCK.NEVER (see utils/autoLock.js)
+     */
+    setAutoLock(autoLock) {
+        return this._updateStatus(KEYRING_MESSAGES.SET_AUTO_LOCK, { autoLock });
+    }
+
+    setActiveWallet(address) {
+        return this.request(KEYRING_MESSAGES.SET_ACTIVE_WALLET, { address });
+    }
+
+    /**
+     * Re-encrypt the vault; the reply is the reopened session (the data key stays the same)
+     */
+    changePassword(currentPassword, newPassword) {
+        return this._updateStatus(KEYRING_MESSAGES.CHANGE_PASSWORD, { currentPassword, newPassword });
+    }
+
+    // ===== Vault =====
+
+    /**
+     * Validate and append wallets to the vault
+     * @returns {Promise<object>} the new status plus `added` (metadata of the new records)
+     */
+    addWallets(wallets) {
+        return this._updateStatus(KEYRING_MESSAGES.ADD_WALLETS, { wallets });
+    }
+
+    /**
+     * Add the next HD account of the recovery phrase stored with rootAddress
+     */
+    deriveAccount(rootAddress) {
+        return this._updateStatus(KEYRING_MESSAGES.DERIVE_ACCOUNT, { rootAddress });
+    }
+
+    /**
+     * @param {Array} updates - [{ address, name?, lastKnownBalance? }]
+     */
+    updateWallets(updates) {
+        return this._updateStatus(KEYRING_MESSAGES.UPDATE_WALLETS, { updates });
+    }
+
+    /**
+     * Vault part of a backup restore - 'merge' or 'replace' (utils/backupBundle.js)
+     */
+    restoreWallets(wallets, mode) {
+        return this._updateStatus(KEYRING_MESSAGES.RESTORE_WALLETS, { wallets, mode });
+    }
+
+    /**
+     * SENSITIVE - full vault record, for exports the user confirmed with the password
+     * @throws {Error} 'Invalid password'
+     */
+    exportWallet(address, password) {
+        return this.request(KEYRING_MESSAGES.EXPORT_WALLETS, { address, password });
+    }
+
+    /**
+     * SENSITIVE - every vault record, for the backup file
+     */
+    exportWallets(password) {
+        return this.request(KEYRING_MESSAGES.EXPORT_WALLETS, { password });
+    }
+
+    // ===== Cached checks =====
+
+    isUnlocked() {
+        return this.localKeyring ? this.localKeyring.isUnlocked() : this.status.unlocked;
+    }
+
+    isWatchOnly(address) {
+        return this.localKeyring ? this.localKeyring.isWatchOnly(address) : this.status.watchOnly.includes(address);
+    }
+
+    /**
+     * @throws {WatchOnlyError}
+     */
+    assertCanSign(address) {
+        if (this.isWatchOnly(address)) {
+            throw new WatchOnlyError(address);
+        }
+    }
+
+    /**
+     * @throws {PermissionDeniedError} - the worker checks again before signing
+     */
+    assertOriginAllowed(origin, address, method) {
+        if (origin) {
+            permissionService.assertAllowed(origin, address, method);
+        }
+    }
+
+    // ===== Signing =====
+
+    signTransaction(address, txParams, { origin = null } = {}) {
+        return this.request(KEYRING_MESSAGES.SIGN_TRANSACTION, { address, txParams, origin });
+    }
+
+    signMessage(address, message, { origin = null } = {}) {
+        return this.request(KEYRING_MESSAGES.SIGN_MESSAGE, { address, payload: encodeSignPayload(message), origin });
+    }
+
+    signContractCall(address, callParams, { origin = null } = {}) {
+        return this.request(KEYRING_MESSAGES.SIGN_CONTRACT_CALL, { address, callParams, origin });
+    }
+
+    getPublicKey(address) {
+        return this.request(KEYRING_MESSAGES.GET_PUBLIC_KEY, { address });
+    }
+
+    // ===== Privacy (background/privacyOps.js) =====
+
+    /**
+     * @returns {Promise<object|null>} the node's encrypted balance answer, null when there is none
+     */
+    getPrivacyBalance(address) {
+        return this.request(KEYRING_MESSAGES.PRIVACY_BALANCE, { address });
+    }
+
+    getPendingPrivateTransfers(address) {
+        return this.request(KEYRING_MESSAGES.PRIVACY_PENDING, { address });
+    }
+
+    /**
+     * @param {object} request - { operation, nonce, ... } (see privacyOps.submitPrivacyOperation)
+     */
+    submitPrivacyOperation(address, request) {
+        return this.request(KEYRING_MESSAGES.PRIVACY_SUBMIT, { address, request });
+    }
+}
+
+// Singleton instance
+export const keyringClient = new KeyringClient();
+
+export { KeyringClient };
+export default keyringClient;
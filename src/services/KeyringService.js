@@ -10,18 +10,60 @@
  * 
  * This service is the SOLE gatekeeper for private keys.
  * UI components should NEVER access private keys directly.
+ *
+ * The instance holding keys runs in the service worker (background/
+ * keyringHost.js); popup code goes through KeyringClient.
+ *
+ * Watch-only wallets (address, no key material) are tracked too: every
+ * signing path throws WatchOnlyError for them.
+ *
+ * Signing on behalf of a dApp passes { origin }: the site must hold a
+ * grant for that account and method (PermissionService), otherwise
+ * PermissionDeniedError is thrown before any key is touched.
  */
 
 import nacl from 'tweetnacl';
 import { Buffer } from 'buffer';
 import { logActivity } from '../utils/activityLogger';
+import { buildTransaction, buildContractCall, getSigningBytes, attachSignature } from '../utils/transaction';
 import { logInfo, logWarn, logError, logSecurity } from '../utils/logger';
+import { permissionService } from './PermissionService';
+import { PROVIDER_METHODS, toDappSignedMessage } from '../provider/protocol';
 
 // Private state - NOT exported, completely isolated
 let _vault = null;           // Encrypted vault data
 let _password = null;        // Session password (cleared on lock)
 let _decryptedKeys = null;   // Decrypted keys (cleared after use)
 let _isUnlocked = false;
+let _watchOnly = new Set(); // Addresses without key material (watch-only wallets)
+
+export const WATCH_ONLY_MESSAGE = 'This is a watch-only wallet. Its private key is not on this device, so it cannot sign. Create an unsigned transaction file instead and sign it where the key is kept.';
+
+/**
+ * Thrown by every signing path for a watch-only address
+ */
+export class WatchOnlyError extends Error {
+    constructor(address) {
+        super(WATCH_ONLY_MESSAGE);
+        this.name = 'WatchOnlyError';
+        this.address = address;
+    }
+}
+
+// Vault fields that are key material - they never leave the worker keyring
+const SECRET_WALLET_FIELDS = ['privateKeyB64', 'privateKeyHex', 'mnemonic', 'seedHex', 'entropyHex'];
+
+/**
+ * The copy of a vault record the popup gets: addresses and metadata only.
+ * hasSeed / wordCount say whether a recovery phrase is kept (and how long it is).
+ */
+export function toPublicWallet(wallet) {
+    const publicWallet = { ...wallet };
+    SECRET_WALLET_FIELDS.forEach(field => delete publicWallet[field]);
+    if (wallet.seedHex) publicWallet.hasSeed = true;
+    if (wallet.mnemonic) publicWallet.wordCount = wallet.mnemonic.length;
+    return publicWallet;
+}
 
 /**
  * SECURITY: Triple-pass secure memory wipe
@@ -115,8 +157,8 @@ class KeyringService {
         }
         KeyringService._instance = this;
 
-        // Note: Auto-lock removed per security review
-        // Wallet only locks on manual action or browser close
+        // Note: Auto-lock lives in the session around this instance
+        // (background/keyringHost.js, utils/autoLock.js)
     }
 
     /**
@@ -144,6 +186,7 @@ class KeyringService {
 
         // Store decrypted keys in memory (mapped by address)
         _decryptedKeys = new Map();
+        _watchOnly = new Set();
 
         for (const wallet of wallets) {
             if (wallet.privateKeyB64) {
@@ -151,6 +194,8 @@ class KeyringService {
                     privateKeyB64: wallet.privateKeyB64,
                     publicKeyB64: wallet.publicKeyB64
                 });
+            } else if (wallet.watchOnly) {
+                _watchOnly.add(wallet.address);
             }
         }
     }
@@ -196,9 +241,13 @@ class KeyringService {
             _decryptedKeys = null;
         }
 
+        _watchOnly.clear();
         _isUnlocked = false;
         _vault = null;
 
+        // Site grants are only readable while unlocked
+        permissionService.clear();
+
         logSecurity('KEYRING_LOCKED', { status: 'Memory sanitized' });
     }
 
@@ -220,17 +269,57 @@ class KeyringService {
         });
     }
 
+    /**
+     * Track an address that has no key material (watch-only wallet)
+     */
+    addWatchOnly(address) {
+        if (!_isUnlocked) {
+            throw new Error('Keyring is locked');
+        }
+        _watchOnly.add(address);
+    }
+
+    /**
+     * True for watch-only addresses - they can be viewed but never sign
+     */
+    isWatchOnly(address) {
+        return _watchOnly.has(address);
+    }
+
+    /**
+     * @throws {WatchOnlyError} before any signing attempt for a watch-only address
+     */
+    assertCanSign(address) {
+        if (_watchOnly.has(address)) {
+            throw new WatchOnlyError(address);
+        }
+    }
+
+    /**
+     * @throws {PermissionDeniedError} when a dApp origin has no grant for this account and method
+     */
+    assertOriginAllowed(origin, address, method) {
+        if (origin) {
+            permissionService.assertAllowed(origin, address, method);
+        }
+    }
+
     /**
      * Sign a transaction - THE CORE SECURE FUNCTION
      * 
      * SECURITY: Uses disposable buffers with immediate wiping
      * REPLAY PROTECTION: Always fetches latest nonce from network
+     *
+     * @param {object} [options] - { origin } when a dApp asked for the signature
      */
-    async signTransaction(address, txParams) {
+    async signTransaction(address, txParams, { origin = null } = {}) {
         if (!_isUnlocked) {
             throw new Error('Keyring is locked. Please unlock your wallet first.');
         }
 
+        this.assertCanSign(address);
+        this.assertOriginAllowed(origin, address, PROVIDER_METHODS.SEND_TRANSACTION);
+
         const keyData = _decryptedKeys?.get(address);
         if (!keyData) {
             throw new Error('No key found for this address');
@@ -253,59 +342,31 @@ class KeyringService {
             // Wipe the keypair's public key (we don't need it)
             secureWipeAggressive(keyPair.publicKey);
 
-            // SECURITY: Validate nonce to prevent replay attacks
-            const providedNonce = parseInt(txParams.nonce);
-            if (isNaN(providedNonce) || providedNonce < 0) {
-                throw new Error('Invalid nonce provided');
-            }
-
-            // Create the transaction object
-            const μ = 1_000_000;
-            const amountRaw = Math.floor(txParams.amount * μ);
-            const timestamp = Date.now() / 1000;
-
-            const tx = {
+            // Build via the canonical builder (validates the nonce, exact micro-units)
+            const tx = buildTransaction({
                 from: address,
-                to_: txParams.to,
-                amount: String(amountRaw),
-                nonce: providedNonce, // Use validated nonce
-                ou: txParams.fee ? String(Math.floor(txParams.fee * μ)) : '2000',
-                timestamp: timestamp
-            };
-
-            if (txParams.message) {
-                tx.message = txParams.message;
-            }
-
-            // Create signature payload
-            const payloadObj = {
-                from: tx.from,
-                to_: tx.to_,
-                amount: tx.amount,
-                nonce: tx.nonce,
-                ou: tx.ou,
-                timestamp: tx.timestamp
-            };
-
-            const signPayload = JSON.stringify(payloadObj);
+                to: txParams.to,
+                amount: txParams.amount,
+                nonce: txParams.nonce,
+                fee: txParams.fee,
+                ou: txParams.ou,
+                message: txParams.message,
+                // Offline signing files carry their own timestamp
+                timestamp: txParams.timestamp
+            });
 
-            // Sign the payload
-            messageBytes = new TextEncoder().encode(signPayload);
+            // Sign the canonical payload (message is not part of it)
+            messageBytes = getSigningBytes(tx);
             signature = nacl.sign.detached(messageBytes, tempSecretKey);
 
-            // Create the final transaction
-            const signedTx = {
-                ...tx,
-                signature: uint8ArrayToBase64(signature),
-                public_key: keyData.publicKeyB64
-            };
+            const signedTx = attachSignature(tx, uint8ArrayToBase64(signature), keyData.publicKeyB64);
 
             // Audit Log: Transaction signed
             logActivity('TRANSACTION_SIGNED', 'INFO', {
                 address,
                 to: txParams.to,
                 amount: txParams.amount,
-                nonce: providedNonce
+                nonce: tx.nonce
             }).catch(() => { });
 
             return signedTx;
@@ -322,12 +383,17 @@ class KeyringService {
 
     /**
      * Sign a message (for dApp connections, etc.)
+     * @param {object} [options] - { origin } when a dApp asked for the signature;
+     *   the message is then prefixed with SIGN_MESSAGE_PREFIX before signing
      */
-    async signMessage(address, message) {
+    async signMessage(address, message, { origin = null } = {}) {
         if (!_isUnlocked) {
             throw new Error('Keyring is locked');
         }
 
+        this.assertCanSign(address);
+        this.assertOriginAllowed(origin, address, PROVIDER_METHODS.SIGN_MESSAGE);
+
         const keyData = _decryptedKeys?.get(address);
         if (!keyData) {
             throw new Error('No key found for this address');
@@ -345,9 +411,13 @@ class KeyringService {
 
             secureWipeAggressive(keyPair.publicKey);
 
-            messageBytes = typeof message === 'string'
-                ? new TextEncoder().encode(message)
-                : message;
+            if (origin) {
+                messageBytes = toDappSignedMessage(message);
+            } else {
+                messageBytes = typeof message === 'string'
+                    ? new TextEncoder().encode(message)
+                    : message;
+            }
 
             signature = nacl.sign.detached(messageBytes, tempSecretKey);
 
@@ -365,12 +435,16 @@ class KeyringService {
 
     /**
      * Sign a contract call for OCS01 contracts
+     * @param {object} [options] - { origin } when a dApp asked for the signature
      */
-    async signContractCall(address, callParams) {
+    async signContractCall(address, callParams, { origin = null } = {}) {
         if (!_isUnlocked) {
             throw new Error('Keyring is locked');
         }
 
+        this.assertCanSign(address);
+        this.assertOriginAllowed(origin, address, PROVIDER_METHODS.CALL_CONTRACT);
+
         const keyData = _decryptedKeys?.get(address);
         if (!keyData) {
             throw new Error('No key found for this address');
@@ -388,17 +462,10 @@ class KeyringService {
 
             secureWipeAggressive(keyPair.publicKey);
 
-            // Create the signing payload for contract calls
-            const signPayload = JSON.stringify({
-                from: address,
-                to_: callParams.contract,
-                amount: "0",
-                nonce: callParams.nonce,
-                ou: "1",
-                timestamp: callParams.timestamp
-            });
+            // Same signing payload as the /call-contract body (utils/transaction.js)
+            const call = buildContractCall({ ...callParams, caller: address });
 
-            messageBytes = new TextEncoder().encode(signPayload);
+            messageBytes = getSigningBytes(call);
             signature = nacl.sign.detached(messageBytes, tempSecretKey);
 
             const result = {
@@ -418,7 +485,8 @@ class KeyringService {
 
     /**
      * Get private key for an address (SENSITIVE - use with extreme caution)
-     * Only for internal services like PrivacyService that need raw key access
+     * Only for the worker's own key-bound requests (background/privacyOps.js);
+     * it is never sent to the popup
      */
     getPrivateKey(address, reason = 'unknown') {
         if (!_isUnlocked) {
@@ -458,6 +526,13 @@ class KeyringService {
         return Array.from(_decryptedKeys.keys());
     }
 
+    /**
+     * Get all watch-only addresses in the keyring
+     */
+    getWatchOnlyAddresses() {
+        return Array.from(_watchOnly);
+    }
+
     /**
      * Set active wallet for operations
      */
@@ -466,7 +541,7 @@ class KeyringService {
             throw new Error('Keyring is locked');
         }
 
-        if (!_decryptedKeys?.has(address)) {
+        if (!_decryptedKeys?.has(address) && !_watchOnly.has(address)) {
             throw new Error('Wallet not found in keyring');
         }
 
@@ -478,6 +553,7 @@ class KeyringService {
      * Remove a key from the keyring
      */
     removeKey(address) {
+        _watchOnly.delete(address);
         if (_decryptedKeys?.has(address)) {
             const keyData = _decryptedKeys.get(address);
             secureWipeAggressive(keyData);
@@ -0,0 +1,197 @@
+/**
+ * Nonce Manager - Per-Address Nonce Allocation
+ *
+ * Every signing path (native sends, contract calls, privacy operations)
+ * asks this service for a nonce instead of computing `balance.nonce + 1`,
+ * so back-to-back operations from the same address never collide.
+ *
+ * NEXT NONCE = lowest nonce above the on-chain nonce that is not
+ *   - already in /staging for this address,
+ *   - reserved by an operation that is still signing/sending, or
+ *   - sent by us but not yet visible on-chain or in /staging.
+ *
+ * LIFECYCLE:
+ *   reserve() -> markSent() on success (or timeout), release() on failure
+ *   withNonce(address, fn) wraps all three.
+ *   peek() returns the next free nonce without reserving it.
+ *
+ * Allocation is serialized per address; the send itself is not.
+ */
+
+import { getRpcClient, RPC_PRIORITY } from '../utils/rpc';
+import { RpcTimeoutError, RpcUnknownOutcomeError } from '../utils/rpcErrors';
+import { logInfo, logWarn } from '../utils/logger';
+
+// Sent nonces the node never reports back are forgotten after this
+const SENT_TTL = 2 * 60 * 1000; // 2 minutes
+
+function createAddressState() {
+    return {
+        chainNonce: 0,
+        staged: new Set(),
+        reserved: new Set(),
+        sent: new Map(), // nonce -> sentAt
+        lock: Promise.resolve()
+    };
+}
+
+class NonceManager {
+    constructor(rpcClient = null) {
+        this._rpcClient = rpcClient;
+        this.addresses = new Map();
+    }
+
+    get rpcClient() {
+        return this._rpcClient || getRpcClient();
+    }
+
+    _state(address) {
+        if (!this.addresses.has(address)) {
+            this.addresses.set(address, createAddressState());
+        }
+        return this.addresses.get(address);
+    }
+
+    /**
+     * Run `task` after every earlier allocation for `address` finished
+     */
+    _withLock(address, task) {
+        const state = this._state(address);
+        const run = state.lock.then(task, task);
+        state.lock = run.catch(() => { });
+        return run;
+    }
+
+    /**
+     * Refresh on-chain nonce and our staged nonces from the node
+     */
+    async sync(address) {
+        const state = this._state(address);
+        const rpc = this.rpcClient;
+
+        const [balance, staged] = await Promise.all([
+            rpc.getBalance(address),
+            rpc.getStagedTransactions({ cache: false, priority: RPC_PRIORITY.HIGH })
+        ]);
+
+        state.chainNonce = balance.nonce || 0;
+        state.staged = new Set(
+            staged
+                .filter(tx => tx.from === address)
+                .map(tx => parseInt(tx.nonce))
+                .filter(n => !isNaN(n) && n > state.chainNonce)
+        );
+
+        // Forget sent nonces the node has caught up with (or silently dropped)
+        const now = Date.now();
+        for (const [nonce, sentAt] of state.sent) {
+            if (nonce <= state.chainNonce || state.staged.has(nonce) || now - sentAt > SENT_TTL) {
+                state.sent.delete(nonce);
+            }
+        }
+
+        return state;
+    }
+
+    /**
+     * Lowest nonce above the on-chain nonce that nothing else holds
+     */
+    _nextFree(state) {
+        let nonce = state.chainNonce + 1;
+        while (state.staged.has(nonce) || state.reserved.has(nonce) || state.sent.has(nonce)) {
+            nonce++;
+        }
+        return nonce;
+    }
+
+    /**
+     * Next free nonce for `address` WITHOUT reserving it - for transactions
+     * signed elsewhere (offline signing files) that this wallet never sends
+     * @returns {Promise<number>}
+     */
+    peek(address) {
+        return this._withLock(address, async () => this._nextFree(await this.sync(address)));
+    }
+
+    /**
+     * Reserve the next free nonce for `address`
+     * @returns {Promise<number>}
+     */
+    reserve(address) {
+        return this._withLock(address, async () => {
+            const state = await this.sync(address);
+            const nonce = this._nextFree(state);
+
+            state.reserved.add(nonce);
+            logInfo(`[NonceManager] Reserved nonce ${nonce} for ${address.slice(0, 10)}...`);
+            return nonce;
+        });
+    }
+
+    /**
+     * The node accepted the operation - keep the nonce taken until it shows up on-chain
+     */
+    markSent(address, nonce) {
+        const state = this._state(address);
+        state.reserved.delete(nonce);
+        state.sent.set(nonce, Date.now());
+    }
+
+    /**
+     * The operation failed before reaching the node - the nonce can be reused
+     */
+    release(address, nonce) {
+        const state = this._state(address);
+        if (state.reserved.delete(nonce)) {
+            logWarn(`[NonceManager] Released nonce ${nonce} for ${address.slice(0, 10)}...`);
+        }
+    }
+
+    /**
+     * Reserve a nonce, run `fn(nonce)`, then mark it sent or release it
+     */
+    async withNonce(address, fn) {
+        const nonce = await this.reserve(address);
+        try {
+            const result = await fn(nonce);
+            this.markSent(address, nonce);
+            return result;
+        } catch (error) {
+            // A timed-out or unanswered send may still land - treat the nonce as used
+            if (error instanceof RpcTimeoutError || error instanceof RpcUnknownOutcomeError) {
+                this.markSent(address, nonce);
+            } else {
+                this.release(address, nonce);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Snapshot for debugging
+     */
+    getState(address) {
+        const state = this.addresses.get(address);
+        if (!state) return null;
+        return {
+            chainNonce: state.chainNonce,
+            staged: [...state.staged].sort((a, b) => a - b),
+            reserved: [...state.reserved].sort((a, b) => a - b),
+            sent: [...state.sent.keys()].sort((a, b) => a - b)
+        };
+    }
+
+    reset(address = null) {
+        if (address) {
+            this.addresses.delete(address);
+        } else {
+            this.addresses.clear();
+        }
+    }
+}
+
+// Singleton instance
+export const nonceManager = new NonceManager();
+
+export { NonceManager };
+export default nonceManager;
@@ -8,8 +8,15 @@
  * Supports view methods (no signing) and call methods (requires signing)
  */
 
-import { getRpcClient } from '../utils/rpc';
-import { keyringService } from './KeyringService';
+import { getRpcClient, RPC_PRIORITY } from '../utils/rpc';
+import { keyringClient } from './KeyringClient';
+import { nonceManager } from './NonceManager';
+import { buildContractCall, attachSignature } from '../utils/transaction';
+import { PROVIDER_METHODS } from '../provider/protocol';
+import { parseAmountOrZero, formatUnits } from '../utils/amount';
+import { isUnknownOutcome, toRpcWriteError, RpcUnknownOutcomeError } from '../utils/rpcErrors';
+
+const BALANCE_TIMEOUT = 10 * 1000; // per token balance request
 
 // Well-known OCS01 contracts on Octra Network
 export const KNOWN_CONTRACTS = {
@@ -41,15 +48,16 @@ class OCS01Contract {
     /**
      * Call a view method on the contract (no signing required)
      * Uses /contract/call-view endpoint
+     * @param {object} [options] - { timeoutMs } per attempt, counted once the request runs
      */
-    async callView(method, params = [], callerAddress) {
+    async callView(method, params = [], callerAddress, { timeoutMs = null } = {}) {
         try {
             const result = await this.rpcClient.post('/contract/call-view', {
                 contract: this.contractAddress,
                 method: method,
                 params: params,
                 caller: callerAddress
-            });
+            }, {}, timeoutMs);
 
             if (result.ok && result.json && result.json.status === 'success') {
                 return {
@@ -74,51 +82,55 @@ class OCS01Contract {
     /**
      * Call a contract method that modifies state (requires signing)
      * Uses /call-contract endpoint
+     * @param {object} [options] - { origin } when a dApp requested the call
      */
-    async callMethod(method, params, callerAddress) {
+    async callMethod(method, params, callerAddress, { origin = null } = {}) {
         try {
-            // Get nonce
-            const balanceData = await this.rpcClient.getBalance(callerAddress);
-            const nonce = balanceData.nonce + 1;
-            const timestamp = Date.now() / 1000;
+            // Watch-only wallets and ungranted sites refuse before a nonce is reserved
+            keyringClient.assertCanSign(callerAddress);
+            keyringClient.assertOriginAllowed(origin, callerAddress, PROVIDER_METHODS.CALL_CONTRACT);
+
+            // Nonce is reserved per address so back-to-back calls never collide
+            const txHash = await nonceManager.withNonce(callerAddress, async (nonce) => {
+                const call = buildContractCall({
+                    caller: callerAddress,
+                    contract: this.contractAddress,
+                    method,
+                    params,
+                    nonce
+                });
 
-            // Sign the contract call
-            const signedData = await keyringService.signContractCall(callerAddress, {
-                contract: this.contractAddress,
-                method: method,
-                params: params,
-                nonce: nonce,
-                timestamp: timestamp
-            });
+                // Sign the contract call
+                const signedData = await keyringClient.signContractCall(callerAddress, call, { origin });
 
-            // Submit to network
-            const result = await this.rpcClient.post('/call-contract', {
-                contract: this.contractAddress,
-                method: method,
-                params: params,
-                caller: callerAddress,
-                nonce: nonce,
-                timestamp: timestamp,
-                signature: signedData.signature,
-                public_key: signedData.publicKey
-            });
+                // Submit to network (the body is exactly what was signed)
+                const result = await this.rpcClient.post(
+                    '/call-contract',
+                    attachSignature(call, signedData.signature, signedData.publicKey),
+                    {}, null, { priority: RPC_PRIORITY.CRITICAL, retry: false, idempotent: false }
+                );
 
-            if (result.ok && result.json && result.json.tx_hash) {
-                return {
-                    success: true,
-                    txHash: result.json.tx_hash
-                };
-            }
+                if (result.ok && result.json && result.json.tx_hash) {
+                    return result.json.tx_hash;
+                }
+
+                if (isUnknownOutcome(result)) {
+                    throw toRpcWriteError(result, '/call-contract', 'Contract call failed');
+                }
+                throw new Error(result.error || 'Contract call failed');
+            });
 
             return {
-                success: false,
-                error: result.error || 'Contract call failed'
+                success: true,
+                txHash
             };
         } catch (error) {
             console.error(`OCS01 callMethod error (${method}):`, error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                // Sent but unanswered: the call may still land, do not repeat it
+                ...(error instanceof RpcUnknownOutcomeError && { unknownOutcome: true })
             };
         }
     }
@@ -164,8 +176,8 @@ class OCS01Contract {
     /**
      * Get token balance for an address
      */
-    async getCredits(address, callerAddress) {
-        return await this.callView('getCredits', [address], callerAddress || address);
+    async getCredits(address, callerAddress, options = {}) {
+        return await this.callView('getCredits', [address], callerAddress || address, options);
     }
 
     /**
@@ -185,16 +197,16 @@ class OCS01Manager {
     constructor() {
         this.contracts = new Map(); // address -> OCS01Contract
         this.userContracts = new Map(); // userAddress -> Set of contractAddresses
-        this._password = null;
+        this._dataKey = null;
         // Legacy load (non-secure)
         this.loadCustomTokens();
     }
 
     /**
-     * Initialize with password for secure storage
+     * Initialize with the session data key for secure storage
      */
-    async initializeSecure(password) {
-        this._password = password;
+    async initializeSecure(dataKey) {
+        this._dataKey = dataKey;
         await this.loadCustomTokensSecure();
     }
 
@@ -229,10 +241,10 @@ class OCS01Manager {
      * Load custom tokens from secure storage
      */
     async loadCustomTokensSecure() {
-        if (!this._password) return;
+        if (!this._dataKey) return;
         try {
             const { loadCustomTokensSecure } = await import('../utils/storageSecure');
-            const data = await loadCustomTokensSecure(this._password);
+            const data = await loadCustomTokensSecure(this._dataKey);
             if (data) {
                 Object.entries(data).forEach(([userAddress, contracts]) => {
                     this.userContracts.set(userAddress, new Set(contracts));
@@ -261,11 +273,11 @@ class OCS01Manager {
                 data[userAddress] = Array.from(contracts);
             });
 
-            if (this._password) {
+            if (this._dataKey) {
                 const { saveCustomTokensSecure } = await import('../utils/storageSecure');
-                await saveCustomTokensSecure(data, this._password);
+                await saveCustomTokensSecure(data, this._dataKey);
             } else {
-                // Fallback to legacy if no password (should not happen in secure mode)
+                // Fallback to legacy if no data key (should not happen in secure mode)
                 localStorage.setItem('octra_custom_tokens', JSON.stringify(data));
             }
         } catch (e) {
@@ -282,9 +294,8 @@ class OCS01Manager {
 
     /**
      * Get user's token balances from all known contracts
-     */
-    /**
-     * Get user's token balances from all known contracts (PARALLEL OPTIMIZATION)
+     * Requests run in parallel; RPCClient's scheduler handles throttling and
+     * each one gets BALANCE_TIMEOUT from the moment it is actually sent
      */
     async getUserTokenBalances(userAddress, network = 'testnet') {
         const contracts = this.getKnownContracts(network);
@@ -300,47 +311,32 @@ class OCS01Manager {
 
         if (allTargets.length === 0) return [];
 
-        // STRICT SERIAL EXECUTION: 1 request at a time to solve persistent 503 errors
-        // "Slow is Smooth, Smooth is Fast"
-        const results = [];
-
-        for (const target of allTargets) {
+        const responses = await Promise.all(allTargets.map(async (target) => {
             try {
-                // FORCE DELAY: Wait 600ms between requests
-                // This gives the RPC server breathing room
-                if (results.length > 0) {
-                    await new Promise(r => setTimeout(r, 600));
-                }
-
                 const contract = this.getContract(target.address, network);
 
-                // TIMEOUT GUARD: 10 seconds
-                const timeoutPromise = new Promise((_, reject) =>
-                    setTimeout(() => reject(new Error('Timeout')), 10000)
-                );
-
-                const response = await Promise.race([
-                    contract.getCredits(userAddress, userAddress),
-                    timeoutPromise
-                ]);
+                // TIMEOUT GUARD: starts when the scheduler runs the request,
+                // so tokens queued behind the others are not cut off
+                const response = await contract.getCredits(userAddress, userAddress, { timeoutMs: BALANCE_TIMEOUT });
 
                 if (response && response.success) {
-                    results.push({
+                    return {
                         contractAddress: target.address,
                         contractName: target.name,
-                        balance: parseFloat(response.result) || 0,
+                        // Exact decimal string (formatAmount displays it)
+                        balance: formatUnits(parseAmountOrZero(response.result)),
                         verified: target.verified,
                         isCustom: target.isCustom
-                    });
+                    };
                 }
+                console.warn(`[OCS01] Failed to fetch ${target.name}:`, response?.error);
             } catch (error) {
                 console.warn(`[OCS01] Failed to fetch ${target.name}:`, error.message);
-                // On error, wait even longer before next try
-                await new Promise(r => setTimeout(r, 1000));
             }
-        }
+            return null;
+        }));
 
-        return results;
+        return responses.filter(Boolean);
     }
 
 
@@ -0,0 +1,129 @@
+/**
+ * Permission Service - Per-Origin dApp Grants
+ *
+ * A grant is what the user approved for one site in the connect window:
+ * the accounts it may see, the methods it may ask for and when.
+ *
+ * STORAGE:
+ * Encrypted with the session data key next to the settings vault
+ * (saveDappPermissionsSecure). Loaded on unlock, wiped on lock.
+ *
+ * WORKER MIRROR:
+ * After every change the full map is pushed to the service worker, which
+ * answers window.octra from it without needing the data key.
+ *
+ * KeyringService asks this service before signing for a site.
+ */
+
+import { saveDappPermissionsSecure, loadDappPermissionsSecure } from '../utils/storageSecure';
+import { logInfo } from '../utils/logger';
+import { createGrant, normalizeGrants, isGranted, GRANTABLE_METHODS, WALLET_MESSAGES } from '../provider/protocol';
+
+/**
+ * Thrown when a site asks for a signature it was never granted
+ */
+export class PermissionDeniedError extends Error {
+    constructor(origin, method) {
+        super(`${origin} is not allowed to request ${method || 'this'} for this account`);
+        this.name = 'PermissionDeniedError';
+        this.origin = origin;
+        this.method = method;
+    }
+}
+
+class PermissionService {
+    constructor() {
+        this.grants = {};
+    }
+
+    /**
+     * Read the encrypted grants and hand them to the worker
+     */
+    async load(dataKey) {
+        this.grants = normalizeGrants(await loadDappPermissionsSecure(dataKey));
+        await this.syncWorker(dataKey);
+        return this.list();
+    }
+
+    clear() {
+        this.grants = {};
+    }
+
+    /**
+     * Grants, most recent first
+     */
+    list() {
+        return Object.values(this.grants).sort((a, b) => b.grantedAt - a.grantedAt);
+    }
+
+    getGrant(origin) {
+        return this.grants[origin] || null;
+    }
+
+    isAllowed(origin, address, method) {
+        return isGranted(this.getGrant(origin), method, address);
+    }
+
+    /**
+     * @throws {PermissionDeniedError}
+     */
+    assertAllowed(origin, address, method) {
+        if (!this.isAllowed(origin, address, method)) {
+            throw new PermissionDeniedError(origin, method);
+        }
+    }
+
+    /**
+     * Record (or replace) the grant for a site
+     */
+    async grant(origin, accounts, methods = GRANTABLE_METHODS, dataKey) {
+        const grant = createGrant(origin, accounts, methods);
+        await this._save({ ...this.grants, [origin]: grant }, dataKey);
+        logInfo(`[Permissions] Granted ${origin}: ${grant.methods.length} methods, ${grant.accounts.length} account(s)`);
+        return grant;
+    }
+
+    async revoke(origin, dataKey) {
+        if (!this.grants[origin]) return false;
+        const { [origin]: _removed, ...rest } = this.grants;
+        await this._save(rest, dataKey);
+        logInfo(`[Permissions] Revoked ${origin}`);
+        return true;
+    }
+
+    async revokeAll(dataKey) {
+        await this._save({}, dataKey);
+        logInfo('[Permissions] Revoked all sites');
+    }
+
+    async _save(grants, dataKey) {
+        await saveDappPermissionsSecure(grants, dataKey);
+        this.grants = grants;
+        await this.syncWorker(dataKey);
+    }
+
+    /**
+     * Push the grants to the service worker (no-op outside the extension).
+     * Sites that disconnected themselves meanwhile come back in the reply
+     * and are revoked here too.
+     */
+    async syncWorker(dataKey) {
+        if (typeof chrome === 'undefined' || !chrome.runtime?.id) return;
+        const reply = await chrome.runtime.sendMessage({ type: WALLET_MESSAGES.SET_PERMISSIONS, grants: this.grants })
+            .catch(() => null);
+
+        const revoked = (reply?.revoked || []).filter(origin => this.grants[origin]);
+        if (revoked.length > 0) {
+            const rest = { ...this.grants };
+            revoked.forEach(origin => delete rest[origin]);
+            await this._save(rest, dataKey);
+            logInfo(`[Permissions] ${revoked.length} site(s) disconnected themselves`);
+        }
+    }
+}
+
+// Singleton instance
+export const permissionService = new PermissionService();
+
+export { PermissionService };
+export default permissionService;
@@ -0,0 +1,147 @@
+/**
+ * Replacement Service - Speed Up & Cancel Pending Transactions
+ *
+ * A transaction still in /staging can be replaced by signing another
+ * transaction with the SAME nonce and a HIGHER ou (fee):
+ *
+ * - Speed up: same recipient and amount, higher ou
+ * - Cancel:   zero-amount transfer to ourselves, higher ou
+ *
+ * The replacement relationship is written to stored history:
+ *   original    -> { status: 'replaced', replacedBy: newHash }
+ *   replacement -> { replaces: originalHash, replacementType: 'speedup' | 'cancel' }
+ */
+
+import { getRpcClient, RPC_PRIORITY } from '../utils/rpc';
+import { saveTxHistorySecure } from '../utils/storageSecure';
+import { keyringClient } from './KeyringClient';
+import { nonceManager } from './NonceManager';
+import { parseNodeAmount, formatUnits, toNumber } from '../utils/amount';
+import { logInfo, logError } from '../utils/logger';
+
+const FEE_BUMP_RATIO = 1.5;      // Suggested replacement fee = 1.5x the original
+const MIN_FEE_BUMP = 1000;       // ...and at least 0.001 OCT more
+
+export const REPLACEMENT_TYPES = {
+    SPEED_UP: 'speedup',
+    CANCEL: 'cancel'
+};
+
+class ReplacementService {
+    constructor(rpcClient = null) {
+        this._rpcClient = rpcClient;
+    }
+
+    get rpcClient() {
+        return this._rpcClient || getRpcClient();
+    }
+
+    /**
+     * Suggested ou for replacing a transaction that pays `currentOu`
+     */
+    suggestFee(currentOu) {
+        const ou = parseInt(currentOu) || 0;
+        return Math.max(Math.ceil(ou * FEE_BUMP_RATIO), ou + MIN_FEE_BUMP);
+    }
+
+    /**
+     * Only our own native transfers that are still staged can be replaced
+     */
+    canReplace(tx) {
+        return !!tx && tx.status === 'pending' && tx.type === 'out' && !tx.replacedBy;
+    }
+
+    /**
+     * Look up the authoritative staged copy of a transaction
+     * @throws when it already left the mempool
+     */
+    async getStagedTransaction(address, hash) {
+        const staged = await this.rpcClient.getStagedTransactions({ cache: false, priority: RPC_PRIORITY.HIGH });
+        const match = staged.find(tx => tx.hash === hash && tx.from === address);
+        if (!match) {
+            throw new Error('Transaction is no longer pending');
+        }
+        return match;
+    }
+
+    async speedUp(address, tx, options = {}) {
+        return this._replace(address, tx, REPLACEMENT_TYPES.SPEED_UP, options);
+    }
+
+    async cancel(address, tx, options = {}) {
+        return this._replace(address, tx, REPLACEMENT_TYPES.CANCEL, options);
+    }
+
+    /**
+     * @param {object} options - { ou: new fee in micro units, network }
+     * @returns {Promise<{ txHash, nonce, ou, historySaved }>} historySaved is false when
+     *   the broadcast went through but the history write failed (logged)
+     */
+    async _replace(address, tx, type, { ou = null, network = 'testnet' } = {}) {
+        const staged = await this.getStagedTransaction(address, tx.hash);
+        const nonce = parseInt(staged.nonce);
+        const currentOu = parseInt(staged.ou) || 0;
+        const newOu = ou ?? this.suggestFee(currentOu);
+
+        if (newOu <= currentOu) {
+            throw new Error('Replacement fee must be higher than the current fee');
+        }
+
+        const isCancel = type === REPLACEMENT_TYPES.CANCEL;
+        const to = isCancel ? address : (staged.to_ || staged.to);
+        const amountRaw = isCancel ? 0n : parseNodeAmount(staged.amount);
+
+        const signedTx = await keyringClient.signTransaction(address, {
+            to,
+            amount: formatUnits(amountRaw),
+            nonce,
+            message: isCancel ? null : staged.message || null,
+            fee: formatUnits(BigInt(newOu))
+        });
+
+        const result = await this.rpcClient.sendTransaction(signedTx);
+        nonceManager.markSent(address, nonce);
+
+        logInfo(`[ReplacementService] ${type} ${tx.hash.slice(0, 10)}... -> ${result.txHash.slice(0, 10)}... (ou ${currentOu} -> ${newOu})`);
+
+        // Already broadcast: a failed history write must not report the replacement as failed
+        const historySaved = this._saveHistory([
+            {
+                ...tx,
+                status: 'replaced',
+                replacedBy: result.txHash,
+                replacementType: type
+            },
+            {
+                hash: result.txHash,
+                type: 'out',
+                amount: toNumber(amountRaw),
+                address: to,
+                timestamp: Date.now(),
+                status: 'pending',
+                ou: String(newOu),
+                nonce,
+                replaces: tx.hash,
+                replacementType: type
+            }
+        ], network, address);
+
+        return { txHash: result.txHash, nonce, ou: newOu, historySaved };
+    }
+
+    _saveHistory(entries, network, address) {
+        try {
+            saveTxHistorySecure(entries, network, address);
+            return true;
+        } catch (error) {
+            logError('[ReplacementService] Could not save the replacement to history', error);
+            return false;
+        }
+    }
+}
+
+// Singleton instance
+export const replacementService = new ReplacementService();
+
+export { ReplacementService };
+export default replacementService;
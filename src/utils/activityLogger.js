@@ -42,7 +42,7 @@ export async function logActivity(action, metadata = {}, level = 'INFO') {
         level: level,
         metadata: metadata,
         userAgent: navigator.userAgent.substring(0, 100), // Truncated for storage
-        url: window.location ? window.location.href.substring(0, 100) : 'extension'
+        url: globalThis.location ? globalThis.location.href.substring(0, 100) : 'extension'
     };
 
     try {
@@ -0,0 +1,192 @@
+/**
+ * Amount - Exact Fixed-Point Arithmetic for OCT and Tokens
+ *
+ * Every amount is converted ONCE into integer raw units (BigInt) and all
+ * math (add, subtract, compare) happens on those integers. Floats are only
+ * produced at the very end, for display or legacy numeric state.
+ *
+ * UNITS:
+ *   OCT has 6 decimals: 1 OCT = 1,000,000 raw units (μ). This is what the
+ *   node expects in `amount` and `ou`.
+ *   Tokens pass their own `decimals`.
+ *
+ * PARSING:
+ *   parseAmount('0.29')  -> 290000n   (decimal string / number in OCT)
+ *   parseRaw('290000')   -> 290000n   (integer raw units from the node)
+ *   parseNodeAmount(v)   -> raw units from a node field that may be either
+ *   parseBalanceString('1.5 OCT') -> 1500000n
+ *
+ * Numbers are read from their shortest string form (0.000249 -> "0.000249"),
+ * never multiplied, so 0.000249 * 1e6 = 248.99999999999997 cannot happen. Extra decimals
+ * beyond the unit precision are truncated, or rejected with { strict: true }.
+ */
+
+export const OCT_DECIMALS = 6;
+
+const DECIMAL_PATTERN = /^([+-]?)(\d*)(?:\.(\d*))?$/;
+const EXPONENT_PATTERN = /^([+-]?)(\d+)(?:\.(\d*))?e([+-]?\d+)$/i;
+
+export class AmountError extends Error {
+    constructor(message, value) {
+        super(message);
+        this.name = 'AmountError';
+        this.value = value;
+    }
+}
+
+/**
+ * Expand exponent notation ("1e-7", "1.5e+21") into plain decimal digits
+ */
+function expandExponent(str) {
+    const match = EXPONENT_PATTERN.exec(str);
+    if (!match) return str;
+
+    const [, sign, intPart, fracPart = '', exp] = match;
+    const digits = intPart + fracPart;
+    const point = intPart.length + parseInt(exp, 10);
+
+    if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+    if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+    return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Plain decimal string for a number or string amount (no exponent, no float math)
+ */
+export function toDecimalString(value) {
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) throw new AmountError('Amount must be a finite number', value);
+        return expandExponent(String(value));
+    }
+    if (typeof value === 'bigint') return value.toString();
+    if (typeof value !== 'string') throw new AmountError('Amount must be a string or number', value);
+    return expandExponent(value.trim());
+}
+
+/**
+ * Decimal amount (e.g. "1.5" OCT) -> raw units
+ * @param {string|number} value
+ * @param {number} decimals - unit precision (6 for OCT)
+ * @param {object} options - { strict: true } rejects digits beyond `decimals`
+ * @returns {bigint}
+ */
+export function parseAmount(value, decimals = OCT_DECIMALS, { strict = false } = {}) {
+    const str = toDecimalString(value);
+    const match = DECIMAL_PATTERN.exec(str);
+    if (!match || (!match[2] && !match[3])) {
+        throw new AmountError(`Invalid amount: ${value}`, value);
+    }
+
+    const [, sign, intPart, fracPart = ''] = match;
+    if (strict && fracPart.replace(/0+$/, '').length > decimals) {
+        throw new AmountError(`Amount has more than ${decimals} decimals`, value);
+    }
+
+    const fraction = fracPart.slice(0, decimals).padEnd(decimals, '0');
+    const raw = BigInt((intPart || '0') + fraction);
+    return sign === '-' ? -raw : raw;
+}
+
+/**
+ * parseAmount for form input: empty or unparseable values count as 0
+ */
+export function parseAmountOrZero(value, decimals = OCT_DECIMALS) {
+    try {
+        return parseAmount(value || 0, decimals);
+    } catch {
+        return 0n;
+    }
+}
+
+/**
+ * Integer raw units (string, safe integer or bigint) -> bigint
+ */
+export function parseRaw(value) {
+    if (typeof value === 'bigint') return value;
+    if (typeof value === 'number') {
+        if (!Number.isSafeInteger(value)) throw new AmountError(`Invalid raw amount: ${value}`, value);
+        return BigInt(value);
+    }
+    const str = String(value ?? '').trim();
+    if (!/^-?\d+$/.test(str)) throw new AmountError(`Invalid raw amount: ${value}`, value);
+    return BigInt(str);
+}
+
+/**
+ * Node fields are raw integers ("1500000") but some endpoints return
+ * decimal OCT ("1.5", or "5 OCT" with a unit) - accept both
+ */
+export function parseNodeAmount(value, decimals = OCT_DECIMALS) {
+    if (value === null || value === undefined || value === '') return 0n;
+    if (typeof value === 'bigint') return value;
+
+    const [str, unit] = String(value).trim().split(/\s+/);
+    if (!unit && /^-?\d+$/.test(str)) return BigInt(str);
+    return parseAmount(str, decimals);
+}
+
+/**
+ * Balance strings from the node ("1.234567 OCT") -> raw units
+ */
+export function parseBalanceString(value, decimals = OCT_DECIMALS) {
+    if (value === null || value === undefined || value === '') return 0n;
+    return parseAmount(String(value).trim().split(/\s+/)[0], decimals);
+}
+
+/**
+ * Raw units -> exact decimal string ("1.5", "0.000001", "42")
+ * @param {object} options - { minDecimals } pads the fraction (e.g. 2 -> "42.00")
+ */
+export function formatUnits(raw, decimals = OCT_DECIMALS, { minDecimals = 0 } = {}) {
+    const value = parseRaw(raw);
+    const negative = value < 0n;
+    const digits = (negative ? -value : value).toString().padStart(decimals + 1, '0');
+
+    const intPart = digits.slice(0, digits.length - decimals);
+    let fracPart = decimals > 0 ? digits.slice(-decimals).replace(/0+$/, '') : '';
+    fracPart = fracPart.padEnd(Math.min(minDecimals, decimals), '0');
+
+    return `${negative ? '-' : ''}${intPart}${fracPart ? `.${fracPart}` : ''}`;
+}
+
+/**
+ * Raw units -> nearest JS number, for display and legacy numeric state only
+ */
+export function toNumber(raw, decimals = OCT_DECIMALS) {
+    return Number(formatUnits(raw, decimals));
+}
+
+/**
+ * Decimal amount -> raw units as the string the node expects
+ */
+export function toRaw(value, decimals = OCT_DECIMALS) {
+    return parseAmount(value, decimals).toString();
+}
+
+export function addAmounts(...raws) {
+    return raws.reduce((sum, raw) => sum + parseRaw(raw), 0n);
+}
+
+export function subtractAmounts(a, b) {
+    return parseRaw(a) - parseRaw(b);
+}
+
+/**
+ * @returns {-1|0|1}
+ */
+export function compareAmounts(a, b) {
+    const x = parseRaw(a);
+    const y = parseRaw(b);
+    return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Syntactically valid, positive decimal amount within `decimals` precision
+ */
+export function isValidAmountString(value, decimals = OCT_DECIMALS) {
+    try {
+        return parseAmount(value, decimals, { strict: true }) > 0n;
+    } catch {
+        return false;
+    }
+}
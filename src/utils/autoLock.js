@@ -0,0 +1,56 @@
+/**
+ * Auto-Lock - Policy Helpers for the Keyring Session
+ *
+ * POLICIES (constants AUTO_LOCK):
+ *   number          lock after that many minutes without activity in the
+ *                   wallet, or when the system reports idle that long
+ *   'browser-close' no timer; the session ends when the browser closes
+ *   'never'         no timer, idle or screen lock - only a manual lock or
+ *                   quitting the browser ends the session
+ *
+ * Every policy but 'never' also locks when the screen locks or the system
+ * goes to sleep. The keyring session itself is enforced in the worker
+ * (background/keyringHost.js).
+ */
+
+import { AUTO_LOCK } from '../constants';
+
+/**
+ * Stored or user input -> a valid policy (the default when unknown)
+ */
+export function normalizeAutoLock(value) {
+    if (value === AUTO_LOCK.BROWSER_CLOSE || value === AUTO_LOCK.NEVER) return value;
+    const minutes = Number(value);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : AUTO_LOCK.DEFAULT;
+}
+
+export function isTimedAutoLock(value) {
+    return typeof value === 'number';
+}
+
+/**
+ * Milliseconds of inactivity before the session expires (null = no timer)
+ */
+export function autoLockDuration(value) {
+    return isTimedAutoLock(value) ? value * 60 * 1000 : null;
+}
+
+export function autoLockLabel(value) {
+    if (value === AUTO_LOCK.BROWSER_CLOSE) return 'When the browser closes';
+    if (value === AUTO_LOCK.NEVER) return 'Never';
+    if (value >= 60 && value % 60 === 0) return value === 60 ? 'After 1 hour' : `After ${value / 60} hours`;
+    return value === 1 ? 'After 1 minute' : `After ${value} minutes`;
+}
+
+/**
+ * Remaining time as m:ss (h:mm:ss from one hour)
+ */
+export function formatCountdown(ms) {
+    const total = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const seconds = String(total % 60).padStart(2, '0');
+    return hours > 0
+        ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+        : `${minutes}:${seconds}`;
+}
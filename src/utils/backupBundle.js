@@ -0,0 +1,303 @@
+/**
+ * Encrypted Backup Bundle - Whole Wallet Setup in One File
+ *
+ * Wallets, settings, custom OCS01 tokens, privacy logs and transaction
+ * history are kept under separate storage keys; a bundle carries all of
+ * them between browsers, encrypted with a password chosen for the backup.
+ *
+ * FILE FORMAT (JSON, version 1):
+ *   {
+ *     "format":    "octra-backup",
+ *     "version":   1,
+ *     "id":        random UUID,
+ *     "createdAt": ISO date,
+ *     "crypto":    same section as keystore files (AES-256-GCM, PBKDF2-SHA256)
+ *   }
+ * "format:version:createdAt" is the GCM additional data. GCM authentication
+ * is the integrity check: any edited byte, header field included, fails
+ * to decrypt. Keys in the decrypted wallets must also derive their addresses.
+ *
+ * PAYLOAD (schema 1, the decrypted JSON):
+ *   {
+ *     "schema":            1,
+ *     "wallets":           vault records, as stored (names are the address labels),
+ *     "activeWalletIndex": number,
+ *     "settings":          {},
+ *     "customTokens":      { userAddress: [contractAddress] },
+ *     "privacyLogs":       { txHash: log entry },
+ *     "txHistory":         { "<network>_<address>": [tx] }
+ *   }
+ * The file version covers the envelope, the schema the payload - older
+ * schemas are upgraded on open, newer ones are refused.
+ *
+ * RESTORE MODES:
+ *   replace - the backup becomes the wallet's data
+ *   merge   - existing data wins; the backup only adds what is missing
+ */
+
+import { importFromPrivateKey } from './crypto';
+import { isValidAddress } from './validation';
+import {
+    KEYSTORE_ITERATIONS,
+    KeystoreError,
+    encryptWithPassword,
+    decryptWithPassword,
+    validateCryptoSection
+} from './keystore';
+
+export const BACKUP_FORMAT = 'octra-backup';
+export const BACKUP_VERSION = 1;
+export const BACKUP_SCHEMA = 1;
+export const RESTORE_MODES = ['merge', 'replace'];
+
+// Same cap as saveTxHistorySecure keeps per history key
+const MAX_HISTORY_ENTRIES = 500;
+// "<network>_<address>" or "<network>" - nothing else may be written back
+const HISTORY_KEY_PATTERN = /^[a-z]+(_oct[1-9A-HJ-NP-Za-km-z]+)?$/;
+
+export class BackupError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'BackupError';
+        this.field = field;
+    }
+}
+
+function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function additionalData(file) {
+    return `${file.format}:${file.version}:${file.createdAt}`;
+}
+
+/**
+ * Check a decrypted payload and fill in optional sections
+ * @returns {object} the payload at the current schema
+ * @throws {BackupError} naming the first problem
+ */
+export function validateBackupPayload(payload) {
+    if (!isPlainObject(payload) || !Number.isInteger(payload.schema) || payload.schema < 1) {
+        throw new BackupError('Backup contents are not readable', 'schema');
+    }
+    if (payload.schema > BACKUP_SCHEMA) {
+        throw new BackupError('This backup was made by a newer wallet version - update the wallet to restore it', 'schema');
+    }
+
+    const { wallets } = payload;
+    if (!Array.isArray(wallets) || wallets.length === 0) {
+        throw new BackupError('Backup contains no wallets', 'wallets');
+    }
+    wallets.forEach((wallet, i) => {
+        if (!isPlainObject(wallet) || !isValidAddress(wallet.address)) {
+            throw new BackupError(`Wallet ${i + 1} in the backup has an invalid address`, 'wallets');
+        }
+        if (!wallet.privateKeyB64 && !wallet.watchOnly) {
+            throw new BackupError(`Wallet ${i + 1} in the backup has no key`, 'wallets');
+        }
+    });
+
+    const sections = ['settings', 'customTokens', 'privacyLogs', 'txHistory'];
+    for (const section of sections) {
+        if (payload[section] !== undefined && !isPlainObject(payload[section])) {
+            throw new BackupError(`Backup ${section} section is invalid`, section);
+        }
+    }
+
+    const customTokens = payload.customTokens || {};
+    if (!Object.values(customTokens).every(Array.isArray)) {
+        throw new BackupError('Backup customTokens section is invalid', 'customTokens');
+    }
+    const txHistory = payload.txHistory || {};
+    if (!Object.entries(txHistory).every(([key, txs]) => HISTORY_KEY_PATTERN.test(key) && Array.isArray(txs))) {
+        throw new BackupError('Backup txHistory section is invalid', 'txHistory');
+    }
+
+    const activeWalletIndex = Number.isInteger(payload.activeWalletIndex)
+        && payload.activeWalletIndex >= 0
+        && payload.activeWalletIndex < wallets.length
+        ? payload.activeWalletIndex
+        : 0;
+
+    return {
+        schema: BACKUP_SCHEMA,
+        wallets,
+        activeWalletIndex,
+        settings: payload.settings || {},
+        customTokens,
+        privacyLogs: payload.privacyLogs || {},
+        txHistory
+    };
+}
+
+/**
+ * Check the envelope before any decryption work
+ * @throws {BackupError} naming the first problem
+ */
+export function validateBackupFile(file) {
+    if (!isPlainObject(file) || file.format !== BACKUP_FORMAT) {
+        throw new BackupError('Not an Octra backup file', 'format');
+    }
+    if (file.version !== BACKUP_VERSION) {
+        throw new BackupError(`Unsupported backup version: ${file.version}`, 'version');
+    }
+    if (typeof file.createdAt !== 'string' || Number.isNaN(Date.parse(file.createdAt))) {
+        throw new BackupError('Backup has an invalid creation date', 'createdAt');
+    }
+
+    try {
+        validateCryptoSection(file.crypto, 'Backup');
+    } catch (error) {
+        if (error instanceof KeystoreError) throw new BackupError(error.message, error.field);
+        throw error;
+    }
+    return file;
+}
+
+/**
+ * Encrypt a payload into a backup file object
+ * @param {object} options - { iterations } (tests use fewer)
+ */
+export async function createBackupFile(payload, password, { iterations = KEYSTORE_ITERATIONS } = {}) {
+    if (!password || password.length < 8) {
+        throw new BackupError('Backup password must be at least 8 characters', 'password');
+    }
+
+    const file = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString()
+    };
+    const data = validateBackupPayload({ ...payload, schema: BACKUP_SCHEMA });
+    file.crypto = await encryptWithPassword(data, password, additionalData(file), { iterations });
+    return file;
+}
+
+/**
+ * Decrypt and check a backup file
+ * @returns {Promise<object>} the payload at the current schema
+ * @throws {BackupError} on a wrong password, a modified file or keys that do not match their addresses
+ */
+export async function openBackupFile(file, password) {
+    validateBackupFile(file);
+
+    let payload;
+    try {
+        payload = await decryptWithPassword(file.crypto, password, additionalData(file));
+    } catch {
+        throw new BackupError('Incorrect backup password or damaged file', 'password');
+    }
+
+    const checked = validateBackupPayload(payload);
+    for (const wallet of checked.wallets) {
+        if (!wallet.privateKeyB64) continue;
+        const { address } = await importFromPrivateKey(wallet.privateKeyB64);
+        if (address !== wallet.address) {
+            throw new BackupError(`Key for ${wallet.address} does not match its address`, 'wallets');
+        }
+    }
+    return checked;
+}
+
+function historyTime(tx) {
+    return tx.timestamp || (tx.epoch * 10) || 0;
+}
+
+/**
+ * Vault records after a restore: the backup's alone ('replace'), or the
+ * current ones plus the backup's new addresses ('merge')
+ */
+export function mergeBackupWallets(current, incoming, mode = 'merge') {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new BackupError(`Unknown restore mode: ${mode}`, 'mode');
+    }
+    if (mode === 'replace' || !current?.length) {
+        return incoming;
+    }
+
+    const addresses = new Set(current.map(w => w.address));
+    return [...current, ...incoming.filter(w => !addresses.has(w.address))];
+}
+
+/**
+ * Combine stored data with a backup
+ * @param {object} current - payload built from what is stored now
+ * @param {string} mode - 'merge' keeps current entries on conflicts, 'replace' takes the backup
+ */
+export function mergeBackupPayload(current, incoming, mode = 'merge') {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw new BackupError(`Unknown restore mode: ${mode}`, 'mode');
+    }
+    if (mode === 'replace' || !current?.wallets?.length) {
+        return incoming;
+    }
+
+    const wallets = mergeBackupWallets(current.wallets, incoming.wallets, mode);
+
+    const customTokens = { ...current.customTokens };
+    Object.entries(incoming.customTokens).forEach(([userAddress, contracts]) => {
+        customTokens[userAddress] = [...new Set([...(customTokens[userAddress] || []), ...contracts])];
+    });
+
+    const txHistory = { ...current.txHistory };
+    Object.entries(incoming.txHistory).forEach(([key, txs]) => {
+        const byHash = new Map(txs.map(tx => [tx.hash, tx]));
+        (txHistory[key] || []).forEach(tx => byHash.set(tx.hash, tx));
+        txHistory[key] = Array.from(byHash.values())
+            .sort((a, b) => historyTime(b) - historyTime(a))
+            .slice(0, MAX_HISTORY_ENTRIES);
+    });
+
+    return {
+        schema: BACKUP_SCHEMA,
+        wallets,
+        activeWalletIndex: current.activeWalletIndex,
+        settings: { ...incoming.settings, ...current.settings },
+        customTokens,
+        privacyLogs: { ...incoming.privacyLogs, ...current.privacyLogs },
+        txHistory
+    };
+}
+
+/**
+ * Counts shown before a restore is confirmed
+ */
+export function summarizeBackup(payload) {
+    return {
+        wallets: payload.wallets.filter(w => !w.watchOnly).length,
+        watchOnly: payload.wallets.filter(w => w.watchOnly).length,
+        recoveryPhrases: payload.wallets.filter(w => (w.mnemonic || w.wordCount > 0) && !w.hdRoot).length,
+        tokens: Object.values(payload.customTokens).reduce((sum, contracts) => sum + contracts.length, 0),
+        transactions: Object.values(payload.txHistory).reduce((sum, txs) => sum + txs.length, 0),
+        privacyLogs: Object.keys(payload.privacyLogs).length
+    };
+}
+
+export function parseBackupFile(text) {
+    try {
+        return validateBackupFile(JSON.parse(text));
+    } catch (error) {
+        if (error instanceof BackupError) throw error;
+        throw new BackupError('Not an Octra backup file', 'format');
+    }
+}
+
+export function getBackupFilename(file) {
+    return `octra_backup_${file.createdAt.slice(0, 10)}_${file.id.slice(0, 8)}.json`;
+}
+
+/**
+ * Save the backup through a browser download
+ */
+export function downloadBackupFile(file) {
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = getBackupFilename(file);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
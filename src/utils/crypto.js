@@ -6,6 +6,9 @@
 import * as bip39 from 'bip39';
 import nacl from 'tweetnacl';
 import { Buffer } from 'buffer';
+import { toRaw, parseAmount, toDecimalString } from './amount';
+import { buildTransaction, signTransactionPayload, attachSignature } from './transaction';
+import { DEFAULT_WORD_COUNT, entropyBytesForWordCount, normalizeMnemonic, checkMnemonic } from './mnemonic';
 
 // Ensure Buffer is globally available
 if (typeof window !== 'undefined') {
@@ -217,33 +220,60 @@ export function verifyAddressFormat(address) {
     return true;
 }
 
+const HARDENED_OFFSET = 0x80000000;
+const MAX_PATH_DEPTH = 16;
+
 /**
- * Generate new wallet with mnemonic
+ * Octra-specific derivation path - the account index is appended as the last level
+ * Purpose (Octra) / Coin type / Network / Contract / Account / Token / Subnet
  */
-export async function generateWallet() {
-    // Generate 128-bit entropy (12 words)
-    const entropy = crypto.getRandomValues(new Uint8Array(16));
-    const entropyHex = bufferToHex(entropy);
+export const DEFAULT_DERIVATION_PATH = "m/345'/0'/0'/0'/0'/0'/0'";
 
-    // Generate mnemonic
-    const mnemonic = bip39.entropyToMnemonic(entropyHex);
+/**
+ * Parse "m/44'/0'/0'" (or 44h) into child indices - hardened levels get the 2^31 offset
+ * @throws {Error} describing the first invalid segment
+ */
+export function parseDerivationPath(path) {
+    const parts = String(path ?? '').trim().split('/');
+    if (parts[0] !== 'm') {
+        throw new Error('Invalid derivation path: it must start with "m/"');
+    }
 
-    // Derive seed from mnemonic
-    const seed = await bip39.mnemonicToSeed(mnemonic);
-
-    // Derive master key with Octra-specific derivation path
-    const path = [
-        0x80000000 + 345, // Purpose (Octra)
-        0x80000000 + 0,   // Coin type
-        0x80000000 + 0,   // Network
-        0x80000000 + 0,   // Contract
-        0x80000000 + 0,   // Account
-        0x80000000 + 0,   // Token
-        0x80000000 + 0,   // Subnet
-        0                  // Index
-    ];
-
-    const { key: derivedKey, chain: derivedChain } = await derivePath(Buffer.from(seed), path);
+    const segments = parts.slice(1);
+    if (segments.length === 0 || segments.length > MAX_PATH_DEPTH) {
+        throw new Error(`Invalid derivation path: use 1 to ${MAX_PATH_DEPTH} levels`);
+    }
+
+    return segments.map((segment) => {
+        const match = /^(\d+)(['hH]?)$/.exec(segment);
+        const value = match ? Number(match[1]) : NaN;
+        if (!match || value >= HARDENED_OFFSET) {
+            throw new Error(`Invalid derivation path segment "${segment}"`);
+        }
+        return match[2] ? value + HARDENED_OFFSET : value;
+    });
+}
+
+/**
+ * Canonical form of a path: m/345'/0'/... (apostrophes, no spaces)
+ */
+export function formatDerivationPath(indices) {
+    return ['m', ...indices.map(i => (i >= HARDENED_OFFSET ? `${i - HARDENED_OFFSET}'` : String(i)))].join('/');
+}
+
+/**
+ * Derive HD account N from a BIP39 seed
+ * Index 0 on the default path is the account every earlier version of the wallet created.
+ * A custom base path (other Octra tools) is returned as derivationPath so it is kept with the wallet.
+ */
+export async function deriveAccountFromSeed(seedHex, index = 0, derivationPath = DEFAULT_DERIVATION_PATH) {
+    if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+        throw new Error('Invalid account index');
+    }
+
+    const basePath = parseDerivationPath(derivationPath);
+    const canonicalPath = formatDerivationPath(basePath);
+    const { key: derivedKey } = await derivePath(hexToBuffer(seedHex), [...basePath, index]);
 
     // Create Ed25519 keypair from derived key
     const keyPair = nacl.sign.keyPair.fromSeed(derivedKey);
@@ -254,61 +284,65 @@ export async function generateWallet() {
     const address = await createOctraAddress(publicKey);
 
     return {
-        mnemonic: mnemonic.split(' '),
-        seedHex: bufferToHex(seed),
+        hdIndex: index,
+        ...(canonicalPath !== DEFAULT_DERIVATION_PATH && { derivationPath: canonicalPath }),
         privateKeyHex: bufferToHex(privateKey),
         publicKeyHex: bufferToHex(publicKey),
         privateKeyB64: bufferToBase64(privateKey),
         publicKeyB64: bufferToBase64(publicKey),
-        address,
+        address
+    };
+}
+
+/**
+ * Generate new wallet with mnemonic
+ * @param {string} passphrase - optional BIP39 passphrase ("25th word"); only the
+ *   derived seed is returned, never the passphrase itself
+ * @param {number} wordCount - 12, 15, 18, 21 or 24 words (128-256 bits of entropy)
+ */
+export async function generateWallet(passphrase = '', wordCount = DEFAULT_WORD_COUNT) {
+    const entropy = crypto.getRandomValues(new Uint8Array(entropyBytesForWordCount(wordCount)));
+    const entropyHex = bufferToHex(entropy);
+
+    // Generate mnemonic
+    const mnemonic = bip39.entropyToMnemonic(entropyHex);
+
+    // Derive seed from mnemonic
+    const seed = await bip39.mnemonicToSeed(mnemonic, passphrase);
+    const seedHex = bufferToHex(seed);
+
+    return {
+        mnemonic: mnemonic.split(' '),
+        seedHex,
+        hasPassphrase: !!passphrase,
+        ...await deriveAccountFromSeed(seedHex, 0),
         entropyHex
     };
 }
 
 /**
  * Import wallet from mnemonic
+ * @param {string} passphrase - optional BIP39 passphrase; a wrong one silently
+ *   opens a different (empty) wallet, as BIP39 intends
+ * @param {object} options - { derivationPath, index } for seeds from other Octra tools
  */
-export async function importFromMnemonic(mnemonicPhrase) {
-    const mnemonic = mnemonicPhrase.trim().toLowerCase();
+export async function importFromMnemonic(mnemonicPhrase, passphrase = '', { derivationPath = DEFAULT_DERIVATION_PATH, index = 0 } = {}) {
+    const mnemonic = normalizeMnemonic(mnemonicPhrase);
 
-    // Validate mnemonic
+    // Validate mnemonic (any supported length, wordlist + checksum)
     if (!bip39.validateMnemonic(mnemonic)) {
-        throw new Error('Invalid mnemonic phrase');
+        throw new Error(checkMnemonic(mnemonic).error || 'Invalid mnemonic phrase');
     }
 
     // Derive seed from mnemonic
-    const seed = await bip39.mnemonicToSeed(mnemonic);
-
-    // Derive master key with Octra-specific derivation path
-    const path = [
-        0x80000000 + 345,
-        0x80000000 + 0,
-        0x80000000 + 0,
-        0x80000000 + 0,
-        0x80000000 + 0,
-        0x80000000 + 0,
-        0x80000000 + 0,
-        0
-    ];
-
-    const { key: derivedKey } = await derivePath(Buffer.from(seed), path);
-
-    // Create Ed25519 keypair
-    const keyPair = nacl.sign.keyPair.fromSeed(derivedKey);
-    const privateKey = Buffer.from(keyPair.secretKey.slice(0, 32));
-    const publicKey = Buffer.from(keyPair.publicKey);
-
-    // Create address
-    const address = await createOctraAddress(publicKey);
+    const seed = await bip39.mnemonicToSeed(mnemonic, passphrase);
+    const seedHex = bufferToHex(seed);
 
     return {
         mnemonic: mnemonic.split(' '),
-        seedHex: bufferToHex(seed),
-        privateKeyHex: bufferToHex(privateKey),
-        publicKeyHex: bufferToHex(publicKey),
-        privateKeyB64: bufferToBase64(privateKey),
-        publicKeyB64: bufferToBase64(publicKey),
-        address
+        seedHex,
+        hasPassphrase: !!passphrase,
+        ...await deriveAccountFromSeed(seedHex, index, derivationPath)
     };
 }
 
@@ -396,93 +430,33 @@ export function verifySignature(message, signature, publicKeyB64) {
  * Now supports dynamic 'ou' via RPC fee estimation
  */
 export async function createTransaction(from, to, amount, nonce, privateKeyB64, message = null, fee = null) {
-    // FIX: Use string manipulation to avoid floating point errors
-    // e.g. 0.29 * 1000000 = 289999.99... (WRONG)
-    // We want 0.29 -> 290000 (CORRECT)
-
-    // Convert to string and normalize
-    let amountStr = typeof amount === 'number' ? amount.toString() : amount;
-
-    // Handle scientific notation if small
-    if (amountStr.includes('e')) {
-        amountStr = Number(amount).toFixed(20);
-    }
-
-    const parts = amountStr.split('.');
-    let integerPart = parts[0];
-    let fractionalPart = parts[1] || '';
-
-    // Pad or truncate to 6 decimal places (micro-units)
-    if (fractionalPart.length > 6) {
-        fractionalPart = fractionalPart.substring(0, 6);
-    } else {
-        while (fractionalPart.length < 6) {
-            fractionalPart += '0';
-        }
-    }
-
-    // Combine to get raw micro-units
-    // Remove leading zeros from integer part unless it's just "0"
-    if (integerPart === '0') integerPart = '';
-
-    const amountRaw = integerPart + fractionalPart;
-    // If result is emptyString (0.000000), default to '0'. 
-    // But usually we send at least 1 micro unit.
-    const finalAmount = amountRaw.replace(/^0+/, '') || '0';
-
     // Operation Unit (ou) calculation - micro-units based
     // Connects to RPC if fee is not provided
-    const microUnits = 1_000_000;
     let ouValue;
 
     if (fee !== null) {
-        ouValue = String(Math.floor(parseFloat(fee) * microUnits));
+        ouValue = toRaw(fee);
     } else {
         try {
             // Lazy load RPC client to avoid circular dependencies if any
             const { getRpcClient } = await import('./rpc');
             const rpc = getRpcClient();
-            const estimates = await rpc.getFeeEstimate(parseFloat(amount));
-            ouValue = String(Math.floor(estimates.medium * microUnits));
-        } catch (e) {
+            const estimates = await rpc.getFeeEstimate();
+            ouValue = toRaw(estimates.medium);
+        } catch {
             // Fallback: 1000 (0.001 OCT) for small tx, 2000 (0.002 OCT) for others
-            ouValue = parseFloat(amount) < 0.001 ? '1000' : '2000';
+            ouValue = parseAmount(amount) < 1000n ? '1000' : '2000';
         }
     }
 
-    const tx = {
-        from,
-        to_: to,
-        amount: finalAmount, // String representation of integer micro-units
-        nonce: parseInt(nonce),
-        ou: ouValue,
-        timestamp: Date.now() / 1000
-    };
-
-    if (message) {
-        tx.message = message;
-    }
+    // Layout and signing payload come from the shared builder (utils/transaction.js)
+    const tx = buildTransaction({ from, to, amount, nonce, ou: ouValue, message });
 
-    // Create signature payload (without message)
-    const signPayload = JSON.stringify({
-        from: tx.from,
-        to_: tx.to_,
-        amount: tx.amount,
-        nonce: tx.nonce,
-        ou: tx.ou,
-        timestamp: tx.timestamp
-    });
-
-    const signature = signMessage(signPayload, privateKeyB64);
     const privateKey = base64ToBuffer(privateKeyB64);
     const keyPair = nacl.sign.keyPair.fromSeed(privateKey);
-    const publicKeyB64 = bufferToBase64(keyPair.publicKey);
+    const signature = signTransactionPayload(tx, keyPair.secretKey);
 
-    return {
-        ...tx,
-        signature,
-        public_key: publicKeyB64
-    };
+    return attachSignature(tx, signature, bufferToBase64(keyPair.publicKey));
 }
 
 /**
@@ -512,7 +486,7 @@ export function formatAmount(amount, decimals = 3) {
 
     // Handle scientific notation if present (e.g. 1e-7)
     if (str.includes('e')) {
-        str = Number(amount).toFixed(20);
+        str = toDecimalString(amount);
     }
 
     const parts = str.split('.');
@@ -0,0 +1,210 @@
+/**
+ * dApp Request Review - Decoding and Warnings for the Approval Window
+ *
+ * Everything here is pure: the approval screen loads the context (balance,
+ * fee levels, token balance, known contracts) and renders what these
+ * functions return.
+ *
+ * CONTRACT CALLS:
+ * Params arrive as strings. Methods the wallet knows (OCS01 token calls)
+ * are decoded into named arguments; addresses are checked and amounts in
+ * raw units are shown with the token's decimals.
+ *
+ * WARNINGS:
+ *   { level: 'danger' | 'warning' | 'info', message }
+ * 'danger' means the request cannot succeed as shown or is very likely
+ * harmful - the screen asks for an extra confirmation before approving.
+ *
+ * SIMULATION:
+ * Octra has no dry-run endpoint, so the "simulation" is the balance change
+ * the request implies: { symbol, before, change, after } in raw units.
+ */
+
+import { OCT_DECIMALS, parseAmount, parseRaw, formatUnits } from './amount';
+import { isValidAddress } from './validation';
+import { PROVIDER_METHODS } from '../provider/protocol';
+
+// Known state-changing token methods and their params, in order
+export const CONTRACT_METHOD_SIGNATURES = {
+    transfer: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'amount' }],
+    transferFrom: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'amount' }],
+    approve: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'amount' }],
+    mint: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'amount' }],
+    burn: [{ name: 'amount', type: 'amount' }],
+    claim: []
+};
+
+// Sends over this share of the balance get a warning
+const LARGE_SHARE_PERCENT = 50n;
+// Allowances at or above this are treated as unlimited
+const UNLIMITED_ALLOWANCE = 2n ** 63n - 1n;
+const BLOB_PATTERN = /^(0x)?[0-9a-fA-F]{64,}$|^[A-Za-z0-9+/]{64,}={0,2}$/;
+const SIGN_IN_PATTERN = /^(\S+) wants you to sign in/;
+
+function formatArg(param, raw, decimals) {
+    if (param.type === 'address') {
+        return { ...param, raw, display: raw, valid: isValidAddress(raw) };
+    }
+    if (param.type === 'amount') {
+        try {
+            const units = parseRaw(raw);
+            const unlimited = units >= UNLIMITED_ALLOWANCE;
+            return { ...param, raw, units, unlimited, display: unlimited ? 'Unlimited' : formatUnits(units, decimals), valid: units >= 0n };
+        } catch {
+            return { ...param, raw, display: raw, valid: false };
+        }
+    }
+    return { ...param, raw, display: raw, valid: true };
+}
+
+/**
+ * Name and format a contract call's params
+ * @param {object} params - { contract, method, params: string[] }
+ * @param {object} options - { knownContracts: [{ address, name, verified }], decimals }
+ * @returns {{ method, known, contractName, verified, args: Array<{ name, type, raw, display, valid }> }}
+ */
+export function decodeContractCall({ contract, method, params = [] }, { knownContracts = [], decimals = OCT_DECIMALS } = {}) {
+    const known = knownContracts.find(c => c.address === contract) || null;
+    const signature = Object.hasOwn(CONTRACT_METHOD_SIGNATURES, method) ? CONTRACT_METHOD_SIGNATURES[method] : null;
+    const decodable = !!signature && signature.length === params.length;
+
+    const args = decodable
+        ? signature.map((param, i) => formatArg(param, params[i], decimals))
+        : params.map((raw, i) => ({ name: `param ${i + 1}`, type: 'string', raw, display: raw, valid: true }));
+
+    return {
+        method,
+        known: decodable,
+        contractName: known?.name || null,
+        verified: !!known?.verified,
+        args
+    };
+}
+
+function balanceSimulation(symbol, before, change) {
+    return { symbol, before, change, after: before - change };
+}
+
+function reviewTransfer({ params, accounts }, { balanceRaw, feeRaw = 0n, ownAddresses = [] }) {
+    const warnings = [];
+    const amount = parseAmount(params.amount, OCT_DECIMALS);
+    const total = amount + parseRaw(feeRaw);
+    let simulation = null;
+
+    if (balanceRaw !== undefined && balanceRaw !== null) {
+        const balance = parseRaw(balanceRaw);
+        simulation = balanceSimulation('OCT', balance, total);
+        if (total > balance) {
+            warnings.push({ level: 'danger', message: `Insufficient balance: ${formatUnits(total)} OCT needed including the fee, ${formatUnits(balance)} OCT available.` });
+        } else if (balance > 0n && amount * 100n > balance * LARGE_SHARE_PERCENT) {
+            warnings.push({ level: 'warning', message: 'This sends more than half of your balance.' });
+        }
+    }
+
+    if (params.to === accounts[0]) {
+        warnings.push({ level: 'warning', message: 'The recipient is the sending account itself.' });
+    } else if (ownAddresses.includes(params.to)) {
+        warnings.push({ level: 'info', message: 'The recipient is another account in this wallet.' });
+    }
+    if (params.message) {
+        warnings.push({ level: 'info', message: 'The memo is stored on-chain and visible to everyone.' });
+    }
+
+    return { warnings, simulation };
+}
+
+function reviewContractCall({ params, accounts }, { knownContracts = [], tokenBalanceRaw, decimals = OCT_DECIMALS }) {
+    const warnings = [];
+    const decoded = decodeContractCall(params, { knownContracts, decimals });
+    const amountArg = decoded.args.find(arg => arg.type === 'amount');
+    let simulation = null;
+
+    if (!decoded.contractName) {
+        warnings.push({ level: 'warning', message: 'This contract is not in your token list. Make sure you trust the site.' });
+    } else if (!decoded.verified) {
+        warnings.push({ level: 'warning', message: 'This contract is not verified.' });
+    }
+    if (!decoded.known) {
+        warnings.push({ level: 'warning', message: `The wallet cannot decode "${params.method}". Its params are shown as sent by the site.` });
+    }
+
+    for (const arg of decoded.args) {
+        if (!arg.valid) {
+            warnings.push({ level: 'danger', message: `Invalid ${arg.type} for "${arg.name}": ${arg.raw}` });
+        }
+    }
+
+    if (decoded.known && amountArg?.valid) {
+        if (params.method === 'approve' && amountArg.unlimited) {
+            warnings.push({ level: 'danger', message: 'This grants an unlimited allowance: the spender can move all of these tokens.' });
+        }
+        if (['transfer', 'burn'].includes(params.method) && tokenBalanceRaw !== undefined && tokenBalanceRaw !== null) {
+            const balance = parseRaw(tokenBalanceRaw);
+            simulation = balanceSimulation(decoded.contractName || 'tokens', balance, amountArg.units);
+            if (amountArg.units > balance) {
+                warnings.push({ level: 'danger', message: 'The amount is more than this account holds; the call will fail.' });
+            }
+        }
+        const to = decoded.args.find(arg => arg.name === 'to');
+        if (params.method === 'transfer' && to?.raw === accounts[0]) {
+            warnings.push({ level: 'warning', message: 'The recipient is the calling account itself.' });
+        }
+    }
+
+    warnings.push({ level: 'info', message: 'Contract calls pay the fixed network call fee; it cannot be changed.' });
+    return { warnings, simulation, decoded };
+}
+
+function reviewSignMessage({ origin, params }) {
+    const warnings = [];
+    const message = params.message.trim();
+
+    if (BLOB_PATTERN.test(message)) {
+        warnings.push({ level: 'danger', message: 'This message is unreadable data. Signing data you cannot read can authorize anything - only continue if you know what it is.' });
+    } else if (/"(nonce|amount|to_|ou)"\s*:/.test(message)) {
+        warnings.push({ level: 'danger', message: 'This message looks like a transaction. Sites never need your signature on a raw transaction.' });
+    }
+
+    const signIn = SIGN_IN_PATTERN.exec(message);
+    if (signIn) {
+        let host = null;
+        try {
+            host = new URL(origin).host;
+        } catch {
+            // origin is always a URL origin; keep host null otherwise
+        }
+        if (signIn[1] !== host) {
+            warnings.push({ level: 'danger', message: `The message signs you in to ${signIn[1]}, but the request comes from ${host || origin}.` });
+        }
+    }
+
+    // Not next to a danger warning: it would read as "safe to sign anyway"
+    if (!warnings.some(w => w.level === 'danger')) {
+        warnings.push({ level: 'info', message: 'Signing is free and does not send a transaction.' });
+    }
+    return { warnings, simulation: null };
+}
+
+/**
+ * Warnings and balance simulation for a pending dApp request
+ * @param {object} request - { origin, method, params, accounts }
+ * @param {object} context - { balanceRaw, feeRaw, ownAddresses, knownContracts, tokenBalanceRaw, decimals }
+ * @returns {{ warnings, simulation, decoded?, hasDanger }}
+ */
+export function reviewDappRequest(request, context = {}) {
+    let review;
+    switch (request.method) {
+        case PROVIDER_METHODS.SEND_TRANSACTION:
+            review = reviewTransfer(request, context);
+            break;
+        case PROVIDER_METHODS.CALL_CONTRACT:
+            review = reviewContractCall(request, context);
+            break;
+        case PROVIDER_METHODS.SIGN_MESSAGE:
+            review = reviewSignMessage(request);
+            break;
+        default:
+            review = { warnings: [], simulation: null };
+    }
+    return { ...review, hasDanger: review.warnings.some(w => w.level === 'danger') };
+}
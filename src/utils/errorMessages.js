@@ -1,8 +1,13 @@
 /**
  * User-friendly error message utility
  * Maps technical errors to human-readable messages
+ * 
+ * Typed RPC errors (see rpcErrors.js) are mapped by type first;
+ * plain errors fall back to message substring matching.
  */
 
+import { RpcError, RPC_ERROR_TYPES } from './rpcErrors';
+
 export const ERROR_MESSAGES = {
     // Network errors
     'Failed to fetch': 'Unable to connect to the network. Please check your internet connection.',
@@ -31,29 +36,67 @@ export const ERROR_MESSAGES = {
 };
 
 /**
- * Get user-friendly error message
- * @param {Error|string} error - The error object or message
- * @returns {string} User-friendly error message
+ * Messages for typed RPC errors, keyed by RpcError.type
  */
-export function getFriendlyErrorMessage(error) {
-    if (!error) return ERROR_MESSAGES.default;
-
-    const errorMessage = typeof error === 'string' ? error : error.message || error.toString();
+export const RPC_ERROR_MESSAGES = {
+    [RPC_ERROR_TYPES.TIMEOUT]: 'The network took too long to respond. Please try again.',
+    [RPC_ERROR_TYPES.NETWORK]: ERROR_MESSAGES['Failed to fetch'],
+    [RPC_ERROR_TYPES.HTTP]: 'The network is temporarily unavailable. Please try again later.',
+    [RPC_ERROR_TYPES.INVALID_RESPONSE]: 'The network returned an unexpected response. Please try again.',
+    [RPC_ERROR_TYPES.UNKNOWN_OUTCOME]: 'The transaction was sent but the network did not confirm receiving it. Check your history before sending it again.',
+    [RPC_ERROR_TYPES.NODE_REJECTED]: 'The network rejected this request. Please check the details and try again.',
+    [RPC_ERROR_TYPES.NONCE_CONFLICT]: 'Another transaction is using the same nonce. Please wait for it to confirm and try again.',
+    [RPC_ERROR_TYPES.INSUFFICIENT_BALANCE]: ERROR_MESSAGES['Insufficient balance'],
+    rate_limited: 'Too many requests to the network. Please wait a moment and try again.'
+};
 
-    // Check for exact match
+/**
+ * Match a raw message against ERROR_MESSAGES (exact, then partial)
+ */
+function matchMessage(errorMessage) {
     if (ERROR_MESSAGES[errorMessage]) {
         return ERROR_MESSAGES[errorMessage];
     }
 
-    // Check for partial match
     for (const [key, value] of Object.entries(ERROR_MESSAGES)) {
-        if (errorMessage.toLowerCase().includes(key.toLowerCase())) {
+        if (key !== 'default' && errorMessage.toLowerCase().includes(key.toLowerCase())) {
             return value;
         }
     }
 
+    return null;
+}
+
+function getRpcErrorMessage(error) {
+    if (error.type === RPC_ERROR_TYPES.HTTP && error.status === 429) {
+        return RPC_ERROR_MESSAGES.rate_limited;
+    }
+
+    // Generic rejections carry the node's reason - it may be one we know (e.g. invalid signature)
+    if (error.type === RPC_ERROR_TYPES.NODE_REJECTED) {
+        return matchMessage(error.message || '') || RPC_ERROR_MESSAGES[error.type];
+    }
+
+    return RPC_ERROR_MESSAGES[error.type] || null;
+}
+
+/**
+ * Get user-friendly error message
+ * @param {Error|string} error - The error object or message
+ * @returns {string} User-friendly error message
+ */
+export function getFriendlyErrorMessage(error) {
+    if (!error) return ERROR_MESSAGES.default;
+
+    if (error instanceof RpcError) {
+        const message = getRpcErrorMessage(error);
+        if (message) return message;
+    }
+
+    const errorMessage = typeof error === 'string' ? error : error.message || error.toString();
+
     // Return default if no match
-    return ERROR_MESSAGES.default;
+    return matchMessage(errorMessage) || ERROR_MESSAGES.default;
 }
 
 /**
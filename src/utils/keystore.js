@@ -0,0 +1,264 @@
+/**
+ * Encrypted Keystore Files - Password-Protected Wallet Export / Import
+ *
+ * One wallet per file, encrypted with a password of its own (not the
+ * wallet password). The layout follows Web3 Secret Storage, with
+ * AES-256-GCM instead of AES-CTR + MAC:
+ *
+ * FILE FORMAT (JSON, version 1):
+ *   {
+ *     "format":  "octra-keystore",
+ *     "version": 1,
+ *     "id":      random UUID,
+ *     "address": wallet address (also authenticated, see below),
+ *     "crypto": {
+ *       "cipher":       "aes-256-gcm",
+ *       "ciphertext":   hex, includes the 16-byte GCM tag,
+ *       "cipherparams": { "iv": hex, 12 bytes },
+ *       "kdf":          "pbkdf2",
+ *       "kdfparams":    { "prf": "hmac-sha256", "c": iterations, "dklen": 32, "salt": hex, 16-32 bytes }
+ *     },
+ *     "meta": { "name", "createdAt", "hdIndex", "derivationPath", "hasPassphrase" } (optional, not secret)
+ *   }
+ *
+ * The ciphertext decrypts to JSON { privateKeyB64, mnemonic?, seedHex? }.
+ * The address and the serialized meta are the GCM additional data, so a
+ * file whose address or derivation info was edited fails to decrypt, and
+ * the decrypted key must derive that address.
+ */
+
+import { importFromPrivateKey } from './crypto';
+import { isValidAddress } from './validation';
+
+export const KEYSTORE_FORMAT = 'octra-keystore';
+export const KEYSTORE_VERSION = 1;
+export const KEYSTORE_ITERATIONS = 600000;
+
+// Files are untrusted input: bound the work a crafted "c" can demand
+const MIN_ITERATIONS = 1000;
+const MAX_ITERATIONS = 10000000;
+const HEX_PATTERN = /^([0-9a-f]{2})+$/i;
+
+export class KeystoreError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'KeystoreError';
+        this.field = field;
+    }
+}
+
+function toHex(bytes) {
+    return Array.from(new Uint8Array(bytes), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fromHex(hex) {
+    return new Uint8Array(hex.match(/.{2}/g).map(byte => parseInt(byte, 16)));
+}
+
+async function deriveKeystoreKey(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        keyMaterial,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt JSON data into a "crypto" section (cipher, kdf and their params)
+ * Shared with the full backup bundle, which uses the same section layout.
+ * @param {string} additionalData - authenticated but not encrypted (GCM AAD)
+ */
+export async function encryptWithPassword(data, password, additionalData, { iterations = KEYSTORE_ITERATIONS } = {}) {
+    const salt = crypto.getRandomValues(new Uint8Array(32));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveKeystoreKey(password, salt, iterations);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(additionalData) },
+        key,
+        new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return {
+        cipher: 'aes-256-gcm',
+        ciphertext: toHex(ciphertext),
+        cipherparams: { iv: toHex(iv) },
+        kdf: 'pbkdf2',
+        kdfparams: { prf: 'hmac-sha256', c: iterations, dklen: 32, salt: toHex(salt) }
+    };
+}
+
+/**
+ * Decrypt a "crypto" section back into its JSON data
+ * Run validateCryptoSection first. Rejects on a wrong password, a modified
+ * ciphertext or different additional data - GCM cannot tell them apart.
+ */
+export async function decryptWithPassword(section, password, additionalData) {
+    const { ciphertext, cipherparams, kdfparams } = section;
+    const key = await deriveKeystoreKey(password, fromHex(kdfparams.salt), kdfparams.c);
+    const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromHex(cipherparams.iv), additionalData: new TextEncoder().encode(additionalData) },
+        key,
+        fromHex(ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Check a "crypto" section's cipher and parameters before any decryption work
+ * @param {string} label - names the file type in messages ("Keystore", "Backup")
+ * @throws {KeystoreError} naming the first problem
+ */
+export function validateCryptoSection(params, label = 'Keystore') {
+    if (!params || params.cipher !== 'aes-256-gcm') {
+        throw new KeystoreError(`Unsupported cipher: ${params?.cipher}`, 'cipher');
+    }
+    if (params.kdf !== 'pbkdf2' || params.kdfparams?.prf !== 'hmac-sha256' || params.kdfparams?.dklen !== 32) {
+        throw new KeystoreError(`Unsupported key derivation: ${params.kdf}`, 'kdf');
+    }
+
+    const { c, salt } = params.kdfparams;
+    if (!Number.isInteger(c) || c < MIN_ITERATIONS || c > MAX_ITERATIONS) {
+        throw new KeystoreError(`${label} iteration count is out of range`, 'kdfparams');
+    }
+    if (!HEX_PATTERN.test(salt || '') || salt.length < 32 || salt.length > 64) {
+        throw new KeystoreError(`${label} salt is invalid`, 'kdfparams');
+    }
+    if (!HEX_PATTERN.test(params.cipherparams?.iv || '') || params.cipherparams.iv.length !== 24) {
+        throw new KeystoreError(`${label} IV is invalid`, 'cipherparams');
+    }
+    // At least the 16-byte tag plus some content
+    if (!HEX_PATTERN.test(params.ciphertext || '') || params.ciphertext.length <= 32) {
+        throw new KeystoreError(`${label} ciphertext is invalid`, 'ciphertext');
+    }
+    return params;
+}
+
+function additionalData(address, meta) {
+    return `${address}:${JSON.stringify(meta ?? null)}`;
+}
+
+/**
+ * Encrypt a wallet into a keystore object
+ * Recovery phrase roots keep their phrase and seed; derived accounts export their key only.
+ * @param {object} options - { iterations } (tests use fewer)
+ */
+export async function encryptKeystore(wallet, password, { iterations = KEYSTORE_ITERATIONS } = {}) {
+    if (!wallet?.privateKeyB64) {
+        throw new KeystoreError('Watch-only wallets have no key to export', 'privateKey');
+    }
+    if (!password || password.length < 8) {
+        throw new KeystoreError('Keystore password must be at least 8 characters', 'password');
+    }
+
+    const isRoot = !!wallet.seedHex && !wallet.hdRoot;
+    const secret = {
+        privateKeyB64: wallet.privateKeyB64,
+        ...(isRoot && wallet.mnemonic && { mnemonic: wallet.mnemonic, seedHex: wallet.seedHex })
+    };
+
+    const meta = {
+        name: wallet.name || null,
+        createdAt: new Date().toISOString(),
+        ...(isRoot && { hdIndex: wallet.hdIndex ?? 0, hasPassphrase: !!wallet.hasPassphrase }),
+        ...(isRoot && wallet.derivationPath && { derivationPath: wallet.derivationPath })
+    };
+
+    return {
+        format: KEYSTORE_FORMAT,
+        version: KEYSTORE_VERSION,
+        id: crypto.randomUUID(),
+        address: wallet.address,
+        crypto: await encryptWithPassword(secret, password, additionalData(wallet.address, meta), { iterations }),
+        meta
+    };
+}
+
+/**
+ * Check structure and parameters before any decryption work
+ * @throws {KeystoreError} naming the first problem
+ */
+export function validateKeystore(file) {
+    if (!file || typeof file !== 'object' || file.format !== KEYSTORE_FORMAT) {
+        throw new KeystoreError('Not an Octra keystore file', 'format');
+    }
+    if (file.version !== KEYSTORE_VERSION) {
+        throw new KeystoreError(`Unsupported keystore version: ${file.version}`, 'version');
+    }
+    if (!isValidAddress(file.address)) {
+        throw new KeystoreError('Keystore has an invalid address', 'address');
+    }
+
+    validateCryptoSection(file.crypto);
+    return file;
+}
+
+/**
+ * Decrypt a keystore into a wallet record ready for the vault
+ * @throws {KeystoreError} on a wrong password or a key that does not match the address
+ */
+export async function decryptKeystore(file, password) {
+    validateKeystore(file);
+
+    let secret;
+    try {
+        secret = await decryptWithPassword(file.crypto, password, additionalData(file.address, file.meta));
+    } catch {
+        throw new KeystoreError('Incorrect keystore password or damaged file', 'password');
+    }
+
+    const wallet = await importFromPrivateKey(secret.privateKeyB64);
+    if (wallet.address !== file.address) {
+        throw new KeystoreError('Keystore key does not match its address', 'address');
+    }
+
+    const meta = file.meta || {};
+    return {
+        ...wallet,
+        ...(secret.mnemonic && {
+            mnemonic: secret.mnemonic,
+            seedHex: secret.seedHex,
+            hdIndex: meta.hdIndex ?? 0,
+            hasPassphrase: !!meta.hasPassphrase,
+            ...(meta.derivationPath && { derivationPath: meta.derivationPath })
+        }),
+        ...(meta.name && { name: meta.name })
+    };
+}
+
+export function parseKeystoreFile(text) {
+    try {
+        return validateKeystore(JSON.parse(text));
+    } catch (error) {
+        if (error instanceof KeystoreError) throw error;
+        throw new KeystoreError('Not an Octra keystore file', 'format');
+    }
+}
+
+export function getKeystoreFilename(file) {
+    return `octra_keystore_${file.address.slice(-8)}_${Math.floor(Date.now() / 1000)}.json`;
+}
+
+/**
+ * Save the keystore through a browser download
+ */
+export function downloadKeystore(file) {
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = getKeystoreFilename(file);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
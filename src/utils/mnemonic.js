@@ -0,0 +1,100 @@
+/**
+ * BIP39 Mnemonic Helpers
+ * Word counts, wordlist lookup and checksum feedback for the phrase inputs.
+ *
+ * WORD COUNTS:
+ * Every MNEMONIC_LENGTHS entry maps to an entropy size - 12 words = 128 bits,
+ * each 3 extra words add 32 bits, up to 24 words = 256 bits.
+ */
+
+import * as bip39 from 'bip39';
+import { MNEMONIC_LENGTHS } from './validation';
+
+export const DEFAULT_WORD_COUNT = 12;
+
+const WORDLIST = bip39.wordlists.english;
+const WORD_SET = new Set(WORDLIST);
+
+/**
+ * Entropy size in bytes for a supported word count
+ */
+export function entropyBytesForWordCount(wordCount) {
+    if (!MNEMONIC_LENGTHS.includes(wordCount)) {
+        throw new Error(`Recovery phrases have ${MNEMONIC_LENGTHS.join(', ')} words`);
+    }
+    return (wordCount / 3) * 4;
+}
+
+/**
+ * Lowercase, trim and collapse whitespace - the form bip39 expects
+ */
+export function normalizeMnemonic(phrase) {
+    return splitMnemonic(phrase).join(' ');
+}
+
+export function splitMnemonic(phrase) {
+    if (!phrase) return [];
+    return phrase.trim().toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+export function isMnemonicWord(word) {
+    return WORD_SET.has(word);
+}
+
+/**
+ * Wordlist entries starting with a prefix (autocomplete)
+ * BIP39 words are unique in their first 4 letters, so a few are enough
+ */
+export function suggestMnemonicWords(prefix, limit = 4) {
+    const value = (prefix || '').trim().toLowerCase();
+    if (!value) return [];
+
+    const matches = [];
+    for (const word of WORDLIST) {
+        if (word.startsWith(value)) {
+            matches.push(word);
+            if (matches.length >= limit) break;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Word-by-word and checksum feedback for a phrase
+ * @param {string|string[]} phrase - text or one entry per word (empty entries = not filled yet)
+ * @param {number} expectedCount - word count the user picked, if any
+ * @returns {object} { words, wordCount, invalidIndices, isComplete, checksumValid, error }
+ */
+export function checkMnemonic(phrase, expectedCount = null) {
+    const entries = Array.isArray(phrase)
+        ? phrase.map(word => (word || '').trim().toLowerCase())
+        : splitMnemonic(phrase);
+    const words = entries.filter(Boolean);
+
+    const invalidIndices = [];
+    entries.forEach((word, index) => {
+        if (word && !isMnemonicWord(word)) invalidIndices.push(index);
+    });
+
+    const isComplete = expectedCount
+        ? words.length === expectedCount && entries.every(Boolean)
+        : MNEMONIC_LENGTHS.includes(words.length);
+    const checksumValid = isComplete && invalidIndices.length === 0 && bip39.validateMnemonic(words.join(' '));
+
+    let error = '';
+    if (invalidIndices.length > 0) {
+        const index = invalidIndices[0];
+        error = `Word ${index + 1} ("${entries[index]}") is not in the BIP39 word list`;
+    } else if (isComplete && !checksumValid) {
+        error = 'Checksum does not match - check the spelling and order of the words';
+    }
+
+    return {
+        words,
+        wordCount: words.length,
+        invalidIndices,
+        isComplete,
+        checksumValid,
+        error
+    };
+}
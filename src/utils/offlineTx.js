@@ -0,0 +1,229 @@
+/**
+ * Offline Transactions - Unsigned / Signed Transaction Files
+ *
+ * Lets a key that never touches the network (air-gapped machine) sign
+ * native transfers prepared elsewhere:
+ *
+ *   online  SendView        createUnsignedTxFile()  -> file / QR
+ *   offline Settings        validateUnsignedTxFile() -> KeyringService -> createSignedTxFile()
+ *   online  Settings        validateSignedTxFile()  -> RPCClient.sendTransaction(file.tx)
+ *
+ * FILE FORMAT (JSON, version 1):
+ *   {
+ *     "format":    "octra-offline-tx",
+ *     "version":   1,
+ *     "kind":      "unsigned" | "signed",
+ *     "network":   "testnet" | "mainnet",
+ *     "createdAt": ISO-8601 string (informational),
+ *     "tx": {
+ *       "from":      sender address
+ *       "to_":       recipient address
+ *       "amount":    raw units, integer string ("1500000" = 1.5 OCT), > 0
+ *       "nonce":     integer >= 1
+ *       "ou":        fee in raw units, integer string, > 0
+ *       "timestamp": seconds (number)
+ *       "message":   optional memo, NOT signed
+ *       "signature", "public_key": base64, signed files only
+ *     }
+ *   }
+ *
+ * `tx` is exactly the /send-tx body: no other keys are accepted, and what
+ * gets signed is built from these fields by utils/transaction.js. Amounts
+ * shown to the user are always derived from `tx`, never from extra fields.
+ */
+
+import { isValidAddress } from './validation';
+import { createOctraAddress, base64ToBuffer } from './crypto';
+import { formatUnits } from './amount';
+import { buildTransaction, verifyTransaction, SIGNED_FIELDS } from './transaction';
+
+export const OFFLINE_TX_FORMAT = 'octra-offline-tx';
+export const OFFLINE_TX_VERSION = 1;
+export const OFFLINE_TX_KINDS = {
+    UNSIGNED: 'unsigned',
+    SIGNED: 'signed'
+};
+
+const NETWORKS = ['testnet', 'mainnet'];
+const UNSIGNED_FIELDS = [...SIGNED_FIELDS, 'message'];
+const RAW_PATTERN = /^(0|[1-9]\d*)$/;
+
+export class OfflineTxError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'OfflineTxError';
+        this.field = field;
+    }
+}
+
+/**
+ * Unsigned transaction file for `from` (does not need to be an unlocked wallet)
+ */
+export function createUnsignedTxFile({ from, to, amount, nonce, fee, message = null, network = 'testnet' }) {
+    const file = {
+        format: OFFLINE_TX_FORMAT,
+        version: OFFLINE_TX_VERSION,
+        kind: OFFLINE_TX_KINDS.UNSIGNED,
+        network,
+        createdAt: new Date().toISOString(),
+        tx: buildTransaction({ from, to, amount, nonce, fee, message })
+    };
+    validateTxFile(file, OFFLINE_TX_KINDS.UNSIGNED);
+    return file;
+}
+
+/**
+ * Signed file for `unsignedFile`; the signer must not have changed any field
+ */
+export function createSignedTxFile(unsignedFile, signedTx) {
+    for (const key of UNSIGNED_FIELDS) {
+        if (signedTx[key] !== unsignedFile.tx[key]) {
+            throw new OfflineTxError(`Signed transaction does not match the file (${key})`, key);
+        }
+    }
+
+    return {
+        format: OFFLINE_TX_FORMAT,
+        version: OFFLINE_TX_VERSION,
+        kind: OFFLINE_TX_KINDS.SIGNED,
+        network: unsignedFile.network,
+        createdAt: new Date().toISOString(),
+        tx: signedTx
+    };
+}
+
+/**
+ * Structural checks shared by both kinds
+ * @param {object} options - { address: required sender, network: required network }
+ */
+export function validateTxFile(file, kind, { address = null, network = null } = {}) {
+    if (!file || typeof file !== 'object' || file.format !== OFFLINE_TX_FORMAT) {
+        throw new OfflineTxError('Not an Octra transaction file', 'format');
+    }
+    if (file.version !== OFFLINE_TX_VERSION) {
+        throw new OfflineTxError(`Unsupported transaction file version: ${file.version}`, 'version');
+    }
+    if (file.kind !== kind) {
+        throw new OfflineTxError(`Expected a ${kind} transaction file, got ${file.kind || 'unknown'}`, 'kind');
+    }
+    if (!NETWORKS.includes(file.network)) {
+        throw new OfflineTxError(`Unknown network: ${file.network}`, 'network');
+    }
+    if (network && file.network !== network) {
+        throw new OfflineTxError(`Transaction is for ${file.network}, but the wallet is on ${network}`, 'network');
+    }
+
+    const tx = file.tx;
+    if (!tx || typeof tx !== 'object') {
+        throw new OfflineTxError('Transaction is missing', 'tx');
+    }
+
+    const allowed = kind === OFFLINE_TX_KINDS.SIGNED ? [...UNSIGNED_FIELDS, 'signature', 'public_key'] : UNSIGNED_FIELDS;
+    const unknown = Object.keys(tx).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) {
+        throw new OfflineTxError(`Unexpected transaction field: ${unknown[0]}`, unknown[0]);
+    }
+
+    if (!isValidAddress(tx.from)) throw new OfflineTxError('Invalid sender address', 'from');
+    if (!isValidAddress(tx.to_)) throw new OfflineTxError('Invalid recipient address', 'to_');
+    if (address && tx.from !== address) {
+        throw new OfflineTxError(`Transaction is from ${tx.from}, not this wallet`, 'from');
+    }
+
+    if (typeof tx.amount !== 'string' || !RAW_PATTERN.test(tx.amount) || tx.amount === '0') {
+        throw new OfflineTxError('Amount must be a positive integer string in raw units', 'amount');
+    }
+    if (typeof tx.ou !== 'string' || !RAW_PATTERN.test(tx.ou) || tx.ou === '0') {
+        throw new OfflineTxError('Fee (ou) must be a positive integer string in raw units', 'ou');
+    }
+    if (!Number.isSafeInteger(tx.nonce) || tx.nonce < 1) {
+        throw new OfflineTxError('Nonce must be a positive integer', 'nonce');
+    }
+    if (typeof tx.timestamp !== 'number' || !Number.isFinite(tx.timestamp) || tx.timestamp <= 0) {
+        throw new OfflineTxError('Invalid timestamp', 'timestamp');
+    }
+    if (tx.message !== undefined && typeof tx.message !== 'string') {
+        throw new OfflineTxError('Message must be text', 'message');
+    }
+
+    return file;
+}
+
+export function validateUnsignedTxFile(file, options = {}) {
+    return validateTxFile(file, OFFLINE_TX_KINDS.UNSIGNED, options);
+}
+
+/**
+ * Structure, signature, and public key -> sender address
+ */
+export async function validateSignedTxFile(file, options = {}) {
+    validateTxFile(file, OFFLINE_TX_KINDS.SIGNED, options);
+
+    const { tx } = file;
+    if (typeof tx.signature !== 'string' || typeof tx.public_key !== 'string') {
+        throw new OfflineTxError('Transaction is not signed', 'signature');
+    }
+    if (!verifyTransaction(tx)) {
+        throw new OfflineTxError('Invalid signature', 'signature');
+    }
+    if (await createOctraAddress(base64ToBuffer(tx.public_key)) !== tx.from) {
+        throw new OfflineTxError('Public key does not match the sender address', 'public_key');
+    }
+
+    return file;
+}
+
+/**
+ * @throws {OfflineTxError} for anything that is not JSON
+ */
+export function parseTxFile(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new OfflineTxError('Not an Octra transaction file', 'format');
+    }
+}
+
+/**
+ * @param {object} options - { compact: true } for QR codes
+ */
+export function serializeTxFile(file, { compact = false } = {}) {
+    return compact ? JSON.stringify(file) : JSON.stringify(file, null, 2);
+}
+
+/**
+ * Human-readable values, always derived from the signed fields
+ */
+export function describeTxFile(file) {
+    const { tx } = file;
+    return {
+        from: tx.from,
+        to: tx.to_,
+        amount: formatUnits(tx.amount),
+        fee: formatUnits(tx.ou),
+        total: formatUnits(BigInt(tx.amount) + BigInt(tx.ou)),
+        nonce: tx.nonce,
+        message: tx.message || null,
+        network: file.network,
+        signedAt: file.kind === OFFLINE_TX_KINDS.SIGNED ? file.createdAt : null
+    };
+}
+
+export function getTxFilename(file) {
+    return `octra_${file.kind}_tx_${file.tx.from.slice(-8)}_n${file.tx.nonce}.json`;
+}
+
+/**
+ * Save the file through a browser download
+ */
+export function downloadTxFile(file) {
+    const blob = new Blob([serializeTxFile(file)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = getTxFilename(file);
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
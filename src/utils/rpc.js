@@ -3,36 +3,153 @@
  * Handles communication with the Octra network
  * 
  * EXTENSION MODE: Direct RPC connection (no CORS restrictions)
+ * 
+ * MULTI-ENDPOINT: Each network can list several nodes. Requests go to the
+ * healthiest node (see rpcEndpointPool.js) and fail over on 5xx/timeouts.
+ * 
+ * THROTTLING: Every network hit goes through one shared scheduler
+ * (see rpcScheduler.js) - rate limit, concurrency cap and priorities.
+ * 
+ * RETRIES: Exponential backoff with jitter and Retry-After support
+ * (see rpcRetry.js), configurable per client and per call.
+ * 
+ * ERRORS: Methods throw typed errors from rpcErrors.js
+ * (timeout, network, HTTP, node rejection, invalid JSON...).
+ * 
+ * CACHING: Identical in-flight GETs are coalesced and some paths are
+ * cached for a short TTL (see rpcCache.js).
+ * 
+ * FEES: getFeeEstimate derives slow/normal/fast ou from the staging queue
+ * (see rpcFeeEstimator.js).
  */
 
-// Network RPC URLs
+import { EndpointPool, normalizeEndpoints } from './rpcEndpointPool';
+import { RequestScheduler, RPC_PRIORITY } from './rpcScheduler';
+import { createRetryPolicy, isRetryable, getRetryDelay, parseRetryAfter } from './rpcRetry';
+import { toRpcError, toRpcWriteError, createNodeRejection } from './rpcErrors';
+import { ResponseCache } from './rpcCache';
+import { FeeEstimator } from './rpcFeeEstimator';
+import { parseAmount, parseRaw, parseBalanceString, toNumber } from './amount';
+
+export { RPC_PRIORITY };
+
+const ENV_RPC_URL = (typeof import.meta !== 'undefined' && import.meta.env?.VITE_RPC_URL) || '';
+
+// Network RPC endpoints (ordered by preference)
+// VITE_RPC_URL may hold a comma-separated list
+export const RPC_ENDPOINTS = {
+    mainnet: [], // Mainnet coming soon
+    testnet: normalizeEndpoints(ENV_RPC_URL ? ENV_RPC_URL.split(',') : ['https://octra.network']),
+};
+
+// Primary URL per network (kept for single-URL callers)
 export const RPC_URLS = {
-    mainnet: '', // Mainnet coming soon
-    testnet: (typeof import.meta !== 'undefined' && import.meta.env?.VITE_RPC_URL) || 'https://octra.network',
+    mainnet: RPC_ENDPOINTS.mainnet[0] || '',
+    testnet: RPC_ENDPOINTS.testnet[0],
 };
 
 // EXTENSION MODE: Direct connection to blockchain node
 // Browser extensions bypass CORS, no proxy needed!
-const DEFAULT_RPC = RPC_URLS.testnet;
+const DEFAULT_ENDPOINTS = RPC_ENDPOINTS.testnet;
+
+// Statuses that mean "this node is unhealthy, try another one"
+const FAILOVER_STATUSES = [500, 502, 503, 504];
+
+// Connection errors raised before any byte of the request was sent: a
+// non-idempotent write may safely move on to the next endpoint
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+// POST routes that only read state (do not invalidate the GET cache)
+const READ_ONLY_POSTS = ['/contract/call-view'];
 
 class RPCClient {
-    constructor(rpcUrl = DEFAULT_RPC) {
-        this.rpcUrl = rpcUrl;
+    constructor(endpoints = DEFAULT_ENDPOINTS, options = {}) {
+        this.pool = new EndpointPool(endpoints);
+        if (this.pool.getEndpoints().length === 0) {
+            this.pool.setEndpoints(DEFAULT_ENDPOINTS);
+        }
+        this.scheduler = new RequestScheduler(options.scheduler);
+        this.retryPolicy = createRetryPolicy(options.retry);
+        // options.cache: custom rules, or false to only deduplicate
+        this.cache = new ResponseCache(options.cache === false ? [] : options.cache);
+        this.feeEstimator = new FeeEstimator();
         // Detect if running as extension or website
         const isExtension = typeof chrome !== 'undefined' && !!chrome.runtime && !!chrome.runtime.id;
         this.timeout = isExtension ? 15000 : 5000; // Faster timeout for website/dev mode
     }
 
+    /**
+     * Currently preferred endpoint (kept for backward compatibility)
+     */
+    get rpcUrl() {
+        return this.pool.getPreferred();
+    }
+
     setRpcUrl(url) {
         // Direct connection - no proxy logic needed for extension
-        this.rpcUrl = url || DEFAULT_RPC;
+        this.setEndpoints(url ? [url] : DEFAULT_ENDPOINTS);
+    }
+
+    /**
+     * Replace the ordered endpoint list (stats are kept for URLs that remain)
+     */
+    setEndpoints(endpoints) {
+        const urls = normalizeEndpoints(endpoints);
+        this.pool.setEndpoints(urls.length > 0 ? urls : DEFAULT_ENDPOINTS);
+        // Cached answers may belong to another network
+        this.cache.clear();
+        this.feeEstimator.clear();
+    }
+
+    getEndpoints() {
+        return this.pool.getEndpoints();
     }
 
     getActualRpcUrl() {
-        return this.rpcUrl;
+        return this.pool.lastUsed || this.pool.getPreferred();
     }
 
-    async request(method, path, data = null, headers = {}, retries = 2, timeoutMs = null) {
+    /**
+     * Per-endpoint health snapshot (latency, error rate, cooldown)
+     */
+    getEndpointHealth() {
+        return this.pool.getHealth();
+    }
+
+    /**
+     * Change rate limit / concurrency at runtime
+     * @param {{ratePerSecond?: number, burst?: number, maxConcurrent?: number}} options
+     */
+    configureScheduler(options) {
+        this.scheduler.configure(options);
+    }
+
+    getSchedulerStats() {
+        return this.scheduler.getStats();
+    }
+
+    /**
+     * GET cache / deduplication counters
+     */
+    getCacheStats() {
+        return this.cache.getStats();
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Change the client-wide default retry policy (see rpcRetry.js)
+     */
+    setRetryPolicy(overrides) {
+        this.retryPolicy = createRetryPolicy(overrides);
+    }
+
+    /**
+     * Single attempt against one endpoint - no retries, no failover
+     */
+    async requestEndpoint(baseUrl, method, path, data = null, headers = {}, timeoutMs = null) {
         const controller = new AbortController();
 
         // Logic: specific timeout -> default timeout. 
@@ -44,6 +161,8 @@ class RPCClient {
             timeoutId = setTimeout(() => controller.abort(), effectiveTimeout);
         }
 
+        const startedAt = Date.now();
+
         try {
             const options = {
                 method,
@@ -58,31 +177,19 @@ class RPCClient {
                 options.body = JSON.stringify(data);
             }
 
-            const response = await fetch(`${this.rpcUrl}${path}`, options);
+            const response = await fetch(`${baseUrl}${path}`, options);
             if (timeoutId) clearTimeout(timeoutId);
 
             const text = await response.text();
             let json = null;
+            let invalidJson = false;
 
             try {
                 json = text.trim() ? JSON.parse(text) : null;
             } catch (e) {
                 console.warn(`[RPC] Invalid JSON from ${path}:`, text.substring(0, 200));
                 json = null;
-            }
-
-            // Retry on 503, 502, 504 (server errors)
-            if (!response.ok && [502, 503, 504].includes(response.status) && retries > 0) {
-                // EXPONENTIAL BACKOFF + JITTER: 
-                // If 503, server is overloaded. Wait LONGER.
-                // Random delay between 2000ms and 3000ms to avoid thundering herd
-                const baseDelay = 2000;
-                const jitter = Math.floor(Math.random() * 1000);
-                const delay = baseDelay + jitter;
-
-                console.warn(`[RPC] Server error ${response.status}, retrying in ${delay}ms... (${retries} retries left)`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return this.request(method, path, data, retries - 1);
+                invalidJson = true;
             }
 
             return {
@@ -90,57 +197,141 @@ class RPCClient {
                 text,
                 json,
                 ok: response.ok,
-                error: !response.ok ? (json?.error || `HTTP ${response.status}`) : undefined
+                error: !response.ok ? (json?.error || `HTTP ${response.status}`) : undefined,
+                endpoint: baseUrl,
+                latency: Date.now() - startedAt,
+                invalidJson,
+                retryAfter: parseRetryAfter(response.headers?.get?.('Retry-After'))
             };
         } catch (error) {
             if (timeoutId) clearTimeout(timeoutId);
 
+            const latency = Date.now() - startedAt;
+
             if (error.name === 'AbortError') {
-                return { status: 0, text: 'timeout', json: null, ok: false, error: 'Request timeout (Check if RPC is UP or CORS blocked)' };
+                return { status: 0, text: 'timeout', json: null, ok: false, error: 'Request timeout (Check if RPC is UP or CORS blocked)', endpoint: baseUrl, latency, timedOut: true };
             }
 
             // Detect CORS error (fetch error with no status)
             if (error.message === 'Failed to fetch') {
-                return { status: 0, text: 'cors', json: null, ok: false, error: 'CORS Blocked: Access denied by browser (Test as Extension)' };
+                return { status: 0, text: 'cors', json: null, ok: false, error: 'CORS Blocked: Access denied by browser (Test as Extension)', endpoint: baseUrl, latency };
             }
 
-            // Retry on network errors
-            if (retries > 0) {
-                const delay = (3 - retries) * 1000;
-                console.warn(`[RPC] Network error, retrying in ${delay}ms... (${retries} retries left)`);
-                await new Promise(resolve => setTimeout(resolve, delay));
-                return this.request(method, path, data, retries - 1);
+            const notSent = NOT_SENT_ERROR_CODES.includes(error.cause?.code ?? error.code);
+            return { status: 0, text: error.message, json: null, ok: false, error: error.message, endpoint: baseUrl, latency, networkError: true, notSent };
+        }
+    }
+
+    /**
+     * One pass over the pool with failover - no retries
+     * Non-idempotent writes (idempotent: false) only move on when the request
+     * never left (connection refused, DNS): a node that timed out or answered
+     * 5xx may still have accepted it.
+     */
+    async requestPool(method, path, data, { headers = {}, timeoutMs = null, priority = RPC_PRIORITY.NORMAL, idempotent = true } = {}) {
+        let result = null;
+
+        // FAILOVER: walk the pool from healthiest to least healthy
+        for (const endpoint of this.pool.getCandidates()) {
+            result = await this.scheduler.schedule(
+                () => this.requestEndpoint(endpoint, method, path, data, headers, timeoutMs),
+                priority
+            );
+
+            const nodeFailed = result.status === 0 || FAILOVER_STATUSES.includes(result.status);
+            if (!nodeFailed) {
+                // Any real HTTP answer (incl. 4xx) means the node itself is alive
+                this.pool.recordSuccess(endpoint, result.latency, result.status);
+                return result;
             }
 
-            console.error(`[RPC] Connection error to ${path}:`, error);
-            return { status: 0, text: error.message, json: null, ok: false, error: error.message };
+            this.pool.recordFailure(endpoint, result.error, result.status);
+            if (!idempotent && !result.notSent) {
+                console.warn(`[RPC] ${endpoint} failed for ${path} after sending (${result.error}), not trying another endpoint`);
+                return result;
+            }
+            console.warn(`[RPC] ${endpoint} failed for ${path} (${result.error}), trying next endpoint...`);
         }
+
+        return result || { status: 0, text: 'no-endpoint', json: null, ok: false, error: 'No RPC endpoint configured' };
     }
 
-    async get(path, headers = {}) {
-        return this.request('GET', path, null, headers);
+    /**
+     * Request with failover and retries
+     * Every attempt reuses the same headers, body, timeout and priority.
+     * 
+     * @param {object} options
+     * @param {object} options.headers - extra request headers
+     * @param {number|null} options.timeoutMs - per-attempt timeout (0 = none, null = client default)
+     * @param {number} options.priority - see RPC_PRIORITY (default NORMAL)
+     * @param {object|false} options.retry - retry policy overrides, false = no retries
+     * @param {boolean} options.idempotent - false for writes: fail over only if nothing was sent
+     */
+    async request(method, path, data = null, options = {}) {
+        const policy = options.retry === undefined
+            ? this.retryPolicy
+            : createRetryPolicy(options.retry, this.retryPolicy);
+
+        for (let attempt = 1; ; attempt++) {
+            const result = await this.requestPool(method, path, data, options);
+
+            if (!isRetryable(policy, result, attempt)) {
+                if (result.networkError) {
+                    console.error(`[RPC] Connection error to ${path}:`, result.error);
+                }
+                return result;
+            }
+
+            const delay = getRetryDelay(policy, attempt, result.retryAfter);
+            const reason = result.status ? `Server error ${result.status}` : 'Network error';
+            console.warn(`[RPC] ${reason} on ${path}, retrying in ${delay}ms... (attempt ${attempt + 1}/${policy.maxAttempts})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
     }
 
-    async post(path, data, headers = {}, timeoutMs = null) {
-        return this.request('POST', path, data, headers, 2, timeoutMs);
+    /**
+     * GET with in-flight deduplication and per-path TTL cache
+     * @param {object} options - request options, plus `cache: false` to skip cached answers
+     */
+    async get(path, headers = {}, options = {}) {
+        const key = Object.keys(headers).length > 0 ? `${path} ${JSON.stringify(headers)}` : path;
+        return this.cache.fetch(
+            key,
+            path,
+            () => this.request('GET', path, null, { ...options, headers }),
+            options.cache !== false
+        );
+    }
+
+    async post(path, data, headers = {}, timeoutMs = null, options = {}) {
+        const result = await this.request('POST', path, data, { ...options, headers, timeoutMs });
+        // A successful write changes balances, nonces and the mempool
+        if (result.ok && !READ_ONLY_POSTS.includes(path)) this.cache.invalidateMutable();
+        return result;
     }
 
     /**
      * Get balance and nonce for an address
      */
     async getBalance(address) {
-        const result = await this.get(`/balance/${address}`);
+        // Nonce lookups jump ahead of regular reads
+        const result = await this.get(`/balance/${address}`, {}, { priority: RPC_PRIORITY.HIGH });
 
         if (result.status === 200 && result.json) {
+            // `balance` is in OCT; balanceRaw is the exact micro-unit value
+            const balanceRaw = result.json.balance_raw !== undefined
+                ? parseRaw(result.json.balance_raw)
+                : parseAmount(result.json.balance || 0);
             return {
-                balance: parseFloat(result.json.balance || 0),
+                balance: toNumber(balanceRaw),
+                balanceRaw: balanceRaw.toString(),
                 nonce: parseInt(result.json.nonce || 0)
             };
         } else if (result.status === 404) {
-            return { balance: 0, nonce: 0 };
+            return { balance: 0, balanceRaw: '0', nonce: 0 };
         }
 
-        throw new Error(result.error || 'Failed to get balance');
+        throw toRpcError(result, '/balance', 'Failed to get balance');
     }
 
     /**
@@ -160,27 +351,29 @@ class RPCClient {
             };
         }
 
-        throw new Error(result.error || 'Failed to get address info');
+        throw toRpcError(result, '/address', 'Failed to get address info');
     }
 
     /**
      * Get transaction details by hash
+     * @param {object} options - { priority } - history backfill passes LOW
      */
-    async getTransaction(txHash) {
-        const result = await this.get(`/tx/${txHash}`);
+    async getTransaction(txHash, options = {}) {
+        const result = await this.get(`/tx/${txHash}`, {}, options);
 
         if (result.status === 200 && result.json) {
             return result.json;
         }
 
-        throw new Error(result.error || 'Transaction not found');
+        throw toRpcError(result, '/tx', 'Transaction not found');
     }
 
     /**
      * Get staged transactions (pending in mempool)
+     * @param {object} options - request options, e.g. { cache: false } for nonce allocation
      */
-    async getStagedTransactions() {
-        const result = await this.get('/staging');
+    async getStagedTransactions(options = {}) {
+        const result = await this.get('/staging', {}, options);
 
         if (result.status === 200 && result.json) {
             return result.json.staged_transactions || [];
@@ -191,10 +384,12 @@ class RPCClient {
 
     /**
      * Send a transaction
+     * @throws {RpcUnknownOutcomeError} when it may have been accepted anyway - check /staging, do not re-send
      */
     async sendTransaction(tx) {
         // No timeout (0) - Wait indefinitely for server response as per user request
-        const result = await this.post('/send-tx', tx, {}, 0);
+        // Not idempotent: never retried, failed over only if nothing was sent
+        const result = await this.post('/send-tx', tx, {}, 0, { priority: RPC_PRIORITY.CRITICAL, retry: false, idempotent: false });
 
         if (result.status === 200) {
             if (result.json && result.json.status === 'accepted') {
@@ -210,10 +405,16 @@ class RPCClient {
                     txHash: parts[parts.length - 1]
                 };
             }
+
+            // 200 without "accepted"/"ok" - node refused it (JSON or plain-text reason)
+            const reason = result.json?.error || result.json?.message || result.text?.trim();
+            if (reason) {
+                throw createNodeRejection(reason, { status: result.status, endpoint: result.endpoint, path: '/send-tx', body: result.json });
+            }
         }
 
-        const error = result.json?.error || result.text || 'Transaction failed';
-        throw new Error(error);
+        // Timeout / 5xx after sending: the transaction may be in the mempool already
+        throw toRpcWriteError(result, '/send-tx', 'Transaction failed');
     }
 
     /**
@@ -221,15 +422,15 @@ class RPCClient {
      */
     async getEncryptedBalance(address, privateKey) {
         try {
-            const result = await this.request('GET', `/view_encrypted_balance/${address}`, null);
+            const result = await this.get(`/view_encrypted_balance/${address}`);
 
             if (result.status === 200 && result.json) {
                 return {
-                    public: parseFloat(result.json.public_balance?.split(' ')[0] || '0'),
-                    publicRaw: parseInt(result.json.public_balance_raw || '0'),
-                    encrypted: parseFloat(result.json.encrypted_balance?.split(' ')[0] || '0'),
-                    encryptedRaw: parseInt(result.json.encrypted_balance_raw || '0'),
-                    total: parseFloat(result.json.total_balance?.split(' ')[0] || '0')
+                    public: toNumber(parseBalanceString(result.json.public_balance)),
+                    publicRaw: parseRaw(result.json.public_balance_raw || '0').toString(),
+                    encrypted: toNumber(parseBalanceString(result.json.encrypted_balance)),
+                    encryptedRaw: parseRaw(result.json.encrypted_balance_raw || '0').toString(),
+                    total: toNumber(parseBalanceString(result.json.total_balance))
                 };
             }
 
@@ -240,60 +441,52 @@ class RPCClient {
     }
 
     /**
-     * Check if RPC is reachable
+     * Probe every endpoint and report per-endpoint health
+     * @returns {Promise<{connected: boolean, active: string|null, endpoints: Array}>}
      */
     async checkConnection() {
-        try {
-            const result = await this.get('/health');
-            return result.ok || result.status === 200;
-        } catch {
-            try {
-                // Try alternate endpoint
-                const result = await this.get('/staging');
-                return result.status === 200;
-            } catch {
-                return false;
+        const probe = (endpoint, path) => this.scheduler.schedule(
+            () => this.requestEndpoint(endpoint, 'GET', path),
+            RPC_PRIORITY.NORMAL
+        );
+
+        await Promise.all(this.pool.getEndpoints().map(async (endpoint) => {
+            let result = await probe(endpoint, '/health');
+
+            // Try alternate endpoint when the node has no /health route
+            if (!result.ok && result.status !== 0) {
+                result = await probe(endpoint, '/staging');
             }
-        }
+
+            if (result.ok) {
+                this.pool.recordSuccess(endpoint, result.latency, result.status);
+            } else {
+                this.pool.recordFailure(endpoint, result.error, result.status);
+            }
+        }));
+
+        const endpoints = this.pool.getHealth();
+        return {
+            connected: endpoints.some(e => e.status === 'healthy'),
+            active: this.pool.getPreferred(),
+            endpoints
+        };
     }
 
     /**
-     * Get fee estimate from network
-     * Returns low, medium, high fee options
+     * Slow / normal / fast fee levels estimated from /staging snapshots only:
+     * a mempool heuristic, no confirmed-transaction data (see rpcFeeEstimator.js)
+     * @param {object} options - { force: true } skips the estimator cache
+     * @returns {Promise<{low, medium, high, baseFee, ou, epochs, queueDepth, source}>}
      */
-    async getFeeEstimate(amount = 1) {
-        try {
-            // Try to get fee estimate from network
-            const result = await this.get('/fee-estimate');
-
-            if (result.status === 200 && result.json) {
-                return {
-                    low: parseFloat(result.json.low || 0.001),
-                    medium: parseFloat(result.json.medium || 0.002),
-                    high: parseFloat(result.json.high || 0.003),
-                    baseFee: parseFloat(result.json.base_fee || 0.001)
-                };
+    async getFeeEstimate(options = {}) {
+        return this.feeEstimator.estimate(async () => {
+            const result = await this.get('/staging', {}, { cache: false, priority: RPC_PRIORITY.LOW });
+            if (!result.ok || !result.json) {
+                throw toRpcError(result, '/staging', 'Failed to load staging');
             }
-
-            // Fallback: Based on 20 tx analysis from network
-            // OU 1000 = 0.001 OCT (Slow)
-            // OU 2000 = 0.002 OCT (Normal)
-            // OU 3000 = 0.003 OCT (Fast)
-            return {
-                low: 0.001,
-                medium: 0.002,
-                high: 0.003,
-                baseFee: 0.001
-            };
-        } catch {
-            // Default fallback fees - from network analysis
-            return {
-                low: 0.001,
-                medium: 0.002,
-                high: 0.003,
-                baseFee: 0.001
-            };
-        }
+            return result.json.staged_transactions || [];
+        }, options);
     }
 
     /**
@@ -327,4 +520,25 @@ export function setRpcUrl(url) {
     client.setRpcUrl(url);
 }
 
-export default RPCClient;
+export function setRpcEndpoints(endpoints) {
+    const client = getRpcClient();
+    client.setEndpoints(endpoints);
+}
+
+/**
+ * Resolve the endpoint list for the active network from saved settings
+ * Prefers settings.rpcEndpoints[network], falls back to the legacy single rpcUrl
+ */
+export function getEndpointsFromSettings(settings = {}) {
+    const network = settings.network || 'testnet';
+    const configured = normalizeEndpoints(settings.rpcEndpoints?.[network] || []);
+    if (configured.length > 0) return configured;
+    if (settings.rpcUrl) return normalizeEndpoints([settings.rpcUrl]);
+    return RPC_ENDPOINTS[network] || DEFAULT_ENDPOINTS;
+}
+
+export function applyRpcSettings(settings) {
+    setRpcEndpoints(getEndpointsFromSettings(settings));
+}
+
+export default RPCClient;
\ No newline at end of file
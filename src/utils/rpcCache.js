@@ -0,0 +1,146 @@
+/**
+ * RPC Response Cache - GET Deduplication + Per-Path TTL
+ *
+ * Identical GETs that are already in flight share one network request,
+ * and successful answers are kept for a per-path TTL:
+ *
+ * - /tx/:hash          forever, once the transaction is confirmed
+ * - /public_key/:addr  5 minutes (keys never change once registered)
+ * - /staging           3 seconds
+ * - /address/:addr     3 seconds
+ *
+ * Paths without a rule are only deduplicated, never cached. Reads with
+ * `cache: false` (nonce allocation) neither use nor join anything started
+ * earlier. Mutable entries are dropped after every successful POST (see
+ * RPCClient.post); clear() also forgets in-flight requests, so answers
+ * from the previous endpoints never land in the cache.
+ */
+
+const MAX_ENTRIES = 500;
+
+function isConfirmedTx(json) {
+    if (!json) return false;
+    if (json.status) return json.status === 'confirmed';
+    return json.epoch !== undefined && json.epoch !== null;
+}
+
+export const DEFAULT_CACHE_RULES = [
+    { pattern: /^\/tx\/[^/?]+$/, ttl: (result) => (isConfirmedTx(result.json) ? Infinity : 0) },
+    { pattern: /^\/public_key\/[^/?]+$/, ttl: (result) => (result.json?.public_key ? 5 * 60 * 1000 : 0) },
+    { pattern: /^\/staging$/, ttl: 3000 },
+    { pattern: /^\/address\/[^/]+/, ttl: 3000 }
+];
+
+class ResponseCache {
+    /**
+     * @param {Array} rules - [{ pattern: RegExp, ttl: number | (result) => number }]
+     */
+    constructor(rules = DEFAULT_CACHE_RULES) {
+        this.rules = rules;
+        this.entries = new Map();
+        this.inflight = new Map();
+        this.generation = 0; // bumped by clear()
+        this.stats = { hits: 0, misses: 0, deduped: 0, stored: 0, evicted: 0 };
+    }
+
+    /**
+     * TTL (ms) for a successful result, 0 = do not cache
+     */
+    getTtl(path, result) {
+        if (!result?.ok) return 0;
+
+        const rule = this.rules.find(r => r.pattern.test(path));
+        if (!rule) return 0;
+
+        return typeof rule.ttl === 'function' ? rule.ttl(result) : rule.ttl;
+    }
+
+    /**
+     * Serve from cache, join an in-flight request, or run the fetcher
+     * @param {string} key - cache key (path + headers)
+     * @param {string} path - request path, matched against the rules
+     * @param {Function} fetcher - performs the actual request
+     * @param {boolean} useCache - false skips cached answers and in-flight requests
+     */
+    async fetch(key, path, fetcher, useCache = true) {
+        const generation = this.generation;
+        if (!useCache) {
+            this.stats.misses++;
+            const result = await fetcher();
+            if (generation === this.generation) this._store(key, path, result);
+            return result;
+        }
+
+        const entry = this.entries.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            this.stats.hits++;
+            return entry.result;
+        }
+        if (entry) this.entries.delete(key);
+
+        if (this.inflight.has(key)) {
+            this.stats.deduped++;
+            return this.inflight.get(key);
+        }
+
+        this.stats.misses++;
+        const promise = (async () => {
+            try {
+                const result = await fetcher();
+                if (generation === this.generation) this._store(key, path, result);
+                return result;
+            } finally {
+                if (this.inflight.get(key) === promise) this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, promise);
+        return promise;
+    }
+
+    _store(key, path, result) {
+        const ttl = this.getTtl(path, result);
+        if (!(ttl > 0)) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, { result, expiresAt: Date.now() + ttl, immutable: ttl === Infinity });
+        this.stats.stored++;
+
+        // Map keeps insertion order - evict the oldest
+        while (this.entries.size > MAX_ENTRIES) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.stats.evicted++;
+        }
+    }
+
+    /**
+     * Drop everything that can still change (keeps confirmed transactions)
+     */
+    invalidateMutable() {
+        for (const [key, entry] of this.entries) {
+            if (!entry.immutable) this.entries.delete(key);
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+        this.inflight.clear();
+        this.generation++;
+    }
+
+    /**
+     * Cache counters for debugging
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.deduped;
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            inflight: this.inflight.size,
+            hitRate: lookups > 0 ? Math.round(((this.stats.hits + this.stats.deduped) / lookups) * 100) / 100 : 0
+        };
+    }
+}
+
+export { ResponseCache };
+export default ResponseCache;
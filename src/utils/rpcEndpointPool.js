@@ -0,0 +1,226 @@
+/**
+ * RPC Endpoint Pool - Health Scoring & Failover
+ *
+ * Tracks every configured RPC node and ranks them so each request
+ * goes to the healthiest one first.
+ *
+ * SCORING:
+ * - Latency: exponential moving average of response times
+ * - Error rate: share of failures over the last N requests
+ * - Order: the user's ordering acts as a tie-breaker (earlier = preferred)
+ *
+ * COOLDOWN:
+ * After 3 consecutive failures an endpoint is parked (30s, doubling up to 5 min).
+ * Parked endpoints are still tried last so a fully-down pool keeps working.
+ */
+
+const LATENCY_ALPHA = 0.3;          // EWMA smoothing factor
+const DEFAULT_LATENCY = 500;        // Assumed latency (ms) before first sample
+const OUTCOME_WINDOW = 20;          // Requests considered for error rate
+const ERROR_PENALTY = 4;            // Score multiplier weight for error rate
+const ORDER_BIAS = 50;              // ms added per position in the user's list
+const FAILURES_BEFORE_COOLDOWN = 3;
+const BASE_COOLDOWN = 30 * 1000;    // 30 seconds
+const MAX_COOLDOWN = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Normalize user input into a clean, de-duplicated URL list
+ */
+export function normalizeEndpoints(endpoints) {
+    const list = Array.isArray(endpoints) ? endpoints : [endpoints];
+    const seen = new Set();
+    const result = [];
+
+    for (const raw of list) {
+        if (typeof raw !== 'string') continue;
+        const url = raw.trim().replace(/\/+$/, '');
+        if (!url || seen.has(url)) continue;
+        seen.add(url);
+        result.push(url);
+    }
+
+    return result;
+}
+
+function createStats(url) {
+    return {
+        url,
+        latency: null,
+        outcomes: [],
+        successCount: 0,
+        failureCount: 0,
+        consecutiveFailures: 0,
+        cooldownUntil: 0,
+        lastError: null,
+        lastStatus: null,
+        lastCheckedAt: null
+    };
+}
+
+class EndpointPool {
+    constructor(endpoints = []) {
+        this.stats = new Map();
+        this.endpoints = [];
+        this.lastUsed = null;
+        this.setEndpoints(endpoints);
+    }
+
+    /**
+     * Replace the endpoint list, keeping stats for URLs that remain
+     */
+    setEndpoints(endpoints) {
+        const urls = normalizeEndpoints(endpoints);
+        const nextStats = new Map();
+
+        for (const url of urls) {
+            nextStats.set(url, this.stats.get(url) || createStats(url));
+        }
+
+        this.endpoints = urls;
+        this.stats = nextStats;
+
+        if (!this.stats.has(this.lastUsed)) {
+            this.lastUsed = null;
+        }
+    }
+
+    getEndpoints() {
+        return [...this.endpoints];
+    }
+
+    /**
+     * Error rate over the recent outcome window (0..1)
+     */
+    getErrorRate(url) {
+        const entry = this.stats.get(url);
+        if (!entry || entry.outcomes.length === 0) return 0;
+        const failures = entry.outcomes.filter(ok => !ok).length;
+        return failures / entry.outcomes.length;
+    }
+
+    isCoolingDown(url, now = Date.now()) {
+        const entry = this.stats.get(url);
+        return !!entry && entry.cooldownUntil > now;
+    }
+
+    /**
+     * Lower score = healthier
+     */
+    score(url) {
+        const entry = this.stats.get(url);
+        if (!entry) return Infinity;
+
+        const latency = entry.latency ?? DEFAULT_LATENCY;
+        const position = this.endpoints.indexOf(url);
+        return latency * (1 + ERROR_PENALTY * this.getErrorRate(url)) + position * ORDER_BIAS;
+    }
+
+    /**
+     * Endpoints in the order they should be tried
+     * Healthy endpoints by score, then cooling-down ones by soonest recovery
+     */
+    getCandidates(now = Date.now()) {
+        const healthy = [];
+        const parked = [];
+
+        for (const url of this.endpoints) {
+            (this.isCoolingDown(url, now) ? parked : healthy).push(url);
+        }
+
+        healthy.sort((a, b) => this.score(a) - this.score(b));
+        parked.sort((a, b) => this.stats.get(a).cooldownUntil - this.stats.get(b).cooldownUntil);
+
+        return [...healthy, ...parked];
+    }
+
+    /**
+     * The endpoint the next request will use
+     */
+    getPreferred() {
+        return this.getCandidates()[0] || null;
+    }
+
+    recordSuccess(url, latencyMs, status = 200) {
+        const entry = this.stats.get(url);
+        if (!entry) return;
+
+        entry.latency = entry.latency === null
+            ? latencyMs
+            : Math.round(LATENCY_ALPHA * latencyMs + (1 - LATENCY_ALPHA) * entry.latency);
+        this._pushOutcome(entry, true);
+        entry.successCount++;
+        entry.consecutiveFailures = 0;
+        entry.cooldownUntil = 0;
+        entry.lastStatus = status;
+        entry.lastError = null;
+        entry.lastCheckedAt = Date.now();
+        this.lastUsed = url;
+    }
+
+    recordFailure(url, error, status = 0) {
+        const entry = this.stats.get(url);
+        if (!entry) return;
+
+        this._pushOutcome(entry, false);
+        entry.failureCount++;
+        entry.consecutiveFailures++;
+        entry.lastStatus = status;
+        entry.lastError = error || `HTTP ${status}`;
+        entry.lastCheckedAt = Date.now();
+
+        if (entry.consecutiveFailures >= FAILURES_BEFORE_COOLDOWN) {
+            const exponent = entry.consecutiveFailures - FAILURES_BEFORE_COOLDOWN;
+            const cooldown = Math.min(BASE_COOLDOWN * 2 ** exponent, MAX_COOLDOWN);
+            entry.cooldownUntil = Date.now() + cooldown;
+        }
+    }
+
+    _pushOutcome(entry, ok) {
+        entry.outcomes.push(ok);
+        if (entry.outcomes.length > OUTCOME_WINDOW) {
+            entry.outcomes.shift();
+        }
+    }
+
+    /**
+     * Snapshot of every endpoint's health (safe to render in UI)
+     */
+    getHealth() {
+        const now = Date.now();
+        const preferred = this.getPreferred();
+
+        return this.endpoints.map(url => {
+            const entry = this.stats.get(url);
+            const coolingDown = this.isCoolingDown(url, now);
+            const total = entry.successCount + entry.failureCount;
+
+            let status = 'unknown';
+            if (coolingDown) status = 'down';
+            else if (entry.consecutiveFailures > 0) status = 'degraded';
+            else if (total > 0) status = 'healthy';
+
+            return {
+                url,
+                status,
+                latency: entry.latency,
+                errorRate: this.getErrorRate(url),
+                successCount: entry.successCount,
+                failureCount: entry.failureCount,
+                lastError: entry.lastError,
+                lastStatus: entry.lastStatus,
+                lastCheckedAt: entry.lastCheckedAt,
+                cooldownUntil: coolingDown ? entry.cooldownUntil : null,
+                isPreferred: url === preferred,
+                isLastUsed: url === this.lastUsed
+            };
+        });
+    }
+
+    reset() {
+        this.stats = new Map(this.endpoints.map(url => [url, createStats(url)]));
+        this.lastUsed = null;
+    }
+}
+
+export { EndpointPool };
+export default EndpointPool;
@@ -0,0 +1,205 @@
+/**
+ * Typed RPC Errors
+ *
+ * RPCClient methods throw one of these instead of a bare Error(string),
+ * so callers (and getFriendlyErrorMessage) can branch on the error type.
+ *
+ *   RpcError
+ *   ├── RpcTimeoutError          - no answer within the timeout
+ *   ├── RpcNetworkError          - connection refused, DNS, CORS...
+ *   ├── RpcHttpError             - unexpected HTTP status (5xx, 429, ...)
+ *   ├── RpcInvalidResponseError  - body is not the JSON we expected
+ *   ├── RpcUnknownOutcomeError   - a write was sent but no answer says whether it was accepted
+ *   └── RpcNodeRejectedError     - node answered and refused the request
+ *       ├── NonceConflictError
+ *       └── InsufficientBalanceError
+ */
+
+export const RPC_ERROR_TYPES = {
+    UNKNOWN: 'rpc_error',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    HTTP: 'http',
+    INVALID_RESPONSE: 'invalid_response',
+    UNKNOWN_OUTCOME: 'unknown_outcome',
+    NODE_REJECTED: 'node_rejected',
+    NONCE_CONFLICT: 'nonce_conflict',
+    INSUFFICIENT_BALANCE: 'insufficient_balance'
+};
+
+class RpcError extends Error {
+    /**
+     * @param {string} message
+     * @param {object} details - { status, endpoint, path, code, body }
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'RpcError';
+        this.type = RPC_ERROR_TYPES.UNKNOWN;
+        this.status = details.status ?? 0;
+        this.endpoint = details.endpoint || null;
+        this.path = details.path || null;
+        this.code = details.code ?? null;
+        this.body = details.body ?? null;
+    }
+}
+
+class RpcTimeoutError extends RpcError {
+    constructor(message = 'Request timeout', details) {
+        super(message, details);
+        this.name = 'RpcTimeoutError';
+        this.type = RPC_ERROR_TYPES.TIMEOUT;
+    }
+}
+
+class RpcNetworkError extends RpcError {
+    constructor(message = 'Network error', details) {
+        super(message, details);
+        this.name = 'RpcNetworkError';
+        this.type = RPC_ERROR_TYPES.NETWORK;
+    }
+}
+
+class RpcHttpError extends RpcError {
+    constructor(message, details) {
+        super(message || `HTTP ${details?.status}`, details);
+        this.name = 'RpcHttpError';
+        this.type = RPC_ERROR_TYPES.HTTP;
+    }
+}
+
+class RpcInvalidResponseError extends RpcError {
+    constructor(message = 'Invalid JSON response from node', details) {
+        super(message, details);
+        this.name = 'RpcInvalidResponseError';
+        this.type = RPC_ERROR_TYPES.INVALID_RESPONSE;
+    }
+}
+
+/**
+ * The node may or may not have accepted the write (timeout, dropped
+ * connection, 5xx after sending). Never re-send - look for it instead.
+ */
+class RpcUnknownOutcomeError extends RpcError {
+    constructor(message = 'The request was sent but its outcome is unknown', details) {
+        super(message, details);
+        this.name = 'RpcUnknownOutcomeError';
+        this.type = RPC_ERROR_TYPES.UNKNOWN_OUTCOME;
+    }
+}
+
+class RpcNodeRejectedError extends RpcError {
+    constructor(message = 'Request rejected by node', details) {
+        super(message, details);
+        this.name = 'RpcNodeRejectedError';
+        this.type = RPC_ERROR_TYPES.NODE_REJECTED;
+    }
+}
+
+class NonceConflictError extends RpcNodeRejectedError {
+    constructor(message = 'Nonce conflict', details) {
+        super(message, details);
+        this.name = 'NonceConflictError';
+        this.type = RPC_ERROR_TYPES.NONCE_CONFLICT;
+    }
+}
+
+class InsufficientBalanceError extends RpcNodeRejectedError {
+    constructor(message = 'Insufficient balance', details) {
+        super(message, details);
+        this.name = 'InsufficientBalanceError';
+        this.type = RPC_ERROR_TYPES.INSUFFICIENT_BALANCE;
+    }
+}
+
+// Node rejection reasons we can recognize (messages vary between node versions)
+const NONCE_PATTERN = /nonce/i;
+const BALANCE_PATTERN = /insufficient|not enough balance/i;
+
+/**
+ * Classify a node rejection message into the most specific error type
+ */
+export function createNodeRejection(message, details = {}) {
+    if (NONCE_PATTERN.test(message)) return new NonceConflictError(message, details);
+    if (BALANCE_PATTERN.test(message)) return new InsufficientBalanceError(message, details);
+    return new RpcNodeRejectedError(message, details);
+}
+
+/**
+ * Build a typed error from a failed RPCClient.request() result
+ * @param {object} result - { status, text, json, error, endpoint, timedOut, invalidJson }
+ * @param {string} path - request path (for debugging)
+ * @param {string} fallbackMessage - used when the node gave no reason
+ */
+export function toRpcError(result, path = null, fallbackMessage = 'RPC request failed') {
+    const details = {
+        status: result?.status ?? 0,
+        endpoint: result?.endpoint,
+        path,
+        code: result?.json?.code ?? result?.json?.error_code ?? null,
+        body: result?.json ?? null
+    };
+
+    if (!result) return new RpcError(fallbackMessage, details);
+
+    if (result.status === 0) {
+        if (result.timedOut) return new RpcTimeoutError(result.error, details);
+        return new RpcNetworkError(result.error || fallbackMessage, details);
+    }
+
+    const reason = result.json?.error || result.json?.message || result.json?.reason;
+
+    if (result.status >= 200 && result.status < 300) {
+        if (reason) return createNodeRejection(String(reason), details);
+        if (result.invalidJson) {
+            return new RpcInvalidResponseError(undefined, { ...details, body: result.text?.substring(0, 200) });
+        }
+        return new RpcError(fallbackMessage, details);
+    }
+
+    // 4xx = the node looked at the request and said no (plain-text bodies are reasons too)
+    // 404 and 429 are about the route / our request rate, not the request itself
+    const isRejection = result.status >= 400 && result.status < 500 && ![404, 429].includes(result.status);
+    const textReason = result.invalidJson ? result.text?.trim() : null;
+    if (isRejection && (reason || textReason)) {
+        return createNodeRejection(String(reason || textReason), details);
+    }
+
+    return new RpcHttpError(reason || result.error || fallbackMessage, details);
+}
+
+/**
+ * True when a failed write may still have reached the node: it timed out,
+ * the connection broke after the request went out, or a server (or the
+ * proxy in front of it) failed while handling it
+ */
+export function isUnknownOutcome(result) {
+    if (!result || result.ok) return false;
+    if (result.status === 0) return !result.notSent && result.text !== 'no-endpoint';
+    return result.status >= 500;
+}
+
+/**
+ * toRpcError for non-idempotent writes (/send-tx, /call-contract)
+ */
+export function toRpcWriteError(result, path = null, fallbackMessage = 'RPC request failed') {
+    if (!isUnknownOutcome(result)) return toRpcError(result, path, fallbackMessage);
+    return new RpcUnknownOutcomeError(undefined, {
+        status: result.status,
+        endpoint: result.endpoint,
+        path,
+        body: result.json ?? null
+    });
+}
+
+export {
+    RpcError,
+    RpcTimeoutError,
+    RpcNetworkError,
+    RpcHttpError,
+    RpcInvalidResponseError,
+    RpcUnknownOutcomeError,
+    RpcNodeRejectedError,
+    NonceConflictError,
+    InsufficientBalanceError
+};
@@ -0,0 +1,193 @@
+/**
+ * RPC Fee Estimator - Slow / Normal / Fast ou From The Mempool
+ *
+ * The node has no fee oracle and we read no confirmed-transaction data, so
+ * this is a mempool-only heuristic built from /staging snapshots:
+ *
+ * - current queue   ou of every queued transaction (queue depth + competition)
+ * - left the queue  staged transactions seen in earlier snapshots that are
+ *                   gone now. Assumed included, but dropped or replaced
+ *                   transactions are counted the same way
+ *
+ * LEVELS (micro units, never below MIN_OU):
+ *   slow   = 25th percentile
+ *   normal = 50th percentile
+ *   fast   = 90th percentile, at least the 90th percentile of the queue
+ *            (not its maximum: one outlier must not set everyone's fee)
+ *
+ * EXPECTED CONFIRMATION (an approximation, not a guarantee):
+ *   Higher ou is confirmed first, so a level waits behind every queued
+ *   transaction paying at least as much:
+ *     epochs = ceil((queued with ou >= level + 1) / capacity)
+ *   where capacity = transactions leaving the queue per epoch observed so
+ *   far (DEFAULT_EPOCH_CAPACITY until there is enough data).
+ *
+ * With fewer than MIN_SAMPLES data points the fixed 1000 / 2000 / 3000 ou
+ * defaults are used. Results are cached for CACHE_TTL; clear() discards
+ * anything still being fetched for the previous network.
+ */
+
+import { toNumber } from './amount';
+
+const MIN_OU = 1000;
+const DEFAULT_OU = { low: 1000, medium: 2000, high: 3000 };
+
+const EPOCH_MS = 10 * 1000;          // ~10s per epoch
+const DEFAULT_EPOCH_CAPACITY = 100;  // transactions per epoch until measured
+const MIN_SAMPLES = 5;
+const CACHE_TTL = 15 * 1000;
+const HISTORY_WINDOW = 10 * 60 * 1000; // left-the-queue samples kept for 10 minutes
+const MAX_HISTORY = 200;
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function toOu(value) {
+    const ou = parseInt(value);
+    return Number.isFinite(ou) && ou > 0 ? ou : null;
+}
+
+/**
+ * Expected epochs until a transaction paying `ou` is confirmed
+ */
+export function estimateEpochs(ou, stagedOus, capacity = DEFAULT_EPOCH_CAPACITY) {
+    const ahead = stagedOus.filter(o => o >= ou).length;
+    return Math.max(1, Math.ceil((ahead + 1) / Math.max(1, capacity)));
+}
+
+class FeeEstimator {
+    constructor() {
+        this.seen = new Map();   // hash -> { ou, firstSeen } (currently staged)
+        this.confirmed = [];     // [{ ou, confirmedAt }] (recently left the queue, assumed included)
+        this.firstSnapshotAt = null;
+        this.cached = null;
+        this.inflight = null;
+        this.generation = 0;     // bumped by clear()
+    }
+
+    /**
+     * Record a /staging snapshot: transactions that disappeared since the
+     * previous one are assumed confirmed (dropped ones can't be told apart)
+     */
+    observe(staged, now = Date.now()) {
+        const current = new Map();
+        for (const tx of staged) {
+            const ou = toOu(tx.ou);
+            if (!tx.hash || ou === null) continue;
+            current.set(tx.hash, this.seen.get(tx.hash) || { ou, firstSeen: now });
+        }
+
+        for (const [hash, entry] of this.seen) {
+            if (!current.has(hash)) {
+                this.confirmed.push({ ou: entry.ou, confirmedAt: now });
+            }
+        }
+
+        this.seen = current;
+        this.confirmed = this.confirmed
+            .filter(c => now - c.confirmedAt <= HISTORY_WINDOW)
+            .slice(-MAX_HISTORY);
+        if (this.firstSnapshotAt === null) this.firstSnapshotAt = now;
+    }
+
+    /**
+     * Transactions leaving the queue per epoch since we started watching
+     */
+    getCapacity(now = Date.now()) {
+        if (this.firstSnapshotAt === null || this.confirmed.length < MIN_SAMPLES) {
+            return DEFAULT_EPOCH_CAPACITY;
+        }
+        const windowStart = Math.max(this.firstSnapshotAt, now - HISTORY_WINDOW);
+        const epochs = Math.max(1, (now - windowStart) / EPOCH_MS);
+        return Math.max(1, Math.round(this.confirmed.length / epochs));
+    }
+
+    /**
+     * Fee levels for the current snapshot (no network access)
+     */
+    compute(staged, now = Date.now()) {
+        const stagedOus = staged.map(tx => toOu(tx.ou)).filter(ou => ou !== null);
+        const sample = [...stagedOus, ...this.confirmed.map(c => c.ou)].sort((a, b) => a - b);
+        const capacity = this.getCapacity(now);
+
+        let ou = { ...DEFAULT_OU };
+        let source = 'default';
+
+        if (sample.length >= MIN_SAMPLES) {
+            const low = Math.max(MIN_OU, percentile(sample, 25));
+            const medium = Math.max(low, percentile(sample, 50));
+            const queueHigh = percentile([...stagedOus].sort((a, b) => a - b), 90);
+            const high = Math.max(medium, percentile(sample, 90), queueHigh);
+            ou = { low, medium, high };
+            source = 'network';
+        }
+
+        return {
+            low: toNumber(BigInt(ou.low)),
+            medium: toNumber(BigInt(ou.medium)),
+            high: toNumber(BigInt(ou.high)),
+            baseFee: toNumber(BigInt(MIN_OU)),
+            ou,
+            epochs: {
+                low: estimateEpochs(ou.low, stagedOus, capacity),
+                medium: estimateEpochs(ou.medium, stagedOus, capacity),
+                high: estimateEpochs(ou.high, stagedOus, capacity)
+            },
+            queueDepth: stagedOus.length,
+            samples: sample.length,
+            source,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Cached estimate; `fetchStaged` loads the current /staging list
+     * @param {Function} fetchStaged - async () => staged transactions
+     * @param {object} options - { force: true } skips the cache
+     */
+    async estimate(fetchStaged, { force = false } = {}) {
+        if (!force && this.cached && Date.now() - this.cached.updatedAt < CACHE_TTL) {
+            return this.cached;
+        }
+        if (this.inflight) return this.inflight;
+
+        // A snapshot fetched before clear() belongs to the previous network
+        const generation = this.generation;
+        const inflight = (async () => {
+            try {
+                const staged = await fetchStaged();
+                if (generation !== this.generation) return this.compute(staged);
+                this.observe(staged);
+                this.cached = this.compute(staged);
+                return this.cached;
+            } catch {
+                // Keep the last good estimate, otherwise the defaults
+                const last = generation === this.generation ? this.cached : null;
+                return last || { ...this.compute([]), epochs: { low: null, medium: null, high: null } };
+            } finally {
+                if (this.inflight === inflight) this.inflight = null;
+            }
+        })();
+        this.inflight = inflight;
+
+        return inflight;
+    }
+
+    clear() {
+        this.seen.clear();
+        this.confirmed = [];
+        this.firstSnapshotAt = null;
+        this.cached = null;
+        this.inflight = null;
+        this.generation++;
+    }
+}
+
+export { FeeEstimator };
+export default FeeEstimator;
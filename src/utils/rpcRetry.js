@@ -0,0 +1,89 @@
+/**
+ * RPC Retry Policy
+ *
+ * Exponential backoff with jitter, capped delay and Retry-After support.
+ * A policy is a plain object so it can be overridden per call:
+ *
+ *   rpc.get('/staging', {}, { retry: { maxAttempts: 1 } })
+ *   rpc.post('/send-tx', tx, {}, 0, { retry: false })   // never retry
+ */
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,                           // Total attempts, including the first one
+    baseDelay: 1000,                          // Delay before the 1st retry (ms)
+    maxDelay: 15000,                          // Backoff cap (ms)
+    factor: 2,                                // Backoff multiplier per attempt
+    jitter: 0.5,                              // 0 = none, 1 = full jitter
+    retryableStatuses: [429, 502, 503, 504],
+    retryOnNetworkError: true,
+    retryOnTimeout: false,                    // Timeouts already waited the full budget
+    respectRetryAfter: true,
+    maxRetryAfter: 30000                      // Give up instead of waiting longer than this (ms)
+};
+
+/**
+ * Build a policy from overrides
+ * @param {object|false|null} overrides - partial policy, or false to disable retries
+ * @param {object} base - policy to extend
+ */
+export function createRetryPolicy(overrides = {}, base = DEFAULT_RETRY_POLICY) {
+    if (overrides === false) {
+        return { ...base, maxAttempts: 1 };
+    }
+
+    const policy = { ...base, ...(overrides || {}) };
+    policy.maxAttempts = Math.max(1, Math.floor(policy.maxAttempts));
+    policy.jitter = Math.min(1, Math.max(0, policy.jitter));
+    return policy;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const trimmed = String(value).trim();
+    if (/^\d+(\.\d+)?$/.test(trimmed)) {
+        return Math.round(parseFloat(trimmed) * 1000);
+    }
+
+    const date = Date.parse(trimmed);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * Whether a failed result should be retried after `attempt` attempts
+ */
+export function isRetryable(policy, result, attempt) {
+    if (!result || result.ok || attempt >= policy.maxAttempts) return false;
+
+    if (result.status === 0) {
+        if (result.timedOut) return policy.retryOnTimeout;
+        return !!result.networkError && policy.retryOnNetworkError;
+    }
+
+    if (!policy.retryableStatuses.includes(result.status)) return false;
+
+    // A server asking us to wait longer than we allow means "give up"
+    if (policy.respectRetryAfter && result.retryAfter != null && result.retryAfter > policy.maxRetryAfter) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Delay before the next attempt (attempt = number of attempts made so far)
+ */
+export function getRetryDelay(policy, attempt, retryAfter = null, random = Math.random) {
+    if (policy.respectRetryAfter && retryAfter != null) {
+        return Math.min(retryAfter, policy.maxRetryAfter);
+    }
+
+    const exponential = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1));
+    // Keep (1 - jitter) of the delay fixed, randomize the rest
+    return Math.round(exponential * (1 - policy.jitter + policy.jitter * random()));
+}
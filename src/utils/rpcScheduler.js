@@ -0,0 +1,132 @@
+/**
+ * RPC Request Scheduler - Token Bucket + Priority Queue
+ *
+ * Every network hit made by RPCClient goes through one shared scheduler,
+ * so callers no longer need their own sleeps or batching.
+ *
+ * - Token bucket: sustained `ratePerSecond`, short bursts up to `burst`
+ * - Concurrency cap: at most `maxConcurrent` requests in flight
+ * - Priorities: lower number runs first, FIFO within the same priority
+ */
+
+export const RPC_PRIORITY = {
+    CRITICAL: 0, // Sending transactions / contract calls
+    HIGH: 1,     // Balance & nonce lookups
+    NORMAL: 2,   // Regular reads (address info, staging, views)
+    LOW: 3       // History backfill, background refresh
+};
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+    ratePerSecond: 4,
+    burst: 4,
+    maxConcurrent: 3
+};
+
+class RequestScheduler {
+    constructor(options = {}) {
+        this.queue = [];
+        this.active = 0;
+        this.sequence = 0;
+        this.dispatched = 0;
+        this.timer = null;
+        this.configure({ ...DEFAULT_SCHEDULER_OPTIONS, ...options });
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+    }
+
+    /**
+     * Update limits at runtime (takes effect on the next dispatch)
+     */
+    configure(options = {}) {
+        if (options.ratePerSecond !== undefined) {
+            this.ratePerSecond = Math.max(0.1, Number(options.ratePerSecond));
+        }
+        if (options.burst !== undefined) {
+            this.burst = Math.max(1, Math.floor(options.burst));
+            if (this.tokens > this.burst) this.tokens = this.burst;
+        }
+        if (options.maxConcurrent !== undefined) {
+            this.maxConcurrent = Math.max(1, Math.floor(options.maxConcurrent));
+        }
+        this._pump();
+    }
+
+    /**
+     * Queue a task; resolves/rejects with the task's own result
+     * @param {Function} task - async function performing the request
+     * @param {number} priority - one of RPC_PRIORITY
+     */
+    schedule(task, priority = RPC_PRIORITY.NORMAL) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, priority, seq: this.sequence++, resolve, reject });
+            // Stable priority order: priority first, then arrival
+            this.queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+            this._pump();
+        });
+    }
+
+    _refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerSecond);
+        this.lastRefill = now;
+    }
+
+    _pump() {
+        if (this.timer) return;
+
+        while (this.queue.length > 0 && this.active < this.maxConcurrent) {
+            this._refill();
+
+            if (this.tokens < 1) {
+                // Wait exactly until the next token is available
+                const waitMs = Math.ceil(((1 - this.tokens) / this.ratePerSecond) * 1000);
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this._pump();
+                }, waitMs);
+                return;
+            }
+
+            this.tokens -= 1;
+            this._run(this.queue.shift());
+        }
+    }
+
+    async _run(job) {
+        this.active++;
+        this.dispatched++;
+        try {
+            job.resolve(await job.task());
+        } catch (error) {
+            job.reject(error);
+        } finally {
+            this.active--;
+            this._pump();
+        }
+    }
+
+    /**
+     * Queue/limiter state for debugging
+     */
+    getStats() {
+        const queuedByPriority = {};
+        for (const [name, value] of Object.entries(RPC_PRIORITY)) {
+            queuedByPriority[name] = this.queue.filter(job => job.priority === value).length;
+        }
+
+        return {
+            queued: this.queue.length,
+            queuedByPriority,
+            active: this.active,
+            dispatched: this.dispatched,
+            tokens: Math.floor(this.tokens * 100) / 100,
+            ratePerSecond: this.ratePerSecond,
+            burst: this.burst,
+            maxConcurrent: this.maxConcurrent
+        };
+    }
+}
+
+export { RequestScheduler };
+export default RequestScheduler;
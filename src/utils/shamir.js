@@ -0,0 +1,286 @@
+/**
+ * Shamir Secret Sharing - Recovery Phrase Backup Shares
+ *
+ * The phrase's BIP39 entropy is split into N shares; any M of them
+ * (the threshold) rebuild it, fewer reveal nothing. Arithmetic is byte-wise
+ * in GF(256) with the AES polynomial, one random polynomial per byte.
+ *
+ * SHARE FORMAT (version 1), written as BIP39 English words (11 bits each):
+ *   [0]      version
+ *   [1..2]   backup id - random, the same on every share of one split
+ *   [3]      threshold M
+ *   [4]      share count N
+ *   [5]      share index x (1..N)
+ *   [6]      secret length L (16-32 bytes of entropy)
+ *   [7..]    L bytes of share data
+ *   [last 4] checksum - first bytes of SHA-512 over everything before it
+ * The bit string is zero-padded to a whole number of words.
+ *
+ * Shares only cover the words. A BIP39 passphrase or custom derivation
+ * path is still needed next to them to restore the same wallet.
+ */
+
+import * as bip39 from 'bip39';
+import nacl from 'tweetnacl';
+import { Buffer } from 'buffer';
+import { normalizeMnemonic, splitMnemonic } from './mnemonic';
+
+export const SHARE_VERSION = 1;
+export const SHAMIR_MIN_THRESHOLD = 2;
+export const SHAMIR_MAX_SHARES = 16;
+
+const HEADER_LENGTH = 7;
+const CHECKSUM_LENGTH = 4;
+const WORDLIST = bip39.wordlists.english;
+const WORD_INDEX = new Map(WORDLIST.map((word, index) => [word, index]));
+
+// GF(256) log / exp tables, generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+    EXP[i] = x;
+    EXP[i + 255] = x;
+    LOG[x] = i;
+    x ^= (x << 1) ^ (x & 0x80 ? 0x11b : 0);
+}
+
+function gfMul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return EXP[LOG[a] + LOG[b]];
+}
+
+function gfDiv(a, b) {
+    if (a === 0) return 0;
+    return EXP[LOG[a] + 255 - LOG[b]];
+}
+
+/**
+ * Split a secret into shareCount shares, any threshold of which recover it
+ * @returns {Array} [{ index, data }] with index 1..shareCount
+ */
+export function splitSecret(secret, threshold, shareCount) {
+    if (!Number.isInteger(shareCount) || shareCount < SHAMIR_MIN_THRESHOLD || shareCount > SHAMIR_MAX_SHARES) {
+        throw new Error(`Choose between ${SHAMIR_MIN_THRESHOLD} and ${SHAMIR_MAX_SHARES} shares`);
+    }
+    if (!Number.isInteger(threshold) || threshold < SHAMIR_MIN_THRESHOLD || threshold > shareCount) {
+        throw new Error(`Threshold must be between ${SHAMIR_MIN_THRESHOLD} and the number of shares`);
+    }
+
+    const shares = Array.from({ length: shareCount }, (_, i) => ({
+        index: i + 1,
+        data: new Uint8Array(secret.length)
+    }));
+
+    for (let byte = 0; byte < secret.length; byte++) {
+        // f(0) = secret byte, higher coefficients random
+        const coefficients = [secret[byte], ...crypto.getRandomValues(new Uint8Array(threshold - 1))];
+        for (const share of shares) {
+            let y = 0;
+            for (let c = coefficients.length - 1; c >= 0; c--) {
+                y = gfMul(y, share.index) ^ coefficients[c];
+            }
+            share.data[byte] = y;
+        }
+    }
+    return shares;
+}
+
+/**
+ * Lagrange interpolation at x = 0 over [{ index, data }]
+ */
+export function combineShares(shares) {
+    const length = shares[0].data.length;
+    const secret = new Uint8Array(length);
+
+    for (let byte = 0; byte < length; byte++) {
+        let value = 0;
+        for (const share of shares) {
+            let basis = 1;
+            for (const other of shares) {
+                if (other === share) continue;
+                basis = gfMul(basis, gfDiv(other.index, other.index ^ share.index));
+            }
+            value ^= gfMul(share.data[byte], basis);
+        }
+        secret[byte] = value;
+    }
+    return secret;
+}
+
+function checksum(bytes) {
+    return nacl.hash(bytes).slice(0, CHECKSUM_LENGTH);
+}
+
+function bytesToWords(bytes) {
+    const bits = Array.from(bytes, b => b.toString(2).padStart(8, '0')).join('');
+    const padded = bits.padEnd(Math.ceil(bits.length / 11) * 11, '0');
+    return padded.match(/.{11}/g).map(chunk => WORDLIST[parseInt(chunk, 2)]);
+}
+
+function wordCountForSecret(length) {
+    return Math.ceil(((HEADER_LENGTH + length + CHECKSUM_LENGTH) * 8) / 11);
+}
+
+/**
+ * { id, threshold, shareCount, index, data } -> space separated words
+ */
+export function encodeShare(share) {
+    const body = new Uint8Array(HEADER_LENGTH + share.data.length);
+    body.set([SHARE_VERSION, share.id >> 8, share.id & 0xff, share.threshold, share.shareCount, share.index, share.data.length]);
+    body.set(share.data, HEADER_LENGTH);
+
+    const bytes = new Uint8Array(body.length + CHECKSUM_LENGTH);
+    bytes.set(body);
+    bytes.set(checksum(body), body.length);
+    return bytesToWords(bytes).join(' ');
+}
+
+/**
+ * Space separated words -> { id, threshold, shareCount, index, data }
+ * @throws {Error} naming the first unknown word, a wrong length or a bad checksum
+ */
+export function decodeShare(text) {
+    const words = splitMnemonic(text);
+    const unknown = words.findIndex(word => !WORD_INDEX.has(word));
+    if (unknown !== -1) {
+        throw new Error(`Word ${unknown + 1} ("${words[unknown]}") is not in the share word list`);
+    }
+
+    const bits = words.map(word => WORD_INDEX.get(word).toString(2).padStart(11, '0')).join('');
+    const bytes = new Uint8Array(Math.floor(bits.length / 8));
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+    }
+
+    const length = bytes[6];
+    if (bytes.length < HEADER_LENGTH || words.length !== wordCountForSecret(length)) {
+        throw new Error('Share is incomplete - check that every word was copied');
+    }
+
+    const bodyLength = HEADER_LENGTH + length;
+    const body = bytes.slice(0, bodyLength);
+    const expected = checksum(body);
+    if (!expected.every((b, i) => b === bytes[bodyLength + i])) {
+        throw new Error('Share checksum does not match - check the spelling and order of the words');
+    }
+    if (body[0] !== SHARE_VERSION) {
+        throw new Error(`Unsupported share version ${body[0]}`);
+    }
+
+    return {
+        id: (body[1] << 8) | body[2],
+        threshold: body[3],
+        shareCount: body[4],
+        index: body[5],
+        data: body.slice(HEADER_LENGTH)
+    };
+}
+
+/**
+ * Split a recovery phrase into printable word shares
+ * @param {string|string[]} mnemonic
+ * @returns {string[]} shareCount shares, in index order
+ */
+export function createRecoveryShares(mnemonic, threshold, shareCount) {
+    const phrase = Array.isArray(mnemonic) ? mnemonic.join(' ') : mnemonic;
+    const entropy = Uint8Array.from(Buffer.from(bip39.mnemonicToEntropy(normalizeMnemonic(phrase)), 'hex'));
+    const id = (crypto.getRandomValues(new Uint16Array(1)))[0];
+
+    return splitSecret(entropy, threshold, shareCount).map(share =>
+        encodeShare({ ...share, id, threshold, shareCount })
+    );
+}
+
+/**
+ * Feedback for a set of typed or pasted shares (empty entries are ignored)
+ * @returns {object} { shares, errors, threshold, isComplete, error }
+ *   errors[i] is the problem with entry i ('' when it decoded), error is the first problem overall
+ */
+export function checkShares(texts) {
+    const errors = texts.map(() => '');
+    const shares = [];
+
+    texts.forEach((text, i) => {
+        if (!splitMnemonic(text).length) return;
+        try {
+            shares.push(decodeShare(text));
+        } catch (err) {
+            errors[i] = err.message;
+        }
+    });
+
+    const first = shares[0];
+    const threshold = first?.threshold || 0;
+    let error = errors.find(Boolean) || '';
+
+    if (!error && shares.some(s => s.id !== first.id || s.threshold !== first.threshold || s.data.length !== first.data.length)) {
+        error = 'Shares belong to different backups';
+    }
+    if (!error) {
+        const duplicate = shares.find((s, i) => shares.findIndex(o => o.index === s.index) !== i);
+        if (duplicate) error = `Share ${duplicate.index} was entered twice`;
+    }
+
+    return {
+        shares,
+        errors,
+        threshold,
+        isComplete: !error && shares.length > 0 && shares.length >= threshold,
+        error
+    };
+}
+
+/**
+ * Rebuild the recovery phrase from at least threshold shares
+ * @throws {Error} with the checkShares problem or the number of shares still missing
+ */
+export function recoverMnemonicFromShares(texts) {
+    const status = checkShares(texts);
+    if (status.error) throw new Error(status.error);
+    if (!status.isComplete) {
+        throw new Error(`Need ${status.threshold || SHAMIR_MIN_THRESHOLD} shares to recover, ${status.shares.length} entered`);
+    }
+
+    const entropy = combineShares(status.shares.slice(0, status.threshold));
+    return bip39.entropyToMnemonic(Buffer.from(entropy).toString('hex'));
+}
+
+/**
+ * Short label that tells shares of different backups apart ("Backup 3FA2")
+ */
+export function formatBackupId(id) {
+    return id.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Print share cards, one per page, from a blank window (nothing is saved)
+ */
+export function printRecoveryShares(texts) {
+    const cards = texts.map((text) => {
+        const share = decodeShare(text);
+        const words = splitMnemonic(text)
+            .map((word, i) => `<li><span>${i + 1}</span>${word}</li>`)
+            .join('');
+        return `<section>
+            <h1>Octra Recovery Share ${share.index} of ${share.shareCount}</h1>
+            <p>Backup ${formatBackupId(share.id)} &middot; any ${share.threshold} shares restore the wallet</p>
+            <ol>${words}</ol>
+        </section>`;
+    }).join('');
+
+    const win = window.open('', '_blank', 'width=720,height=900');
+    if (!win) throw new Error('Allow pop-ups to print the shares');
+
+    win.document.write(`<!doctype html><html><head><title>Octra Recovery Shares</title><style>
+        body { font-family: sans-serif; margin: 32px; }
+        section { page-break-after: always; }
+        h1 { font-size: 18px; margin: 0 0 4px; }
+        p { color: #555; font-size: 12px; margin: 0 0 16px; }
+        ol { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; padding: 0; list-style: none; }
+        li { border: 1px solid #ccc; border-radius: 4px; padding: 6px; font-family: monospace; font-size: 13px; }
+        li span { color: #999; font-size: 10px; margin-right: 6px; }
+    </style></head><body>${cards}</body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+}
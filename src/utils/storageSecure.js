@@ -8,6 +8,13 @@
  * - Constant-time crypto operations
  * - Auto-wiping of sensitive data
  * - Extension-ready (chrome.storage + localStorage fallback)
+ *
+ * KEYS:
+ * The wallet vault (and the data key below) are encrypted with the password,
+ * which only the background keyring ever holds. Everything else the popup
+ * keeps encrypted - settings, site grants, privacy logs, custom tokens and
+ * the caches - uses the data key: a random key the keyring unwraps on
+ * unlock and hands to the popup. It cannot open the vault.
  * 
  * @version 2.0.0 (Production-Ready)
  */
@@ -15,6 +22,7 @@
 // Storage keys
 import { STORAGE_KEYS, SECURITY } from '../constants';
 import { saveTransaction } from './indexedDB';
+import { isValidAddress } from './validation';
 
 // For backward compatibility with legacy storage.js
 const LEGACY_PWD_SALT = 'octra_salt_v1';
@@ -452,36 +460,16 @@ export async function changePasswordSecure(currentPassword, newPassword) {
     // 3. Re-encrypt and save wallets with new password (FORCE v4 format)
     await saveWalletsSecure(wallets, newPassword);
 
-    // 4. Update stored password hash
+    // 4. The data key stays the same - app data needs no re-encryption
+    const dataKey = await loadDataKeySecure(currentPassword);
+    await saveDataKeySecure(dataKey, newPassword);
+
+    // 5. Update stored password hash
     await setWalletPasswordSecure(newPassword);
 
     return true;
 }
 
-/**
- * Export wallet data to a JSON file
- */
-export function exportWalletSecure(wallet, filename) {
-    const data = {
-        address: wallet.address,
-        publicKey: wallet.publicKeyB64,
-        privateKey: wallet.privateKeyB64,
-        mnemonic: wallet.mnemonic,
-        exportedAt: new Date().toISOString(),
-        version: '4.0.0-secure'
-    };
-
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename || `octra_secure_backup_${Date.now()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-}
-
 /**
  * Save wallets with automatic backup
  * Security: Dual-write to primary + backup for data safety (OKX-pattern)
@@ -508,56 +496,82 @@ export async function saveWalletsSecure(wallets, password) {
 
 /**
  * Add a new wallet
+ * Watch-only wallets ({ address, watchOnly: true }) are stored without key material
  */
 export async function addWalletSecure(wallet, password) {
-    const wallets = await loadWalletsSecure(password);
+    const [added] = await addWalletsSecure([wallet], password);
+    return added;
+}
 
-    // Check for duplicate address (skip if this is first wallet from fresh start)
-    if (wallets.length > 0 && wallets.some(w => w.address === wallet.address)) {
-        throw new Error('Wallet already exists');
-    }
+/**
+ * Add several wallets with a single vault write (e.g. HD accounts restored on import)
+ */
+export async function addWalletsSecure(newWallets, password) {
+    const { wallets, added } = appendWallets(await loadWalletsSecure(password), newWallets);
+    await saveWalletsSecure(wallets, password);
+    return added;
+}
 
-    // Add wallet with metadata
-    const walletWithMeta = {
-        ...wallet,
-        name: wallet.name || `Wallet ${wallets.length + 1}`,
-        createdAt: Date.now(),
-        id: crypto.randomUUID()
-    };
+/**
+ * Vault records with newWallets appended (validated, named, with an id)
+ * @returns {{ wallets: Array, added: Array }}
+ */
+export function appendWallets(existing, newWallets) {
+    const prepared = newWallets.map(wallet => {
+        if (wallet.watchOnly) {
+            if (!isValidAddress(wallet.address)) {
+                throw new Error('Invalid Octra address');
+            }
+            return { address: wallet.address, name: wallet.name, watchOnly: true };
+        }
+        if (!wallet.privateKeyB64) {
+            throw new Error('Wallet has no private key - add it as watch-only instead');
+        }
+        return wallet;
+    });
 
-    wallets.push(walletWithMeta);
-    await saveWalletsSecure(wallets, password);
+    const wallets = [...existing];
+    const added = [];
+
+    for (const wallet of prepared) {
+        // Check for duplicate address (skip if this is first wallet from fresh start)
+        if (wallets.length > 0 && wallets.some(w => w.address === wallet.address)) {
+            throw new Error('Wallet already exists');
+        }
+
+        // Add wallet with metadata
+        const walletWithMeta = {
+            ...wallet,
+            name: wallet.name || `Wallet ${wallets.length + 1}`,
+            createdAt: Date.now(),
+            id: crypto.randomUUID()
+        };
 
-    // Set as active if first wallet
-    if (wallets.length === 1) {
-        setActiveWalletIndex(0);
+        wallets.push(walletWithMeta);
+        added.push(walletWithMeta);
     }
 
-    return walletWithMeta;
+    return { wallets, added };
 }
 
+// Vault fields the popup may change (everything else is key material or fixed at creation)
+const WALLET_METADATA_FIELDS = ['name', 'lastKnownBalance'];
+
 /**
- * Update wallet name
+ * Vault records with metadata changes applied
+ * @param {Array} updates - [{ address, name?, lastKnownBalance? }]
  */
-export async function updateWalletNameSecure(walletIdOrAddress, name, password) {
-    const wallets = await loadWalletsSecure(password);
-
-    // Find wallet by ID or Address
-    let wallet = wallets.find(w => w.id === walletIdOrAddress);
-    if (!wallet) {
-        wallet = wallets.find(w =>
-            w.address === walletIdOrAddress ||
-            (w.address && w.address.toLowerCase() === String(walletIdOrAddress).toLowerCase())
-        );
-    }
-
-    if (!wallet) {
-        throw new Error('Wallet not found');
-    }
-
-    wallet.name = name;
-    await saveWalletsSecure(wallets, password);
-    return wallet;
+export function updateWalletMetadata(wallets, updates) {
+    return wallets.map(wallet => {
+        const update = updates.find(u => u.address === wallet.address);
+        if (!update) return wallet;
+
+        const changes = {};
+        WALLET_METADATA_FIELDS.forEach(field => {
+            if (field in update) changes[field] = update[field];
+        });
+        return { ...wallet, ...changes };
+    });
 }
 
 /**
@@ -635,6 +649,77 @@ export async function loadWalletsSecure(password) {
     }
 }
 
+// ===== DATA KEY (App Data Encryption) =====
+
+// Encrypted with the password before the data key existed: migrated on first unlock
+const APP_DATA_KEYS = [STORAGE_KEYS.SETTINGS, STORAGE_KEYS.DAPP_PERMISSIONS, STORAGE_KEYS.PRIVACY_LOGS, STORAGE_KEYS.CUSTOM_TOKENS];
+// Rebuilt from the chain: dropped instead
+const APP_CACHE_KEYS = [STORAGE_KEYS.BALANCE_CACHE, STORAGE_KEYS.TOKEN_CACHE, STORAGE_KEYS.PRIVACY_BALANCE_CACHE];
+
+async function readStored(key) {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+        const result = await chrome.storage.local.get([key]);
+        return result[key] ?? null;
+    }
+    return localStorage.getItem(key);
+}
+
+async function writeStored(key, value) {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+        await chrome.storage.local.set({ [key]: value });
+    } else {
+        localStorage.setItem(key, value);
+    }
+}
+
+async function removeStored(keys) {
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+        await chrome.storage.local.remove(keys);
+    } else {
+        keys.forEach(key => localStorage.removeItem(key));
+    }
+}
+
+async function saveDataKeySecure(dataKey, password) {
+    await writeStored(STORAGE_KEYS.DATA_KEY, JSON.stringify(await encryptDataSecure(dataKey, password)));
+}
+
+/**
+ * Unwrap the data key with the password
+ * Creates it on first use and moves app data encrypted with the password over to it.
+ * Only the background keyring calls this - it holds the password.
+ *
+ * @returns {Promise<string>} hex key, used as the secret of the app-data stores
+ */
+export async function loadDataKeySecure(password) {
+    const stored = await readStored(STORAGE_KEYS.DATA_KEY);
+    if (stored) {
+        return await decryptDataSecure(JSON.parse(stored), password);
+    }
+
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    const dataKey = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    secureWipe(bytes);
+
+    for (const key of APP_DATA_KEYS) {
+        const encrypted = await readStored(key);
+        if (!encrypted) continue;
+        try {
+            const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
+            const data = await decryptDataSecure(vaultData, password);
+            await writeStored(key, JSON.stringify(await encryptDataSecure(data, dataKey)));
+        } catch (error) {
+            console.warn(`[StorageSecure] Could not migrate ${key} to the data key:`, error.message);
+            await removeStored([key]);
+        }
+    }
+    await removeStored(APP_CACHE_KEYS);
+
+    await saveDataKeySecure(dataKey, password);
+    console.log('[StorageSecure] ✅ Data key created');
+    return dataKey;
+}
+
 /**
  * Clear all data
  */
@@ -646,8 +731,10 @@ export async function clearAllDataSecure() {
         localStorage.removeItem('__backup_' + STORAGE_KEYS.WALLETS);
         localStorage.removeItem(STORAGE_KEYS.ACTIVE_WALLET);
         localStorage.removeItem(STORAGE_KEYS.PASSWORD_HASH);
+        localStorage.removeItem(STORAGE_KEYS.DATA_KEY);
         localStorage.removeItem(STORAGE_KEYS.SETTINGS);
         localStorage.removeItem(STORAGE_KEYS.TX_HISTORY);
+        localStorage.removeItem(STORAGE_KEYS.DAPP_PERMISSIONS);
     }
 }
 
@@ -679,6 +766,19 @@ export function getTxHistorySecure(network = 'testnet', address = null) {
     }
 }
 
+/**
+ * Merge a history entry into the stored one. Local-only fields (replaces /
+ * replacedBy) survive a refresh, and a replaced transaction stays replaced
+ * when the node still lists it as pending - only a confirmation overrides it.
+ */
+export function mergeTxHistoryEntry(stored, incoming) {
+    const merged = { ...stored, ...incoming };
+    if (stored?.replacedBy && incoming.status !== 'confirmed') {
+        merged.status = stored.status;
+    }
+    return merged;
+}
+
 export function saveTxHistorySecure(newTransactions, network = 'testnet', address = null) {
     if (!newTransactions || newTransactions.length === 0) return;
 
@@ -698,7 +798,7 @@ export function saveTxHistorySecure(newTransactions, network = 'testnet', addres
     const history = getTxHistorySecure(network, address);
     const txMap = new Map();
     history.forEach(tx => txMap.set(tx.hash, tx));
-    newTransactions.forEach(tx => txMap.set(tx.hash, tx));
+    newTransactions.forEach(tx => txMap.set(tx.hash, mergeTxHistoryEntry(txMap.get(tx.hash), tx)));
 
     const merged = Array.from(txMap.values())
         .sort((a, b) => {
@@ -712,20 +812,56 @@ export function saveTxHistorySecure(newTransactions, network = 'testnet', addres
     localStorage.setItem(key, JSON.stringify(merged));
 }
 
+/**
+ * All lightweight history lists, keyed by what follows the TX_HISTORY prefix
+ * ("<network>_<address>" or "<network>") - used by the backup bundle
+ */
+export function loadAllTxHistorySecure() {
+    const prefix = `${STORAGE_KEYS.TX_HISTORY}_`;
+    const history = {};
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key?.startsWith(prefix)) continue;
+        try {
+            history[key.slice(prefix.length)] = JSON.parse(localStorage.getItem(key));
+        } catch {
+            // Skip unreadable entries; they are only a cache of chain data
+        }
+    }
+    return history;
+}
+
+/**
+ * Replace every history list with the given ones (lists not included are removed)
+ */
+export function saveAllTxHistorySecure(history) {
+    const prefix = `${STORAGE_KEYS.TX_HISTORY}_`;
+    const stale = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(prefix)) stale.push(key);
+    }
+    stale.forEach(key => localStorage.removeItem(key));
+
+    Object.entries(history).forEach(([suffix, txs]) => {
+        localStorage.setItem(prefix + suffix, JSON.stringify(txs));
+    });
+}
+
 // ===== PRIVACY-SPECIFIC STORAGE FUNCTIONS =====
 
 /**
- * Save privacy transaction log (REQUIRED password - no fallback)
+ * Save privacy transaction log (REQUIRED data key - no fallback)
  * Used for shield/unshield/private transfer logs
  */
-export async function savePrivacyTransactionSecure(hash, type, details = {}, password) {
-    if (!password) {
-        throw new Error('Password required for privacy transaction storage');
+export async function savePrivacyTransactionSecure(hash, type, details = {}, dataKey) {
+    if (!dataKey) {
+        throw new Error('Data key required for privacy transaction storage');
     }
 
     try {
         // Load existing logs
-        const logs = await loadPrivacyLogsSecure(password);
+        const logs = await loadPrivacyLogsSecure(dataKey);
 
         // Add new transaction
         logs[hash] = {
@@ -734,15 +870,7 @@ export async function savePrivacyTransactionSecure(hash, type, details = {}, pas
             ...details
         };
 
-        // Encrypt and save (v4 format)
-        const vaultData = await encryptDataSecure(logs, password);
-        const encrypted = JSON.stringify(vaultData);
-
-        if (typeof chrome !== 'undefined' && chrome.storage) {
-            await chrome.storage.local.set({ [STORAGE_KEYS.PRIVACY_LOGS]: encrypted });
-        } else {
-            localStorage.setItem(STORAGE_KEYS.PRIVACY_LOGS, encrypted);
-        }
+        await savePrivacyLogsSecure(logs, dataKey);
 
         console.log(`[PrivacyStorage] Transaction ${hash} saved (encrypted)`);
     } catch (error) {
@@ -751,11 +879,29 @@ export async function savePrivacyTransactionSecure(hash, type, details = {}, pas
     }
 }
 
+/**
+ * Replace all privacy transaction logs (encrypted, v4 format)
+ */
+export async function savePrivacyLogsSecure(logs, dataKey) {
+    if (!dataKey) {
+        throw new Error('Data key required for privacy transaction storage');
+    }
+
+    const vaultData = await encryptDataSecure(logs, dataKey);
+    const encrypted = JSON.stringify(vaultData);
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.PRIVACY_LOGS]: encrypted });
+    } else {
+        localStorage.setItem(STORAGE_KEYS.PRIVACY_LOGS, encrypted);
+    }
+}
+
 /**
  * Load all privacy transaction logs
  */
-export async function loadPrivacyLogsSecure(password) {
-    if (!password) return {};
+export async function loadPrivacyLogsSecure(dataKey) {
+    if (!dataKey) return {};
 
     try {
         let encrypted = null;
@@ -771,7 +917,7 @@ export async function loadPrivacyLogsSecure(password) {
 
         // Parse vault (handles both v4 object and v3 string)
         const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
-        const logs = await decryptDataSecure(vaultData, password);
+        const logs = await decryptDataSecure(vaultData, dataKey);
         return logs || {};
     } catch (error) {
         console.warn('[PrivacyStorage] Failed to load logs:', error);
@@ -782,30 +928,30 @@ export async function loadPrivacyLogsSecure(password) {
 /**
  * Get specific privacy transaction
  */
-export async function getPrivacyTransactionSecure(hash, password) {
-    const logs = await loadPrivacyLogsSecure(password);
+export async function getPrivacyTransactionSecure(hash, dataKey) {
+    const logs = await loadPrivacyLogsSecure(dataKey);
     return logs[hash] || null;
 }
 
 /**
  * Get all privacy transactions
  */
-export async function getAllPrivacyTransactionsSecure(password) {
-    return await loadPrivacyLogsSecure(password);
+export async function getAllPrivacyTransactionsSecure(dataKey) {
+    return await loadPrivacyLogsSecure(dataKey);
 }
 
 /**
  * Save encrypted balance cache with TTL
  * Format: { address: { data, timestamp } }
  */
-export async function savePrivacyBalanceCacheSecure(address, balanceData, password) {
-    if (!password) {
-        throw new Error('Password required for privacy balance cache');
+export async function savePrivacyBalanceCacheSecure(address, balanceData, dataKey) {
+    if (!dataKey) {
+        throw new Error('Data key required for privacy balance cache');
     }
 
     try {
         // Load existing cache
-        const cache = await loadPrivacyBalanceCacheSecure(password);
+        const cache = await loadPrivacyBalanceCacheSecure(dataKey);
 
         // Update with new data + timestamp
         cache[address] = {
@@ -822,7 +968,7 @@ export async function savePrivacyBalanceCacheSecure(address, balanceData, passwo
         });
 
         // Encrypt and save (v4 format)
-        const vaultData = await encryptDataSecure(cache, password);
+        const vaultData = await encryptDataSecure(cache, dataKey);
         const encrypted = JSON.stringify(vaultData);
 
         if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -841,8 +987,8 @@ export async function savePrivacyBalanceCacheSecure(address, balanceData, passwo
 /**
  * Load privacy balance cache
  */
-export async function loadPrivacyBalanceCacheSecure(password) {
-    if (!password) return {};
+export async function loadPrivacyBalanceCacheSecure(dataKey) {
+    if (!dataKey) return {};
 
     try {
         let encrypted = null;
@@ -858,7 +1004,7 @@ export async function loadPrivacyBalanceCacheSecure(password) {
 
         // Parse vault (handles both v4 object and v3 string)
         const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
-        const cache = await decryptDataSecure(vaultData, password);
+        const cache = await decryptDataSecure(vaultData, dataKey);
         return cache || {};
     } catch (error) {
         console.warn('[PrivacyStorage] Failed to load balance cache:', error);
@@ -869,8 +1015,8 @@ export async function loadPrivacyBalanceCacheSecure(password) {
 /**
  * Get cached privacy balance for address (with TTL check)
  */
-export async function getPrivacyBalanceCacheSecure(address, password) {
-    const cache = await loadPrivacyBalanceCacheSecure(password);
+export async function getPrivacyBalanceCacheSecure(address, dataKey) {
+    const cache = await loadPrivacyBalanceCacheSecure(dataKey);
     const entry = cache[address];
 
     if (!entry) return null;
@@ -889,14 +1035,14 @@ export async function getPrivacyBalanceCacheSecure(address, password) {
 /**
  * Clear privacy balance cache for specific address
  */
-export async function clearPrivacyBalanceCacheSecure(address, password) {
-    if (!password) return;
+export async function clearPrivacyBalanceCacheSecure(address, dataKey) {
+    if (!dataKey) return;
 
     try {
-        const cache = await loadPrivacyBalanceCacheSecure(password);
+        const cache = await loadPrivacyBalanceCacheSecure(dataKey);
         delete cache[address];
 
-        const vaultData = await encryptDataSecure(cache, password);
+        const vaultData = await encryptDataSecure(cache, dataKey);
         const encrypted = JSON.stringify(vaultData);
 
         if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -935,14 +1081,14 @@ export async function clearAllPrivacyDataSecure() {
  * Save public balance cache (encrypted)
  * Format: { address: { balance, lastKnownBalance, timestamp } }
  */
-export async function saveBalanceCacheSecure(address, balanceData, password) {
-    if (!password) {
-        console.warn('[BalanceCache] No password - skipping cache save');
+export async function saveBalanceCacheSecure(address, balanceData, dataKey) {
+    if (!dataKey) {
+        console.warn('[BalanceCache] No data key - skipping cache save');
         return;
     }
 
     try {
-        const cache = await loadBalanceCacheSecure(password);
+        const cache = await loadBalanceCacheSecure(dataKey);
 
         cache[address] = {
             balance: balanceData.balance || 0,
@@ -958,7 +1104,7 @@ export async function saveBalanceCacheSecure(address, balanceData, password) {
             }
         });
 
-        const vaultData = await encryptDataSecure(cache, password);
+        const vaultData = await encryptDataSecure(cache, dataKey);
         const encrypted = JSON.stringify(vaultData);
 
         if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -974,8 +1120,8 @@ export async function saveBalanceCacheSecure(address, balanceData, password) {
 /**
  * Load balance cache (encrypted)
  */
-export async function loadBalanceCacheSecure(password) {
-    if (!password) return {};
+export async function loadBalanceCacheSecure(dataKey) {
+    if (!dataKey) return {};
 
     try {
         let encrypted = null;
@@ -991,7 +1137,7 @@ export async function loadBalanceCacheSecure(password) {
 
         // Parse vault (handles both v4 object and v3 string)
         const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
-        return await decryptDataSecure(vaultData, password);
+        return await decryptDataSecure(vaultData, dataKey);
     } catch (error) {
         console.warn('[BalanceCache] Load failed:', error);
         return {};
@@ -1001,8 +1147,8 @@ export async function loadBalanceCacheSecure(password) {
 /**
  * Get cached balance for address
  */
-export async function getBalanceCacheSecure(address, password) {
-    const cache = await loadBalanceCacheSecure(password);
+export async function getBalanceCacheSecure(address, dataKey) {
+    const cache = await loadBalanceCacheSecure(dataKey);
     const entry = cache[address];
 
     if (!entry) return null;
@@ -1025,18 +1171,18 @@ export async function getBalanceCacheSecure(address, password) {
  * Save token balances cache (encrypted)
  * Format: { address: { tokens: [...], timestamp } }
  */
-export async function saveTokenCacheSecure(address, tokens, password) {
-    if (!password) return;
+export async function saveTokenCacheSecure(address, tokens, dataKey) {
+    if (!dataKey) return;
 
     try {
-        const cache = await loadTokenCacheSecure(password);
+        const cache = await loadTokenCacheSecure(dataKey);
 
         cache[address] = {
             tokens: tokens || [],
             timestamp: Date.now()
         };
 
-        const vaultData = await encryptDataSecure(cache, password);
+        const vaultData = await encryptDataSecure(cache, dataKey);
         const encrypted = JSON.stringify(vaultData);
 
         if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -1052,8 +1198,8 @@ export async function saveTokenCacheSecure(address, tokens, password) {
 /**
  * Load token cache (encrypted)
  */
-export async function loadTokenCacheSecure(password) {
-    if (!password) return {};
+export async function loadTokenCacheSecure(dataKey) {
+    if (!dataKey) return {};
 
     try {
         let encrypted = null;
@@ -1069,7 +1215,7 @@ export async function loadTokenCacheSecure(password) {
 
         // Parse vault (handles both v4 object and v3 string)
         const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
-        return await decryptDataSecure(vaultData, password);
+        return await decryptDataSecure(vaultData, dataKey);
     } catch (error) {
         console.warn('[TokenCache] Load failed:', error);
         return {};
@@ -1079,8 +1225,8 @@ export async function loadTokenCacheSecure(password) {
 /**
  * Get cached tokens for address
  */
-export async function getTokenCacheSecure(address, password) {
-    const cache = await loadTokenCacheSecure(password);
+export async function getTokenCacheSecure(address, dataKey) {
+    const cache = await loadTokenCacheSecure(dataKey);
     return cache[address]?.tokens || null;
 }
 
@@ -1089,11 +1235,11 @@ export async function getTokenCacheSecure(address, password) {
 /**
  * Save custom tokens (encrypted)
  */
-export async function saveCustomTokensSecure(customTokens, password) {
-    if (!password) return;
+export async function saveCustomTokensSecure(customTokens, dataKey) {
+    if (!dataKey) return;
 
     try {
-        const vaultData = await encryptDataSecure(customTokens, password);
+        const vaultData = await encryptDataSecure(customTokens, dataKey);
         const encrypted = JSON.stringify(vaultData);
 
         if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -1109,8 +1255,8 @@ export async function saveCustomTokensSecure(customTokens, password) {
 /**
  * Load custom tokens (encrypted)
  */
-export async function loadCustomTokensSecure(password) {
-    if (!password) return {};
+export async function loadCustomTokensSecure(dataKey) {
+    if (!dataKey) return {};
 
     try {
         let encrypted = null;
@@ -1136,7 +1282,7 @@ export async function loadCustomTokensSecure(password) {
         }
 
         const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
-        return await decryptDataSecure(vaultData, password);
+        return await decryptDataSecure(vaultData, dataKey);
     } catch (error) {
         console.warn('[CustomTokens] Load failed:', error);
         return {};
@@ -1148,14 +1294,14 @@ export async function loadCustomTokensSecure(password) {
 /**
  * Save settings (encrypted)
  */
-export async function saveSettingsSecure(settings, password) {
-    if (!password) {
-        console.warn('[Settings] No password - cannot save encrypted');
+export async function saveSettingsSecure(settings, dataKey) {
+    if (!dataKey) {
+        console.warn('[Settings] No data key - cannot save encrypted');
         return;
     }
 
     try {
-        const vaultData = await encryptDataSecure(settings, password);
+        const vaultData = await encryptDataSecure(settings, dataKey);
         const encrypted = JSON.stringify(vaultData);
 
         if (typeof chrome !== 'undefined' && chrome.storage) {
@@ -1171,8 +1317,8 @@ export async function saveSettingsSecure(settings, password) {
 /**
  * Load settings (encrypted)
  */
-export async function loadSettingsSecure(password) {
-    if (!password) return {};
+export async function loadSettingsSecure(dataKey) {
+    if (!dataKey) return {};
 
     try {
         let encrypted = null;
@@ -1188,11 +1334,58 @@ export async function loadSettingsSecure(password) {
 
         // Parse vault (handles both v4 object and v3 string)
         const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
-        return await decryptDataSecure(vaultData, password);
+        return await decryptDataSecure(vaultData, dataKey);
     } catch (error) {
         console.warn('[Settings] Load failed:', error);
         return {};
     }
 }
 
+// ===== DAPP PERMISSIONS (Encrypted) =====
+
+/**
+ * Save connected-site grants (encrypted, same vault format as settings)
+ * Format: { [origin]: { origin, accounts, methods, grantedAt } }
+ */
+export async function saveDappPermissionsSecure(permissions, dataKey) {
+    if (!dataKey) {
+        throw new Error('Data key required to save site permissions');
+    }
+
+    const vaultData = await encryptDataSecure(permissions, dataKey);
+    const encrypted = JSON.stringify(vaultData);
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+        await chrome.storage.local.set({ [STORAGE_KEYS.DAPP_PERMISSIONS]: encrypted });
+    } else {
+        localStorage.setItem(STORAGE_KEYS.DAPP_PERMISSIONS, encrypted);
+    }
+}
+
+/**
+ * Load connected-site grants - {} when none or unreadable
+ */
+export async function loadDappPermissionsSecure(dataKey) {
+    if (!dataKey) return {};
+
+    try {
+        let encrypted = null;
+
+        if (typeof chrome !== 'undefined' && chrome.storage) {
+            const result = await chrome.storage.local.get([STORAGE_KEYS.DAPP_PERMISSIONS]);
+            encrypted = result[STORAGE_KEYS.DAPP_PERMISSIONS];
+        } else {
+            encrypted = localStorage.getItem(STORAGE_KEYS.DAPP_PERMISSIONS);
+        }
+
+        if (!encrypted) return {};
+
+        const vaultData = encrypted.startsWith('{') ? JSON.parse(encrypted) : encrypted;
+        return (await decryptDataSecure(vaultData, dataKey)) || {};
+    } catch (error) {
+        console.warn('[DappPermissions] Load failed:', error);
+        return {};
+    }
+}
+
 export { STORAGE_KEYS, secureWipe };
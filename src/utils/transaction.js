@@ -0,0 +1,165 @@
+/**
+ * Transaction Builder - Canonical Octra Transaction Format
+ *
+ * The ONE place that knows how an Octra transaction is laid out and signed.
+ * KeyringService, createTransaction (crypto.js), contract calls and the
+ * send flow all build through here, so the signed bytes cannot drift apart.
+ *
+ * FLOW:
+ *   buildTransaction(params)      -> unsigned tx (raw micro-unit strings)
+ *   getSigningPayload(tx)         -> canonical JSON string that gets signed
+ *   attachSignature(tx, sig, pk)  -> signed tx ready for /send-tx
+ *   verifyTransaction(signedTx)   -> Ed25519 check of the above
+ *
+ * SIGNING PAYLOAD (field order is part of the format):
+ *   {"from","to_","amount","nonce","ou","timestamp"}
+ *   `message` travels with the transaction but is NOT signed.
+ *
+ * Contract calls sign the same payload shape with to_ = contract,
+ * amount = "0" and ou = "1" (see buildContractCall).
+ *
+ * Golden vectors in tests/unit/transaction.test.js pin the exact bytes.
+ */
+
+import nacl from 'tweetnacl';
+import { Buffer } from 'buffer';
+import { toRaw, parseRaw } from './amount';
+
+// Fee when the caller passes neither `ou` nor `fee` (0.002 OCT)
+export const DEFAULT_OU = '2000';
+export const CONTRACT_CALL_OU = '1';
+
+// Field order of the signed payload - never reorder
+export const SIGNED_FIELDS = ['from', 'to_', 'amount', 'nonce', 'ou', 'timestamp'];
+
+export class TransactionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransactionError';
+    }
+}
+
+function parseNonce(nonce) {
+    const value = typeof nonce === 'string' ? Number(nonce.trim()) : nonce;
+    if (!Number.isSafeInteger(value) || value < 0) {
+        throw new TransactionError('Invalid nonce provided');
+    }
+    return value;
+}
+
+/**
+ * Build an unsigned native transfer
+ * @param {object} params
+ * @param {string} params.from - sender address
+ * @param {string} params.to - recipient address
+ * @param {string|number} params.amount - decimal OCT ("1.5")
+ * @param {number} params.nonce
+ * @param {string|number} [params.fee] - decimal OCT, used when `ou` is not given
+ * @param {string|number} [params.ou] - raw fee units, wins over `fee`
+ * @param {string} [params.message] - optional memo (not signed)
+ * @param {number} [params.timestamp] - seconds, defaults to now
+ */
+export function buildTransaction({ from, to, amount, nonce, fee = null, ou = null, message = null, timestamp = Date.now() / 1000 }) {
+    if (!from || !to) {
+        throw new TransactionError('Transaction needs a sender and a recipient');
+    }
+
+    let ouValue = DEFAULT_OU;
+    if (ou !== null && ou !== undefined) {
+        ouValue = parseRaw(ou).toString();
+    } else if (fee) {
+        ouValue = toRaw(fee);
+    }
+
+    const tx = {
+        from,
+        to_: to,
+        amount: toRaw(amount),
+        nonce: parseNonce(nonce),
+        ou: ouValue,
+        timestamp
+    };
+
+    if (message) {
+        tx.message = message;
+    }
+
+    return tx;
+}
+
+/**
+ * Build the signed fields of a contract call (sent to /call-contract)
+ */
+export function buildContractCall({ caller, contract, method, params = [], nonce, timestamp = Date.now() / 1000 }) {
+    if (!caller || !contract || !method) {
+        throw new TransactionError('Contract call needs a caller, contract and method');
+    }
+
+    return {
+        contract,
+        method,
+        params,
+        caller,
+        nonce: parseNonce(nonce),
+        timestamp
+    };
+}
+
+/**
+ * Canonical string that gets signed for a transfer or contract call
+ */
+export function getSigningPayload(tx) {
+    const fields = tx.caller
+        ? { from: tx.caller, to_: tx.contract, amount: '0', nonce: tx.nonce, ou: CONTRACT_CALL_OU, timestamp: tx.timestamp }
+        : tx;
+
+    const payload = {};
+    for (const key of SIGNED_FIELDS) {
+        payload[key] = fields[key];
+    }
+    return JSON.stringify(payload);
+}
+
+/**
+ * UTF-8 bytes of the signing payload (callers that sign may wipe them afterwards)
+ */
+export function getSigningBytes(tx) {
+    return new Uint8Array(Buffer.from(getSigningPayload(tx), 'utf8'));
+}
+
+/**
+ * Ed25519-sign a transaction with a 64-byte secret key
+ * @returns {string} base64 signature
+ */
+export function signTransactionPayload(tx, secretKey) {
+    const signature = nacl.sign.detached(getSigningBytes(tx), secretKey);
+    return Buffer.from(signature).toString('base64');
+}
+
+/**
+ * Signed transfer in the shape /send-tx expects
+ */
+export function attachSignature(tx, signatureB64, publicKeyB64) {
+    return {
+        ...tx,
+        signature: signatureB64,
+        public_key: publicKeyB64
+    };
+}
+
+/**
+ * Check the signature of a signed transfer or contract call
+ * (contract calls carry the key as `public_key` too)
+ */
+export function verifyTransaction(signedTx) {
+    try {
+        const signature = new Uint8Array(Buffer.from(signedTx.signature, 'base64'));
+        const publicKey = new Uint8Array(Buffer.from(signedTx.public_key, 'base64'));
+        if (signature.length !== nacl.sign.signatureLength || publicKey.length !== nacl.sign.publicKeyLength) {
+            return false;
+        }
+        return nacl.sign.detached.verify(getSigningBytes(signedTx), signature, publicKey);
+    } catch {
+        return false;
+    }
+}
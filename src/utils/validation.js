@@ -3,6 +3,8 @@
  * Centralized regex and validation logic for addresses, keys, and inputs.
  */
 
+import { parseAmountOrZero, OCT_DECIMALS } from './amount';
+
 export const ADDRESS_REGEX = /^oct[1-9A-HJ-NP-Za-km-z]{43,44}$/;
 export const PRIVATE_KEY_REGEX = /^(0x)?[a-fA-F0-9]{64}$/;
 export const MNEMONIC_LENGTHS = [12, 15, 18, 21, 24];
@@ -33,11 +35,19 @@ export function isValidMnemonic(mnemonic) {
 }
 
 /**
- * Validate Amount
+ * Validate Amount - at least one raw unit once converted (see utils/amount.js)
+ */
+export function isValidAmount(amount, decimals = OCT_DECIMALS) {
+    return parseAmountOrZero(amount, decimals) > 0n;
+}
+
+/**
+ * Validate an optional BIP39 passphrase and its confirmation
+ * @returns {string} error message, or '' when valid
  */
-export function isValidAmount(amount) {
-    const val = parseFloat(amount);
-    return !isNaN(val) && val > 0;
+export function getPassphraseError(passphrase, confirmPassphrase = passphrase) {
+    if (passphrase !== confirmPassphrase) return 'Passphrases do not match';
+    return '';
 }
 
 /**
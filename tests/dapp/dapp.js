@@ -0,0 +1,92 @@
+/**
+ * Test dApp - manual check of the injected window.octra provider
+ *
+ * Usage:
+ *   npm run build:extension   (load dist/ unpacked in Chrome)
+ *   npm run dapp              (http://localhost:5180)
+ *
+ * Every button calls one provider method and logs the result, the error
+ * code, or the event the wallet emitted.
+ */
+
+const $ = (id) => document.getElementById(id);
+
+function log(label, value, isError = false) {
+    const line = document.createElement('div');
+    if (isError) line.className = 'error';
+    const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+    line.textContent = `[${new Date().toLocaleTimeString()}] ${label}: ${text}`;
+    $('log').prepend(line);
+}
+
+function setStatus(provider) {
+    $('status').textContent = provider
+        ? `Provider: ready - selectedAddress ${provider.selectedAddress || '(none)'}`
+        : 'Provider: not found - is the extension loaded?';
+}
+
+function bind(id, label, call) {
+    $(id).addEventListener('click', async () => {
+        const provider = window.octra;
+        if (!provider) {
+            log(label, 'window.octra is not available', true);
+            return;
+        }
+        try {
+            log(label, await call(provider));
+        } catch (error) {
+            log(label, `${error.code ?? '-'} ${error.message}`, true);
+        } finally {
+            setStatus(provider);
+        }
+    });
+}
+
+function parseParams(text) {
+    try {
+        return JSON.parse(text || '[]');
+    } catch {
+        return text.split(',').map(part => part.trim()).filter(Boolean);
+    }
+}
+
+bind('connect', 'connect', p => p.connect());
+bind('accounts', 'getAccounts', p => p.getAccounts());
+bind('disconnect', 'disconnect', p => p.disconnect());
+bind('balance', 'getBalance', p => p.getBalance($('balance-address').value.trim() || undefined));
+bind('sign', 'signMessage', p => p.signMessage($('sign-message').value));
+bind('send', 'sendTransaction', p => p.sendTransaction({
+    to: $('tx-to').value.trim(),
+    amount: $('tx-amount').value.trim(),
+    message: $('tx-message').value || undefined
+}));
+bind('call', 'callContract', p => p.callContract({
+    contract: $('call-contract').value.trim(),
+    method: $('call-method').value.trim(),
+    params: parseParams($('call-params').value)
+}));
+bind('unknown', 'unknown method', p => p.request({ method: 'octra_unknown' }));
+bind('bad-amount', 'invalid amount', p => p.sendTransaction({ to: $('tx-to').value.trim(), amount: '-1' }));
+
+$('clear').addEventListener('click', () => { $('log').textContent = ''; });
+
+function attach() {
+    const provider = window.octra;
+    setStatus(provider);
+    if (!provider) return;
+
+    for (const event of ['connect', 'disconnect', 'accountsChanged', 'networkChanged']) {
+        provider.on(event, (data) => {
+            log(`event ${event}`, data ?? null);
+            setStatus(provider);
+        });
+    }
+}
+
+// inpage.js may finish after this module when the page loads quickly
+if (window.octra) {
+    attach();
+} else {
+    window.addEventListener('octra#initialized', attach, { once: true });
+    setTimeout(() => { if (!window.octra) setStatus(null); }, 3000);
+}
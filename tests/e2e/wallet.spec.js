@@ -1,4 +1,5 @@
 import { test, expect } from '@playwright/test';
+import { mockNodeControl } from '../mock-node/control.js';
 
 test.describe('Wallet Web Flow', () => {
 
@@ -7,6 +8,11 @@ test.describe('Wallet Web Flow', () => {
     // Use a known dummy seed phrase for testing (Standard Test Vector)
     const TEST_SEED_PHRASE = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
 
+    // Every test starts from an empty mock node (see playwright.config.js)
+    test.beforeEach(async () => {
+        await mockNodeControl().reset();
+    });
+
     test('Should import wallet using existing seed phrase', async ({ page }) => {
         // 1. Go to Home
         await page.goto(BASE_URL);
@@ -30,8 +36,11 @@ test.describe('Wallet Web Flow', () => {
         await page.locator('.onboarding-option').filter({ hasText: 'Recovery Phrase' }).click();
 
         // 5. Masukkan Seed Phrase (Step 3)
-        const seedInput = page.locator('textarea');
-        await seedInput.fill(TEST_SEED_PHRASE);
+        const words = TEST_SEED_PHRASE.split(' ');
+        for (const [index, word] of words.entries()) {
+            await page.getByLabel(`Word ${index + 1}`, { exact: true }).fill(word);
+        }
+        await expect(page.getByText('Valid 12-word recovery phrase')).toBeVisible();
 
         // 6. Final Import
         await page.getByRole('button', { name: 'Import Wallet' }).click();
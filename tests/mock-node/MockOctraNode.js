@@ -0,0 +1,695 @@
+/**
+ * Mock Octra Node - In-Memory RPC Server for Development & Tests
+ *
+ * Implements the RPC routes the wallet uses, backed by in-memory state:
+ *
+ *   GET  /health, /balance/:addr, /address/:addr, /public_key/:addr,
+ *        /tx/:hash, /staging, /view_encrypted_balance/:addr,
+ *        /pending_private_transfers?address=
+ *   POST /send-tx, /encrypt_balance, /decrypt_balance, /private_transfer,
+ *        /claim_private_transfer, /contract/call-view, /call-contract
+ *
+ * SECURITY CHECKS (same rules the wallet must satisfy on the real network):
+ * - Ed25519 signatures over the canonical tx payload
+ * - public key must hash to the sender address
+ * - nonces must be above the confirmed nonce and unique in staging
+ *   (a staged transfer is replaced by one with the same nonce and a higher ou)
+ * - balances must cover amount + fee (ou)
+ *
+ * SCRIPTING:
+ * - failNext(path, { status, body, times, delay, retryAfter, hang })
+ * - setLatency(ms), fund(address, amount), mine(), reset()
+ * - The same controls are exposed over HTTP under /__mock/* so
+ *   other processes (Vitest workers, Playwright) can drive the node.
+ *
+ * Native transfers wait in /staging until mine() (or every `blockTime` ms).
+ * Privacy operations and contract calls are applied immediately.
+ */
+
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import nacl from 'tweetnacl';
+
+const MICRO = 1_000_000;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Private-Key',
+    'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+function base58Encode(bytes) {
+    let num = BigInt('0x' + Buffer.from(bytes).toString('hex'));
+    let encoded = '';
+    while (num > 0n) {
+        encoded = BASE58_ALPHABET[Number(num % 58n)] + encoded;
+        num = num / 58n;
+    }
+    for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+        encoded = '1' + encoded;
+    }
+    return encoded;
+}
+
+function sha256(data) {
+    return createHash('sha256').update(data).digest();
+}
+
+/**
+ * Octra address for a raw Ed25519 public key
+ */
+export function addressFromPublicKey(publicKey) {
+    return 'oct' + base58Encode(sha256(Buffer.from(publicKey)));
+}
+
+function decodeBase64(value, expectedLength) {
+    if (typeof value !== 'string') return null;
+    const bytes = Buffer.from(value, 'base64');
+    return bytes.length === expectedLength ? new Uint8Array(bytes) : null;
+}
+
+function formatOct(raw) {
+    return (raw / MICRO).toFixed(6);
+}
+
+function toRaw(value) {
+    const raw = Number(value);
+    return Number.isInteger(raw) && raw >= 0 ? raw : null;
+}
+
+function createAccount(address) {
+    return { address, balance: 0, encrypted: 0, nonce: 0, publicKey: null, history: [] };
+}
+
+class MockOctraNode {
+    /**
+     * @param {object} options
+     * @param {number} options.blockTime - auto-mine interval in ms (0 = only mine() confirms)
+     * @param {number} options.latency - artificial delay for every response in ms
+     */
+    constructor(options = {}) {
+        this.blockTime = options.blockTime || 0;
+        this.server = null;
+        this.url = null;
+        this.mineTimer = null;
+        this.reset();
+        this.latency = options.latency || 0;
+    }
+
+    // ==================== STATE & SCRIPTING ====================
+
+    reset() {
+        this.accounts = new Map();
+        this.transactions = new Map();
+        this.staged = [];
+        this.pendingPrivate = [];
+        this.contracts = new Map();
+        this.failures = [];
+        this.requests = [];
+        this.epoch = 1;
+        this.transferSeq = 0;
+        this.latency = 0;
+    }
+
+    getAccount(address, create = false) {
+        if (!this.accounts.has(address) && create) {
+            this.accounts.set(address, createAccount(address));
+        }
+        return this.accounts.get(address) || null;
+    }
+
+    /**
+     * Credit an address with `amount` OCT (public balance)
+     */
+    fund(address, amount, { publicKey = null, encrypted = 0 } = {}) {
+        const account = this.getAccount(address, true);
+        account.balance += Math.round(Number(amount) * MICRO);
+        account.encrypted += Math.round(Number(encrypted) * MICRO);
+        if (publicKey) account.publicKey = publicKey;
+        return account;
+    }
+
+    /**
+     * Register an OCS01-style contract
+     * @param {object} credits - { address: rawAmount }
+     */
+    addContract(address, { name = 'Mock Token', symbol = 'MOCK', decimals = 6, credits = {} } = {}) {
+        this.contracts.set(address, { address, name, symbol, decimals, credits: new Map(Object.entries(credits)) });
+    }
+
+    /**
+     * Make the next `times` requests matching `path` fail
+     * @param {string|RegExp} path - path prefix or pattern
+     * @param {object} failure - { status, body, times, delay, retryAfter, hang, method }
+     */
+    failNext(path, failure = {}) {
+        this.failures.push({ status: 503, times: 1, ...failure, path });
+    }
+
+    setLatency(ms) {
+        this.latency = Math.max(0, Number(ms) || 0);
+    }
+
+    /**
+     * Confirm every staged transaction into a new epoch
+     * @returns {string[]} hashes confirmed
+     */
+    mine() {
+        const confirmed = [];
+        const ordered = [...this.staged].sort((a, b) => a.nonce - b.nonce);
+        this.staged = [];
+
+        for (const tx of ordered) {
+            const sender = this.getAccount(tx.from, true);
+            const amount = Number(tx.amount);
+            const fee = Number(tx.ou);
+
+            if (tx.nonce <= sender.nonce || sender.balance < amount + fee) {
+                this.transactions.get(tx.hash).status = 'dropped';
+                continue;
+            }
+
+            sender.balance -= amount + fee;
+            sender.nonce = tx.nonce;
+            this.getAccount(tx.to_, true).balance += amount;
+            this._confirm(tx.hash, [tx.from, tx.to_]);
+            confirmed.push(tx.hash);
+        }
+
+        this.epoch++;
+        return confirmed;
+    }
+
+    _confirm(hash, addresses) {
+        const record = this.transactions.get(hash);
+        record.status = 'confirmed';
+        record.epoch = this.epoch;
+        for (const address of new Set(addresses)) {
+            this.getAccount(address, true).history.unshift({ hash, epoch: this.epoch });
+        }
+    }
+
+    _recordTx(tx, status) {
+        const hash = sha256(`${tx.from}:${tx.nonce}:${tx.signature || tx.timestamp}:${this.transactions.size}`).toString('hex');
+        this.transactions.set(hash, {
+            hash,
+            status,
+            epoch: null,
+            parsed_tx: {
+                from: tx.from,
+                to: tx.to_,
+                amount: formatOct(Number(tx.amount)),
+                amount_raw: String(tx.amount),
+                nonce: tx.nonce,
+                ou: String(tx.ou),
+                timestamp: tx.timestamp,
+                message: tx.message || null
+            }
+        });
+        return hash;
+    }
+
+    _highestNonce(address) {
+        const account = this.getAccount(address);
+        const staged = this.staged.filter(tx => tx.from === address).map(tx => tx.nonce);
+        return Math.max(account?.nonce || 0, ...staged);
+    }
+
+    /**
+     * Nonce must be above the confirmed nonce and not already staged
+     */
+    _checkNonce(address, nonce) {
+        if (!Number.isInteger(nonce) || nonce <= 0) return 'Invalid nonce';
+        const account = this.getAccount(address);
+        if (nonce <= (account?.nonce || 0)) return `Nonce too low (current: ${account.nonce})`;
+        if (this.staged.some(tx => tx.from === address && tx.nonce === nonce)) return `Duplicate nonce ${nonce} in staging`;
+        return null;
+    }
+
+    // ==================== SIGNATURES & KEYS ====================
+
+    /**
+     * Verify an Ed25519 signature and that the key belongs to `address`
+     * @returns {string|null} error message
+     */
+    _verifySignature(address, payload, signatureB64, publicKeyB64) {
+        const publicKey = decodeBase64(publicKeyB64, 32);
+        const signature = decodeBase64(signatureB64, 64);
+        if (!publicKey || !signature) return 'Invalid signature format';
+        if (addressFromPublicKey(publicKey) !== address) return 'Public key does not match sender address';
+
+        const message = new TextEncoder().encode(JSON.stringify(payload));
+        if (!nacl.sign.detached.verify(message, signature, publicKey)) return 'Invalid signature';
+
+        this.getAccount(address, true).publicKey = publicKeyB64;
+        return null;
+    }
+
+    /**
+     * Verify an expanded (64-byte) private key owns `address`
+     */
+    _verifySecretKey(address, secretKeyB64, publicKeyB64) {
+        const secretKey = decodeBase64(secretKeyB64, 64);
+        if (!secretKey) return 'Invalid private key';
+
+        const publicKey = nacl.sign.keyPair.fromSecretKey(secretKey).publicKey;
+        if (publicKeyB64 && Buffer.from(publicKey).toString('base64') !== publicKeyB64) return 'Public key mismatch';
+        if (addressFromPublicKey(publicKey) !== address) return 'Private key does not match address';
+
+        this.getAccount(address, true).publicKey = Buffer.from(publicKey).toString('base64');
+        return null;
+    }
+
+    /**
+     * Verify a 32-byte seed (X-Private-Key header) owns `address`
+     */
+    _verifySeed(address, seedB64) {
+        const seed = decodeBase64(seedB64, 32);
+        if (!seed) return 'Missing or invalid X-Private-Key';
+        const { publicKey } = nacl.sign.keyPair.fromSeed(seed);
+        return addressFromPublicKey(publicKey) === address ? null : 'Private key does not match address';
+    }
+
+    // ==================== ROUTES ====================
+
+    _routes() {
+        return [
+            ['GET', /^\/health$/, () => [200, { status: 'ok', epoch: this.epoch }]],
+            ['GET', /^\/balance\/([^/]+)$/, (req, [address]) => this._getBalance(address)],
+            ['GET', /^\/address\/([^/]+)$/, (req, [address]) => this._getAddress(address, req.query)],
+            ['GET', /^\/public_key\/([^/]+)$/, (req, [address]) => this._getPublicKey(address)],
+            ['GET', /^\/tx\/([^/]+)$/, (req, [hash]) => this._getTx(hash)],
+            ['GET', /^\/staging$/, () => [200, { staged_transactions: this.staged, count: this.staged.length }]],
+            ['GET', /^\/view_encrypted_balance\/([^/]+)$/, (req, [address]) => this._viewEncrypted(address, req)],
+            ['GET', /^\/pending_private_transfers$/, (req) => this._pendingTransfers(req)],
+            ['POST', /^\/send-tx$/, (req) => this._sendTx(req.body)],
+            ['POST', /^\/encrypt_balance$/, (req) => this._shield(req.body, 1)],
+            ['POST', /^\/decrypt_balance$/, (req) => this._shield(req.body, -1)],
+            ['POST', /^\/private_transfer$/, (req) => this._privateTransfer(req.body)],
+            ['POST', /^\/claim_private_transfer$/, (req) => this._claim(req.body)],
+            ['POST', /^\/contract\/call-view$/, (req) => this._callView(req.body)],
+            ['POST', /^\/call-contract$/, (req) => this._callContract(req.body)],
+            // Test controls
+            ['GET', /^\/__mock\/state$/, () => [200, this.getState()]],
+            ['POST', /^\/__mock\/reset$/, () => { this.reset(); return [200, { ok: true }]; }],
+            ['POST', /^\/__mock\/mine$/, () => [200, { confirmed: this.mine(), epoch: this.epoch }]],
+            ['POST', /^\/__mock\/fund$/, (req) => this._controlFund(req.body)],
+            ['POST', /^\/__mock\/fail$/, (req) => this._controlFail(req.body)],
+            ['POST', /^\/__mock\/latency$/, (req) => { this.setLatency(req.body?.ms); return [200, { ok: true }]; }],
+            ['POST', /^\/__mock\/contract$/, (req) => { this.addContract(req.body?.address, req.body); return [200, { ok: true }]; }]
+        ];
+    }
+
+    _getBalance(address) {
+        const account = this.getAccount(address);
+        if (!account) return [404, { error: 'Address not found' }];
+        return [200, {
+            address,
+            balance: formatOct(account.balance),
+            balance_raw: String(account.balance),
+            nonce: account.nonce
+        }];
+    }
+
+    _getAddress(address, query) {
+        const account = this.getAccount(address);
+        if (!account) return [404, { error: 'Address not found' }];
+
+        const limit = Math.max(1, parseInt(query.get('limit')) || 20);
+        return [200, {
+            address,
+            balance: formatOct(account.balance),
+            balance_raw: String(account.balance),
+            nonce: account.nonce,
+            has_public_key: !!account.publicKey,
+            transaction_count: account.history.length,
+            recent_transactions: account.history.slice(0, limit)
+        }];
+    }
+
+    _getPublicKey(address) {
+        const account = this.getAccount(address);
+        if (!account?.publicKey) return [404, { error: 'No public key for address' }];
+        return [200, { address, public_key: account.publicKey }];
+    }
+
+    _getTx(hash) {
+        const record = this.transactions.get(hash);
+        if (!record) return [404, { error: 'Transaction not found' }];
+        return [200, { tx_hash: hash, status: record.status, epoch: record.epoch, parsed_tx: record.parsed_tx }];
+    }
+
+    _sendTx(tx) {
+        if (!tx || !tx.from || !tx.to_) return [400, { error: 'Missing from/to_' }];
+
+        const amount = toRaw(tx.amount);
+        const fee = toRaw(tx.ou);
+        if (amount === null || fee === null) return [400, { error: 'Invalid amount or ou' }];
+
+        const payload = {
+            from: tx.from,
+            to_: tx.to_,
+            amount: tx.amount,
+            nonce: tx.nonce,
+            ou: tx.ou,
+            timestamp: tx.timestamp
+        };
+        const signatureError = this._verifySignature(tx.from, payload, tx.signature, tx.public_key);
+        if (signatureError) return [400, { error: signatureError }];
+
+        // Replace-by-fee: same sender + nonce with a strictly higher ou
+        const replaced = this.staged.find(s => s.from === tx.from && s.nonce === tx.nonce);
+        if (replaced && fee <= Number(replaced.ou)) {
+            return [400, { error: `Duplicate nonce ${tx.nonce} in staging (replacement ou must exceed ${replaced.ou})` }];
+        }
+
+        const nonceError = replaced ? null : this._checkNonce(tx.from, tx.nonce);
+        if (nonceError) return [400, { error: nonceError }];
+
+        const sender = this.getAccount(tx.from, true);
+        const pendingSpend = this.staged
+            .filter(s => s.from === tx.from && s !== replaced)
+            .reduce((sum, s) => sum + Number(s.amount) + Number(s.ou), 0);
+        if (sender.balance - pendingSpend < amount + fee) {
+            return [400, { error: `Insufficient balance (available: ${formatOct(sender.balance - pendingSpend)})` }];
+        }
+
+        if (replaced) {
+            this.staged = this.staged.filter(s => s !== replaced);
+            this.transactions.get(replaced.hash).status = 'replaced';
+        }
+
+        const hash = this._recordTx(tx, 'pending');
+        this.staged.push({
+            hash,
+            from: tx.from,
+            to_: tx.to_,
+            amount: String(amount),
+            nonce: tx.nonce,
+            ou: String(fee),
+            timestamp: tx.timestamp,
+            message: tx.message || null
+        });
+
+        return [200, { status: 'accepted', tx_hash: hash, pool_info: { total_pool_size: this.staged.length } }];
+    }
+
+    _viewEncrypted(address, req) {
+        const keyError = this._verifySeed(address, req.headers['x-private-key']);
+        if (keyError) return [403, { error: keyError }];
+
+        const account = this.getAccount(address);
+        if (!account) return [404, { error: 'Address not found' }];
+
+        return [200, {
+            address,
+            public_balance: `${formatOct(account.balance)} OCT`,
+            public_balance_raw: String(account.balance),
+            encrypted_balance: `${formatOct(account.encrypted)} OCT`,
+            encrypted_balance_raw: String(account.encrypted),
+            total_balance: `${formatOct(account.balance + account.encrypted)} OCT`
+        }];
+    }
+
+    /**
+     * Shared handler for /encrypt_balance (direction 1) and /decrypt_balance (-1)
+     */
+    _shield(body, direction) {
+        const keyError = this._verifySecretKey(body?.address, body?.private_key, body?.public_key);
+        if (keyError) return [400, { error: keyError }];
+
+        const nonceError = this._checkNonce(body.address, body.nonce);
+        if (nonceError) return [400, { error: nonceError }];
+
+        const amount = toRaw(body.amount);
+        if (!amount) return [400, { error: 'Invalid amount' }];
+
+        const account = this.getAccount(body.address);
+        const source = direction > 0 ? account.balance : account.encrypted;
+        if (source < amount) {
+            return [400, { error: `Insufficient ${direction > 0 ? 'public' : 'encrypted'} balance` }];
+        }
+
+        account.balance -= direction * amount;
+        account.encrypted += direction * amount;
+        account.nonce = body.nonce;
+
+        const hash = this._recordTx({ from: body.address, to_: body.address, amount, ou: 0, nonce: body.nonce, timestamp: body.timestamp }, 'pending');
+        this._confirm(hash, [body.address]);
+        return [200, { status: 'accepted', tx_hash: hash }];
+    }
+
+    _privateTransfer(body) {
+        const keyError = this._verifySecretKey(body?.from, body?.from_private_key, body?.from_public_key);
+        if (keyError) return [400, { error: keyError }];
+
+        const recipient = this.getAccount(body.to);
+        if (!recipient?.publicKey || recipient.publicKey !== body.to_public_key) {
+            return [400, { error: 'Recipient public key not registered' }];
+        }
+
+        const nonceError = this._checkNonce(body.from, body.nonce);
+        if (nonceError) return [400, { error: nonceError }];
+
+        const amount = toRaw(body.amount);
+        const sender = this.getAccount(body.from);
+        if (!amount) return [400, { error: 'Invalid amount' }];
+        if (sender.encrypted < amount) return [400, { error: 'Insufficient encrypted balance' }];
+
+        sender.encrypted -= amount;
+        sender.nonce = body.nonce;
+
+        const hash = this._recordTx({ from: body.from, to_: body.to, amount: 0, ou: 0, nonce: body.nonce, timestamp: body.timestamp }, 'pending');
+        this._confirm(hash, [body.from]);
+        this.pendingPrivate.push({
+            id: ++this.transferSeq,
+            sender: body.from,
+            recipient: body.to,
+            amount: String(amount),
+            epoch_id: this.epoch,
+            tx_hash: hash
+        });
+
+        return [200, { status: 'accepted', tx_hash: hash }];
+    }
+
+    _pendingTransfers(req) {
+        const address = req.query.get('address');
+        const keyError = this._verifySeed(address, req.headers['x-private-key']);
+        if (keyError) return [403, { error: keyError }];
+
+        const pending = this.pendingPrivate.filter(t => t.recipient === address);
+        return [200, { pending_transfers: pending, count: pending.length }];
+    }
+
+    _claim(body) {
+        const address = body?.recipient_address;
+        const keyError = this._verifySecretKey(address, body?.private_key, body?.public_key);
+        if (keyError) return [400, { error: keyError }];
+
+        const transfer = this.pendingPrivate.find(t => String(t.id) === String(body.transfer_id) && t.recipient === address);
+        if (!transfer) return [404, { error: 'Transfer not found' }];
+
+        const nonceError = this._checkNonce(address, body.nonce);
+        if (nonceError) return [400, { error: nonceError }];
+
+        const account = this.getAccount(address);
+        account.encrypted += Number(transfer.amount);
+        account.nonce = body.nonce;
+        this.pendingPrivate = this.pendingPrivate.filter(t => t !== transfer);
+
+        const hash = this._recordTx({ from: address, to_: address, amount: 0, ou: 0, nonce: body.nonce, timestamp: body.timestamp }, 'pending');
+        this._confirm(hash, [address]);
+        return [200, { status: 'accepted', tx_hash: hash }];
+    }
+
+    _callView(body) {
+        const contract = this.contracts.get(body?.contract);
+        if (!contract) return [404, { status: 'error', error: 'Contract not found' }];
+
+        const params = body.params || [];
+        switch (body.method) {
+            case 'greetCaller':
+                return [200, { status: 'success', result: `Hello, ${body.caller}` }];
+            case 'getSpec':
+                return [200, { status: 'success', result: { name: contract.name, symbol: contract.symbol, decimals: contract.decimals } }];
+            case 'getCredits':
+                return [200, { status: 'success', result: formatOct(Number(contract.credits.get(params[0]) || 0)) }];
+            default:
+                return [400, { status: 'error', error: `Unknown view method: ${body.method}` }];
+        }
+    }
+
+    _callContract(body) {
+        const contract = this.contracts.get(body?.contract);
+        if (!contract) return [404, { error: 'Contract not found' }];
+
+        const payload = {
+            from: body.caller,
+            to_: body.contract,
+            amount: '0',
+            nonce: body.nonce,
+            ou: '1',
+            timestamp: body.timestamp
+        };
+        const signatureError = this._verifySignature(body.caller, payload, body.signature, body.public_key);
+        if (signatureError) return [400, { error: signatureError }];
+
+        const nonceError = this._checkNonce(body.caller, body.nonce);
+        if (nonceError) return [400, { error: nonceError }];
+
+        if (body.method !== 'transfer') return [400, { error: `Unknown method: ${body.method}` }];
+
+        const [to, rawAmount] = body.params || [];
+        const amount = toRaw(rawAmount);
+        const available = Number(contract.credits.get(body.caller) || 0);
+        if (!to || !amount) return [400, { error: 'Invalid transfer params' }];
+        if (available < amount) return [400, { error: 'Insufficient balance' }];
+
+        contract.credits.set(body.caller, available - amount);
+        contract.credits.set(to, Number(contract.credits.get(to) || 0) + amount);
+        this.getAccount(body.caller, true).nonce = body.nonce;
+
+        const hash = this._recordTx({ ...payload, signature: body.signature }, 'pending');
+        this._confirm(hash, [body.caller]);
+        return [200, { status: 'accepted', tx_hash: hash }];
+    }
+
+    _controlFund(body) {
+        if (!body?.address) return [400, { error: 'address required' }];
+        const account = this.fund(body.address, body.amount || 0, body);
+        return [200, { address: account.address, balance_raw: String(account.balance), encrypted_raw: String(account.encrypted) }];
+    }
+
+    _controlFail(body) {
+        if (!body?.path) return [400, { error: 'path required' }];
+        this.failNext(body.path, body);
+        return [200, { ok: true, scripted: this.failures.length }];
+    }
+
+    /**
+     * JSON-safe snapshot of the node (for assertions)
+     */
+    getState() {
+        return {
+            epoch: this.epoch,
+            accounts: [...this.accounts.values()].map(({ history, ...account }) => ({ ...account, txCount: history.length })),
+            staged: this.staged,
+            pendingPrivate: this.pendingPrivate,
+            contracts: [...this.contracts.values()].map(c => ({ ...c, credits: Object.fromEntries(c.credits) })),
+            failures: this.failures.map(f => ({ ...f, path: String(f.path) })),
+            requests: this.requests.slice(-100)
+        };
+    }
+
+    // ==================== HTTP ====================
+
+    _takeFailure(method, path) {
+        const index = this.failures.findIndex(f => (
+            (!f.method || f.method === method) &&
+            (f.path instanceof RegExp ? f.path.test(path) : path.startsWith(f.path))
+        ));
+        if (index === -1) return null;
+
+        const failure = this.failures[index];
+        if (--failure.times <= 0) this.failures.splice(index, 1);
+        return failure;
+    }
+
+    async _handle(req, res) {
+        const url = new URL(req.url, 'http://mock');
+        const path = url.pathname.replace(/\/+$/, '') || '/';
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, CORS_HEADERS);
+            return res.end();
+        }
+
+        const raw = await new Promise((resolve) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => resolve(data));
+        });
+
+        this.requests.push({ method: req.method, path, at: Date.now() });
+
+        const send = (status, body, headers = {}) => {
+            const text = typeof body === 'string' ? body : JSON.stringify(body);
+            res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS, ...headers });
+            res.end(text);
+        };
+
+        if (this.latency > 0) await new Promise(r => setTimeout(r, this.latency));
+
+        // Scripted failures (control routes are never affected)
+        const failure = path.startsWith('/__mock') ? null : this._takeFailure(req.method, path);
+        if (failure) {
+            if (failure.hang) return; // leave the socket open - client sees a timeout
+            if (failure.delay) await new Promise(r => setTimeout(r, failure.delay));
+            const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+            return send(failure.status, failure.body ?? { error: `Mock failure (${failure.status})` }, headers);
+        }
+
+        let body = null;
+        if (raw) {
+            try {
+                body = JSON.parse(raw);
+            } catch {
+                return send(400, { error: 'Invalid JSON body' });
+            }
+        }
+
+        for (const [method, pattern, handler] of this._routes()) {
+            const match = path.match(pattern);
+            if (method === req.method && match) {
+                try {
+                    const [status, payload] = handler({ body, query: url.searchParams, headers: req.headers }, match.slice(1).map(decodeURIComponent));
+                    return send(status, payload);
+                } catch (error) {
+                    return send(500, { error: error.message });
+                }
+            }
+        }
+
+        send(404, { error: `Unknown route: ${req.method} ${path}` });
+    }
+
+    /**
+     * Start listening (port 0 = random free port)
+     * @returns {Promise<string>} base URL
+     */
+    start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => { this._handle(req, res); });
+
+        if (this.blockTime > 0) {
+            this.mineTimer = setInterval(() => this.mine(), this.blockTime);
+            this.mineTimer.unref();
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    stop() {
+        clearInterval(this.mineTimer);
+        this.mineTimer = null;
+        if (!this.server) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            this.server.closeAllConnections();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+export { MockOctraNode };
+export default MockOctraNode;
@@ -0,0 +1,8 @@
+/**
+ * Mock Octra node defaults shared by Vitest, Playwright and the CLI
+ */
+
+import process from 'node:process';
+
+export const MOCK_NODE_PORT = Number(process.env.MOCK_NODE_PORT) || 8799;
+export const MOCK_NODE_URL = `http://127.0.0.1:${MOCK_NODE_PORT}`;
@@ -0,0 +1,33 @@
+/**
+ * HTTP client for the mock node's /__mock/* controls
+ * Used by tests that run in another process than the node (Vitest workers, Playwright)
+ */
+
+import { MOCK_NODE_URL } from './constants.js';
+
+export function mockNodeControl(baseUrl = MOCK_NODE_URL) {
+    const call = async (method, path, body) => {
+        const response = await fetch(`${baseUrl}/__mock${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        if (!response.ok) {
+            throw new Error(`[MockNode] ${path} failed: HTTP ${response.status}`);
+        }
+        return response.json();
+    };
+
+    return {
+        url: baseUrl,
+        reset: () => call('POST', '/reset'),
+        mine: () => call('POST', '/mine'),
+        state: () => call('GET', '/state'),
+        fund: (address, amount, options = {}) => call('POST', '/fund', { address, amount, ...options }),
+        fail: (path, failure = {}) => call('POST', '/fail', { path, ...failure }),
+        latency: (ms) => call('POST', '/latency', { ms }),
+        addContract: (address, contract = {}) => call('POST', '/contract', { address, ...contract })
+    };
+}
+
+export default mockNodeControl;
@@ -0,0 +1,45 @@
+/**
+ * Mock Octra node - standalone server
+ *
+ * Usage:
+ *   node tests/mock-node/server.js [--port 8799] [--block-time 3000] [--fund oct1...=100]
+ *
+ * Then point the wallet at it:
+ *   VITE_RPC_URL=http://127.0.0.1:8799 npm run dev
+ */
+
+import process from 'node:process';
+import { MockOctraNode } from './MockOctraNode.js';
+import { MOCK_NODE_PORT } from './constants.js';
+
+function parseArgs(argv) {
+    const args = { port: MOCK_NODE_PORT, blockTime: 0, fund: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': args.port = Number(value); i++; break;
+            case '--block-time': args.blockTime = Number(value); i++; break;
+            case '--fund': args.fund.push(value); i++; break;
+        }
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const node = new MockOctraNode({ blockTime: args.blockTime });
+
+for (const entry of args.fund) {
+    const [address, amount] = entry.split('=');
+    node.fund(address, amount || 0);
+}
+
+node.start(args.port).then((url) => {
+    console.log(`[MockNode] Listening on ${url}${args.blockTime ? ` (epoch every ${args.blockTime}ms)` : ''}`);
+});
+
+const shutdown = async () => {
+    await node.stop();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,16 @@
+/**
+ * Vitest global setup - runs one mock Octra node for the whole test run
+ * Workers reach it through VITE_RPC_URL (see vitest.config.js)
+ */
+
+import { MockOctraNode } from './MockOctraNode.js';
+import { MOCK_NODE_PORT } from './constants.js';
+
+export default async function setup() {
+    const node = new MockOctraNode();
+    await node.start(MOCK_NODE_PORT);
+
+    return async () => {
+        await node.stop();
+    };
+}
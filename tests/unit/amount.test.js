@@ -0,0 +1,171 @@
+// @vitest-environment node
+/**
+ * Amount Unit Tests
+ * Property-based tests for exact fixed-point parsing, formatting and arithmetic
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import nacl from 'tweetnacl';
+import {
+    parseAmount,
+    parseAmountOrZero,
+    parseRaw,
+    parseNodeAmount,
+    parseBalanceString,
+    formatUnits,
+    toNumber,
+    toRaw,
+    addAmounts,
+    subtractAmounts,
+    compareAmounts,
+    isValidAmountString,
+    AmountError
+} from '../../src/utils/amount';
+import { createTransaction, bufferToBase64 } from '../../src/utils/crypto';
+import { keyringService } from '../../src/services/KeyringService';
+
+const RUNS = 500;
+
+// Seeded PRNG (mulberry32) so every failure is reproducible
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomInt(random, max) {
+    return Math.floor(random() * max);
+}
+
+function randomDigits(random, length) {
+    let digits = '';
+    for (let i = 0; i < length; i++) digits += randomInt(random, 10);
+    return digits;
+}
+
+// Random raw amount of up to 30 digits, optionally negative
+function randomRaw(random) {
+    const raw = BigInt(randomDigits(random, 1 + randomInt(random, 30)));
+    return random() < 0.2 ? -raw : raw;
+}
+
+/**
+ * Run `property(random, run)` RUNS times with a fixed seed
+ */
+function forAll(seed, property) {
+    const random = createRandom(seed);
+    for (let run = 0; run < RUNS; run++) {
+        property(random, run);
+    }
+}
+
+describe('Amount', () => {
+    it('should round-trip raw units through formatUnits for any precision', () => {
+        forAll(1, (random) => {
+            const raw = randomRaw(random);
+            const decimals = randomInt(random, 19);
+            expect(parseAmount(formatUnits(raw, decimals), decimals)).toBe(raw);
+        });
+    });
+
+    it('should round-trip canonical decimal strings', () => {
+        forAll(2, (random) => {
+            const decimals = 1 + randomInt(random, 18);
+            const intPart = String(BigInt(randomDigits(random, 1 + randomInt(random, 15))));
+            const fracPart = randomDigits(random, randomInt(random, decimals + 1)).replace(/0+$/, '');
+            const str = fracPart ? `${intPart}.${fracPart}` : intPart;
+            expect(formatUnits(parseAmount(str, decimals), decimals)).toBe(str);
+        });
+    });
+
+    it('should convert JS numbers exactly, unlike Math.floor(x * 1e6)', () => {
+        expect(parseAmount(0.000249)).toBe(249n);
+        expect(Math.floor(0.000249 * 1_000_000)).toBe(248);
+
+        forAll(3, (random) => {
+            const micro = randomInt(random, Number.MAX_SAFE_INTEGER / 1000);
+            const value = micro / 1_000_000;
+            expect(parseAmount(value)).toBe(BigInt(micro));
+            expect(toNumber(BigInt(micro))).toBe(value);
+        });
+    });
+
+    it('should keep addition and subtraction exact and consistent with compare', () => {
+        forAll(4, (random) => {
+            const a = randomRaw(random);
+            const b = randomRaw(random);
+            const sum = addAmounts(a, b);
+
+            expect(sum).toBe(addAmounts(b, a));
+            expect(subtractAmounts(sum, b)).toBe(a);
+            expect(compareAmounts(a, b)).toBe(-compareAmounts(b, a));
+            expect(compareAmounts(a, b)).toBe(Math.sign(Number(subtractAmounts(a, b))));
+            expect(parseAmount(formatUnits(sum))).toBe(parseAmount(formatUnits(a)) + parseAmount(formatUnits(b)));
+        });
+    });
+
+    it('should truncate extra decimals, or reject them in strict mode', () => {
+        expect(parseAmount('1.2345678')).toBe(1234567n);
+        expect(parseAmount('1.2345670', 6, { strict: true })).toBe(1234567n);
+        expect(() => parseAmount('1.2345678', 6, { strict: true })).toThrow(AmountError);
+        expect(parseAmount('12.5', 0)).toBe(12n);
+        expect(parseAmount(1e-7)).toBe(0n);
+        expect(parseAmount('1.5e3')).toBe(1500000000n);
+    });
+
+    it('should reject malformed input', () => {
+        for (const bad of ['', '.', '-', 'abc', '1,000', '1.2.3', NaN, Infinity, null, {}]) {
+            expect(() => parseAmount(bad)).toThrow(AmountError);
+        }
+        expect(parseAmountOrZero('abc')).toBe(0n);
+        expect(() => parseRaw('1.5')).toThrow(AmountError);
+        expect(isValidAmountString('0.000001')).toBe(true);
+        expect(isValidAmountString('0.0000001')).toBe(false);
+    });
+
+    it('should read node fields in raw units or OCT', () => {
+        expect(parseNodeAmount('1500000')).toBe(1500000n);
+        expect(parseNodeAmount('1.5')).toBe(1500000n);
+        expect(parseNodeAmount(null)).toBe(0n);
+        expect(parseBalanceString('5 OCT')).toBe(5000000n);
+        expect(parseBalanceString('1.234567 OCT')).toBe(1234567n);
+    });
+
+    it('should respect token decimals', () => {
+        expect(toRaw('1', 18)).toBe('1000000000000000000');
+        expect(formatUnits(1n, 18)).toBe('0.000000000000000001');
+        expect(formatUnits(4200n, 2, { minDecimals: 2 })).toBe('42.00');
+    });
+});
+
+describe('Amount in both signing paths', () => {
+    afterEach(() => {
+        keyringService.lock();
+    });
+
+    it('should give createTransaction and KeyringService.signTransaction the same raw amount and ou', async () => {
+        const seed = nacl.randomBytes(32);
+        const publicKey = nacl.sign.keyPair.fromSeed(seed).publicKey;
+        const address = 'oct1amount';
+        const privateKeyB64 = bufferToBase64(seed);
+        await keyringService.unlock('TestPassword123!', [{ address, privateKeyB64, publicKeyB64: bufferToBase64(publicKey) }]);
+
+        const random = createRandom(5);
+        for (let run = 0; run < 20; run++) {
+            const amount = randomInt(random, 1e12) / 1_000_000;
+            const fee = (1000 + randomInt(random, 10000)) / 1_000_000;
+
+            const a = await createTransaction(address, 'oct1to', amount, 1, privateKeyB64, null, fee);
+            const b = await keyringService.signTransaction(address, { to: 'oct1to', amount, nonce: 1, fee });
+
+            expect(b.amount).toBe(a.amount);
+            expect(b.ou).toBe(a.ou);
+            expect(a.amount).toBe(toRaw(amount));
+        }
+    });
+});
@@ -0,0 +1,141 @@
+// @vitest-environment node
+/**
+ * Backup Bundle Unit Tests
+ * Tests for the full encrypted backup: round trips, integrity, schema
+ * versioning and the merge / replace rules
+ */
+
+import { describe, it, expect } from 'vitest';
+import { importFromMnemonic, generateWallet } from '../../src/utils/crypto';
+import {
+    createBackupFile,
+    openBackupFile,
+    parseBackupFile,
+    validateBackupPayload,
+    mergeBackupPayload,
+    summarizeBackup,
+    BACKUP_SCHEMA
+} from '../../src/utils/backupBundle';
+
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const PASSWORD = 'backup-pass-1';
+// Full strength is slow; the format is the same
+const FAST = { iterations: 1000 };
+
+async function makePayload() {
+    const root = { ...await importFromMnemonic(TEST_MNEMONIC), name: 'Main' };
+    const other = { ...await generateWallet(), name: 'Savings' };
+    const watch = { address: other.address.replace(/.$/, c => (c === 'a' ? 'b' : 'a')), watchOnly: true, name: 'Cold' };
+
+    return {
+        schema: BACKUP_SCHEMA,
+        wallets: [root, other, watch],
+        activeWalletIndex: 1,
+        settings: { network: 'testnet', rpcUrl: 'https://rpc.example' },
+        customTokens: { [root.address]: ['octTokenA'] },
+        privacyLogs: { hashA: { type: 'shield', timestamp: 1 } },
+        txHistory: {
+            [`testnet_${root.address}`]: [
+                { hash: 'tx1', timestamp: 100, amount: '1' },
+                { hash: 'tx2', timestamp: 200, amount: '2' }
+            ]
+        }
+    };
+}
+
+describe('Backup Bundle', () => {
+    it('should round-trip every section without storing it in clear', async () => {
+        const payload = await makePayload();
+        const file = await createBackupFile(payload, PASSWORD, FAST);
+
+        expect(file).toMatchObject({ format: 'octra-backup', version: 1 });
+        expect(file.crypto).toMatchObject({ cipher: 'aes-256-gcm', kdf: 'pbkdf2', kdfparams: { c: 1000 } });
+        const serialized = JSON.stringify(file);
+        expect(serialized).not.toContain(payload.wallets[0].privateKeyB64);
+        expect(serialized).not.toContain(payload.wallets[0].address);
+        expect(serialized).not.toContain('abandon');
+
+        const restored = await openBackupFile(parseBackupFile(serialized), PASSWORD);
+        expect(restored).toEqual(payload);
+        expect(summarizeBackup(restored)).toEqual({
+            wallets: 2,
+            watchOnly: 1,
+            recoveryPhrases: 2,
+            tokens: 1,
+            transactions: 2,
+            privacyLogs: 1
+        });
+    });
+
+    it('should reject a wrong password and any edited byte', async () => {
+        const file = await createBackupFile(await makePayload(), PASSWORD, FAST);
+
+        await expect(openBackupFile(file, 'wrong-password')).rejects.toThrow('Incorrect backup password');
+
+        // The header is authenticated too
+        await expect(openBackupFile({ ...file, createdAt: new Date(0).toISOString() }, PASSWORD))
+            .rejects.toThrow('Incorrect backup password');
+
+        const flipped = file.crypto.ciphertext.replace(/^./, c => (c === '0' ? '1' : '0'));
+        await expect(openBackupFile({ ...file, crypto: { ...file.crypto, ciphertext: flipped } }, PASSWORD))
+            .rejects.toThrow('Incorrect backup password');
+    });
+
+    it('should refuse keys that do not derive their address', async () => {
+        const payload = await makePayload();
+        const swapped = { ...payload.wallets[0], privateKeyB64: payload.wallets[1].privateKeyB64 };
+        const file = await createBackupFile({ ...payload, wallets: [swapped] }, PASSWORD, FAST);
+
+        await expect(openBackupFile(file, PASSWORD)).rejects.toThrow('does not match its address');
+    });
+
+    it('should validate versions and payload sections', async () => {
+        const payload = await makePayload();
+        const file = await createBackupFile(payload, PASSWORD, FAST);
+
+        expect(() => parseBackupFile('not json')).toThrow('Not an Octra backup file');
+        expect(() => parseBackupFile(JSON.stringify({ ...file, format: 'octra-keystore' }))).toThrow('Not an Octra backup file');
+        expect(() => parseBackupFile(JSON.stringify({ ...file, version: 2 }))).toThrow('Unsupported backup version: 2');
+        expect(() => parseBackupFile(JSON.stringify({ ...file, crypto: { ...file.crypto, kdf: 'scrypt' } }))).toThrow('Unsupported key derivation');
+
+        expect(() => validateBackupPayload({ ...payload, schema: BACKUP_SCHEMA + 1 })).toThrow('newer wallet version');
+        expect(() => validateBackupPayload({ ...payload, wallets: [] })).toThrow('no wallets');
+        expect(() => validateBackupPayload({ ...payload, wallets: [{ address: 'oct123', privateKeyB64: 'x' }] })).toThrow('invalid address');
+        // History keys become storage keys, so only "<network>_<address>" is accepted
+        expect(() => validateBackupPayload({ ...payload, txHistory: { '../settings': [] } })).toThrow('txHistory');
+
+        // Optional sections default to empty and a bad active index falls back to 0
+        const minimal = validateBackupPayload({ schema: 1, wallets: payload.wallets, activeWalletIndex: 9 });
+        expect(minimal).toMatchObject({ activeWalletIndex: 0, settings: {}, customTokens: {}, privacyLogs: {}, txHistory: {} });
+    });
+
+    it('should merge with existing data winning conflicts, or replace it', async () => {
+        const incoming = await makePayload();
+        const [root, other] = incoming.wallets;
+        const local = { ...await generateWallet(), name: 'Local' };
+        const historyKey = `testnet_${root.address}`;
+
+        const current = {
+            schema: BACKUP_SCHEMA,
+            wallets: [{ ...root, name: 'Renamed here' }, local],
+            activeWalletIndex: 1,
+            settings: { network: 'mainnet' },
+            customTokens: { [root.address]: ['octTokenB'] },
+            privacyLogs: { hashA: { type: 'unshield', timestamp: 5 } },
+            txHistory: { [historyKey]: [{ hash: 'tx2', timestamp: 200, amount: '2', replacedBy: 'tx3' }, { hash: 'tx3', timestamp: 300 }] }
+        };
+
+        const merged = mergeBackupPayload(current, incoming, 'merge');
+        expect(merged.wallets.map(w => w.name)).toEqual(['Renamed here', 'Local', 'Savings', 'Cold']);
+        expect(merged.wallets[2].address).toBe(other.address);
+        expect(merged.activeWalletIndex).toBe(1);
+        expect(merged.settings).toEqual({ network: 'mainnet', rpcUrl: 'https://rpc.example' });
+        expect(merged.customTokens[root.address]).toEqual(['octTokenB', 'octTokenA']);
+        expect(merged.privacyLogs.hashA.type).toBe('unshield');
+        expect(merged.txHistory[historyKey].map(tx => tx.hash)).toEqual(['tx3', 'tx2', 'tx1']);
+        expect(merged.txHistory[historyKey][1].replacedBy).toBe('tx3');
+
+        expect(mergeBackupPayload(current, incoming, 'replace')).toBe(incoming);
+        expect(() => mergeBackupPayload(current, incoming, 'append')).toThrow('Unknown restore mode');
+    });
+});
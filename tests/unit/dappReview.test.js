@@ -0,0 +1,121 @@
+// @vitest-environment node
+/**
+ * dApp Request Review Unit Tests
+ * Tests for contract call decoding, balance simulation and approval warnings
+ */
+
+import { describe, it, expect } from 'vitest';
+import nacl from 'tweetnacl';
+import { decodeContractCall, reviewDappRequest } from '../../src/utils/dappReview';
+import { PROVIDER_METHODS } from '../../src/provider/protocol';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+
+const randomAddress = () => addressFromPublicKey(nacl.sign.keyPair().publicKey);
+const ORIGIN = 'https://dapp.example';
+const levels = (review) => review.warnings.map(w => w.level);
+
+describe('decodeContractCall', () => {
+    const contract = randomAddress();
+    const knownContracts = [{ address: contract, name: 'Test Token', verified: true }];
+
+    it('names known token params and formats raw amounts', () => {
+        const to = randomAddress();
+        const decoded = decodeContractCall({ contract, method: 'transfer', params: [to, '1500000'] }, { knownContracts });
+
+        expect(decoded).toMatchObject({ method: 'transfer', known: true, contractName: 'Test Token', verified: true });
+        expect(decoded.args).toEqual([
+            expect.objectContaining({ name: 'to', type: 'address', display: to, valid: true }),
+            expect.objectContaining({ name: 'amount', type: 'amount', display: '1.5', units: 1500000n, valid: true })
+        ]);
+    });
+
+    it('falls back to positional params for unknown methods or arity', () => {
+        const unknown = decodeContractCall({ contract, method: 'doSomething', params: ['a', 'b'] });
+        expect(unknown.known).toBe(false);
+        expect(unknown.contractName).toBeNull();
+        expect(unknown.args.map(a => a.name)).toEqual(['param 1', 'param 2']);
+
+        // Prototype keys are not method signatures
+        expect(decodeContractCall({ contract, method: 'constructor', params: [] }).known).toBe(false);
+        expect(decodeContractCall({ contract, method: 'transfer', params: ['only-one'] }).known).toBe(false);
+    });
+});
+
+describe('reviewDappRequest', () => {
+    const account = randomAddress();
+    const other = randomAddress();
+
+    const transfer = (amount, to = other, message) => ({
+        origin: ORIGIN,
+        method: PROVIDER_METHODS.SEND_TRANSACTION,
+        accounts: [account],
+        params: { to, amount, ...(message && { message }) }
+    });
+
+    it('simulates transfers and flags insufficient or large amounts', () => {
+        const ok = reviewDappRequest(transfer('1'), { balanceRaw: '10000000', feeRaw: 2000 });
+        expect(ok.simulation).toEqual({ symbol: 'OCT', before: 10000000n, change: 1002000n, after: 8998000n });
+        expect(ok.hasDanger).toBe(false);
+        expect(ok.warnings).toEqual([]);
+
+        const large = reviewDappRequest(transfer('6'), { balanceRaw: '10000000', feeRaw: 2000 });
+        expect(levels(large)).toEqual(['warning']);
+
+        const short = reviewDappRequest(transfer('10'), { balanceRaw: '10000000', feeRaw: 2000 });
+        expect(short.hasDanger).toBe(true);
+        expect(short.simulation.after).toBe(-2000n);
+
+        // Balance unknown: no simulation, no balance warnings
+        expect(reviewDappRequest(transfer('10'), {}).simulation).toBeNull();
+    });
+
+    it('notes self-transfers, own accounts and public memos', () => {
+        expect(levels(reviewDappRequest(transfer('1', account), {}))).toEqual(['warning']);
+        expect(levels(reviewDappRequest(transfer('1', other, 'gm'), { ownAddresses: [account, other] })))
+            .toEqual(['info', 'info']);
+    });
+
+    it('warns about unknown contracts, undecodable methods and bad params', () => {
+        const contract = randomAddress();
+        const call = (method, params) => ({ origin: ORIGIN, method: PROVIDER_METHODS.CALL_CONTRACT, accounts: [account], params: { contract, method, params } });
+        const knownContracts = [{ address: contract, name: 'Test Token', verified: true }];
+
+        const unknown = reviewDappRequest(call('mystery', ['1']), {});
+        expect(unknown.warnings.map(w => w.message).join(' ')).toMatch(/not in your token list.*cannot decode/);
+
+        const badAddress = reviewDappRequest(call('transfer', ['oct1nope', '5']), { knownContracts });
+        expect(badAddress.hasDanger).toBe(true);
+
+        const unlimited = reviewDappRequest(call('approve', [other, (2n ** 64n).toString()]), { knownContracts });
+        expect(unlimited.decoded.args[1].display).toBe('Unlimited');
+        expect(unlimited.hasDanger).toBe(true);
+
+        const overspend = reviewDappRequest(call('transfer', [other, '3000000']), { knownContracts, tokenBalanceRaw: 2000000n });
+        expect(overspend.simulation).toMatchObject({ symbol: 'Test Token', after: -1000000n });
+        expect(overspend.hasDanger).toBe(true);
+
+        const fine = reviewDappRequest(call('transfer', [other, '1000000']), { knownContracts, tokenBalanceRaw: 2000000n });
+        expect(fine.hasDanger).toBe(false);
+        expect(levels(fine)).toEqual(['info']);
+    });
+
+    it('flags blind signing, transaction-like messages and sign-in for another site', () => {
+        const sign = (message) => ({ origin: ORIGIN, method: PROVIDER_METHODS.SIGN_MESSAGE, accounts: [account], params: { message } });
+
+        expect(reviewDappRequest(sign('Welcome to the dApp')).hasDanger).toBe(false);
+        expect(reviewDappRequest(sign('ab'.repeat(40))).hasDanger).toBe(true);
+        expect(reviewDappRequest(sign('{"from":"oct1","amount":"100","nonce":3}')).hasDanger).toBe(true);
+        expect(reviewDappRequest(sign('dapp.example wants you to sign in with your Octra account')).hasDanger).toBe(false);
+        expect(reviewDappRequest(sign('evil.example wants you to sign in with your Octra account')).hasDanger).toBe(true);
+    });
+
+    it('only calls a signature harmless when nothing looks dangerous', () => {
+        const sign = (message) => ({ origin: ORIGIN, method: PROVIDER_METHODS.SIGN_MESSAGE, accounts: [account], params: { message } });
+        const messages = (review) => review.warnings.map(w => w.message);
+
+        expect(messages(reviewDappRequest(sign('Welcome to the dApp')))).toContain('Signing is free and does not send a transaction.');
+        const txLike = messages(reviewDappRequest(sign('{"from":"oct1","amount":"100","nonce":3}')));
+        expect(txLike).toContain('This message looks like a transaction. Sites never need your signature on a raw transaction.');
+        expect(txLike).not.toContain('Signing is free and does not send a transaction.');
+    });
+});
@@ -6,9 +6,16 @@
 import { describe, it, expect } from 'vitest';
 import {
     ERROR_MESSAGES,
+    RPC_ERROR_MESSAGES,
     getFriendlyErrorMessage,
     formatError
 } from '../../src/utils/errorMessages';
+import {
+    RpcTimeoutError,
+    RpcHttpError,
+    RpcNodeRejectedError,
+    NonceConflictError
+} from '../../src/utils/rpcErrors';
 
 describe('Error Messages', () => {
 
@@ -72,6 +79,23 @@ describe('Error Messages', () => {
         });
     });
 
+    describe('Typed RPC errors', () => {
+        it('should map by error type, not message text', () => {
+            expect(getFriendlyErrorMessage(new RpcTimeoutError('ETIMEDOUT'))).toBe(RPC_ERROR_MESSAGES.timeout);
+            expect(getFriendlyErrorMessage(new NonceConflictError('duplicate nonce 5'))).toBe(RPC_ERROR_MESSAGES.nonce_conflict);
+        });
+
+        it('should use the rate-limit message for HTTP 429', () => {
+            const error = new RpcHttpError('HTTP 429', { status: 429 });
+            expect(getFriendlyErrorMessage(error)).toBe(RPC_ERROR_MESSAGES.rate_limited);
+        });
+
+        it('should still recognize known reasons inside generic node rejections', () => {
+            expect(getFriendlyErrorMessage(new RpcNodeRejectedError('Invalid signature'))).toBe(ERROR_MESSAGES['Invalid signature']);
+            expect(getFriendlyErrorMessage(new RpcNodeRejectedError('weird reason'))).toBe(RPC_ERROR_MESSAGES.node_rejected);
+        });
+    });
+
     describe('formatError', () => {
         it('should return only message when showTechnical is false', () => {
             const error = new Error('Invalid mnemonic phrase');
@@ -0,0 +1,163 @@
+// @vitest-environment node
+/**
+ * HD Keyring Unit Tests
+ * Tests for account derivation from one recovery phrase, BIP39 passphrases, custom paths and the import scan
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as bip39 from 'bip39';
+import {
+    importFromMnemonic,
+    generateWallet,
+    deriveAccountFromSeed,
+    parseDerivationPath,
+    formatDerivationPath,
+    DEFAULT_DERIVATION_PATH
+} from '../../src/utils/crypto';
+import { HDKeyringService } from '../../src/services/HDKeyringService';
+import RPCClient from '../../src/utils/rpc';
+import { mockNodeControl } from '../mock-node/control.js';
+import { MOCK_NODE_URL } from '../mock-node/constants.js';
+
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+
+describe('HD Keyring', () => {
+    const node = mockNodeControl();
+    let hd;
+
+    beforeEach(() => {
+        hd = new HDKeyringService(new RPCClient([MOCK_NODE_URL]));
+    });
+
+    it('should keep index 0 on the path earlier versions derived', async () => {
+        const root = await importFromMnemonic(TEST_MNEMONIC);
+        const account1 = await deriveAccountFromSeed(root.seedHex, 1);
+
+        // Golden vectors - changing them would lose access to existing wallets
+        expect(root.address).toBe('oct8tx8GhDtT7asbpwQgAuWfKDL7KDWZebdmNmPXqWeLMj');
+        expect(root.hdIndex).toBe(0);
+        expect(account1.address).toBe('octBtBVZUV2MtSsKWcJmKykezMeSr1LNvPP3i3cfisjB1FG');
+        await expect(deriveAccountFromSeed(root.seedHex, -1)).rejects.toThrow('Invalid account index');
+    });
+
+    it('should derive a different wallet with a BIP39 passphrase and never return it', async () => {
+        const plain = await importFromMnemonic(TEST_MNEMONIC);
+        const hidden = await importFromMnemonic(TEST_MNEMONIC, 'TREZOR');
+
+        // BIP39 reference vector for this phrase + "TREZOR"
+        expect(hidden.seedHex).toBe('c55257c360c07c72029aebc1b53c05ed0362ada38ead3e3e9efa3708e53495531f09a6987599d18264c1e1c92f2cf141630c7a3c4ab7c81b2f001698e7463b04');
+        expect(hidden.address).not.toBe(plain.address);
+        expect(hidden.hasPassphrase).toBe(true);
+        expect(plain.hasPassphrase).toBe(false);
+        expect(JSON.stringify(hidden)).not.toContain('TREZOR');
+
+        // Restoring with the same phrase + passphrase gives back the generated wallet
+        const created = await generateWallet('correct horse');
+        const restored = await importFromMnemonic(created.mnemonic.join(' '), 'correct horse');
+        expect(restored.address).toBe(created.address);
+        expect((await hd.deriveAccount(restored, 1)).address).toBe((await hd.deriveAccount(created, 1)).address);
+    });
+
+    it('should derive the next account without copying the seed', async () => {
+        const root = await importFromMnemonic(TEST_MNEMONIC);
+        const account1 = await hd.deriveNextAccount([root], root.address);
+        const wallets = [root, account1];
+
+        expect(account1).toMatchObject({ hdIndex: 1, hdRoot: root.address, name: 'Account 2' });
+        expect(account1.seedHex).toBeUndefined();
+        expect(account1.mnemonic).toBeUndefined();
+        expect(hd.getUsedIndices(wallets, root.address)).toEqual([0, 1]);
+        expect(hd.getRoots(wallets)).toEqual([root]);
+
+        const account2 = await hd.deriveNextAccount(wallets, root.address);
+        expect(account2.hdIndex).toBe(2);
+    });
+
+    it('should skip accounts already imported by private key and treat legacy wallets as roots', async () => {
+        const root = await importFromMnemonic(TEST_MNEMONIC);
+        // Stored before HD accounts existed: seed but no hdIndex
+        const legacyRoot = { ...root, hdIndex: undefined };
+        const account1 = await deriveAccountFromSeed(root.seedHex, 1);
+        const imported = { address: account1.address, privateKeyB64: account1.privateKeyB64 };
+
+        expect(hd.getRootAddress(legacyRoot)).toBe(root.address);
+        expect(hd.getRootAddress(imported)).toBeNull();
+
+        const next = await hd.deriveNextAccount([legacyRoot, imported], root.address);
+        expect(next.hdIndex).toBe(2);
+        await expect(hd.deriveNextAccount([imported], root.address)).rejects.toThrow('Recovery phrase not found');
+    });
+
+    it('should restore used accounts on import and stop after the gap limit', async () => {
+        const root = await importFromMnemonic(bip39.generateMnemonic());
+        const accounts = await Promise.all([1, 2, 3, 4, 5, 6].map(i => deriveAccountFromSeed(root.seedHex, i)));
+
+        // Indices 1 and 3 were used; 6 is beyond two unused indices in a row
+        await node.fund(accounts[0].address, 1);
+        await node.fund(accounts[2].address, 0.5);
+        await node.fund(accounts[5].address, 1);
+
+        const found = await hd.scanAccounts(root, { gapLimit: 2 });
+        expect(found.map(a => a.hdIndex)).toEqual([1, 3]);
+        expect(found.every(a => a.hdRoot === root.address)).toBe(true);
+    });
+
+    it('should parse and validate derivation paths', () => {
+        expect(parseDerivationPath("m/44'/0h/1")).toEqual([0x80000000 + 44, 0x80000000, 1]);
+        expect(formatDerivationPath(parseDerivationPath(' m/345H/0H/0H/0H/0H/0H/0H '))).toBe(DEFAULT_DERIVATION_PATH);
+
+        expect(() => parseDerivationPath("44'/0'")).toThrow('must start with "m/"');
+        expect(() => parseDerivationPath('m/')).toThrow('segment ""');
+        expect(() => parseDerivationPath("m/44'/x")).toThrow('segment "x"');
+        expect(() => parseDerivationPath('m/2147483648')).toThrow('segment "2147483648"');
+        expect(() => parseDerivationPath('m')).toThrow('levels');
+    });
+
+    it('should import from a custom path and keep it for every derived account', async () => {
+        const customPath = "m/44'/345'/0'";
+        const root = await importFromMnemonic(TEST_MNEMONIC, '', { derivationPath: "m/44h/345h/0h", index: 2 });
+
+        expect(root).toMatchObject({ derivationPath: customPath, hdIndex: 2 });
+        expect(root.address).not.toBe('oct8tx8GhDtT7asbpwQgAuWfKDL7KDWZebdmNmPXqWeLMj');
+        expect(root.address).toBe((await deriveAccountFromSeed(root.seedHex, 2, customPath)).address);
+
+        // The default path is not recorded, so existing wallets stay unchanged
+        const explicitDefault = await importFromMnemonic(TEST_MNEMONIC, '', { derivationPath: DEFAULT_DERIVATION_PATH });
+        expect(explicitDefault.address).toBe('oct8tx8GhDtT7asbpwQgAuWfKDL7KDWZebdmNmPXqWeLMj');
+        expect(explicitDefault.derivationPath).toBeUndefined();
+
+        const next = await hd.deriveNextAccount([root], root.address);
+        expect(next).toMatchObject({ hdIndex: 3, derivationPath: customPath, hdRoot: root.address });
+        expect(next.address).toBe((await deriveAccountFromSeed(root.seedHex, 3, customPath)).address);
+    });
+
+    it('should preview addresses with balances and scan after a custom root index', async () => {
+        const customPath = "m/44'/345'/1'";
+        const { seedHex } = await importFromMnemonic(bip39.generateMnemonic());
+        const accounts = await Promise.all([0, 1, 2, 3, 4, 5].map(i => deriveAccountFromSeed(seedHex, i, customPath)));
+        await node.fund(accounts[1].address, 2.5);
+        await node.fund(accounts[4].address, 1);
+
+        const preview = await hd.previewAccounts(seedHex, customPath, { start: 0, count: 3 });
+        expect(preview.map(a => a.address)).toEqual(accounts.slice(0, 3).map(a => a.address));
+        expect(preview.map(a => a.balanceRaw)).toEqual(['0', '2500000', '0']);
+
+        const unreachable = new HDKeyringService(new RPCClient(['http://127.0.0.1:9']));
+        const offline = await unreachable.previewAccounts(seedHex, customPath, { start: 3, count: 1 });
+        expect(offline).toEqual([{ hdIndex: 3, address: accounts[3].address, balanceRaw: null }]);
+
+        // Root picked at index 1 - the scan continues from 2, on the same path
+        const root = { ...accounts[1], seedHex, mnemonic: [] };
+        const found = await hd.scanAccounts(root, { gapLimit: 3 });
+        expect(found.map(a => a.hdIndex)).toEqual([4]);
+        expect(found[0]).toMatchObject({ address: accounts[4].address, derivationPath: customPath });
+    });
+
+    it('should count nonce, history or balance as activity', () => {
+        expect(hd.hasActivity({ balance: '0', nonce: 0, recent_transactions: [] })).toBe(false);
+        expect(hd.hasActivity({ balance: '0', nonce: 3 })).toBe(true);
+        expect(hd.hasActivity({ balance: '0', nonce: 0, recent_transactions: [{ hash: 'a' }] })).toBe(true);
+        expect(hd.hasActivity({ balance: '0.000001', nonce: 0 })).toBe(true);
+        expect(hd.hasActivity(null)).toBe(false);
+    });
+});
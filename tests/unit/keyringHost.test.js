@@ -0,0 +1,407 @@
+// @vitest-environment node
+/**
+ * Keyring Host Unit Tests
+ * Tests for the worker-side keyring session and the typed popup messages
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import nacl from 'tweetnacl';
+import { Buffer } from 'buffer';
+import { KeyringHost } from '../../src/background/keyringHost';
+import { KEYRING_MESSAGES } from '../../src/background/keyringProtocol';
+import { PRIVACY_OPERATIONS } from '../../src/background/privacyOps';
+import { KeyringClient } from '../../src/services/KeyringClient';
+import { keyringService, WatchOnlyError } from '../../src/services/KeyringService';
+import { PermissionDeniedError } from '../../src/services/PermissionService';
+import { NonceManager } from '../../src/services/NonceManager';
+import RPCClient from '../../src/utils/rpc';
+import { RpcUnknownOutcomeError } from '../../src/utils/rpcErrors';
+import { getSigningPayload } from '../../src/utils/transaction';
+import { createGrant, PROVIDER_METHODS, SIGN_MESSAGE_PREFIX } from '../../src/provider/protocol';
+import { AUTO_LOCK } from '../../src/constants';
+import { autoLockDuration, autoLockLabel, formatCountdown, normalizeAutoLock } from '../../src/utils/autoLock';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+
+const PASSWORD = 'TestPassword123!';
+const DATA_KEY = 'ab'.repeat(32);
+const ORIGIN = 'https://dapp.example';
+const SESSION_DURATION = autoLockDuration(AUTO_LOCK.DEFAULT);
+
+function createWallet() {
+    const seed = nacl.randomBytes(32);
+    const { publicKey } = nacl.sign.keyPair.fromSeed(seed);
+    return {
+        address: addressFromPublicKey(publicKey),
+        privateKeyB64: Buffer.from(seed).toString('base64'),
+        publicKeyB64: Buffer.from(publicKey).toString('base64')
+    };
+}
+
+function createSessionStore(initial = null) {
+    return {
+        value: initial,
+        async get() { return this.value; },
+        async set(value) { this.value = value; }
+    };
+}
+
+describe('KeyringHost', () => {
+    let wallet, watchAddress, vault, password, sessionStore, policyStore, clock, grants;
+
+    const createHost = (store = sessionStore, extra = {}) => new KeyringHost({
+        keyring: keyringService,
+        sessionStore: store,
+        policyStore,
+        loadWallets: async (pwd) => (pwd === password ? vault : []),
+        saveWallets: async (wallets, pwd) => {
+            if (pwd !== password) throw new Error('Wrong vault password');
+            vault = wallets;
+        },
+        verifyPassword: async (pwd) => pwd === password,
+        changePassword: async (current, next) => {
+            if (current !== password) throw new Error('Invalid current password');
+            password = next;
+        },
+        loadDataKey: async (pwd) => {
+            if (pwd !== password) throw new Error('Decryption failed');
+            return DATA_KEY;
+        },
+        getGrant: async (origin) => grants[origin] || null,
+        now: () => clock,
+        ...extra
+    });
+
+    const clientFor = (host) => new KeyringClient({ send: (message) => host.handleMessage(message) });
+
+    beforeEach(() => {
+        wallet = createWallet();
+        watchAddress = createWallet().address;
+        vault = [wallet, { address: watchAddress, watchOnly: true }];
+        password = PASSWORD;
+        sessionStore = createSessionStore();
+        policyStore = createSessionStore();
+        clock = 1_000_000;
+        grants = {};
+    });
+
+    afterEach(() => {
+        keyringService.lock();
+    });
+
+    it('should unlock from the vault and keep the session in the session store only', async () => {
+        const host = createHost();
+        const client = clientFor(host);
+
+        await expect(client.unlock('wrong')).rejects.toThrow('Invalid password');
+        expect(sessionStore.value).toBeNull();
+
+        const status = await client.unlock(PASSWORD);
+        expect(status).toMatchObject({ unlocked: true, addresses: [wallet.address], watchOnly: [watchAddress] });
+        expect(sessionStore.value).toEqual({ password: PASSWORD, expiresAt: clock + SESSION_DURATION });
+        expect(client.isWatchOnly(watchAddress)).toBe(true);
+
+        // The popup gets metadata and the data key - never the password or a key
+        const session = await client.getSession();
+        expect(session).toMatchObject({ unlocked: true, dataKey: DATA_KEY });
+        expect(session).not.toHaveProperty('password');
+        expect(session.wallets.map(w => w.address)).toEqual([wallet.address, watchAddress]);
+        expect(session.wallets[0]).not.toHaveProperty('privateKeyB64');
+        expect(KEYRING_MESSAGES.GET_PRIVATE_KEY).toBeUndefined();
+
+        await client.lock();
+        expect(sessionStore.value).toBeNull();
+        expect(keyringService.isUnlocked()).toBe(false);
+        expect(await client.getSession()).toMatchObject({ unlocked: false, wallets: [], dataKey: null });
+    });
+
+    it('should reopen the vault after a worker restart and lock once the session expired', async () => {
+        await createHost().handleMessage({ type: KEYRING_MESSAGES.UNLOCK, password: PASSWORD });
+        keyringService.lock(); // the worker was stopped
+
+        const restarted = createHost();
+        const session = await restarted.handleMessage({ type: KEYRING_MESSAGES.GET_SESSION });
+        expect(session.result).toMatchObject({ unlocked: true, dataKey: DATA_KEY });
+
+        // The open popup keeps the session alive
+        clock += SESSION_DURATION - 1;
+        await restarted.handleMessage({ type: KEYRING_MESSAGES.TOUCH });
+        clock += SESSION_DURATION - 1;
+        expect((await restarted.handleMessage({ type: KEYRING_MESSAGES.GET_SESSION })).result.unlocked).toBe(true);
+
+        clock += 2;
+        const expired = await restarted.handleMessage({ type: KEYRING_MESSAGES.GET_SESSION });
+        expect(expired.result).toMatchObject({ unlocked: false, dataKey: null });
+        expect(sessionStore.value).toBeNull();
+
+        // An expired stored session is dropped instead of restored
+        sessionStore.value = { password: PASSWORD, expiresAt: clock - 1 };
+        await createHost().ready;
+        expect(keyringService.isUnlocked()).toBe(false);
+        expect(sessionStore.value).toBeNull();
+    });
+
+    it('should sign over messages and rebuild watch-only and permission errors', async () => {
+        const client = clientFor(createHost());
+        await client.unlock(PASSWORD);
+
+        const bytes = new Uint8Array([1, 2, 3, 4]);
+        const signature = await client.signMessage(wallet.address, bytes);
+        expect(nacl.sign.detached.verify(bytes, Buffer.from(signature, 'base64'), Buffer.from(wallet.publicKeyB64, 'base64'))).toBe(true);
+        expect(await client.getPublicKey(wallet.address)).toBe(wallet.publicKeyB64);
+
+        const tx = await client.signTransaction(wallet.address, { to: watchAddress, amount: '1', nonce: 1, fee: '0.001' });
+        expect(tx).toMatchObject({ from: wallet.address, to_: watchAddress, public_key: wallet.publicKeyB64 });
+
+        await expect(client.signMessage(watchAddress, 'hi')).rejects.toThrow(WatchOnlyError);
+        await expect(client.signMessage(wallet.address, 'hi', { origin: ORIGIN })).rejects.toThrow(PermissionDeniedError);
+
+        grants[ORIGIN] = createGrant(ORIGIN, [wallet.address], [PROVIDER_METHODS.SIGN_MESSAGE]);
+        await expect(client.signMessage(wallet.address, 'hi', { origin: ORIGIN })).resolves.toEqual(expect.any(String));
+        await expect(client.signTransaction(wallet.address, { to: watchAddress, amount: '1', nonce: 2 }, { origin: ORIGIN }))
+            .rejects.toThrow(PermissionDeniedError);
+    });
+
+    it('should prefix messages signed for a site so they can never be a transaction', async () => {
+        const client = clientFor(createHost());
+        await client.unlock(PASSWORD);
+        grants[ORIGIN] = createGrant(ORIGIN, [wallet.address], [PROVIDER_METHODS.SIGN_MESSAGE]);
+
+        const tx = await client.signTransaction(wallet.address, { to: watchAddress, amount: '1', nonce: 1, fee: '0.001' });
+        const txJson = getSigningPayload(tx);
+        const publicKey = Buffer.from(wallet.publicKeyB64, 'base64');
+        const verify = (bytes, signature) => nacl.sign.detached.verify(bytes, Buffer.from(signature, 'base64'), publicKey);
+        expect(verify(new Uint8Array(Buffer.from(txJson)), tx.signature)).toBe(true);
+
+        const signature = await client.signMessage(wallet.address, txJson, { origin: ORIGIN });
+        expect(signature).not.toBe(tx.signature);
+        expect(verify(new Uint8Array(Buffer.from(SIGN_MESSAGE_PREFIX + txJson)), signature)).toBe(true);
+        expect(verify(new Uint8Array(Buffer.from(txJson)), signature)).toBe(false);
+    });
+
+    it('should write the vault for the popup and hand back metadata only', async () => {
+        const client = clientFor(createHost());
+        const added = createWallet();
+        await expect(client.addWallets([added])).rejects.toThrow('Keyring is locked');
+
+        await client.unlock(PASSWORD);
+        const result = await client.addWallets([added]);
+        expect(result.addresses).toEqual([wallet.address, added.address]);
+        expect(result.added).toEqual([expect.objectContaining({ address: added.address, name: 'Wallet 3' })]);
+        expect(result.added[0]).not.toHaveProperty('privateKeyB64');
+        expect(vault.at(-1).privateKeyB64).toBe(added.privateKeyB64);
+        await expect(client.setActiveWallet(added.address)).resolves.toBe(true);
+        await expect(client.addWallets([added])).rejects.toThrow('Wallet already exists');
+
+        const renamed = await client.updateWallets([{ address: added.address, name: 'Savings', privateKeyB64: 'x' }]);
+        expect(renamed.wallets.at(-1).name).toBe('Savings');
+        expect(vault.at(-1).privateKeyB64).toBe(added.privateKeyB64);
+
+        const restored = createWallet();
+        await client.restoreWallets([restored], 'merge');
+        expect(client.status.addresses).toEqual([wallet.address, added.address, restored.address]);
+        await client.restoreWallets([restored], 'replace');
+        expect(client.status.addresses).toEqual([restored.address]);
+        await expect(client.signMessage(wallet.address, 'hi')).rejects.toThrow('No key found');
+    });
+
+    it('should export key material only against the password', async () => {
+        const client = clientFor(createHost());
+        await client.unlock(PASSWORD);
+
+        await expect(client.exportWallet(wallet.address, 'wrong')).rejects.toThrow('Invalid password');
+        expect((await client.exportWallet(wallet.address, PASSWORD)).privateKeyB64).toBe(wallet.privateKeyB64);
+        await expect(client.exportWallet(createWallet().address, PASSWORD)).rejects.toThrow('Wallet not found');
+        expect(await client.exportWallets(PASSWORD)).toEqual(vault);
+    });
+
+    it('should change the password and keep the session and data key', async () => {
+        const client = clientFor(createHost());
+        await client.unlock(PASSWORD);
+
+        await expect(client.changePassword('wrong', 'NewPassword456!')).rejects.toThrow('Invalid current password');
+        const session = await client.changePassword(PASSWORD, 'NewPassword456!');
+        expect(session).toMatchObject({ unlocked: true, dataKey: DATA_KEY, addresses: [wallet.address] });
+        expect(sessionStore.value.password).toBe('NewPassword456!');
+
+        // The restarted worker reopens the vault with the new password
+        keyringService.lock();
+        expect((await createHost().handleMessage({ type: KEYRING_MESSAGES.GET_SESSION })).result.unlocked).toBe(true);
+    });
+
+    describe('Privacy', () => {
+        let requests;
+
+        const fakeRpc = (answers) => ({
+            async get(path, headers) {
+                requests.push({ method: 'GET', path, headers });
+                return answers[path] || { ok: false, status: 500, error: 'Node error' };
+            },
+            async post(path, data) {
+                requests.push({ method: 'POST', path, data });
+                return answers[path] || { ok: false, status: 400, json: { error: 'Node error' } };
+            }
+        });
+
+        beforeEach(() => {
+            requests = [];
+        });
+
+        it('should send the key-bound reads from the worker', async () => {
+            const rpc = fakeRpc({
+                [`/view_encrypted_balance/${wallet.address}`]: { ok: true, json: { encrypted_balance_raw: '5' } },
+                [`/pending_private_transfers?address=${wallet.address}`]: { ok: true, json: { pending_transfers: [{ id: 1 }] } }
+            });
+            const client = clientFor(createHost(sessionStore, { rpc }));
+            await expect(client.getPrivacyBalance(wallet.address)).rejects.toThrow('Keyring is locked');
+
+            await client.unlock(PASSWORD);
+            expect(await client.getPrivacyBalance(wallet.address)).toEqual({ encrypted_balance_raw: '5' });
+            expect(await client.getPendingPrivateTransfers(wallet.address)).toEqual([{ id: 1 }]);
+            expect(requests.map(r => r.headers['X-Private-Key'])).toEqual([wallet.privateKeyB64, wallet.privateKeyB64]);
+            await expect(client.getPrivacyBalance(watchAddress)).rejects.toThrow(WatchOnlyError);
+
+            const empty = clientFor(createHost(sessionStore, { rpc: fakeRpc({ [`/view_encrypted_balance/${wallet.address}`]: { ok: false, status: 404 } }) }));
+            expect(await empty.getPrivacyBalance(wallet.address)).toBeNull();
+        });
+
+        it('should build privacy operations with the expanded key', async () => {
+            const rpc = fakeRpc({
+                '/encrypt_balance': { ok: true, json: { tx_hash: 'ab12' } }
+            });
+            const client = clientFor(createHost(sessionStore, { rpc }));
+            await client.unlock(PASSWORD);
+
+            const result = await client.submitPrivacyOperation(wallet.address, {
+                operation: PRIVACY_OPERATIONS.SHIELD,
+                nonce: 3,
+                amountRaw: '1000000',
+                encryptedBalanceRaw: '1000005'
+            });
+            expect(result.tx_hash).toBe('ab12');
+
+            const { data } = requests[0];
+            expect(data).toMatchObject({ address: wallet.address, amount: '1000000', public_key: wallet.publicKeyB64, nonce: 3 });
+            expect(Buffer.from(data.private_key, 'base64')).toHaveLength(64);
+            expect(data.encrypted_data).toMatch(/^v2\|/);
+
+            await expect(client.submitPrivacyOperation(wallet.address, { operation: PRIVACY_OPERATIONS.CLAIM, nonce: 4, transferId: 1 }))
+                .rejects.toThrow('Node error');
+            await expect(client.submitPrivacyOperation(watchAddress, { operation: PRIVACY_OPERATIONS.CLAIM, nonce: 4 }))
+                .rejects.toThrow(WatchOnlyError);
+        });
+
+        it('should never re-send a privacy write after a 503 or a dropped connection', async () => {
+            const fetchMock = vi.fn().mockResolvedValue({ status: 503, ok: false, text: async () => 'Service Unavailable' });
+            vi.stubGlobal('fetch', fetchMock);
+            try {
+                const rpc = new RPCClient(['https://a.node.test', 'https://b.node.test']);
+                const client = clientFor(createHost(sessionStore, { rpc }));
+                await client.unlock(PASSWORD);
+
+                const nonces = new NonceManager({ getBalance: async () => ({ nonce: 0 }), getStagedTransactions: async () => [] });
+                const transfer = (nonce) => client.submitPrivacyOperation(wallet.address, {
+                    operation: PRIVACY_OPERATIONS.TRANSFER,
+                    nonce,
+                    amountRaw: '1000000',
+                    to: watchAddress,
+                    toPublicKey: wallet.publicKeyB64
+                });
+
+                await expect(nonces.withNonce(wallet.address, transfer)).rejects.toBeInstanceOf(RpcUnknownOutcomeError);
+                expect(fetchMock).toHaveBeenCalledTimes(1);
+
+                fetchMock.mockReset();
+                fetchMock.mockRejectedValue(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } }));
+                await expect(nonces.withNonce(wallet.address, transfer)).rejects.toBeInstanceOf(RpcUnknownOutcomeError);
+                expect(fetchMock).toHaveBeenCalledTimes(1);
+
+                // Both may have landed: their nonces stay used
+                expect(nonces.getState(wallet.address).sent).toEqual([1, 2]);
+            } finally {
+                vi.unstubAllGlobals();
+            }
+        });
+    });
+
+    describe('Auto-lock', () => {
+        it('should keep the chosen timer and reschedule the lock alarm', async () => {
+            const alarms = [];
+            const intervals = [];
+            const host = createHost(sessionStore, {
+                scheduleLock: (at) => alarms.push(at),
+                setIdleInterval: (seconds) => intervals.push(seconds)
+            });
+            const client = clientFor(host);
+            await host.ready;
+            expect(intervals).toEqual([AUTO_LOCK.DEFAULT * 60]);
+
+            await client.unlock(PASSWORD);
+            const status = await client.setAutoLock(15);
+            expect(status).toMatchObject({ autoLock: 15, expiresAt: clock + 15 * 60 * 1000 });
+            expect(policyStore.value).toBe(15);
+            expect(intervals.at(-1)).toBe(15 * 60);
+            expect(alarms.at(-1)).toBe(clock + 15 * 60 * 1000);
+
+            // The alarm fires once the time is up
+            clock += 15 * 60 * 1000;
+            await host.lockIfExpired();
+            expect(keyringService.isUnlocked()).toBe(false);
+            expect(alarms.at(-1)).toBeNull();
+
+            // A restarted worker keeps the policy
+            const restarted = createHost();
+            await restarted.ready;
+            expect(restarted.autoLock).toBe(15);
+        });
+
+        it('should run without a timer on browser close and never', async () => {
+            const client = clientFor(createHost());
+            await client.unlock(PASSWORD);
+
+            for (const policy of [AUTO_LOCK.BROWSER_CLOSE, AUTO_LOCK.NEVER]) {
+                const status = await client.setAutoLock(policy);
+                expect(status).toMatchObject({ unlocked: true, autoLock: policy, expiresAt: null });
+                expect(sessionStore.value).toEqual({ password: PASSWORD, expiresAt: null });
+
+                clock += 24 * 60 * 60 * 1000;
+                expect((await client.getSession()).unlocked).toBe(true);
+            }
+
+            await client.setAutoLock('bogus');
+            expect(client.status.autoLock).toBe(AUTO_LOCK.DEFAULT);
+        });
+
+        it('should lock on system idle and screen lock according to the policy', async () => {
+            const host = createHost();
+            const client = clientFor(host);
+
+            await client.unlock(PASSWORD);
+            expect(await host.handleIdleState('active')).toBe(false);
+            expect(await host.handleIdleState('idle')).toBe(true);
+            expect(keyringService.isUnlocked()).toBe(false);
+
+            await client.unlock(PASSWORD);
+            await client.setAutoLock(AUTO_LOCK.BROWSER_CLOSE);
+            expect(await host.handleIdleState('idle')).toBe(false);
+            expect(await host.handleIdleState('locked')).toBe(true);
+
+            await client.unlock(PASSWORD);
+            await client.setAutoLock(AUTO_LOCK.NEVER);
+            expect(await host.handleIdleState('idle')).toBe(false);
+            expect(await host.handleIdleState('locked')).toBe(false);
+            expect(keyringService.isUnlocked()).toBe(true);
+        });
+
+        it('should normalize, label and count down policies', () => {
+            expect(normalizeAutoLock('30')).toBe(30);
+            expect(normalizeAutoLock(-1)).toBe(AUTO_LOCK.DEFAULT);
+            expect(normalizeAutoLock(null)).toBe(AUTO_LOCK.DEFAULT);
+            expect(autoLockLabel(1)).toBe('After 1 minute');
+            expect(autoLockLabel(60)).toBe('After 1 hour');
+            expect(autoLockLabel(AUTO_LOCK.NEVER)).toBe('Never');
+            expect(formatCountdown(65_000)).toBe('1:05');
+            expect(formatCountdown(3_725_000)).toBe('1:02:05');
+            expect(formatCountdown(-5)).toBe('0:00');
+        });
+    });
+});
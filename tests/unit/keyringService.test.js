@@ -4,7 +4,11 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach } from 'vitest';
-import { KeyringService } from '../../src/services/KeyringService';
+import { KeyringService, WatchOnlyError, WATCH_ONLY_MESSAGE } from '../../src/services/KeyringService';
+import { privacyService } from '../../src/services/PrivacyService';
+import { OCS01Contract } from '../../src/services/OCS01TokenService';
+import { permissionService, PermissionDeniedError } from '../../src/services/PermissionService';
+import { createGrant, PROVIDER_METHODS } from '../../src/provider/protocol';
 
 describe('KeyringService', () => {
     let keyring;
@@ -127,4 +131,85 @@ describe('KeyringService', () => {
             await expect(keyring.setActiveWallet('oct1nonexistent')).rejects.toThrow('Wallet not found');
         });
     });
+
+    describe('Watch-only Wallets', () => {
+        const watchWallet = {
+            address: 'oct1watchwallet1234567890123456789012345678901',
+            watchOnly: true
+        };
+
+        beforeEach(async () => {
+            await keyring.unlock('TestPassword123!', [testWallet, watchWallet]);
+        });
+
+        it('should track watch-only addresses without key material', async () => {
+            expect(keyring.isWatchOnly(watchWallet.address)).toBe(true);
+            expect(keyring.isWatchOnly(testWallet.address)).toBe(false);
+            expect(keyring.getPublicKey(watchWallet.address)).toBeNull();
+            await expect(keyring.setActiveWallet(watchWallet.address)).resolves.toBe(true);
+        });
+
+        it('should refuse every signing path for a watch-only address', async () => {
+            const txParams = { to: testWallet.address, amount: '1', nonce: 1 };
+            const call = { contract: testWallet.address, method: 'transfer', params: [], nonce: 1 };
+
+            await expect(keyring.signTransaction(watchWallet.address, txParams)).rejects.toThrow(WatchOnlyError);
+            await expect(keyring.signMessage(watchWallet.address, 'hello')).rejects.toThrow(WATCH_ONLY_MESSAGE);
+            await expect(keyring.signContractCall(watchWallet.address, call)).rejects.toThrow(WatchOnlyError);
+        });
+
+        it('should make privacy and token services refuse for a watch-only address', async () => {
+            const balance = await privacyService.getEncryptedBalance(watchWallet.address);
+            expect(balance).toMatchObject({ success: false, watchOnly: true, error: WATCH_ONLY_MESSAGE });
+            await expect(privacyService.shieldBalance(watchWallet.address, 1)).rejects.toThrow(WatchOnlyError);
+
+            const token = new OCS01Contract(testWallet.address);
+            const result = await token.transfer(testWallet.address, '1000000', watchWallet.address);
+            expect(result).toEqual({ success: false, error: WATCH_ONLY_MESSAGE });
+        });
+
+        it('should forget watch-only addresses on lock', () => {
+            keyring.lock();
+            expect(keyring.isWatchOnly(watchWallet.address)).toBe(false);
+            expect(() => keyring.addWatchOnly(watchWallet.address)).toThrow('Keyring is locked');
+        });
+    });
+
+    describe('dApp Origins', () => {
+        const origin = 'https://dapp.example';
+        const txParams = { to: testWallet.address, amount: '1', nonce: 1 };
+        const call = { contract: testWallet.address, method: 'transfer', params: [], nonce: 1 };
+        const message = new Uint8Array([104, 105]); // jsdom's TextEncoder output is rejected by tweetnacl
+
+        beforeEach(async () => {
+            await keyring.unlock('TestPassword123!', [testWallet]);
+            // Stored grants are loaded on unlock; set the in-memory copy directly
+            permissionService.grants = {
+                [origin]: createGrant(origin, [testWallet.address], [PROVIDER_METHODS.SIGN_MESSAGE])
+            };
+        });
+
+        it('should sign only what the origin was granted', async () => {
+            await expect(keyring.signMessage(testWallet.address, message, { origin })).resolves.toEqual(expect.any(String));
+            await expect(keyring.signTransaction(testWallet.address, txParams, { origin })).rejects.toThrow(PermissionDeniedError);
+            await expect(keyring.signContractCall(testWallet.address, call, { origin })).rejects.toThrow(PermissionDeniedError);
+            await expect(keyring.signMessage(testWallet.address, message, { origin: 'https://evil.example' }))
+                .rejects.toThrow(PermissionDeniedError);
+
+            // The wallet's own screens pass no origin
+            await expect(keyring.signTransaction(testWallet.address, txParams)).resolves.toHaveProperty('signature');
+
+            const token = new OCS01Contract(testWallet.address);
+            const result = await token.callMethod('transfer', [], testWallet.address, { origin });
+            expect(result).toMatchObject({ success: false, error: expect.stringContaining('not allowed') });
+        });
+
+        it('should refuse accounts outside the grant and forget grants on lock', async () => {
+            permissionService.grants[origin] = createGrant(origin, ['oct1someoneelse'], [PROVIDER_METHODS.SIGN_MESSAGE]);
+            await expect(keyring.signMessage(testWallet.address, message, { origin })).rejects.toThrow(PermissionDeniedError);
+
+            keyring.lock();
+            expect(permissionService.list()).toEqual([]);
+        });
+    });
 });
@@ -0,0 +1,106 @@
+// @vitest-environment node
+/**
+ * Keystore Unit Tests
+ * Tests for the password-encrypted keystore file: round trips, wrong passwords,
+ * tampering and validation of untrusted files
+ */
+
+import { describe, it, expect } from 'vitest';
+import { importFromMnemonic, importFromPrivateKey, generateWallet } from '../../src/utils/crypto';
+import { HDKeyringService } from '../../src/services/HDKeyringService';
+import {
+    encryptKeystore,
+    decryptKeystore,
+    parseKeystoreFile,
+    validateKeystore,
+    KEYSTORE_ITERATIONS
+} from '../../src/utils/keystore';
+
+const TEST_MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const PASSWORD = 'keystore-pass-1';
+// Full strength is slow; the format is the same
+const FAST = { iterations: 1000 };
+
+describe('Keystore', () => {
+    it('should round-trip a recovery phrase wallet without storing it in clear', async () => {
+        const wallet = { ...await importFromMnemonic(TEST_MNEMONIC, 'TREZOR'), name: 'Main' };
+        const file = await encryptKeystore(wallet, PASSWORD, FAST);
+
+        expect(file).toMatchObject({ format: 'octra-keystore', version: 1, address: wallet.address });
+        expect(file.crypto).toMatchObject({ cipher: 'aes-256-gcm', kdf: 'pbkdf2', kdfparams: { prf: 'hmac-sha256', c: 1000, dklen: 32 } });
+        const serialized = JSON.stringify(file);
+        expect(serialized).not.toContain(wallet.privateKeyB64);
+        expect(serialized).not.toContain('abandon');
+        expect(serialized).not.toContain(wallet.seedHex);
+
+        const restored = await decryptKeystore(parseKeystoreFile(serialized), PASSWORD);
+        expect(restored).toMatchObject({
+            address: wallet.address,
+            privateKeyB64: wallet.privateKeyB64,
+            publicKeyB64: wallet.publicKeyB64,
+            mnemonic: wallet.mnemonic,
+            seedHex: wallet.seedHex,
+            hdIndex: 0,
+            hasPassphrase: true,
+            name: 'Main'
+        });
+    });
+
+    it('should keep a custom derivation path and export derived accounts as keys only', async () => {
+        const root = await importFromMnemonic(TEST_MNEMONIC, '', { derivationPath: "m/44'/345'/0'", index: 1 });
+        const restoredRoot = await decryptKeystore(await encryptKeystore(root, PASSWORD, FAST), PASSWORD);
+        expect(restoredRoot).toMatchObject({ derivationPath: "m/44'/345'/0'", hdIndex: 1, address: root.address });
+
+        const account = await new HDKeyringService().deriveAccount(root, 2);
+        const restoredAccount = await decryptKeystore(await encryptKeystore(account, PASSWORD, FAST), PASSWORD);
+        expect(restoredAccount.address).toBe(account.address);
+        expect(restoredAccount.mnemonic).toBeNull();
+        expect(restoredAccount.seedHex).toBeUndefined();
+        expect(restoredAccount.hdRoot).toBeUndefined();
+
+        const keyOnly = await importFromPrivateKey((await generateWallet()).privateKeyB64);
+        expect((await decryptKeystore(await encryptKeystore(keyOnly, PASSWORD, FAST), PASSWORD)).address).toBe(keyOnly.address);
+    });
+
+    it('should reject a wrong password and tampered files', async () => {
+        const wallet = await importFromMnemonic(TEST_MNEMONIC);
+        const other = await generateWallet();
+        const file = await encryptKeystore(wallet, PASSWORD, FAST);
+
+        await expect(decryptKeystore(file, 'wrong-password')).rejects.toThrow('Incorrect keystore password');
+
+        // The address is authenticated: pointing the file at another wallet fails
+        await expect(decryptKeystore({ ...file, address: other.address }, PASSWORD)).rejects.toThrow('Incorrect keystore password');
+
+        // So is the meta: derivation info cannot be rewritten
+        await expect(decryptKeystore({ ...file, meta: { ...file.meta, hdIndex: 7 } }, PASSWORD)).rejects.toThrow('Incorrect keystore password');
+        await expect(decryptKeystore({ ...file, meta: { ...file.meta, derivationPath: "m/44'/0'/0'" } }, PASSWORD))
+            .rejects.toThrow('Incorrect keystore password');
+
+        const flipped = file.crypto.ciphertext.replace(/^./, c => (c === '0' ? '1' : '0'));
+        await expect(decryptKeystore({ ...file, crypto: { ...file.crypto, ciphertext: flipped } }, PASSWORD))
+            .rejects.toThrow('Incorrect keystore password');
+    });
+
+    it('should validate untrusted files before decrypting', async () => {
+        const file = await encryptKeystore(await importFromMnemonic(TEST_MNEMONIC), PASSWORD, FAST);
+        const withParams = (kdfparams) => ({ ...file, crypto: { ...file.crypto, kdfparams: { ...file.crypto.kdfparams, ...kdfparams } } });
+
+        expect(() => parseKeystoreFile('not json')).toThrow('Not an Octra keystore file');
+        expect(() => parseKeystoreFile(JSON.stringify({ address: file.address, privateKey: 'x' }))).toThrow('Not an Octra keystore file');
+        expect(() => validateKeystore({ ...file, version: 2 })).toThrow('Unsupported keystore version: 2');
+        expect(() => validateKeystore({ ...file, address: 'oct123' })).toThrow('invalid address');
+        expect(() => validateKeystore({ ...file, crypto: { ...file.crypto, kdf: 'scrypt' } })).toThrow('Unsupported key derivation');
+        expect(() => validateKeystore(withParams({ c: 1e9 }))).toThrow('iteration count');
+        expect(() => validateKeystore(withParams({ salt: 'zz' }))).toThrow('salt');
+        expect(validateKeystore(file)).toBe(file);
+    });
+
+    it('should refuse weak passwords and watch-only wallets on export', async () => {
+        const wallet = await importFromMnemonic(TEST_MNEMONIC);
+
+        await expect(encryptKeystore(wallet, 'short')).rejects.toThrow('at least 8 characters');
+        await expect(encryptKeystore({ address: wallet.address, watchOnly: true }, PASSWORD)).rejects.toThrow('Watch-only');
+        expect(KEYSTORE_ITERATIONS).toBeGreaterThanOrEqual(600000);
+    });
+});
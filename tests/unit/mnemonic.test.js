@@ -0,0 +1,77 @@
+// @vitest-environment node
+/**
+ * Mnemonic Unit Tests
+ * Tests for every supported phrase length, wordlist autocomplete and checksum feedback
+ */
+
+import { describe, it, expect } from 'vitest';
+import { generateWallet, importFromMnemonic } from '../../src/utils/crypto';
+import { MNEMONIC_LENGTHS } from '../../src/utils/validation';
+import {
+    checkMnemonic,
+    entropyBytesForWordCount,
+    normalizeMnemonic,
+    suggestMnemonicWords
+} from '../../src/utils/mnemonic';
+
+// BIP39 reference vectors (all-zero entropy)
+const ZERO_12 = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const ZERO_24 = `${'abandon '.repeat(23)}art`;
+
+describe('Mnemonic', () => {
+    it.each(MNEMONIC_LENGTHS)('should generate and restore a %i-word phrase', async (wordCount) => {
+        const wallet = await generateWallet('', wordCount);
+        expect(wallet.mnemonic).toHaveLength(wordCount);
+        expect(wallet.entropyHex).toHaveLength(entropyBytesForWordCount(wordCount) * 2);
+
+        const status = checkMnemonic(wallet.mnemonic, wordCount);
+        expect(status).toMatchObject({ wordCount, isComplete: true, checksumValid: true, error: '' });
+
+        const restored = await importFromMnemonic(wallet.mnemonic.join(' '));
+        expect(restored.address).toBe(wallet.address);
+    });
+
+    it('should reject unsupported lengths', async () => {
+        expect(() => entropyBytesForWordCount(13)).toThrow('12, 15, 18, 21, 24');
+        await expect(generateWallet('', 11)).rejects.toThrow();
+        expect(checkMnemonic(ZERO_12.split(' ').slice(0, 11).join(' ')).isComplete).toBe(false);
+    });
+
+    it('should report unknown words by position and bad checksums', async () => {
+        const typo = ZERO_12.split(' ');
+        typo[4] = 'abandn';
+        const unknown = checkMnemonic(typo, 12);
+        expect(unknown.invalidIndices).toEqual([4]);
+        expect(unknown.error).toContain('Word 5');
+
+        const badChecksum = checkMnemonic('abandon '.repeat(24).trim(), 24);
+        expect(badChecksum).toMatchObject({ isComplete: true, checksumValid: false });
+        expect(badChecksum.error).toContain('Checksum');
+        await expect(importFromMnemonic('abandon '.repeat(24))).rejects.toThrow('Checksum');
+
+        expect(checkMnemonic(ZERO_24, 24).checksumValid).toBe(true);
+    });
+
+    it('should track partially filled grids without flagging empty boxes', () => {
+        const partial = [...ZERO_12.split(' ').slice(0, 5), '', '', 'abou'];
+        const status = checkMnemonic(partial, 12);
+
+        expect(status).toMatchObject({ wordCount: 6, isComplete: false, checksumValid: false });
+        expect(status.invalidIndices).toEqual([7]);
+    });
+
+    it('should autocomplete from the BIP39 wordlist', () => {
+        expect(suggestMnemonicWords('aban')).toEqual(['abandon']);
+        expect(suggestMnemonicWords('ab')).toEqual(['abandon', 'ability', 'able', 'about']);
+        expect(suggestMnemonicWords('zzz')).toEqual([]);
+        expect(suggestMnemonicWords('')).toEqual([]);
+    });
+
+    it('should normalize case and whitespace before import', async () => {
+        const messy = `  ${ZERO_12.toUpperCase().split(' ').join('   ')}\n`;
+        expect(normalizeMnemonic(messy)).toBe(ZERO_12);
+
+        const [a, b] = await Promise.all([importFromMnemonic(messy), importFromMnemonic(ZERO_12)]);
+        expect(a.address).toBe(b.address);
+    });
+});
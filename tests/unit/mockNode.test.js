@@ -0,0 +1,96 @@
+// @vitest-environment node
+/**
+ * Mock Node Integration Tests
+ * Drives RPCClient against the local mock Octra node (real HTTP, no stubs)
+ * Runs in the node environment: jsdom's TextEncoder yields Uint8Arrays tweetnacl rejects
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import nacl from 'tweetnacl';
+import { getRpcClient } from '../../src/utils/rpc';
+import { createTransaction, bufferToBase64 } from '../../src/utils/crypto';
+import { NonceConflictError, InsufficientBalanceError, RpcNodeRejectedError } from '../../src/utils/rpcErrors';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+import { mockNodeControl } from '../mock-node/control.js';
+import { MOCK_NODE_URL } from '../mock-node/constants.js';
+
+const node = mockNodeControl();
+
+// The node is shared by every test file - fresh random wallets keep tests isolated
+function createTestWallet() {
+    const seed = nacl.randomBytes(32);
+    const keyPair = nacl.sign.keyPair.fromSeed(seed);
+    return {
+        address: addressFromPublicKey(keyPair.publicKey),
+        privateKeyB64: bufferToBase64(seed)
+    };
+}
+
+describe('Mock Octra node', () => {
+    const rpc = getRpcClient();
+    let alice;
+    let bob;
+
+    beforeEach(() => {
+        alice = createTestWallet();
+        bob = createTestWallet();
+        rpc.clearCache();
+    });
+
+    it('should be the default endpoint via VITE_RPC_URL', () => {
+        expect(rpc.getEndpoints()).toEqual([MOCK_NODE_URL]);
+    });
+
+    it('should report funded balances and 404 unknown addresses as zero', async () => {
+        await node.fund(alice.address, 10);
+
+        expect(await rpc.getBalance(alice.address)).toEqual({ balance: 10, balanceRaw: '10000000', nonce: 0 });
+        expect(await rpc.getBalance(bob.address)).toEqual({ balance: 0, balanceRaw: '0', nonce: 0 });
+    });
+
+    it('should stage a signed transfer and confirm it on mine', async () => {
+        await node.fund(alice.address, 10);
+
+        const tx = await createTransaction(alice.address, bob.address, 1.5, 1, alice.privateKeyB64, null, 0.002);
+        const sent = await rpc.sendTransaction(tx);
+        expect(sent.success).toBe(true);
+
+        const staged = await rpc.getStagedTransactions();
+        expect(staged.filter(s => s.from === alice.address).map(s => s.hash)).toEqual([sent.txHash]);
+
+        await node.mine();
+        rpc.clearCache();
+
+        const confirmed = await rpc.getTransaction(sent.txHash);
+        expect(confirmed.status).toBe('confirmed');
+        expect(confirmed.parsed_tx.amount_raw).toBe('1500000');
+        expect(await rpc.getBalance(alice.address)).toEqual({ balance: 8.498, balanceRaw: '8498000', nonce: 1 });
+        expect(await rpc.getBalance(bob.address)).toEqual({ balance: 1.5, balanceRaw: '1500000', nonce: 0 });
+    });
+
+    it('should reject tampered signatures, reused nonces and overspending', async () => {
+        await node.fund(alice.address, 1);
+
+        const tampered = await createTransaction(alice.address, bob.address, 0.5, 1, alice.privateKeyB64, null, 0.001);
+        tampered.amount = '900000';
+        await expect(rpc.sendTransaction(tampered)).rejects.toBeInstanceOf(RpcNodeRejectedError);
+
+        const first = await createTransaction(alice.address, bob.address, 0.1, 1, alice.privateKeyB64, null, 0.001);
+        await rpc.sendTransaction(first);
+        const duplicate = await createTransaction(alice.address, bob.address, 0.2, 1, alice.privateKeyB64, null, 0.001);
+        await expect(rpc.sendTransaction(duplicate)).rejects.toBeInstanceOf(NonceConflictError);
+
+        const tooMuch = await createTransaction(alice.address, bob.address, 5, 2, alice.privateKeyB64, null, 0.001);
+        await expect(rpc.sendTransaction(tooMuch)).rejects.toBeInstanceOf(InsufficientBalanceError);
+    });
+
+    it('should play back scripted failures', async () => {
+        await node.fund(alice.address, 3);
+        await node.fail(`/balance/${alice.address}`, { status: 503, times: 1, retryAfter: 0 });
+
+        expect(await rpc.getBalance(alice.address)).toEqual({ balance: 3, balanceRaw: '3000000', nonce: 0 });
+
+        const { requests } = await node.state();
+        expect(requests.filter(r => r.path === `/balance/${alice.address}`).length).toBe(2);
+    });
+});
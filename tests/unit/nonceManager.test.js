@@ -0,0 +1,122 @@
+// @vitest-environment node
+/**
+ * Nonce Manager Unit Tests
+ * Tests for per-address nonce reservation, release and chain/staging awareness
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import nacl from 'tweetnacl';
+import { NonceManager } from '../../src/services/NonceManager';
+import { RpcTimeoutError } from '../../src/utils/rpcErrors';
+import RPCClient from '../../src/utils/rpc';
+import { createTransaction, bufferToBase64 } from '../../src/utils/crypto';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+import { mockNodeControl } from '../mock-node/control.js';
+import { MOCK_NODE_URL } from '../mock-node/constants.js';
+
+const ADDRESS = 'oct1nonce';
+
+function createFakeRpc({ nonce = 0, staged = [] } = {}) {
+    return {
+        chain: { nonce, staged },
+        async getBalance() {
+            return { balance: 100, nonce: this.chain.nonce };
+        },
+        async getStagedTransactions() {
+            return this.chain.staged;
+        }
+    };
+}
+
+describe('NonceManager', () => {
+    let rpc;
+    let manager;
+
+    beforeEach(() => {
+        rpc = createFakeRpc({ nonce: 4 });
+        manager = new NonceManager(rpc);
+    });
+
+    it('should start right after the on-chain nonce', async () => {
+        expect(await manager.reserve(ADDRESS)).toBe(5);
+    });
+
+    it('should peek at the next free nonce without reserving it', async () => {
+        rpc.chain.staged = [{ from: ADDRESS, nonce: 5 }];
+        expect(await manager.peek(ADDRESS)).toBe(6);
+        expect(await manager.peek(ADDRESS)).toBe(6);
+        expect(await manager.reserve(ADDRESS)).toBe(6);
+        expect(await manager.peek(ADDRESS)).toBe(7);
+    });
+
+    it('should skip nonces already staged for the address', async () => {
+        rpc.chain.staged = [
+            { from: ADDRESS, nonce: 5 },
+            { from: ADDRESS, nonce: '6' },
+            { from: 'oct1other', nonce: 7 }
+        ];
+        expect(await manager.reserve(ADDRESS)).toBe(7);
+    });
+
+    it('should hand out distinct nonces to concurrent operations', async () => {
+        const nonces = await Promise.all([
+            manager.reserve(ADDRESS),
+            manager.reserve(ADDRESS),
+            manager.reserve(ADDRESS)
+        ]);
+        expect(nonces).toEqual([5, 6, 7]);
+    });
+
+    it('should reuse a released nonce', async () => {
+        const first = await manager.reserve(ADDRESS);
+        const second = await manager.reserve(ADDRESS);
+        manager.markSent(ADDRESS, second);
+        manager.release(ADDRESS, first);
+
+        expect(await manager.reserve(ADDRESS)).toBe(first);
+    });
+
+    it('should keep sent nonces until the chain catches up', async () => {
+        manager.markSent(ADDRESS, await manager.reserve(ADDRESS));
+        expect(await manager.reserve(ADDRESS)).toBe(6);
+
+        rpc.chain.nonce = 6;
+        const next = await manager.reserve(ADDRESS);
+        expect(next).toBe(7);
+        expect(manager.getState(ADDRESS).sent).toEqual([]);
+    });
+
+    it('should release on failure and keep the nonce on timeout in withNonce', async () => {
+        await expect(manager.withNonce(ADDRESS, async () => { throw new Error('rejected'); })).rejects.toThrow('rejected');
+        expect(manager.getState(ADDRESS).reserved).toEqual([]);
+        expect(manager.getState(ADDRESS).sent).toEqual([]);
+
+        await expect(manager.withNonce(ADDRESS, async () => { throw new RpcTimeoutError(); })).rejects.toBeInstanceOf(RpcTimeoutError);
+        expect(manager.getState(ADDRESS).sent).toEqual([5]);
+    });
+});
+
+describe('NonceManager with mock node', () => {
+    const node = mockNodeControl();
+
+    it('should let back-to-back transfers from one address both be accepted', async () => {
+        const seed = nacl.randomBytes(32);
+        const address = addressFromPublicKey(nacl.sign.keyPair.fromSeed(seed).publicKey);
+        const privateKeyB64 = bufferToBase64(seed);
+        await node.fund(address, 5);
+
+        const client = new RPCClient([MOCK_NODE_URL]);
+        const manager = new NonceManager(client);
+
+        const send = (amount) => manager.withNonce(address, async (nonce) => {
+            const tx = await createTransaction(address, 'oct1recipient', amount, nonce, privateKeyB64, null, 0.001);
+            return client.sendTransaction(tx);
+        });
+
+        const results = await Promise.all([send(1), send(2)]);
+        expect(results.every(r => r.success)).toBe(true);
+
+        const txs = await Promise.all(results.map(r => client.getTransaction(r.txHash)));
+        expect(txs.map(tx => tx.parsed_tx.nonce).sort()).toEqual([1, 2]);
+    });
+});
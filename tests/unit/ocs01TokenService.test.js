@@ -0,0 +1,54 @@
+/**
+ * OCS01 Token Service Unit Tests
+ * Tests token balance loading through the shared RPC scheduler
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { OCS01Manager, KNOWN_CONTRACTS } from '../../src/services/OCS01TokenService';
+
+const USER = 'oct1user';
+
+function mockResponse(status, body) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: () => null },
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('OCS01Manager token balances', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        // A slow node: every balance takes a second to answer
+        fetchMock = vi.fn(() => new Promise(resolve => {
+            setTimeout(() => resolve(mockResponse(200, { status: 'success', result: '1500000' })), 1000);
+        }));
+        vi.stubGlobal('fetch', fetchMock);
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('should not time out tokens still queued behind the others', async () => {
+        const manager = new OCS01Manager();
+        const custom = Array.from({ length: 40 }, (_, i) => `oct1token${i}`);
+        manager.userContracts.set(USER, new Set(custom));
+        const total = custom.length + KNOWN_CONTRACTS.testnet.length;
+
+        const pending = manager.getUserTokenBalances(USER);
+        // 3 requests at a time, one second each: the last ones start after 10s
+        await vi.advanceTimersByTimeAsync(30 * 1000);
+        const balances = await pending;
+
+        expect(fetchMock).toHaveBeenCalledTimes(total);
+        expect(balances).toHaveLength(total);
+        expect(balances.map(b => b.balance)).toEqual(Array(total).fill('1500000'));
+    });
+});
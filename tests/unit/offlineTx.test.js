@@ -0,0 +1,159 @@
+// @vitest-environment node
+/**
+ * Offline Transaction File Unit Tests
+ * Tests for unsigned/signed file validation and the sign -> broadcast round trip
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import nacl from 'tweetnacl';
+import {
+    createUnsignedTxFile,
+    createSignedTxFile,
+    validateUnsignedTxFile,
+    validateSignedTxFile,
+    parseTxFile,
+    serializeTxFile,
+    describeTxFile,
+    OfflineTxError,
+    OFFLINE_TX_KINDS
+} from '../../src/utils/offlineTx';
+import { formatUnits } from '../../src/utils/amount';
+import { keyringService } from '../../src/services/KeyringService';
+import RPCClient from '../../src/utils/rpc';
+import { bufferToBase64 } from '../../src/utils/crypto';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+import { mockNodeControl } from '../mock-node/control.js';
+import { MOCK_NODE_URL } from '../mock-node/constants.js';
+
+function randomWallet() {
+    const seed = nacl.randomBytes(32);
+    const keyPair = nacl.sign.keyPair.fromSeed(seed);
+    return {
+        address: addressFromPublicKey(keyPair.publicKey),
+        privateKeyB64: bufferToBase64(seed),
+        publicKeyB64: bufferToBase64(keyPair.publicKey)
+    };
+}
+
+// Sign exactly like the "Sign Transaction File" screen
+async function signFile(address, file) {
+    const { tx } = validateUnsignedTxFile(file, { address });
+    const signedTx = await keyringService.signTransaction(address, {
+        to: tx.to_,
+        amount: formatUnits(tx.amount),
+        nonce: tx.nonce,
+        ou: tx.ou,
+        timestamp: tx.timestamp,
+        message: tx.message || null
+    });
+    return createSignedTxFile(file, signedTx);
+}
+
+describe('Offline transaction files', () => {
+    const node = mockNodeControl();
+    let sender;
+    let recipient;
+
+    beforeEach(async () => {
+        sender = randomWallet();
+        recipient = randomWallet();
+        await keyringService.unlock('TestPassword123!', [sender]);
+    });
+
+    afterEach(() => {
+        keyringService.lock();
+    });
+
+    const unsigned = (overrides = {}) => createUnsignedTxFile({
+        from: sender.address,
+        to: recipient.address,
+        amount: '1.25',
+        nonce: 1,
+        fee: 0.002,
+        ...overrides
+    });
+
+    it('should create an unsigned file in raw units that survives serialization', () => {
+        const file = unsigned({ message: 'treasury' });
+        const parsed = parseTxFile(serializeTxFile(file, { compact: true }));
+
+        expect(parsed).toEqual(file);
+        expect(parsed).toMatchObject({ kind: OFFLINE_TX_KINDS.UNSIGNED, version: 1, network: 'testnet' });
+        expect(parsed.tx).toMatchObject({ amount: '1250000', ou: '2000', nonce: 1, message: 'treasury' });
+        expect(describeTxFile(parsed)).toMatchObject({ amount: '1.25', fee: '0.002', total: '1.252' });
+    });
+
+    it('should reject bad nonce, amount, fee and unknown fields before signing', () => {
+        const cases = [
+            [{ nonce: 0 }, 'nonce'],
+            [{ nonce: 1.5 }, 'nonce'],
+            [{ amount: '1.5' }, 'amount'],
+            [{ amount: '0' }, 'amount'],
+            [{ amount: 1000 }, 'amount'],
+            [{ ou: '-1' }, 'ou'],
+            [{ to_: 'oct1nope' }, 'to_'],
+            [{ extra: 'x' }, 'extra']
+        ];
+
+        for (const [patch, field] of cases) {
+            const file = unsigned();
+            file.tx = { ...file.tx, ...patch };
+            expect(() => validateUnsignedTxFile(file), field).toThrow(OfflineTxError);
+            try {
+                validateUnsignedTxFile(file);
+            } catch (err) {
+                expect(err.field).toBe(field);
+            }
+        }
+    });
+
+    it('should reject files for another wallet, kind or version', () => {
+        const file = unsigned();
+
+        expect(() => validateUnsignedTxFile(file, { address: recipient.address })).toThrow('not this wallet');
+        expect(() => validateUnsignedTxFile({ ...file, version: 2 })).toThrow('Unsupported');
+        expect(() => validateUnsignedTxFile({ ...file, kind: 'signed' })).toThrow('Expected a unsigned');
+        expect(() => parseTxFile('not json')).toThrow(OfflineTxError);
+    });
+
+    it('should sign the exact transaction from the file', async () => {
+        const file = unsigned({ message: 'memo' });
+        const signed = await signFile(sender.address, file);
+
+        expect(signed.kind).toBe(OFFLINE_TX_KINDS.SIGNED);
+        expect(signed.tx).toMatchObject(file.tx);
+        expect(signed.tx.public_key).toBe(sender.publicKeyB64);
+        await expect(validateSignedTxFile(signed)).resolves.toBe(signed);
+    });
+
+    it('should refuse signed files that were tampered with or signed by another key', async () => {
+        const signed = await signFile(sender.address, unsigned());
+
+        const tampered = { ...signed, tx: { ...signed.tx, amount: '9999999' } };
+        await expect(validateSignedTxFile(tampered)).rejects.toThrow('Invalid signature');
+
+        // Valid signature, but the key is not the sender's
+        const other = randomWallet();
+        keyringService.lock();
+        await keyringService.unlock('TestPassword123!', [other]);
+        const forged = await keyringService.signTransaction(other.address, {
+            to: recipient.address, amount: '1.25', nonce: 1, fee: 0.002
+        });
+        const spoofed = { ...signed, tx: { ...forged, from: sender.address } };
+        await expect(validateSignedTxFile(spoofed)).rejects.toThrow(OfflineTxError);
+
+        await expect(validateSignedTxFile(signed, { network: 'mainnet' })).rejects.toThrow('testnet');
+    });
+
+    it('should broadcast a signed file through RPCClient.sendTransaction', async () => {
+        await node.fund(sender.address, 5);
+        const client = new RPCClient([MOCK_NODE_URL]);
+
+        const signed = await signFile(sender.address, unsigned());
+        const { tx } = await validateSignedTxFile(parseTxFile(serializeTxFile(signed)));
+        const result = await client.sendTransaction(tx);
+
+        const staged = await client.getStagedTransactions({ cache: false });
+        expect(staged.find(s => s.hash === result.txHash)).toMatchObject({ from: sender.address, nonce: 1 });
+    });
+});
@@ -0,0 +1,314 @@
+// @vitest-environment node
+/**
+ * Provider Bridge Unit Tests
+ * Tests for dApp request routing, per-origin grants, approval windows and events
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import nacl from 'tweetnacl';
+import { ProviderBridge, getSenderOrigin } from '../../src/background/providerBridge';
+import {
+    PROVIDER_PORT,
+    PROVIDER_METHODS,
+    PROVIDER_ERRORS,
+    WALLET_MESSAGES,
+    validateProviderParams,
+    createGrant
+} from '../../src/provider/protocol';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+
+const ORIGIN = 'https://dapp.example';
+const randomAddress = () => addressFromPublicKey(nacl.sign.keyPair().publicKey);
+
+function createFakePort(url = `${ORIGIN}/app`) {
+    const listeners = { message: [], disconnect: [] };
+    return {
+        name: PROVIDER_PORT,
+        sender: { url },
+        posted: [],
+        disconnected: false,
+        onMessage: { addListener: fn => listeners.message.push(fn) },
+        onDisconnect: { addListener: fn => listeners.disconnect.push(fn) },
+        postMessage(message) { this.posted.push(message); },
+        disconnect() { this.disconnected = true; },
+        // Simulate the content script sending a request; resolves with the reply
+        async send(message) {
+            const count = this.posted.length;
+            await Promise.all(listeners.message.map(fn => fn(message)));
+            return this.posted.slice(count).find(m => m.id === message.id);
+        },
+        close() { listeners.disconnect.forEach(fn => fn()); }
+    };
+}
+
+function createSessionStore(initial = null) {
+    return {
+        value: initial,
+        async get() { return this.value; },
+        async set(value) { this.value = value; }
+    };
+}
+
+function createBridge(sessionStore = createSessionStore()) {
+    const windows = { opened: [], closed: [], nextId: 1 };
+    const bridge = new ProviderBridge({
+        sessionStore,
+        openWindow: async (url) => { windows.opened.push(url); return windows.nextId++; },
+        closeWindow: (id) => windows.closed.push(id),
+        getBalance: async () => ({ balance: 1.5, balanceRaw: '1500000', nonce: 3 }),
+        approvalUrl: (id) => `index.html?request=${id}`
+    });
+    return { bridge, windows };
+}
+
+// Let the approval window "open" before the popup answers
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const lastRequestId = (bridge) => [...bridge.pending.keys()].pop();
+
+async function connect(bridge, accounts) {
+    const promise = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CONNECT, {});
+    await flush();
+    bridge.handleWalletMessage({ type: WALLET_MESSAGES.RESOLVE, id: lastRequestId(bridge), result: { accounts } });
+    return promise;
+}
+
+describe('ProviderBridge', () => {
+    let bridge, windows, account;
+
+    beforeEach(() => {
+        ({ bridge, windows } = createBridge());
+        account = randomAddress();
+    });
+
+    it('reads origins from senders and refuses foreign ports', () => {
+        expect(getSenderOrigin({ url: 'https://a.example/x?y=1' })).toBe('https://a.example');
+        expect(getSenderOrigin({ origin: 'https://b.example', url: 'https://c.example' })).toBe('https://b.example');
+        expect(getSenderOrigin({})).toBeNull();
+
+        const foreign = { ...createFakePort(), name: 'other' };
+        bridge.addPort(foreign);
+        expect(foreign.disconnected).toBe(true);
+        expect(bridge.ports.size).toBe(0);
+    });
+
+    it('requires a connection before anything but connect and accounts', async () => {
+        const port = createFakePort();
+        bridge.addPort(port);
+
+        expect(await port.send({ id: 1, method: PROVIDER_METHODS.ACCOUNTS })).toEqual({ id: 1, result: [] });
+
+        for (const method of [PROVIDER_METHODS.GET_BALANCE, PROVIDER_METHODS.DISCONNECT]) {
+            const reply = await port.send({ id: 2, method, params: {} });
+            expect(reply.error.code).toBe(PROVIDER_ERRORS.UNAUTHORIZED);
+        }
+
+        const signReply = await port.send({ id: 3, method: PROVIDER_METHODS.SIGN_MESSAGE, params: { message: 'hi' } });
+        expect(signReply.error.code).toBe(PROVIDER_ERRORS.UNAUTHORIZED);
+        expect(windows.opened).toHaveLength(0);
+
+        const unknown = await port.send({ id: 4, method: 'octra_unknown' });
+        expect(unknown.error.code).toBe(PROVIDER_ERRORS.UNSUPPORTED_METHOD);
+    });
+
+    it('connects through an approval window and emits connect / accountsChanged', async () => {
+        const port = createFakePort();
+        bridge.addPort(port);
+
+        const pendingReply = port.send({ id: 'c1', method: PROVIDER_METHODS.CONNECT, params: {} });
+        await flush();
+
+        const id = lastRequestId(bridge);
+        expect(windows.opened).toEqual([`index.html?request=${id}`]);
+        expect(bridge.handleWalletMessage({ type: WALLET_MESSAGES.GET_REQUEST, id })).toEqual({
+            request: { id, origin: ORIGIN, method: PROVIDER_METHODS.CONNECT, params: {}, accounts: [], network: 'testnet' }
+        });
+
+        expect(bridge.handleWalletMessage({ type: WALLET_MESSAGES.RESOLVE, id, result: { accounts: [account] } })).toEqual({ ok: true });
+        expect(await pendingReply).toEqual({ id: 'c1', result: [account] });
+        expect(windows.closed).toEqual([1]);
+        expect(port.posted).toContainEqual({ event: 'connect', data: { network: 'testnet' } });
+        expect(port.posted).toContainEqual({ event: 'accountsChanged', data: [account] });
+
+        // Already connected: no second window
+        expect(await bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CONNECT, {})).toEqual([account]);
+        expect(windows.opened).toHaveLength(1);
+        expect(bridge.handleWalletMessage({ type: WALLET_MESSAGES.GET_REQUEST, id })).toEqual({ request: null });
+    });
+
+    it('rejects on user rejection, closed windows and empty account picks', async () => {
+        const rejected = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CONNECT, {});
+        await flush();
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.REJECT, id: lastRequestId(bridge) });
+        await expect(rejected).rejects.toMatchObject({ code: PROVIDER_ERRORS.USER_REJECTED });
+
+        const closed = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CONNECT, {});
+        await flush();
+        bridge.handleWindowRemoved(2);
+        await expect(closed).rejects.toMatchObject({ code: PROVIDER_ERRORS.USER_REJECTED });
+
+        const empty = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CONNECT, {});
+        await flush();
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.RESOLVE, id: lastRequestId(bridge), result: { accounts: [] } });
+        await expect(empty).rejects.toMatchObject({ code: PROVIDER_ERRORS.INTERNAL });
+
+        expect(bridge.pending.size).toBe(0);
+        expect(bridge.getAccounts(ORIGIN)).toEqual([]);
+        // Settling twice is a no-op
+        expect(bridge.handleWalletMessage({ type: WALLET_MESSAGES.RESOLVE, id: 'missing', result: {} })).toEqual({ ok: false });
+    });
+
+    it('routes balance, signing and contract requests for connected sites', async () => {
+        await connect(bridge, [account]);
+
+        expect(await bridge.handleRequest(ORIGIN, PROVIDER_METHODS.GET_BALANCE, {})).toEqual({ balanceRaw: '1500000', nonce: 3 });
+        expect(await bridge.handleRequest(ORIGIN, PROVIDER_METHODS.GET_BALANCE, { address: account })).toEqual({ balanceRaw: '1500000', nonce: 3 });
+        // Only the accounts the site was granted
+        await expect(bridge.handleRequest(ORIGIN, PROVIDER_METHODS.GET_BALANCE, { address: randomAddress() }))
+            .rejects.toMatchObject({ code: PROVIDER_ERRORS.UNAUTHORIZED });
+
+        const signed = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.SIGN_MESSAGE, { message: 'hello' });
+        await flush();
+        const signId = lastRequestId(bridge);
+        expect(bridge.getRequest(signId)).toMatchObject({ method: PROVIDER_METHODS.SIGN_MESSAGE, params: { message: 'hello' }, accounts: [account] });
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.RESOLVE, id: signId, result: { signature: 'sig' } });
+        expect(await signed).toEqual({ signature: 'sig' });
+
+        const contract = randomAddress();
+        const call = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CALL_CONTRACT, { contract, method: 'transfer', params: [account, 5] });
+        await flush();
+        expect(bridge.getRequest(lastRequestId(bridge)).params).toEqual({ contract, method: 'transfer', params: [account, '5'] });
+        bridge.handleWalletMessage({
+            type: WALLET_MESSAGES.REJECT,
+            id: lastRequestId(bridge),
+            error: { code: PROVIDER_ERRORS.INTERNAL, message: 'Contract call failed' }
+        });
+        await expect(call).rejects.toMatchObject({ code: PROVIDER_ERRORS.INTERNAL, message: 'Contract call failed' });
+
+        // Other origins stay unauthorized
+        await expect(bridge.handleRequest('https://evil.example', PROVIDER_METHODS.SIGN_MESSAGE, { message: 'x' }))
+            .rejects.toMatchObject({ code: PROVIDER_ERRORS.UNAUTHORIZED });
+    });
+
+    it('emits disconnect and networkChanged to open tabs', async () => {
+        const port = createFakePort();
+        const otherTab = createFakePort(`${ORIGIN}/other`);
+        bridge.addPort(port);
+        bridge.addPort(otherTab);
+        await connect(bridge, [account]);
+
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.NETWORK_CHANGED, network: 'mainnet' });
+        expect(port.posted).toContainEqual({ event: 'networkChanged', data: 'mainnet' });
+        expect(otherTab.posted).toContainEqual({ event: 'networkChanged', data: 'mainnet' });
+        expect(bridge.network).toBe('mainnet');
+
+        otherTab.close();
+        expect(await port.send({ id: 'd', method: PROVIDER_METHODS.DISCONNECT })).toEqual({ id: 'd', result: true });
+        expect(port.posted).toContainEqual({ event: 'accountsChanged', data: [] });
+        expect(port.posted.at(-2)).toMatchObject({ event: 'disconnect', data: { code: PROVIDER_ERRORS.DISCONNECTED } });
+        expect(otherTab.posted.some(m => m.event === 'disconnect')).toBe(false);
+        expect(bridge.getAccounts(ORIGIN)).toEqual([]);
+    });
+});
+
+describe('ProviderBridge grants', () => {
+    let bridge, account;
+
+    beforeEach(() => {
+        ({ bridge } = createBridge());
+        account = randomAddress();
+    });
+
+    it('refuses methods the grant does not cover', async () => {
+        const to = randomAddress();
+        bridge.handleWalletMessage({
+            type: WALLET_MESSAGES.SET_PERMISSIONS,
+            grants: { [ORIGIN]: createGrant(ORIGIN, [account], [PROVIDER_METHODS.SIGN_MESSAGE]) }
+        });
+
+        await expect(bridge.handleRequest(ORIGIN, PROVIDER_METHODS.SEND_TRANSACTION, { to, amount: '1' }))
+            .rejects.toMatchObject({ code: PROVIDER_ERRORS.UNAUTHORIZED });
+        expect(bridge.pending.size).toBe(0);
+
+        bridge.handleRequest(ORIGIN, PROVIDER_METHODS.SIGN_MESSAGE, { message: 'ok' });
+        await flush();
+        expect(bridge.pending.size).toBe(1);
+    });
+
+    it('applies popup grants, tells open tabs and reports sites that disconnected themselves', async () => {
+        const port = createFakePort();
+        bridge.addPort(port);
+        const grant = createGrant(ORIGIN, [account], undefined, Date.now() - 1000);
+
+        expect(bridge.handleWalletMessage({ type: WALLET_MESSAGES.SET_PERMISSIONS, grants: { [ORIGIN]: grant } }))
+            .toEqual({ ok: true, revoked: [] });
+        expect(port.posted).toEqual([
+            { event: 'connect', data: { network: 'testnet' } },
+            { event: 'accountsChanged', data: [account] }
+        ]);
+
+        // Same grant again: nothing to announce
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.SET_PERMISSIONS, grants: { [ORIGIN]: grant } });
+        expect(port.posted).toHaveLength(2);
+
+        // The site disconnects itself; the popup still holds the old grant
+        await bridge.handleRequest(ORIGIN, PROVIDER_METHODS.DISCONNECT, {});
+        expect(bridge.handleWalletMessage({ type: WALLET_MESSAGES.SET_PERMISSIONS, grants: { [ORIGIN]: grant } }))
+            .toEqual({ ok: true, revoked: [ORIGIN] });
+        expect(bridge.getAccounts(ORIGIN)).toEqual([]);
+
+        // A newer grant (the user connected again) is kept
+        const fresh = createGrant(ORIGIN, [account]);
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.SET_PERMISSIONS, grants: { [ORIGIN]: fresh } });
+        expect(bridge.getAccounts(ORIGIN)).toEqual([account]);
+
+        // Revoked in Settings
+        bridge.handleWalletMessage({ type: WALLET_MESSAGES.SET_PERMISSIONS, grants: {} });
+        expect(port.posted.at(-1)).toMatchObject({ event: 'disconnect' });
+        expect(port.posted.at(-2)).toEqual({ event: 'accountsChanged', data: [] });
+    });
+
+    it('stores connect grants in the session store and restores them after a restart', async () => {
+        const store = createSessionStore();
+        ({ bridge } = createBridge(store));
+
+        const connecting = bridge.handleRequest(ORIGIN, PROVIDER_METHODS.CONNECT, {});
+        await flush();
+        bridge.handleWalletMessage({
+            type: WALLET_MESSAGES.RESOLVE,
+            id: lastRequestId(bridge),
+            result: { accounts: [account], methods: [PROVIDER_METHODS.CALL_CONTRACT, 'octra_unknown'] }
+        });
+        await connecting;
+        await flush();
+
+        expect(store.value.grants[ORIGIN]).toMatchObject({ origin: ORIGIN, accounts: [account], methods: [PROVIDER_METHODS.CALL_CONTRACT] });
+
+        const { bridge: restarted } = createBridge(store);
+        expect(await restarted.handleRequest(ORIGIN, PROVIDER_METHODS.ACCOUNTS, {})).toEqual([account]);
+        expect(restarted.getGrant(ORIGIN).grantedAt).toBe(store.value.grants[ORIGIN].grantedAt);
+    });
+});
+
+describe('validateProviderParams', () => {
+    it('normalizes valid params and rejects malformed ones', () => {
+        const to = randomAddress();
+        expect(validateProviderParams(PROVIDER_METHODS.SEND_TRANSACTION, { to, amount: '1.5', extra: true }))
+            .toEqual({ to, amount: '1.5' });
+
+        const invalid = [
+            [PROVIDER_METHODS.SEND_TRANSACTION, { to, amount: '0' }],
+            [PROVIDER_METHODS.SEND_TRANSACTION, { to, amount: '1.0000001' }],
+            [PROVIDER_METHODS.SEND_TRANSACTION, { to: 'oct1bad', amount: '1' }],
+            [PROVIDER_METHODS.SIGN_MESSAGE, { message: '' }],
+            [PROVIDER_METHODS.SIGN_MESSAGE, { message: 'x'.repeat(4097) }],
+            [PROVIDER_METHODS.CALL_CONTRACT, { contract: to, method: 'drop table' }],
+            [PROVIDER_METHODS.CALL_CONTRACT, { contract: to, method: 'transfer', params: 'a,b' }],
+            [PROVIDER_METHODS.GET_BALANCE, { address: 'nope' }],
+            [PROVIDER_METHODS.CONNECT, ['array']]
+        ];
+        for (const [method, params] of invalid) {
+            expect(() => validateProviderParams(method, params), `${method} ${JSON.stringify(params).slice(0, 40)}`)
+                .toThrow(expect.objectContaining({ code: PROVIDER_ERRORS.INVALID_PARAMS }));
+        }
+    });
+});
@@ -0,0 +1,125 @@
+// @vitest-environment node
+/**
+ * Replacement Service Unit Tests
+ * Tests for speeding up and cancelling staged transactions against the mock node
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import nacl from 'tweetnacl';
+import { ReplacementService, REPLACEMENT_TYPES } from '../../src/services/ReplacementService';
+import { keyringService } from '../../src/services/KeyringService';
+import { saveTxHistorySecure } from '../../src/utils/storageSecure';
+import RPCClient from '../../src/utils/rpc';
+import { bufferToBase64 } from '../../src/utils/crypto';
+import { addressFromPublicKey } from '../mock-node/MockOctraNode.js';
+import { mockNodeControl } from '../mock-node/control.js';
+import { MOCK_NODE_URL } from '../mock-node/constants.js';
+
+vi.mock('../../src/utils/storageSecure', () => ({
+    saveTxHistorySecure: vi.fn()
+}));
+
+describe('ReplacementService', () => {
+    const node = mockNodeControl();
+    let client;
+    let service;
+    let address;
+
+    // Send the original transfer straight to the node (nonce 1, ou 1000)
+    const sendOriginal = async (to, amount) => {
+        const tx = await keyringService.signTransaction(address, { to, amount, nonce: 1, fee: 0.001 });
+        const result = await client.sendTransaction(tx);
+        return { hash: result.txHash, type: 'out', amount, address: to, status: 'pending', ou: tx.ou };
+    };
+
+    beforeEach(async () => {
+        const seed = nacl.randomBytes(32);
+        const keyPair = nacl.sign.keyPair.fromSeed(seed);
+        address = addressFromPublicKey(keyPair.publicKey);
+        await keyringService.unlock('TestPassword123!', [{
+            address,
+            privateKeyB64: bufferToBase64(seed),
+            publicKeyB64: bufferToBase64(keyPair.publicKey)
+        }]);
+        await node.fund(address, 10);
+
+        client = new RPCClient([MOCK_NODE_URL]);
+        service = new ReplacementService(client);
+        vi.mocked(saveTxHistorySecure).mockClear();
+    });
+
+    afterEach(() => {
+        keyringService.lock();
+    });
+
+    it('should suggest a fee at least 1.5x and 1000 above the current one', () => {
+        expect(service.suggestFee('1000')).toBe(2000);
+        expect(service.suggestFee(10000)).toBe(15000);
+    });
+
+    it('should only allow replacing pending outgoing transactions', () => {
+        expect(service.canReplace({ type: 'out', status: 'pending' })).toBe(true);
+        expect(service.canReplace({ type: 'in', status: 'pending' })).toBe(false);
+        expect(service.canReplace({ type: 'out', status: 'confirmed' })).toBe(false);
+        expect(service.canReplace({ type: 'out', status: 'pending', replacedBy: 'abc' })).toBe(false);
+    });
+
+    it('should speed up with the same nonce, recipient and amount', async () => {
+        const original = await sendOriginal('oct1recipient', 1.5);
+
+        const result = await service.speedUp(address, original);
+        expect(result).toMatchObject({ nonce: 1, ou: 2000 });
+
+        const replaced = await client.getTransaction(original.hash, { cache: false });
+        expect(replaced.status).toBe('replaced');
+
+        const replacement = await client.getTransaction(result.txHash, { cache: false });
+        expect(replacement.parsed_tx).toMatchObject({ to: 'oct1recipient', amount_raw: '1500000', nonce: 1, ou: '2000' });
+
+        const [saved] = vi.mocked(saveTxHistorySecure).mock.calls[0];
+        expect(saved[0]).toMatchObject({ hash: original.hash, status: 'replaced', replacedBy: result.txHash });
+        expect(saved[1]).toMatchObject({ hash: result.txHash, replaces: original.hash, replacementType: REPLACEMENT_TYPES.SPEED_UP });
+    });
+
+    it('should cancel with a zero-amount self-transfer', async () => {
+        const original = await sendOriginal('oct1recipient', 2);
+
+        const result = await service.cancel(address, original, { ou: 5000 });
+
+        const replacement = await client.getTransaction(result.txHash, { cache: false });
+        expect(replacement.parsed_tx).toMatchObject({ to: address, amount_raw: '0', nonce: 1, ou: '5000' });
+
+        const [saved] = vi.mocked(saveTxHistorySecure).mock.calls[0];
+        expect(saved[1]).toMatchObject({ amount: 0, address, replacementType: REPLACEMENT_TYPES.CANCEL });
+    });
+
+    it('should report a failed history write without failing the broadcast replacement', async () => {
+        const original = await sendOriginal('oct1recipient', 1);
+        vi.mocked(saveTxHistorySecure).mockImplementationOnce(() => { throw new Error('QuotaExceededError'); });
+
+        const result = await service.speedUp(address, original, { ou: 5000 });
+        expect(result.historySaved).toBe(false);
+        expect((await client.getTransaction(result.txHash, { cache: false })).parsed_tx.ou).toBe('5000');
+    });
+
+    it('should keep a replaced transaction replaced when a refresh lists it as pending again', async () => {
+        const { mergeTxHistoryEntry } = await vi.importActual('../../src/utils/storageSecure');
+        const stored = { hash: 'a', status: 'replaced', replacedBy: 'b', replacementType: REPLACEMENT_TYPES.SPEED_UP };
+
+        expect(mergeTxHistoryEntry(stored, { hash: 'a', status: 'pending', ou: '1000' }))
+            .toMatchObject({ status: 'replaced', replacedBy: 'b', ou: '1000' });
+        // The original can still win the race
+        expect(mergeTxHistoryEntry(stored, { hash: 'a', status: 'confirmed' })).toMatchObject({ status: 'confirmed', replacedBy: 'b' });
+        expect(mergeTxHistoryEntry(undefined, { hash: 'c', status: 'pending' })).toEqual({ hash: 'c', status: 'pending' });
+    });
+
+    it('should refuse a fee that is not higher than the current one', async () => {
+        const original = await sendOriginal('oct1recipient', 1);
+        await expect(service.speedUp(address, original, { ou: 1000 })).rejects.toThrow('higher than the current fee');
+    });
+
+    it('should fail once the transaction left the mempool', async () => {
+        await expect(service.cancel(address, { hash: 'f'.repeat(64), type: 'out', status: 'pending' }))
+            .rejects.toThrow('no longer pending');
+    });
+});
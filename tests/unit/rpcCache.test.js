@@ -0,0 +1,153 @@
+/**
+ * RPC Cache Unit Tests
+ * Tests for GET deduplication, per-path TTLs and invalidation
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ResponseCache } from '../../src/utils/rpcCache';
+import RPCClient from '../../src/utils/rpc';
+
+const NODE = 'https://node.test';
+
+function mockResponse(status, body) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: () => null },
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+}
+
+const okResult = (json) => ({ ok: true, status: 200, json });
+
+describe('ResponseCache', () => {
+
+    it('should not cache paths without a rule', () => {
+        const cache = new ResponseCache();
+        expect(cache.getTtl('/balance/oct1abc', okResult({ balance: '1' }))).toBe(0);
+    });
+
+    it('should cache confirmed transactions forever, pending ones not at all', () => {
+        const cache = new ResponseCache();
+        expect(cache.getTtl('/tx/abc', okResult({ status: 'confirmed', epoch: 5 }))).toBe(Infinity);
+        expect(cache.getTtl('/tx/abc', okResult({ status: 'pending' }))).toBe(0);
+    });
+
+    it('should never cache failed results', () => {
+        const cache = new ResponseCache();
+        expect(cache.getTtl('/staging', { ok: false, status: 503 })).toBe(0);
+    });
+
+    it('should keep immutable entries on invalidateMutable', async () => {
+        const cache = new ResponseCache();
+        await cache.fetch('/tx/abc', '/tx/abc', async () => okResult({ status: 'confirmed' }));
+        await cache.fetch('/staging', '/staging', async () => okResult({ staged_transactions: [] }));
+
+        cache.invalidateMutable();
+        expect(cache.getStats().entries).toBe(1);
+    });
+});
+
+describe('RPCClient GET cache', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('should coalesce identical in-flight GETs', async () => {
+        fetchMock.mockResolvedValue(mockResponse(200, { balance: '2', nonce: 1 }));
+        const client = new RPCClient([NODE]);
+
+        const results = await Promise.all([
+            client.getBalance('oct1abc'),
+            client.getBalance('oct1abc'),
+            client.getBalance('oct1abc')
+        ]);
+
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(results[2]).toEqual({ balance: 2, balanceRaw: '2000000', nonce: 1 });
+        expect(client.getCacheStats().deduped).toBe(2);
+    });
+
+    it('should serve /staging from cache until its TTL expires', async () => {
+        fetchMock.mockResolvedValue(mockResponse(200, { staged_transactions: [] }));
+        const client = new RPCClient([NODE]);
+
+        await client.getStagedTransactions();
+        await client.getStagedTransactions();
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        expect(client.getCacheStats().hits).toBe(1);
+
+        vi.advanceTimersByTime(3000);
+        await client.getStagedTransactions();
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should bypass the cache with cache: false', async () => {
+        fetchMock.mockResolvedValue(mockResponse(200, { staged_transactions: [] }));
+        const client = new RPCClient([NODE]);
+
+        await client.get('/staging');
+        await client.get('/staging', {}, { cache: false });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not join an earlier in-flight read with cache: false', async () => {
+        let release;
+        fetchMock.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+        fetchMock.mockResolvedValue(mockResponse(200, { staged_transactions: [{ hash: 'fresh' }] }));
+        const client = new RPCClient([NODE]);
+
+        const earlier = client.get('/staging');
+        await vi.waitFor(() => expect(release).toBeDefined());
+        const fresh = await client.get('/staging', {}, { cache: false });
+        expect(fresh.json.staged_transactions[0].hash).toBe('fresh');
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+
+        release(mockResponse(200, { staged_transactions: [] }));
+        await earlier;
+    });
+
+    it('should forget in-flight reads when the endpoints change', async () => {
+        let release;
+        fetchMock.mockImplementationOnce(() => new Promise(resolve => { release = resolve; }));
+        fetchMock.mockResolvedValue(mockResponse(200, { staged_transactions: [{ hash: 'current' }] }));
+        const client = new RPCClient([NODE]);
+        const firstHash = async (request) => (await request).json.staged_transactions[0]?.hash;
+
+        const previous = client.get('/staging');
+        await vi.waitFor(() => expect(release).toBeDefined());
+        client.setEndpoints(['https://other.example']);
+        const current = client.get('/staging');
+
+        release(mockResponse(200, { staged_transactions: [{ hash: 'previous' }] }));
+        expect(await firstHash(previous)).toBe('previous');
+        expect(await firstHash(current)).toBe('current');
+        // The previous network's answer was not cached either
+        expect(await firstHash(client.get('/staging'))).toBe('current');
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop mutable entries after a successful POST', async () => {
+        fetchMock.mockImplementation(async (url) => (
+            url.endsWith('/send-tx')
+                ? mockResponse(200, { status: 'accepted', tx_hash: 'abc' })
+                : mockResponse(200, { staged_transactions: [] })
+        ));
+        const client = new RPCClient([NODE]);
+
+        await client.getStagedTransactions();
+        await client.sendTransaction({ nonce: 1 });
+        await client.getStagedTransactions();
+
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,173 @@
+/**
+ * RPC Endpoint Pool Unit Tests
+ * Tests for health scoring, cooldown, and transparent failover in RPCClient
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EndpointPool, normalizeEndpoints } from '../../src/utils/rpcEndpointPool';
+import RPCClient from '../../src/utils/rpc';
+import { RpcUnknownOutcomeError } from '../../src/utils/rpcErrors';
+
+const NODE_A = 'https://a.node.test';
+const NODE_B = 'https://b.node.test';
+const NODE_C = 'https://c.node.test';
+
+function mockResponse(status, body) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+}
+
+describe('EndpointPool', () => {
+
+    describe('normalizeEndpoints', () => {
+        it('should trim, strip trailing slashes and de-duplicate', () => {
+            const result = normalizeEndpoints([' https://a.node.test/ ', 'https://a.node.test', '', null, NODE_B]);
+            expect(result).toEqual([NODE_A, NODE_B]);
+        });
+
+        it('should accept a single string', () => {
+            expect(normalizeEndpoints(NODE_A)).toEqual([NODE_A]);
+        });
+    });
+
+    describe('Scoring', () => {
+        it('should prefer list order when nothing is measured yet', () => {
+            const pool = new EndpointPool([NODE_A, NODE_B, NODE_C]);
+            expect(pool.getCandidates()).toEqual([NODE_A, NODE_B, NODE_C]);
+        });
+
+        it('should prefer the faster endpoint', () => {
+            const pool = new EndpointPool([NODE_A, NODE_B]);
+            pool.recordSuccess(NODE_A, 900);
+            pool.recordSuccess(NODE_B, 100);
+            expect(pool.getPreferred()).toBe(NODE_B);
+        });
+
+        it('should penalize endpoints with a high error rate', () => {
+            const pool = new EndpointPool([NODE_A, NODE_B]);
+            pool.recordSuccess(NODE_A, 100);
+            pool.recordFailure(NODE_A, 'HTTP 503', 503);
+            pool.recordSuccess(NODE_B, 200);
+            expect(pool.getPreferred()).toBe(NODE_B);
+        });
+    });
+
+    describe('Cooldown', () => {
+        it('should park an endpoint after 3 consecutive failures', () => {
+            const pool = new EndpointPool([NODE_A, NODE_B]);
+            pool.recordFailure(NODE_A, 'timeout');
+            pool.recordFailure(NODE_A, 'timeout');
+            pool.recordFailure(NODE_A, 'timeout');
+
+            expect(pool.isCoolingDown(NODE_A)).toBe(true);
+            expect(pool.getCandidates()).toEqual([NODE_B, NODE_A]);
+
+            const health = pool.getHealth().find(h => h.url === NODE_A);
+            expect(health.status).toBe('down');
+            expect(health.lastError).toBe('timeout');
+        });
+
+        it('should recover after a success', () => {
+            const pool = new EndpointPool([NODE_A]);
+            for (let i = 0; i < 3; i++) pool.recordFailure(NODE_A, 'timeout');
+            pool.recordSuccess(NODE_A, 120);
+
+            expect(pool.isCoolingDown(NODE_A)).toBe(false);
+            expect(pool.getHealth()[0].status).toBe('healthy');
+        });
+    });
+
+    it('should keep stats for endpoints that survive setEndpoints', () => {
+        const pool = new EndpointPool([NODE_A, NODE_B]);
+        pool.recordSuccess(NODE_A, 150);
+        pool.setEndpoints([NODE_C, NODE_A]);
+
+        const health = pool.getHealth();
+        expect(health.map(h => h.url)).toEqual([NODE_C, NODE_A]);
+        expect(health[1].latency).toBe(150);
+    });
+});
+
+describe('RPCClient failover', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it('should fail over to the next endpoint on 503', async () => {
+        fetchMock.mockImplementation(async (url) => (
+            url.startsWith(NODE_A)
+                ? mockResponse(503, { error: 'overloaded' })
+                : mockResponse(200, { balance: '1.5', nonce: 3 })
+        ));
+
+        const client = new RPCClient([NODE_A, NODE_B]);
+        const result = await client.getBalance('oct1test');
+
+        expect(result).toEqual({ balance: 1.5, balanceRaw: '1500000', nonce: 3 });
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        expect(client.getActualRpcUrl()).toBe(NODE_B);
+
+        const health = client.getEndpointHealth();
+        expect(health[0].failureCount).toBe(1);
+        expect(health[1].successCount).toBe(1);
+    });
+
+    it('should never send a transaction twice after a 502 or a dropped connection', async () => {
+        fetchMock.mockResolvedValue(mockResponse(502, 'Bad Gateway'));
+        const client = new RPCClient([NODE_A, NODE_B]);
+
+        await expect(client.sendTransaction({ nonce: 1 })).rejects.toBeInstanceOf(RpcUnknownOutcomeError);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        fetchMock.mockReset();
+        fetchMock.mockRejectedValue(new TypeError('fetch failed', { cause: { code: 'ECONNRESET' } }));
+        await expect(client.sendTransaction({ nonce: 1 })).rejects.toBeInstanceOf(RpcUnknownOutcomeError);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail a transaction over when the request never left', async () => {
+        fetchMock.mockImplementation(async (url) => {
+            if (url.startsWith(NODE_A)) throw new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } });
+            return mockResponse(200, { status: 'accepted', tx_hash: 'abc' });
+        });
+        const client = new RPCClient([NODE_A, NODE_B]);
+
+        expect((await client.sendTransaction({ nonce: 1 })).txHash).toBe('abc');
+        expect(fetchMock.mock.calls.map(([url]) => new URL(url).origin)).toEqual([NODE_A, NODE_B]);
+    });
+
+    it('should not fail over on client errors', async () => {
+        fetchMock.mockResolvedValue(mockResponse(404, { error: 'not found' }));
+
+        const client = new RPCClient([NODE_A, NODE_B]);
+        const result = await client.get('/tx/unknown');
+
+        expect(result.status).toBe(404);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report per-endpoint health from checkConnection', async () => {
+        fetchMock.mockImplementation(async (url) => (
+            url.startsWith(NODE_A)
+                ? Promise.reject(new TypeError('connection refused'))
+                : mockResponse(200, { status: 'ok' })
+        ));
+
+        const client = new RPCClient([NODE_A, NODE_B]);
+        const result = await client.checkConnection();
+
+        expect(result.connected).toBe(true);
+        expect(result.active).toBe(NODE_B);
+        expect(result.endpoints.map(e => e.status)).toEqual(['degraded', 'healthy']);
+    });
+});
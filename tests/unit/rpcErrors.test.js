@@ -0,0 +1,133 @@
+/**
+ * RPC Error Types Unit Tests
+ * Tests for error classification and typed errors thrown by RPCClient
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    toRpcError,
+    toRpcWriteError,
+    RpcError,
+    RpcTimeoutError,
+    RpcNetworkError,
+    RpcHttpError,
+    RpcInvalidResponseError,
+    RpcUnknownOutcomeError,
+    RpcNodeRejectedError,
+    NonceConflictError,
+    InsufficientBalanceError
+} from '../../src/utils/rpcErrors';
+import RPCClient from '../../src/utils/rpc';
+
+const NODE = 'https://node.test';
+
+function mockResponse(status, body) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: () => null },
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+}
+
+describe('RPC Errors', () => {
+
+    describe('toRpcError', () => {
+        it('should classify timeouts and network failures', () => {
+            expect(toRpcError({ status: 0, timedOut: true, error: 'timeout' })).toBeInstanceOf(RpcTimeoutError);
+            expect(toRpcError({ status: 0, networkError: true, error: 'ECONNREFUSED' })).toBeInstanceOf(RpcNetworkError);
+        });
+
+        it('should classify server errors as HTTP errors', () => {
+            const error = toRpcError({ status: 503, json: null, error: 'HTTP 503' });
+            expect(error).toBeInstanceOf(RpcHttpError);
+            expect(error.status).toBe(503);
+        });
+
+        it('should classify node rejections with their code', () => {
+            const error = toRpcError({ status: 400, json: { error: 'invalid signature', code: 'E_SIG' } }, '/send-tx');
+            expect(error).toBeInstanceOf(RpcNodeRejectedError);
+            expect(error.code).toBe('E_SIG');
+            expect(error.path).toBe('/send-tx');
+        });
+
+        it('should detect nonce conflicts and insufficient balance', () => {
+            const nonce = toRpcError({ status: 400, json: { error: 'Nonce too low' } });
+            const balance = toRpcError({ status: 400, text: 'insufficient balance', invalidJson: true });
+
+            expect(nonce).toBeInstanceOf(NonceConflictError);
+            expect(nonce).toBeInstanceOf(RpcNodeRejectedError);
+            expect(balance).toBeInstanceOf(InsufficientBalanceError);
+            expect(balance.message).toBe('insufficient balance');
+        });
+
+        it('should report writes that may have landed as an unknown outcome', () => {
+            expect(toRpcWriteError({ status: 0, timedOut: true })).toBeInstanceOf(RpcUnknownOutcomeError);
+            expect(toRpcWriteError({ status: 502, error: 'HTTP 502' })).toBeInstanceOf(RpcUnknownOutcomeError);
+            expect(toRpcWriteError({ status: 0, networkError: true, notSent: true })).toBeInstanceOf(RpcNetworkError);
+            expect(toRpcWriteError({ status: 400, json: { error: 'Nonce too low' } })).toBeInstanceOf(NonceConflictError);
+        });
+
+        it('should flag invalid JSON on success responses', () => {
+            const error = toRpcError({ status: 200, text: '<html>', json: null, invalidJson: true });
+            expect(error).toBeInstanceOf(RpcInvalidResponseError);
+        });
+
+        it('should keep every type catchable as RpcError and Error', () => {
+            const error = toRpcError({ status: 0, timedOut: true });
+            expect(error).toBeInstanceOf(RpcError);
+            expect(error).toBeInstanceOf(Error);
+            expect(error.type).toBe('timeout');
+        });
+    });
+
+    describe('RPCClient', () => {
+        let fetchMock;
+
+        beforeEach(() => {
+            fetchMock = vi.fn();
+            vi.stubGlobal('fetch', fetchMock);
+        });
+
+        afterEach(() => {
+            vi.unstubAllGlobals();
+        });
+
+        it('should throw NonceConflictError when sendTransaction is rejected for nonce', async () => {
+            fetchMock.mockResolvedValue(mockResponse(400, { error: 'duplicate nonce' }));
+            const client = new RPCClient([NODE]);
+
+            await expect(client.sendTransaction({ nonce: 1 })).rejects.toBeInstanceOf(NonceConflictError);
+        });
+
+        it('should throw a node rejection for plain-text 200 answers', async () => {
+            fetchMock.mockResolvedValue(mockResponse(200, 'insufficient balance'));
+            const client = new RPCClient([NODE]);
+
+            await expect(client.sendTransaction({ nonce: 1 })).rejects.toBeInstanceOf(InsufficientBalanceError);
+        });
+
+        it('should throw RpcInvalidResponseError for a garbled balance response', async () => {
+            fetchMock.mockResolvedValue(mockResponse(200, 'not json'));
+            const client = new RPCClient([NODE]);
+
+            await expect(client.getBalance('oct1test')).rejects.toBeInstanceOf(RpcInvalidResponseError);
+        });
+
+        it('should throw RpcHttpError for a missing transaction', async () => {
+            fetchMock.mockResolvedValue(mockResponse(404, { error: 'not found' }));
+            const client = new RPCClient([NODE]);
+
+            const error = await client.getTransaction('abc').catch(e => e);
+            expect(error).toBeInstanceOf(RpcHttpError);
+            expect(error.status).toBe(404);
+        });
+
+        it('should throw RpcNetworkError when the node is unreachable', async () => {
+            fetchMock.mockRejectedValue(new TypeError('connection refused'));
+            const client = new RPCClient([NODE], { retry: false });
+
+            await expect(client.getAddressInfo('oct1test')).rejects.toBeInstanceOf(RpcNetworkError);
+        });
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * RPC Fee Estimator Unit Tests
+ * Tests for fee levels from the staging queue, expected epochs and caching
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { FeeEstimator, percentile, estimateEpochs } from '../../src/utils/rpcFeeEstimator';
+
+const staged = (ous) => ous.map((ou, i) => ({ hash: `h${ou}_${i}`, ou: String(ou) }));
+
+describe('FeeEstimator', () => {
+    let estimator;
+
+    beforeEach(() => {
+        estimator = new FeeEstimator();
+    });
+
+    it('should compute nearest-rank percentiles', () => {
+        const sorted = [1000, 2000, 3000, 4000];
+        expect(percentile(sorted, 25)).toBe(1000);
+        expect(percentile(sorted, 50)).toBe(2000);
+        expect(percentile(sorted, 90)).toBe(4000);
+        expect(percentile([], 50)).toBe(0);
+    });
+
+    it('should fall back to 1000 / 2000 / 3000 ou without enough samples', () => {
+        const result = estimator.compute(staged([5000, 6000]));
+        expect(result.source).toBe('default');
+        expect(result).toMatchObject({ low: 0.001, medium: 0.002, high: 0.003 });
+        expect(result.queueDepth).toBe(2);
+    });
+
+    it('should derive increasing levels from the queue', () => {
+        const result = estimator.compute(staged([1000, 1000, 2000, 2000, 3000, 5000, 8000, 10000]));
+        expect(result.source).toBe('network');
+        expect(result.ou).toEqual({ low: 1000, medium: 2000, high: 10000 });
+        expect(result.low).toBe(0.001);
+    });
+
+    it('should not let a single outlier in the queue set the fast level', () => {
+        const result = estimator.compute(staged([...Array(19).fill(2000), 1000000]));
+        expect(result.ou).toEqual({ low: 2000, medium: 2000, high: 2000 });
+        expect(result.epochs.high).toBe(1);
+    });
+
+    it('should never go below the minimum ou', () => {
+        const result = estimator.compute(staged([100, 200, 300, 400, 500]));
+        expect(result.ou.low).toBe(1000);
+        expect(result.ou.medium).toBeGreaterThanOrEqual(1000);
+    });
+
+    it('should expect more epochs when the queue paying as much is deep', () => {
+        const queue = Array(250).fill(3000);
+        expect(estimateEpochs(1000, queue, 100)).toBe(3);
+        expect(estimateEpochs(4000, queue, 100)).toBe(1);
+    });
+
+    it('should count transactions that left the queue as confirmed samples', () => {
+        estimator.observe(staged([4000, 4000, 4000, 4000, 4000]), 0);
+        estimator.observe([], 10 * 1000);
+
+        expect(estimator.confirmed).toHaveLength(5);
+        expect(estimator.getCapacity(10 * 1000)).toBe(5);
+
+        const result = estimator.compute([], 10 * 1000);
+        expect(result.source).toBe('network');
+        expect(result.ou.medium).toBe(4000);
+    });
+
+    it('should cache estimates and share in-flight requests', async () => {
+        const fetchStaged = vi.fn().mockResolvedValue(staged([1000, 2000]));
+
+        const [a, b] = await Promise.all([estimator.estimate(fetchStaged), estimator.estimate(fetchStaged)]);
+        await estimator.estimate(fetchStaged);
+        expect(fetchStaged).toHaveBeenCalledTimes(1);
+        expect(a).toBe(b);
+
+        await estimator.estimate(fetchStaged, { force: true });
+        expect(fetchStaged).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not keep a snapshot that was still loading when clear() was called', async () => {
+        let resolveOld;
+        const oldNetwork = vi.fn(() => new Promise(resolve => { resolveOld = resolve; }));
+        const pending = estimator.estimate(oldNetwork);
+
+        estimator.clear();
+        const newNetwork = vi.fn().mockResolvedValue(staged([1000]));
+        const fresh = await estimator.estimate(newNetwork);
+        expect(newNetwork).toHaveBeenCalledTimes(1);
+
+        resolveOld(staged([9000, 9000, 9000, 9000, 9000]));
+        const stale = await pending;
+        expect(stale.ou.medium).toBe(9000);
+        expect(estimator.seen.size).toBe(1);
+        expect(estimator.cached).toBe(fresh);
+        expect(await estimator.estimate(newNetwork)).toBe(fresh);
+        expect(newNetwork).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the last estimate when staging cannot be loaded', async () => {
+        const first = await estimator.estimate(async () => staged([1000]));
+        const second = await estimator.estimate(async () => { throw new Error('down'); }, { force: true });
+        expect(second).toBe(first);
+
+        const fresh = new FeeEstimator();
+        const fallback = await fresh.estimate(async () => { throw new Error('down'); });
+        expect(fallback).toMatchObject({ medium: 0.002, source: 'default', epochs: { medium: null } });
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * RPC Retry Policy Unit Tests
+ * Tests for exponential backoff, jitter, Retry-After and per-call overrides
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+    DEFAULT_RETRY_POLICY,
+    createRetryPolicy,
+    parseRetryAfter,
+    isRetryable,
+    getRetryDelay
+} from '../../src/utils/rpcRetry';
+import RPCClient from '../../src/utils/rpc';
+
+const NODE = 'https://node.test';
+
+function mockResponse(status, body, headers = {}) {
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        headers: { get: (name) => headers[name] ?? null },
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+}
+
+describe('Retry Policy', () => {
+
+    describe('createRetryPolicy', () => {
+        it('should merge overrides onto the defaults', () => {
+            const policy = createRetryPolicy({ maxAttempts: 5 });
+            expect(policy.maxAttempts).toBe(5);
+            expect(policy.baseDelay).toBe(DEFAULT_RETRY_POLICY.baseDelay);
+        });
+
+        it('should disable retries with false', () => {
+            expect(createRetryPolicy(false).maxAttempts).toBe(1);
+        });
+    });
+
+    describe('parseRetryAfter', () => {
+        it('should parse delta-seconds', () => {
+            expect(parseRetryAfter('3')).toBe(3000);
+            expect(parseRetryAfter('0.5')).toBe(500);
+        });
+
+        it('should parse an HTTP-date', () => {
+            const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+            expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', now)).toBe(10000);
+        });
+
+        it('should return null for missing or garbage values', () => {
+            expect(parseRetryAfter(null)).toBeNull();
+            expect(parseRetryAfter('soon')).toBeNull();
+        });
+    });
+
+    describe('Backoff', () => {
+        it('should grow exponentially and respect the cap', () => {
+            const policy = createRetryPolicy({ baseDelay: 1000, maxDelay: 5000, jitter: 0 });
+            expect(getRetryDelay(policy, 1)).toBe(1000);
+            expect(getRetryDelay(policy, 2)).toBe(2000);
+            expect(getRetryDelay(policy, 3)).toBe(4000);
+            expect(getRetryDelay(policy, 4)).toBe(5000);
+        });
+
+        it('should keep jittered delays within bounds', () => {
+            const policy = createRetryPolicy({ baseDelay: 1000, jitter: 0.5 });
+            expect(getRetryDelay(policy, 1, null, () => 0)).toBe(500);
+            expect(getRetryDelay(policy, 1, null, () => 1)).toBe(1000);
+        });
+
+        it('should prefer Retry-After over the computed backoff', () => {
+            const policy = createRetryPolicy({ jitter: 0 });
+            expect(getRetryDelay(policy, 1, 7000)).toBe(7000);
+        });
+    });
+
+    describe('isRetryable', () => {
+        const policy = createRetryPolicy();
+
+        it('should retry retryable statuses and network errors only', () => {
+            expect(isRetryable(policy, { ok: false, status: 503 }, 1)).toBe(true);
+            expect(isRetryable(policy, { ok: false, status: 429 }, 1)).toBe(true);
+            expect(isRetryable(policy, { ok: false, status: 400 }, 1)).toBe(false);
+            expect(isRetryable(policy, { ok: false, status: 0, networkError: true }, 1)).toBe(true);
+            expect(isRetryable(policy, { ok: false, status: 0, timedOut: true }, 1)).toBe(false);
+        });
+
+        it('should stop after maxAttempts', () => {
+            expect(isRetryable(policy, { ok: false, status: 503 }, policy.maxAttempts)).toBe(false);
+        });
+
+        it('should give up when Retry-After exceeds maxRetryAfter', () => {
+            expect(isRetryable(policy, { ok: false, status: 429, retryAfter: 120000 }, 1)).toBe(false);
+        });
+    });
+});
+
+describe('RPCClient retries', () => {
+    let fetchMock;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        fetchMock = vi.fn();
+        vi.stubGlobal('fetch', fetchMock);
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.useRealTimers();
+    });
+
+    it('should honor Retry-After on 429', async () => {
+        fetchMock
+            .mockResolvedValueOnce(mockResponse(429, { error: 'slow down' }, { 'Retry-After': '4' }))
+            .mockResolvedValueOnce(mockResponse(200, { ok: true }));
+
+        const client = new RPCClient([NODE]);
+        const pending = client.get('/staging');
+
+        await vi.advanceTimersByTimeAsync(3999);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+
+        await vi.advanceTimersByTimeAsync(1);
+        const result = await pending;
+        expect(result.status).toBe(200);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+    });
+
+    it('should preserve headers, body and method on retry', async () => {
+        fetchMock
+            .mockResolvedValueOnce(mockResponse(503, { error: 'overloaded' }))
+            .mockResolvedValueOnce(mockResponse(200, { ok: true }));
+
+        const client = new RPCClient([NODE], { retry: { jitter: 0 } });
+        const pending = client.post('/call-contract', { method: 'transfer' }, { 'X-Test': '1' }, 0);
+
+        await vi.advanceTimersByTimeAsync(DEFAULT_RETRY_POLICY.baseDelay);
+        await pending;
+
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        const [first, second] = fetchMock.mock.calls.map(call => call[1]);
+        expect(second.method).toBe('POST');
+        expect(second.headers).toEqual(first.headers);
+        expect(second.headers['X-Test']).toBe('1');
+        expect(second.body).toBe(first.body);
+    });
+
+    it('should not retry when disabled per call', async () => {
+        fetchMock.mockResolvedValue(mockResponse(503, { error: 'overloaded' }));
+
+        const client = new RPCClient([NODE]);
+        const result = await client.get('/staging', {}, { retry: false });
+
+        expect(result.status).toBe(503);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should back off exponentially between attempts', async () => {
+        fetchMock.mockResolvedValue(mockResponse(502, 'bad gateway'));
+
+        const client = new RPCClient([NODE], { retry: { maxAttempts: 3, baseDelay: 100, jitter: 0 } });
+        const pending = client.get('/staging');
+
+        await vi.advanceTimersByTimeAsync(99);
+        expect(fetchMock).toHaveBeenCalledTimes(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(199);
+        expect(fetchMock).toHaveBeenCalledTimes(2);
+        await vi.advanceTimersByTimeAsync(1);
+
+        const result = await pending;
+        expect(result.status).toBe(502);
+        expect(fetchMock).toHaveBeenCalledTimes(3);
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * RPC Scheduler Unit Tests
+ * Tests for token-bucket rate limiting, concurrency cap and priorities
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RequestScheduler, RPC_PRIORITY } from '../../src/utils/rpcScheduler';
+
+const deferred = () => {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+};
+
+describe('RequestScheduler', () => {
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    describe('Concurrency Cap', () => {
+        it('should never run more than maxConcurrent tasks at once', async () => {
+            const scheduler = new RequestScheduler({ ratePerSecond: 100, burst: 100, maxConcurrent: 2 });
+            const gates = [deferred(), deferred(), deferred()];
+            let running = 0;
+            let peak = 0;
+
+            const results = gates.map((gate, i) => scheduler.schedule(async () => {
+                running++;
+                peak = Math.max(peak, running);
+                await gate.promise;
+                running--;
+                return i;
+            }));
+
+            expect(scheduler.getStats().active).toBe(2);
+            expect(scheduler.getStats().queued).toBe(1);
+
+            gates.forEach(g => g.resolve());
+            await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+            expect(peak).toBe(2);
+        });
+    });
+
+    describe('Priorities', () => {
+        it('should run higher priority tasks first, FIFO within a priority', async () => {
+            const scheduler = new RequestScheduler({ ratePerSecond: 100, burst: 100, maxConcurrent: 1 });
+            const blocker = deferred();
+            const order = [];
+
+            const first = scheduler.schedule(() => blocker.promise);
+            const queued = [
+                scheduler.schedule(async () => order.push('history-1'), RPC_PRIORITY.LOW),
+                scheduler.schedule(async () => order.push('read'), RPC_PRIORITY.NORMAL),
+                scheduler.schedule(async () => order.push('history-2'), RPC_PRIORITY.LOW),
+                scheduler.schedule(async () => order.push('nonce'), RPC_PRIORITY.HIGH),
+                scheduler.schedule(async () => order.push('send'), RPC_PRIORITY.CRITICAL)
+            ];
+
+            expect(scheduler.getStats().queuedByPriority).toEqual({ CRITICAL: 1, HIGH: 1, NORMAL: 1, LOW: 2 });
+
+            blocker.resolve();
+            await Promise.all([first, ...queued]);
+            expect(order).toEqual(['send', 'nonce', 'read', 'history-1', 'history-2']);
+        });
+    });
+
+    describe('Rate Limiting', () => {
+        it('should hold requests once the burst is spent', async () => {
+            const scheduler = new RequestScheduler({ ratePerSecond: 2, burst: 2, maxConcurrent: 10 });
+            let started = 0;
+            const tasks = Array.from({ length: 4 }, () => scheduler.schedule(async () => { started++; }));
+
+            await Promise.resolve();
+            expect(started).toBe(2);
+
+            // One token every 500ms
+            await vi.advanceTimersByTimeAsync(500);
+            expect(started).toBe(3);
+
+            await vi.advanceTimersByTimeAsync(500);
+            expect(started).toBe(4);
+
+            await Promise.all(tasks);
+        });
+
+        it('should apply new limits from configure()', () => {
+            const scheduler = new RequestScheduler();
+            scheduler.configure({ ratePerSecond: 10, burst: 1, maxConcurrent: 5 });
+
+            const stats = scheduler.getStats();
+            expect(stats.ratePerSecond).toBe(10);
+            expect(stats.burst).toBe(1);
+            expect(stats.maxConcurrent).toBe(5);
+            expect(stats.tokens).toBeLessThanOrEqual(1);
+        });
+    });
+
+    it('should propagate task errors to the caller', async () => {
+        const scheduler = new RequestScheduler();
+        await expect(scheduler.schedule(async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(scheduler.getStats().active).toBe(0);
+    });
+});
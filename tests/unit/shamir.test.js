@@ -0,0 +1,115 @@
+// @vitest-environment node
+/**
+ * Shamir Backup Unit Tests
+ * Tests for splitting a recovery phrase into shares, recovering it from any
+ * threshold of them, and the share checksum / consistency feedback
+ */
+
+import { describe, it, expect } from 'vitest';
+import { importFromMnemonic } from '../../src/utils/crypto';
+import {
+    splitSecret,
+    combineShares,
+    createRecoveryShares,
+    recoverMnemonicFromShares,
+    decodeShare,
+    checkShares,
+    formatBackupId
+} from '../../src/utils/shamir';
+
+const ZERO_12 = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+const ZERO_24 = `${'abandon '.repeat(23)}art`;
+
+function subsets(items, size) {
+    if (size === 0) return [[]];
+    if (items.length < size) return [];
+    const [first, ...rest] = items;
+    return [...subsets(rest, size - 1).map(s => [first, ...s]), ...subsets(rest, size)];
+}
+
+function replaceWord(share, position, word) {
+    const words = share.split(' ');
+    words[position] = word;
+    return words.join(' ');
+}
+
+describe('Shamir Backup', () => {
+    it.each([ZERO_12, ZERO_24])('should recover the phrase from every threshold subset', (mnemonic) => {
+        const shares = createRecoveryShares(mnemonic, 3, 5);
+        expect(shares).toHaveLength(5);
+
+        for (const subset of subsets(shares, 3)) {
+            expect(recoverMnemonicFromShares([...subset].reverse())).toBe(mnemonic);
+        }
+        // More than the threshold works too
+        expect(recoverMnemonicFromShares(shares)).toBe(mnemonic);
+    });
+
+    it('should round-trip random secrets through the field arithmetic', () => {
+        for (let run = 0; run < 20; run++) {
+            const secret = crypto.getRandomValues(new Uint8Array(16 + (run % 5) * 4));
+            const shareCount = 2 + (run % 15);
+            const threshold = 2 + (run % (shareCount - 1));
+            const shares = splitSecret(secret, threshold, shareCount);
+
+            expect(combineShares(shares.slice(-threshold))).toEqual(secret);
+        }
+    });
+
+    it('should label shares with the backup, threshold and position', () => {
+        const shares = createRecoveryShares(ZERO_12.split(' '), 2, 3);
+        const decoded = shares.map(decodeShare);
+
+        expect(decoded.map(s => s.index)).toEqual([1, 2, 3]);
+        expect(decoded.every(s => s.threshold === 2 && s.shareCount === 3 && s.id === decoded[0].id)).toBe(true);
+        expect(formatBackupId(decoded[0].id)).toMatch(/^[0-9A-F]{4}$/);
+        expect(shares[0].split(' ')).toHaveLength(20);
+    });
+
+    it('should not recover with fewer shares than the threshold', () => {
+        const shares = createRecoveryShares(ZERO_12, 3, 5);
+        const status = checkShares([shares[0], shares[1], '']);
+
+        expect(status).toMatchObject({ threshold: 3, isComplete: false, error: '' });
+        expect(() => recoverMnemonicFromShares(shares.slice(0, 2))).toThrow('Need 3 shares to recover, 2 entered');
+    });
+
+    it('should catch typos, missing words and unknown words in a share', () => {
+        const [share] = createRecoveryShares(ZERO_12, 2, 2);
+        const words = share.split(' ');
+        const typo = replaceWord(share, 10, words[10] === 'zoo' ? 'abandon' : 'zoo');
+
+        expect(() => decodeShare(typo)).toThrow('checksum does not match');
+        expect(() => decodeShare(words.slice(0, -1).join(' '))).toThrow('incomplete');
+        expect(() => decodeShare(replaceWord(share, 4, 'octra'))).toThrow('Word 5 ("octra")');
+        expect(decodeShare(`  ${share.toUpperCase()}\n`).index).toBe(1);
+
+        const status = checkShares(['', typo]);
+        expect(status.errors[0]).toBe('');
+        expect(status.errors[1]).toContain('checksum');
+        expect(status.isComplete).toBe(false);
+    });
+
+    it('should reject mixed backups and repeated shares', () => {
+        const first = createRecoveryShares(ZERO_12, 2, 3);
+        const second = createRecoveryShares(ZERO_12, 2, 3);
+
+        expect(checkShares([first[0], second[1]]).error).toBe('Shares belong to different backups');
+        expect(checkShares([first[1], first[1]]).error).toBe('Share 2 was entered twice');
+        expect(() => recoverMnemonicFromShares([first[0], second[1]])).toThrow('different backups');
+    });
+
+    it('should validate the share count and threshold', () => {
+        expect(() => createRecoveryShares(ZERO_12, 1, 3)).toThrow('Threshold');
+        expect(() => createRecoveryShares(ZERO_12, 4, 3)).toThrow('Threshold');
+        expect(() => createRecoveryShares(ZERO_12, 2, 17)).toThrow('between 2 and 16 shares');
+        expect(() => createRecoveryShares('abandon '.repeat(12), 2, 3)).toThrow();
+    });
+
+    it('should restore the same wallet from recovered shares', async () => {
+        const shares = createRecoveryShares(ZERO_12, 2, 3);
+        const wallet = await importFromMnemonic(recoverMnemonicFromShares([shares[2], shares[0]]));
+
+        expect(wallet.address).toBe('oct8tx8GhDtT7asbpwQgAuWfKDL7KDWZebdmNmPXqWeLMj');
+    });
+});
@@ -0,0 +1,159 @@
+// @vitest-environment node
+/**
+ * Transaction Builder Unit Tests
+ * Golden vectors for the canonical signing payload - if any of these change,
+ * signatures produced by older builds (and expected by the node) break
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import nacl from 'tweetnacl';
+import { Buffer } from 'node:buffer';
+import {
+    buildTransaction,
+    buildContractCall,
+    getSigningPayload,
+    signTransactionPayload,
+    attachSignature,
+    verifyTransaction,
+    TransactionError
+} from '../../src/utils/transaction';
+import { createTransaction } from '../../src/utils/crypto';
+import { keyringService } from '../../src/services/KeyringService';
+import { nonceManager } from '../../src/services/NonceManager';
+import { OCS01Contract } from '../../src/services/OCS01TokenService';
+
+// Fixed key: seed = bytes 1..32
+const PRIVATE_KEY = 'AQIDBAUGBwgJCgsMDQ4PEBESExQVFhcYGRobHB0eHyA=';
+const PUBLIC_KEY = 'ebVWLo/mVPlAeLES6KmLp5AfhTrmlb7X4OORC60ElmQ=';
+const FROM = 'oct7r3ANFFNoFyQJAtiK7JdF65mT62dXLPas7d1CEDmNvEB';
+const TO = 'oct4BuDy6FGZpkrnd8b2Rx2Eavzwv3nquXzDvKvA4Bm2Jxu';
+const NOW_MS = 1700000000123;
+
+const GOLDEN_TRANSFERS = [
+    {
+        name: 'plain transfer',
+        params: { amount: '1.5', nonce: 1, fee: 0.002 },
+        payload: `{"from":"${FROM}","to_":"${TO}","amount":"1500000","nonce":1,"ou":"2000","timestamp":1700000000.123}`,
+        signature: 'VsOQZmImJCu9GDt5BJ7NZoF0K+SFA/dcavS1/kVgZ21uDCXNUAXtg5Mr49EY0LkfuiXrHog4teO/uNOnKoHODQ=='
+    },
+    {
+        name: 'float amount with a message',
+        params: { amount: 0.000249, nonce: 2, fee: 0.001, message: 'hello' },
+        payload: `{"from":"${FROM}","to_":"${TO}","amount":"249","nonce":2,"ou":"1000","timestamp":1700000000.123}`,
+        signature: '0r/bRUqqQEjM0WBtIAmGUylAyKrlf0A7wVr5yMT9XaCYPlo0ZJyG/0KkHdmLViue8S6zv5EoXWYyJarCMr3dDw=='
+    },
+    {
+        name: 'large amount',
+        params: { amount: '123456789.000001', nonce: 42, fee: '0.003' },
+        payload: `{"from":"${FROM}","to_":"${TO}","amount":"123456789000001","nonce":42,"ou":"3000","timestamp":1700000000.123}`,
+        signature: '3a31r5TsWA/ir4/kMhjHCPr4E17fos0mm7TZY9eD9X7arZ0vwYwhD6QXIfBhIRuggFniQOrCxJlMhHPpeY5JBg=='
+    }
+];
+
+const GOLDEN_CALL = {
+    params: { caller: FROM, contract: TO, method: 'transfer', params: [TO, '1000'], nonce: 7, timestamp: 1700000001.5 },
+    payload: `{"from":"${FROM}","to_":"${TO}","amount":"0","nonce":7,"ou":"1","timestamp":1700000001.5}`,
+    signature: '4x2qIptDXbvqVTVPO1W/wma5jrperaMLskniQNFQvxE9aUgY2HXjTpfTOTF50yZyeaOKHC4vsXFt0/FF6wabDg=='
+};
+
+const secretKey = () => nacl.sign.keyPair.fromSeed(new Uint8Array(Buffer.from(PRIVATE_KEY, 'base64'))).secretKey;
+
+describe('Transaction builder golden vectors', () => {
+    beforeEach(() => {
+        vi.spyOn(Date, 'now').mockReturnValue(NOW_MS);
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+        keyringService.lock();
+    });
+
+    it.each(GOLDEN_TRANSFERS)('should produce the canonical payload and signature: $name', ({ params, payload, signature }) => {
+        const tx = buildTransaction({ from: FROM, to: TO, ...params });
+
+        expect(getSigningPayload(tx)).toBe(payload);
+        expect(signTransactionPayload(tx, secretKey())).toBe(signature);
+        expect(tx.message).toBe(params.message);
+    });
+
+    it('should give the same signed transaction from createTransaction and KeyringService', async () => {
+        await keyringService.unlock('TestPassword123!', [{ address: FROM, privateKeyB64: PRIVATE_KEY, publicKeyB64: PUBLIC_KEY }]);
+
+        for (const { params, signature } of GOLDEN_TRANSFERS) {
+            const a = await createTransaction(FROM, TO, params.amount, params.nonce, PRIVATE_KEY, params.message || null, params.fee);
+            const b = await keyringService.signTransaction(FROM, { to: TO, ...params });
+
+            expect(a.signature).toBe(signature);
+            expect(b).toEqual(a);
+            expect(b.public_key).toBe(PUBLIC_KEY);
+            expect(verifyTransaction(b)).toBe(true);
+        }
+    });
+
+    it('should sign contract calls with the canonical call payload', async () => {
+        const call = buildContractCall(GOLDEN_CALL.params);
+        expect(getSigningPayload(call)).toBe(GOLDEN_CALL.payload);
+
+        await keyringService.unlock('TestPassword123!', [{ address: FROM, privateKeyB64: PRIVATE_KEY, publicKeyB64: PUBLIC_KEY }]);
+        const signed = await keyringService.signContractCall(FROM, GOLDEN_CALL.params);
+
+        expect(signed).toEqual({ signature: GOLDEN_CALL.signature, publicKey: PUBLIC_KEY });
+        expect(verifyTransaction(attachSignature(call, signed.signature, signed.publicKey))).toBe(true);
+    });
+
+    it('should post exactly the signed call from OCS01Contract.callMethod', async () => {
+        await keyringService.unlock('TestPassword123!', [{ address: FROM, privateKeyB64: PRIVATE_KEY, publicKeyB64: PUBLIC_KEY }]);
+        vi.spyOn(nonceManager, 'withNonce').mockImplementation((address, fn) => fn(7));
+        Date.now.mockReturnValue(1700000001500);
+
+        const contract = new OCS01Contract(TO);
+        const post = vi.fn().mockResolvedValue({ ok: true, json: { tx_hash: 'abc' } });
+        contract.rpcClient = { post };
+
+        const result = await contract.callMethod('transfer', [TO, '1000'], FROM);
+
+        expect(result).toEqual({ success: true, txHash: 'abc' });
+        const [path, body] = post.mock.calls[0];
+        expect(path).toBe('/call-contract');
+        expect(body).toEqual({ ...GOLDEN_CALL.params, signature: GOLDEN_CALL.signature, public_key: PUBLIC_KEY });
+    });
+});
+
+describe('Transaction builder', () => {
+    it('should keep the message out of the signed payload', () => {
+        const base = { from: FROM, to: TO, amount: '1', nonce: 1, timestamp: 1 };
+        const withMessage = buildTransaction({ ...base, message: 'memo' });
+
+        expect(getSigningPayload(withMessage)).toBe(getSigningPayload(buildTransaction(base)));
+        expect(withMessage.message).toBe('memo');
+    });
+
+    it('should prefer explicit ou over fee and default to 2000', () => {
+        const base = { from: FROM, to: TO, amount: '1', nonce: 1 };
+
+        expect(buildTransaction(base).ou).toBe('2000');
+        expect(buildTransaction({ ...base, fee: '0.0015' }).ou).toBe('1500');
+        expect(buildTransaction({ ...base, fee: '0.0015', ou: 4000 }).ou).toBe('4000');
+    });
+
+    it('should reject invalid nonces and missing parties', () => {
+        const base = { from: FROM, to: TO, amount: '1' };
+
+        expect(() => buildTransaction({ ...base, nonce: -1 })).toThrow(TransactionError);
+        expect(() => buildTransaction({ ...base, nonce: 'abc' })).toThrow('Invalid nonce provided');
+        expect(() => buildTransaction({ ...base, to: '', nonce: 1 })).toThrow(TransactionError);
+        expect(() => buildContractCall({ caller: FROM, contract: TO, nonce: 1 })).toThrow(TransactionError);
+    });
+
+    it('should fail verification when any signed field is tampered with', () => {
+        const tx = buildTransaction({ from: FROM, to: TO, amount: '1.5', nonce: 1, timestamp: 1 });
+        const signed = attachSignature(tx, signTransactionPayload(tx, secretKey()), PUBLIC_KEY);
+
+        expect(verifyTransaction(signed)).toBe(true);
+        expect(verifyTransaction({ ...signed, message: 'unsigned memo' })).toBe(true);
+        for (const [field, value] of [['amount', '1500001'], ['to_', FROM], ['nonce', 2], ['ou', '1'], ['timestamp', 2]]) {
+            expect(verifyTransaction({ ...signed, [field]: value })).toBe(false);
+        }
+        expect(verifyTransaction({ ...signed, signature: 'bad' })).toBe(false);
+    });
+});
@@ -4,7 +4,8 @@ import {
     isValidPrivateKey,
     isValidMnemonic,
     isValidAmount,
-    calculatePasswordStrength
+    calculatePasswordStrength,
+    getPassphraseError
 } from '../../src/utils/validation';
 
 describe('Validation Utils', () => {
@@ -59,4 +60,12 @@ describe('Validation Utils', () => {
             expect(result.level).toBe('strong');
         });
     });
+
+    describe('getPassphraseError', () => {
+        it('should accept an empty or confirmed passphrase and reject a mismatch', () => {
+            expect(getPassphraseError('')).toBe('');
+            expect(getPassphraseError('hidden', 'hidden')).toBe('');
+            expect(getPassphraseError('hidden', 'hiddne')).toBe('Passphrases do not match');
+        });
+    });
 });
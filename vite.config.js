@@ -26,12 +26,15 @@ export default defineConfig(({ mode }) => {
       rollupOptions: {
         input: {
           popup: resolve(__dirname, 'index.html'),
-          background: resolve(__dirname, 'src/background/background.js')
+          background: resolve(__dirname, 'src/background/background.js'),
+          contentScript: resolve(__dirname, 'src/provider/contentScript.js'),
+          inpage: resolve(__dirname, 'src/provider/inpage.js')
         },
         output: {
           entryFileNames: (chunkInfo) => {
-            if (chunkInfo.name === 'background') {
-              return 'background.js';
+            // Extension entry points keep fixed names (manifest / content script)
+            if (['background', 'contentScript', 'inpage'].includes(chunkInfo.name)) {
+              return `${chunkInfo.name}.js`;
             }
             return 'assets/[name]-[hash].js';
           },
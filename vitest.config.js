@@ -1,5 +1,6 @@
 import { defineConfig } from 'vitest/config';
 import react from '@vitejs/plugin-react';
+import { MOCK_NODE_URL } from './tests/mock-node/constants.js';
 
 export default defineConfig({
     plugins: [react()],
@@ -8,6 +9,12 @@ export default defineConfig({
         environment: 'jsdom',
         include: ['tests/unit/**/*.test.js'],
 
+        // Local mock Octra node - no test depends on the live network
+        globalSetup: ['./tests/mock-node/vitestGlobalSetup.js'],
+        env: {
+            VITE_RPC_URL: MOCK_NODE_URL
+        },
+
         // Output results to tests/results folder
         outputFile: {
             json: './tests/results/unit/results.json',